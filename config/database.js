@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { setTransactionSupport } = require('../utils/transactions');
 
 const connectDB = async () => {
   try {
@@ -7,6 +8,14 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
 
+    // Transactions need a replica set or sharded cluster (see README);
+    // a standalone server still works, just without them
+    const hello = await conn.connection.db.admin().command({ hello: 1 });
+    const supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    setTransactionSupport(supported);
+    if (!supported) {
+      console.warn('⚠️  MongoDB is not running as a replica set; multi-document writes will run without transactions');
+    }
   } catch (error) {
     console.error('❌ Database connection failed:', error.message);
     process.exit(1);
@@ -0,0 +1,39 @@
+// Loan servicing policy. Every value can be overridden from the environment.
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+  overdueJob: {
+    enabled: process.env.LOAN_OVERDUE_JOB_ENABLED !== 'false',
+    // How often the overdue scan runs, in minutes
+    intervalMinutes: toNumber(process.env.LOAN_OVERDUE_JOB_INTERVAL_MINUTES, 60)
+  },
+  // Default late_loan_repayment penalty, used when no penalty rule has been configured
+  latePenalty: {
+    // 'fixed' charges `value` per late installment, 'percentage' charges `value`% of what is unpaid on it
+    type: process.env.LOAN_LATE_PENALTY_TYPE === 'percentage' ? 'percentage' : 'fixed',
+    value: toNumber(process.env.LOAN_LATE_PENALTY_VALUE, 25),
+    // Days an installment may be late before the penalty is applied
+    afterDays: toNumber(process.env.LOAN_LATE_PENALTY_AFTER_DAYS, 1)
+  },
+  // Days a loan may stay overdue before it is marked as defaulted
+  defaultGraceDays: toNumber(process.env.LOAN_DEFAULT_GRACE_DAYS, 90),
+  earlySettlement: {
+    // Share of the not-yet-earned interest waived when a loan is paid off early
+    rebatePercentage: Math.min(100, Math.max(0, toNumber(process.env.LOAN_EARLY_SETTLEMENT_REBATE_PERCENT, 50)))
+  },
+  // Defaults for the "liquidity" setting, which admins can change at runtime
+  liquidity: {
+    // Share of total contributions that must stay in the group after funding a loan
+    reserveRatio: Math.min(100, Math.max(0, toNumber(process.env.LOAN_RESERVE_RATIO_PERCENT, 10))),
+    // 'block' refuses approvals and disbursements below the reserve, 'warn' only flags them
+    mode: process.env.LOAN_RESERVE_MODE === 'warn' ? 'warn' : 'block',
+    // Order of the waiting list: 'fifo', 'smallest_first' or 'credit_score'
+    queuePolicy: ['smallest_first', 'credit_score'].includes(process.env.LOAN_QUEUE_POLICY)
+      ? process.env.LOAN_QUEUE_POLICY
+      : 'fifo'
+  }
+};
@@ -71,7 +71,9 @@ const options = {
             recordedBy: { $ref: '#/components/schemas/User' },
             branch: { $ref: '#/components/schemas/Branch' },
             description: { type: 'string', example: 'Monthly contribution for January' },
-            status: { type: 'string', enum: ['pending', 'confirmed', 'cancelled'], example: 'confirmed' }
+            status: { type: 'string', enum: ['pending', 'confirmed', 'cancelled'], example: 'confirmed' },
+            receiptNumber: { type: 'string', example: 'CEN-000042' },
+            receiptIssuedAt: { type: 'string', format: 'date-time' }
           }
         },
         Loan: {
@@ -81,13 +83,89 @@ const options = {
             member: { $ref: '#/components/schemas/User' },
             amount: { type: 'number', example: 10000 },
             interestRate: { type: 'number', example: 5.5 },
+            interestMethod: { type: 'string', enum: ['flat', 'reducing_balance', 'compound'], example: 'flat' },
             duration: { type: 'number', example: 12 },
             purpose: { type: 'string', example: 'Business expansion' },
-            status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'disbursed', 'repaid', 'defaulted'], example: 'pending' },
+            status: { type: 'string', enum: ['pending', 'queued', 'approved', 'rejected', 'disbursed', 'repaid', 'defaulted', 'written_off', 'refinanced'], example: 'pending' },
             appliedDate: { type: 'string', format: 'date-time' },
             approvedBy: { $ref: '#/components/schemas/User' },
             approvedDate: { type: 'string', format: 'date-time' },
             disbursedDate: { type: 'string', format: 'date-time' },
+            disbursement: {
+              type: 'object',
+              properties: {
+                method: { type: 'string', enum: ['cash', 'mobile_money', 'bank_transfer', 'cheque', 'other'] },
+                reference: { type: 'string' },
+                disbursedBy: { $ref: '#/components/schemas/User' },
+                disbursedAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            isOverdue: { type: 'boolean', example: false },
+            overdueSince: { type: 'string', format: 'date-time' },
+            defaultedAt: { type: 'string', format: 'date-time' },
+            writeOff: {
+              type: 'object',
+              description: 'Set when the remaining balance was written off',
+              properties: {
+                amount: { type: 'number', example: 750 },
+                reason: { type: 'string' },
+                approvedBy: { $ref: '#/components/schemas/User' },
+                writtenOffAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            recoveredAmount: { type: 'number', example: 0 },
+            refinances: { type: 'string', description: 'Loan paid off by this top-up' },
+            refinancedBy: { type: 'string', description: 'Top-up loan that paid off this loan' },
+            refinancedAt: { type: 'string', format: 'date-time' },
+            refinancedBalance: { type: 'number', description: 'Balance of the refinanced loan settled at disbursement', example: 1090 },
+            netDisbursement: { type: 'number', description: 'Cash paid out at disbursement', example: 1910 },
+            creditScore: {
+              type: 'object',
+              description: 'Credit score of the member when the loan was requested',
+              properties: {
+                score: { type: 'number', example: 72.5 },
+                grade: { type: 'string', example: 'B' },
+                breakdown: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      factor: { type: 'string', example: 'repaymentPunctuality' },
+                      weight: { type: 'number', example: 30 },
+                      score: { type: 'number', example: 90 },
+                      points: { type: 'number', example: 27 },
+                      detail: { type: 'string' }
+                    }
+                  }
+                },
+                calculatedAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            earlySettlement: {
+              type: 'object',
+              description: 'Set when the loan was closed through an early payoff or a top-up',
+              properties: {
+                settledAt: { type: 'string', format: 'date-time' },
+                rebate: { type: 'number', example: 30 },
+                payoffAmount: { type: 'number', example: 1090 }
+              }
+            },
+            restructures: {
+              type: 'array',
+              description: 'Previous terms of the loan, one entry per restructure',
+              items: {
+                type: 'object',
+                properties: {
+                  version: { type: 'integer', example: 1 },
+                  previousTerms: { type: 'object' },
+                  newTerms: { type: 'object' },
+                  restructuredBalance: { type: 'number', example: 1048 },
+                  reason: { type: 'string' },
+                  restructuredBy: { $ref: '#/components/schemas/User' },
+                  restructuredAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
             dueDate: { type: 'string', format: 'date-time' },
             totalAmount: { type: 'number', example: 10550 },
             amountPaid: { type: 'number', example: 0 },
@@ -110,7 +188,9 @@ const options = {
             paidDate: { type: 'string', format: 'date-time' },
             waivedDate: { type: 'string', format: 'date-time' },
             waivedBy: { $ref: '#/components/schemas/User' },
-            branch: { $ref: '#/components/schemas/Branch' }
+            branch: { $ref: '#/components/schemas/Branch' },
+            rule: { type: 'string', description: 'Penalty rule that produced the amount' },
+            period: { type: 'string', example: '2024-01', description: 'Period the penalty was charged for' }
           }
         },
         Error: {
@@ -0,0 +1,567 @@
+const Loan = require("../models/Loan");
+const Collateral = require("../models/Collateral");
+const AuditLog = require("../models/AuditLog");
+const { canAccessLoan } = require("../utils/loanAccess");
+
+// Collateral can be pledged or changed until the loan is closed
+const CLOSED_LOAN_STATUSES = ["rejected", "repaid", "written_off", "refinanced"];
+
+// Borrowers may only manage collateral before their loan is approved
+const canManageCollateral = (user, loan) =>
+  canAccessLoan(user, loan) &&
+  (user.role !== "member" || loan.status === "pending");
+
+const toDocumentRecords = (files = [], userId) =>
+  files.map((file) => ({
+    originalname: file.originalname,
+    fileData: file.buffer,
+    mimetype: file.mimetype,
+    size: file.size,
+    uploadedBy: userId,
+  }));
+
+// Strip file contents before returning collateral to the client
+const withoutFileData = (collateral) => {
+  const result = collateral.toObject();
+  result.documents = (result.documents || []).map(({ fileData, ...rest }) => rest);
+  return result;
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/collateral:
+ *   post:
+ *     summary: Register collateral securing a loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               estimatedValue:
+ *                 type: number
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Collateral registered
+ *       400:
+ *         description: Loan is closed
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to add collateral
+ */
+const addCollateral = async (req, res) => {
+  try {
+    const { type, description, estimatedValue } = req.body;
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    if (!canManageCollateral(req.user, loan)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You cannot add collateral to this loan.",
+      });
+    }
+
+    if (CLOSED_LOAN_STATUSES.includes(loan.status)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Cannot add collateral to a ${loan.status} loan`,
+      });
+    }
+
+    const collateral = await Collateral.create({
+      loan: loan._id,
+      member: loan.member,
+      type,
+      description,
+      estimatedValue,
+      documents: toDocumentRecords(req.files, req.user._id),
+      addedBy: req.user._id,
+      branch: loan.branch,
+    });
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "add_collateral",
+      resource: "collateral",
+      resourceId: collateral._id,
+      details: {
+        loan: loan._id,
+        type,
+        estimatedValue: collateral.estimatedValue,
+        documents: collateral.documents.length,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Collateral added successfully",
+      data: {
+        collateral: withoutFileData(collateral),
+        coverage: await Collateral.getCoverage(loan),
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to add collateral",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/collateral:
+ *   get:
+ *     summary: List collateral registered against a loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Collateral and loan-to-collateral ratio
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to get collateral
+ */
+const getLoanCollateral = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    if (!canAccessLoan(req.user, loan)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You cannot view collateral for this loan.",
+      });
+    }
+
+    const collateral = await Collateral.find({ loan: loan._id })
+      .select("-documents.fileData")
+      .populate("addedBy", "firstName lastName")
+      .populate("statusChangedBy", "firstName lastName")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        collateral,
+        coverage: await Collateral.getCoverage(loan),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get collateral",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/collateral/{collateralId}:
+ *   put:
+ *     summary: Update the details or valuation of held collateral
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: collateralId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collateral ID
+ *     responses:
+ *       200:
+ *         description: Collateral updated
+ *       400:
+ *         description: Collateral is no longer held
+ *       404:
+ *         description: Collateral not found
+ *       500:
+ *         description: Failed to update collateral
+ */
+const updateCollateral = async (req, res) => {
+  try {
+    const collateral = await Collateral.findOne({
+      _id: req.params.collateralId,
+      loan: req.params.id,
+    }).select("-documents.fileData");
+    const loan = collateral && (await Loan.findById(collateral.loan));
+
+    if (!collateral || !loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Collateral not found",
+      });
+    }
+
+    if (!canManageCollateral(req.user, loan)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You cannot change collateral on this loan.",
+      });
+    }
+
+    if (collateral.status !== "held") {
+      return res.status(400).json({
+        status: "error",
+        message: `Collateral has already been ${collateral.status}`,
+      });
+    }
+
+    const updates = {};
+    ["type", "description", "estimatedValue"].forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    collateral.set(updates);
+    await collateral.save();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "update_collateral",
+      resource: "collateral",
+      resourceId: collateral._id,
+      details: { loan: loan._id, ...updates },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Collateral updated successfully",
+      data: {
+        collateral,
+        coverage: await Collateral.getCoverage(loan),
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to update collateral",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/collateral/{collateralId}/documents:
+ *   post:
+ *     summary: Attach supporting documents to collateral
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: collateralId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collateral ID
+ *     responses:
+ *       201:
+ *         description: Documents attached
+ *       400:
+ *         description: No files uploaded
+ *       404:
+ *         description: Collateral not found
+ *       500:
+ *         description: Failed to upload collateral documents
+ */
+const addCollateralDocuments = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "No files uploaded. Field name must be 'documents'.",
+      });
+    }
+
+    const collateral = await Collateral.findOne({
+      _id: req.params.collateralId,
+      loan: req.params.id,
+    });
+    const loan = collateral && (await Loan.findById(collateral.loan));
+
+    if (!collateral || !loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Collateral not found",
+      });
+    }
+
+    if (!canAccessLoan(req.user, loan)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You cannot change collateral on this loan.",
+      });
+    }
+
+    collateral.documents.push(...toDocumentRecords(req.files, req.user._id));
+    await collateral.save();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "update_collateral",
+      resource: "collateral",
+      resourceId: collateral._id,
+      details: {
+        loan: loan._id,
+        documentsAdded: req.files.map((file) => file.originalname),
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Collateral documents uploaded successfully",
+      data: { collateral: withoutFileData(collateral) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to upload collateral documents",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/collateral/{collateralId}/documents/{documentId}:
+ *   get:
+ *     summary: Download a collateral document
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: collateralId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collateral ID
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: The uploaded file
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Failed to download collateral document
+ */
+const downloadCollateralDocument = async (req, res) => {
+  try {
+    const collateral = await Collateral.findOne({
+      _id: req.params.collateralId,
+      loan: req.params.id,
+    });
+    const loan = collateral && (await Loan.findById(collateral.loan));
+    const document = collateral && collateral.documents.id(req.params.documentId);
+
+    if (!loan || !document) {
+      return res.status(404).json({
+        status: "error",
+        message: "Document not found",
+      });
+    }
+
+    if (!canAccessLoan(req.user, loan)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You cannot view collateral for this loan.",
+      });
+    }
+
+    // Uploaded names may hold quotes or non-ASCII characters; res.attachment encodes them
+    res.attachment(document.originalname);
+    res.set({
+      "Content-Type": document.mimetype,
+      "Content-Length": document.size,
+    });
+
+    res.send(document.fileData);
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to download collateral document",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/collateral/{collateralId}:
+ *   delete:
+ *     summary: Remove collateral from a loan that has not been disbursed
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: collateralId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collateral ID
+ *     responses:
+ *       200:
+ *         description: Collateral removed
+ *       400:
+ *         description: Loan has already been disbursed
+ *       404:
+ *         description: Collateral not found
+ *       500:
+ *         description: Failed to remove collateral
+ */
+const removeCollateral = async (req, res) => {
+  try {
+    const collateral = await Collateral.findOne({
+      _id: req.params.collateralId,
+      loan: req.params.id,
+    }).select("-documents.fileData");
+    const loan = collateral && (await Loan.findById(collateral.loan));
+
+    if (!collateral || !loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Collateral not found",
+      });
+    }
+
+    if (!canManageCollateral(req.user, loan)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You cannot change collateral on this loan.",
+      });
+    }
+
+    if (!["pending", "approved"].includes(loan.status)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Collateral can only be removed before the loan is disbursed",
+      });
+    }
+
+    await collateral.deleteOne();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "remove_collateral",
+      resource: "collateral",
+      resourceId: collateral._id,
+      details: {
+        loan: loan._id,
+        type: collateral.type,
+        estimatedValue: collateral.estimatedValue,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Collateral removed successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to remove collateral",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  addCollateral,
+  getLoanCollateral,
+  updateCollateral,
+  addCollateralDocuments,
+  downloadCollateralDocument,
+  removeCollateral,
+};
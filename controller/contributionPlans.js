@@ -0,0 +1,346 @@
+const ContributionPlan = require("../models/ContributionPlan");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+
+// Branch leads manage the plans of their own branch only
+const isOutsideBranch = (user, branch) =>
+  user.role === "branch_lead" && String(branch) !== user.branch._id.toString();
+
+/**
+ * @swagger
+ * /api/contribution-plans:
+ *   get:
+ *     summary: Get contribution plans
+ *     tags: [Contribution Plans]
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [branch, member]
+ *     responses:
+ *       200:
+ *         description: List of contribution plans
+ *       500:
+ *         description: Failed to get contribution plans
+ */
+const getAllContributionPlans = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.user.role === "branch_lead") {
+      query.branch = req.user.branch._id.toString();
+    } else if (req.user.role === "member") {
+      query.isActive = true;
+      query.$or = [
+        { scope: "member", member: req.user._id },
+        { scope: "branch", branch: req.user.branch._id.toString() },
+      ];
+    }
+
+    if (req.query.isActive !== undefined && req.user.role !== "member") {
+      query.isActive = req.query.isActive === "true";
+    }
+
+    if (req.query.scope) {
+      query.scope = req.query.scope;
+    }
+
+    const plans = await ContributionPlan.find(query)
+      .populate("member", "firstName lastName membershipId")
+      .sort({ scope: 1, startDate: -1 });
+
+    res.status(200).json({
+      status: "success",
+      data: { plans },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get contribution plans",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/contribution-plans/{id}:
+ *   get:
+ *     summary: Get a single contribution plan by ID
+ *     tags: [Contribution Plans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contribution plan ID
+ *     responses:
+ *       200:
+ *         description: Contribution plan details
+ *       404:
+ *         description: Contribution plan not found
+ *       500:
+ *         description: Failed to get contribution plan
+ */
+const getOneContributionPlan = async (req, res) => {
+  try {
+    const plan = await ContributionPlan.findById(req.params.id).populate(
+      "member",
+      "firstName lastName membershipId"
+    );
+
+    if (!plan || isOutsideBranch(req.user, plan.branch)) {
+      return res.status(404).json({
+        status: "error",
+        message: "Contribution plan not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { plan },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get contribution plan",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/contribution-plans:
+ *   post:
+ *     summary: Create a contribution plan for a branch or a member
+ *     tags: [Contribution Plans]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       201:
+ *         description: Contribution plan created successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Failed to create contribution plan
+ */
+const createContributionPlan = async (req, res) => {
+  try {
+    const planData = { ...req.body, createdBy: req.user._id };
+
+    // Member plans belong to the member's branch
+    if (planData.scope === "member") {
+      const member = await User.findById(planData.member);
+      if (!member) {
+        return res.status(404).json({
+          status: "error",
+          message: "Member not found",
+        });
+      }
+      planData.branch = member.branch;
+    } else if (req.user.role === "branch_lead") {
+      planData.branch = planData.branch || req.user.branch._id.toString();
+    }
+
+    if (isOutsideBranch(req.user, planData.branch)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only manage plans for your branch.",
+      });
+    }
+
+    const plan = await ContributionPlan.create(planData);
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "create_contribution_plan",
+      resource: "contribution_plan",
+      resourceId: plan._id,
+      details: {
+        name: plan.name,
+        scope: plan.scope,
+        amount: plan.amount,
+        frequency: plan.frequency,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Contribution plan created successfully",
+      data: { plan },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to create contribution plan",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/contribution-plans/{id}:
+ *   put:
+ *     summary: Update a contribution plan by ID
+ *     tags: [Contribution Plans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contribution plan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Contribution plan updated successfully
+ *       404:
+ *         description: Contribution plan not found
+ *       500:
+ *         description: Failed to update contribution plan
+ */
+const updateContributionPlan = async (req, res) => {
+  try {
+    const plan = await ContributionPlan.findById(req.params.id);
+
+    if (!plan || isOutsideBranch(req.user, plan.branch)) {
+      return res.status(404).json({
+        status: "error",
+        message: "Contribution plan not found",
+      });
+    }
+
+    // The scope, member and branch identify who the plan is for and cannot change
+    const { scope, member, branch, createdBy, ...updates } = req.body;
+
+    // Save through the document so the cross-field checks run
+    plan.set(updates);
+    await plan.save();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "update_contribution_plan",
+      resource: "contribution_plan",
+      resourceId: plan._id,
+      details: updates,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Contribution plan updated successfully",
+      data: { plan },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to update contribution plan",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/contribution-plans/{id}:
+ *   delete:
+ *     summary: Deactivate a contribution plan (soft delete)
+ *     tags: [Contribution Plans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contribution plan ID
+ *     responses:
+ *       200:
+ *         description: Contribution plan deactivated successfully
+ *       404:
+ *         description: Contribution plan not found
+ *       500:
+ *         description: Failed to delete contribution plan
+ */
+const deleteContributionPlan = async (req, res) => {
+  try {
+    const plan = await ContributionPlan.findById(req.params.id);
+
+    if (!plan || isOutsideBranch(req.user, plan.branch)) {
+      return res.status(404).json({
+        status: "error",
+        message: "Contribution plan not found",
+      });
+    }
+
+    plan.isActive = false;
+    await plan.save();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "delete_contribution_plan",
+      resource: "contribution_plan",
+      resourceId: plan._id,
+      details: { name: plan.name },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Contribution plan deactivated successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to delete contribution plan",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllContributionPlans,
+  getOneContributionPlan,
+  createContributionPlan,
+  updateContributionPlan,
+  deleteContributionPlan,
+};
@@ -1,8 +1,66 @@
+const mongoose = require("mongoose");
 const Contribution = require("../models/Contribution");
 const User = require("../models/User");
 const AuditLog = require("../models/AuditLog");
-const Loan = require("../models/Loan");
-const Penalty = require("../models/Penalty");
+const ContributionPlan = require("../models/ContributionPlan");
+const { getGroupLiquidity } = require("../utils/liquidity");
+const {
+  PLAN_CONTRIBUTION_TYPES,
+  calculateArrears,
+} = require("../utils/contributionSchedule");
+const { evaluateContributionPenalty } = require("../utils/penaltyEngine");
+const { releaseWaitingLoans } = require("../utils/loanQueue");
+const { runInTransaction } = require("../utils/transactions");
+const { getExportFormat, sendExport, personName } = require("../utils/listExport");
+const {
+  buildReceipt,
+  generateReceiptPdf,
+  renderReceiptHtml,
+} = require("../utils/receipts");
+const sgMail = require("@sendgrid/mail");
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+// Email a contribution's PDF receipt to the member
+// Expects `memberId`, `recordedBy` and `branch` to be populated
+const sendReceiptEmail = async (contribution) => {
+  const receipt = buildReceipt(contribution);
+  if (!receipt.memberEmail) {
+    throw new Error("Member has no email address");
+  }
+  const pdfBuffer = await generateReceiptPdf(receipt);
+
+  await sgMail.send({
+    to: receipt.memberEmail,
+    from: process.env.SENDGRID_VERIFIED_SENDER,
+    subject: `Contribution Receipt ${receipt.receiptNumber} — Community Saver`,
+    text: `Hello ${contribution.memberId.firstName}, we received your contribution of ${receipt.amount}. Your receipt ${receipt.receiptNumber} is attached.`,
+    html: `
+      <div style="font-family: Arial, sans-serif; color: #1f2937; max-width: 600px; margin: auto;">
+        <h2 style="color: #0f766e; margin-bottom: 0.5rem;">Contribution Received</h2>
+        <p>Hello ${contribution.memberId.firstName},</p>
+        <p style="color:#374151;">
+          We received your contribution of <strong>${receipt.amount}</strong>.
+          Your receipt <strong>${receipt.receiptNumber}</strong> is attached.
+        </p>
+        <p style="margin-top: 20px;">
+          Regards,<br/>
+          <strong>Community Saver Team</strong>
+        </p>
+        <hr style="border:none; border-top:1px solid #e6eef0; margin-top:20px;" />
+        <small style="color:#9ca3af;">This is an autogenerated message — do not reply directly.</small>
+      </div>
+    `,
+    attachments: [
+      {
+        content: pdfBuffer.toString("base64"),
+        filename: `receipt-${receipt.receiptNumber}.pdf`,
+        type: "application/pdf",
+        disposition: "attachment",
+      },
+    ],
+  });
+};
 
 /**
  * @swagger
@@ -48,6 +106,12 @@ const Penalty = require("../models/Penalty");
  *           type: string
  *           format: date
  *         description: Filter contributions before this date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         description: Download the result as a CSV or XLSX file instead of JSON
  *     responses:
  *       200:
  *         description: List of contributions and summary
@@ -122,6 +186,28 @@ const getAllContribution = async (req, res) => {
       { $group: { _id: null, total: { $sum: "$amount" } } },
     ]);
 
+    const format = getExportFormat(req);
+    if (format) {
+      return sendExport(res, format, {
+        fileName: "contributions",
+        sheetName: "Contributions",
+        columns: [
+          { header: "Date", type: "date", value: (c) => c.contributionDate },
+          { header: "Member", width: 24, value: (c) => personName(c.memberId) },
+          { header: "Type", value: (c) => c.contributionType },
+          { header: "Amount", type: "money", value: (c) => c.amount },
+          { header: "Status", value: (c) => c.status },
+          { header: "Description", width: 32, value: (c) => c.description },
+          { header: "Recorded By", width: 24, value: (c) => personName(c.recordedBy) },
+        ],
+        rows: filteredContributions,
+        summary: [
+          ["Contributions", total],
+          ["Total amount", totalAmount[0] ? totalAmount[0].total : 0],
+        ],
+      });
+    }
+
     res.status(200).json({
       status: "success",
       data: {
@@ -213,6 +299,105 @@ const getOneContribution = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/contributions/{id}/receipt:
+ *   get:
+ *     summary: Download a contribution's receipt
+ *     description: A cancelled contribution keeps its receipt number and its receipt is marked void.
+ *     tags: [Contributions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contribution ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Receipt as a PDF or an HTML page
+ *       400:
+ *         description: Contribution has no receipt
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Contribution not found
+ *       500:
+ *         description: Failed to get receipt
+ */
+const getContributionReceipt = async (req, res) => {
+  try {
+    const contribution = await Contribution.findById(req.params.id)
+      .populate("memberId", "firstName lastName email")
+      .populate("recordedBy", "firstName lastName")
+      .populate("branch", "name code");
+
+    if (!contribution) {
+      return res.status(404).json({
+        status: "error",
+        message: "Contribution not found",
+      });
+    }
+
+    // Check permissions
+    if (
+      req.user.role === "member" &&
+      contribution.memberId._id.toString() !== req.user._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view your own receipts.",
+      });
+    }
+
+    if (
+      req.user.role === "branch_lead" &&
+      String(contribution.branch?._id) !== req.user.branch._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view receipts from your branch.",
+      });
+    }
+
+    if (!contribution.receiptNumber) {
+      return res.status(400).json({
+        status: "error",
+        message: contribution.importBatch
+          ? "Imported contributions have no receipt"
+          : "Only confirmed contributions have a receipt",
+      });
+    }
+
+    const receipt = buildReceipt(contribution);
+
+    if (String(req.query.format).toLowerCase() === "html") {
+      return res.status(200).type("html").send(renderReceiptHtml(receipt));
+    }
+
+    const pdfBuffer = await generateReceiptPdf(receipt);
+    res.status(200);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="receipt-${receipt.receiptNumber}.pdf"`,
+      "Cache-Control": "no-store",
+    });
+    res.send(pdfBuffer);
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get receipt",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/contributions:
@@ -235,6 +420,9 @@ const getOneContribution = async (req, res) => {
  *               contributionDate:
  *                 type: string
  *                 format: date
+ *               emailReceipt:
+ *                 type: boolean
+ *                 description: Email the PDF receipt to the member
  *     responses:
  *       201:
  *         description: Contribution added successfully
@@ -257,76 +445,291 @@ const createContribution = async (req, res) => {
     // Branch lead can only add contributions for their branch members
     // Branch lead can only add contributions for their branch members
 
+    // Receipt numbers are issued by the model, never taken from the request
+    const { emailReceipt, receiptNumber, receiptSequence, receiptIssuedAt, ...fields } =
+      req.body;
     const contributionData = {
-      ...req.body,
+      ...fields,
       recordedBy: req.user._id,
       branch:
         req.user.role === "branch_lead" ? req.user.branch._id : member.branch,
     };
 
-    const contribution = await Contribution.create(contributionData);
-    await contribution.populate("memberId", "firstName lastName ");
+    // Save the contribution, its penalty and the log together, so a failed
+    // request never uses up a receipt number
+    let contribution;
+    let penalty = null;
+    await runInTransaction(async (session) => {
+      [contribution] = await Contribution.create([contributionData], { session });
+
+      // Late contributions are charged under the branch's penalty rules
+      ({ penalty } = await evaluateContributionPenalty(
+        contribution,
+        member,
+        req.user._id,
+        { session }
+      ));
+
+      // The member's totalContributions is recomputed by the Contribution save hook
+
+      // Log the action
+      await AuditLog.create(
+        [
+          {
+            user: req.user._id,
+            action: "add_contribution",
+            resource: "contribution",
+            resourceId: contribution._id,
+            details: {
+              amount: contribution.amount,
+              member: member.email,
+              receiptNumber: contribution.receiptNumber,
+              ...(penalty && { penaltyId: penalty._id, penaltyAmount: penalty.amount }),
+            },
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          },
+        ],
+        { session }
+      );
+    });
+
+    await contribution.populate("memberId", "firstName lastName email");
     await contribution.populate("recordedBy", "firstName lastName");
     await contribution.populate("branch", "name code");
 
-    // --- Penalty logic: assign penalty if contributed after 10th ---
-    const contributionDate = new Date(contribution.contributionDate);
-    if (contributionDate.getDate() > 10) {
-      // Get member name
-      let memberName = "";
-      if (contribution.memberId.firstName && contribution.memberId.lastName) {
-        memberName = `${contribution.memberId.firstName} ${contribution.memberId.lastName}`;
+    // A failed email doesn't undo the contribution; the receipt can still be downloaded
+    let receiptEmailed = false;
+    let receiptEmailError;
+    if ((emailReceipt === true || emailReceipt === "true") && contribution.receiptNumber) {
+      try {
+        await sendReceiptEmail(contribution);
+        receiptEmailed = true;
+      } catch (emailError) {
+        receiptEmailError = emailError.message;
+      }
+    }
+
+    const releasedFromQueue = await releaseWaitingLoans(req);
+
+    res.status(201).json({
+      status: "success",
+      message: "Contribution added successfully",
+      data: { contribution, penalty, receiptEmailed, receiptEmailError, releasedFromQueue },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to add contribution",
+      error: error.message,
+    });
+  }
+};
+
+// Bulk recording is meant for one meeting's collections, not imports
+const MAX_BULK_CONTRIBUTIONS = 200;
+
+/**
+ * @swagger
+ * /api/contributions/bulk:
+ *   post:
+ *     summary: Record contributions for many members in one transaction
+ *     tags: [Contributions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       201:
+ *         description: Contributions recorded, with a result per row
+ *       400:
+ *         description: One or more rows failed validation; nothing was recorded
+ *       500:
+ *         description: Failed to record contributions
+ */
+const createBulkContributions = async (req, res) => {
+  try {
+    const rows = req.body.contributions;
+    const allowPartial = req.body.allowPartial === true;
+
+    if (rows.length > MAX_BULK_CONTRIBUTIONS) {
+      return res.status(400).json({
+        status: "error",
+        message: `A batch can contain at most ${MAX_BULK_CONTRIBUTIONS} contributions`,
+      });
+    }
+
+    const memberIds = rows
+      .map((row) => row && row.memberId)
+      .filter((id) => mongoose.isValidObjectId(id));
+    const members = await User.find({ _id: { $in: memberIds } });
+    const membersById = new Map(members.map((m) => [m._id.toString(), m]));
+
+    // Validate every row before anything is written
+    const results = [];
+    const valid = [];
+    for (const [index, row] of rows.entries()) {
+      const errors = [];
+      const member =
+        row && mongoose.isValidObjectId(row.memberId)
+          ? membersById.get(String(row.memberId))
+          : null;
+
+      if (!row || !mongoose.isValidObjectId(row.memberId)) {
+        errors.push("Invalid member ID");
+      } else if (!member) {
+        errors.push("Member not found");
+      } else if (!member.isActive) {
+        errors.push("Member is not active");
+      } else if (
+        req.user.role === "branch_lead" &&
+        String(member.branch) !== req.user.branch._id.toString()
+      ) {
+        errors.push("Member is not in your branch");
+      }
+
+      const amount = Number(row && row.amount);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        errors.push("Amount must be greater than 0");
+      }
+
+      const contribution = new Contribution({
+        memberId: row && row.memberId,
+        amount,
+        contributionType:
+          (row && row.contributionType) || req.body.contributionType || "monthly",
+        contributionDate:
+          (row && row.contributionDate) || req.body.contributionDate || new Date(),
+        description: (row && row.description) || req.body.description,
+        recordedBy: req.user._id,
+        branch: member ? member.branch : undefined,
+      });
+      if (!errors.length) {
+        try {
+          await contribution.validate();
+        } catch (validationError) {
+          Object.values(validationError.errors || {}).forEach((e) =>
+            errors.push(e.message)
+          );
+        }
+      }
+
+      if (errors.length) {
+        results.push({
+          row: index,
+          memberId: row && row.memberId,
+          status: "failed",
+          errors,
+        });
       } else {
-        // fallback: fetch user
-        const memberDoc = await User.findById(
-          contribution.memberId._id || contribution.memberId
-        );
-        if (memberDoc)
-          memberName = `${memberDoc.firstName} ${memberDoc.lastName}`;
+        results.push({ row: index, memberId: String(row.memberId), status: "valid" });
+        valid.push({ index, contribution, member });
       }
-      await Penalty.create({
-        member: contribution.memberId._id || contribution.memberId,
-        amount: 25,
-        reason: "late_contribution",
-        description: `Late contribution for ${memberName} in ${contributionDate.toLocaleString(
-          "default",
-          { month: "long" }
-        )} (${contributionDate.toISOString().slice(0, 10)})`,
-        assignedBy: req.user._id,
-        status: "pending",
-        assignedDate: contributionDate,
-        branch: contribution.branch,
+    }
+
+    const failed = results.filter((r) => r.status === "failed").length;
+    if (!valid.length || (failed && !allowPartial)) {
+      return res.status(400).json({
+        status: "error",
+        message: `${failed} of ${rows.length} rows failed validation; nothing was recorded`,
+        data: { results },
       });
     }
 
-    // Update user's totalContributions after adding a contribution
-    const allContributions = await Contribution.find({ memberId: member._id });
-    member.totalContributions = allContributions.reduce(
-      (sum, c) => sum + (c.amount || 0),
-      0
-    );
-    await member.save();
+    // Record the valid rows, their penalties and the member totals together,
+    // in one transaction where MongoDB supports it
+    let inserted = [];
+    let penalties = [];
+    await runInTransaction(async (session) => {
+      // The callback is retried on transient errors, so start from scratch
+      penalties = [];
 
-    // Log the action
-    await AuditLog.create({
-      user: req.user._id,
-      action: "add_contribution",
-      resource: "contribution",
-      resourceId: contribution._id,
-      details: { amount: contribution.amount, member: member.email },
-      ipAddress: req.ip,
-      userAgent: req.get("User-Agent"),
+      // insertMany skips the save hooks, so receipt numbers are issued here
+      // in row order and totals are recomputed once per member below
+      const docs = [];
+      for (const v of valid) {
+        docs.push({
+          ...v.contribution.toObject(),
+          ...(await Contribution.nextReceiptNumber(v.contribution.branch, session)),
+        });
+      }
+      inserted = await Contribution.insertMany(docs, { session });
+
+      // Evaluate in row order so a member's earlier rows count towards later ones
+      for (const [i, contribution] of inserted.entries()) {
+        const { penalty } = await evaluateContributionPenalty(
+          contribution,
+          valid[i].member,
+          req.user._id,
+          { session }
+        );
+        penalties.push(penalty);
+      }
+
+      const uniqueMemberIds = [
+        ...new Set(inserted.map((c) => c.memberId.toString())),
+      ];
+      for (const memberId of uniqueMemberIds) {
+        await Contribution.updateUserContributions(memberId, session);
+      }
+
+      // Log the action
+      await AuditLog.insertMany(
+        inserted.map((contribution, i) => ({
+          user: req.user._id,
+          action: "add_contribution",
+          resource: "contribution",
+          resourceId: contribution._id,
+          details: {
+            amount: contribution.amount,
+            member: valid[i].member.email,
+            bulk: true,
+            ...(penalties[i] && {
+              penaltyId: penalties[i]._id,
+              penaltyAmount: penalties[i].amount,
+            }),
+          },
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent"),
+        })),
+        { session }
+      );
     });
 
+    inserted.forEach((contribution, i) => {
+      const penalty = penalties[i];
+      results[valid[i].index] = {
+        row: valid[i].index,
+        memberId: contribution.memberId.toString(),
+        status: "recorded",
+        contributionId: contribution._id,
+        receiptNumber: contribution.receiptNumber,
+        amount: contribution.amount,
+        penalty: penalty ? { id: penalty._id, amount: penalty.amount } : null,
+      };
+    });
+
+    const releasedFromQueue = await releaseWaitingLoans(req);
+
     res.status(201).json({
       status: "success",
-      message: "Contribution added successfully",
-      data: { contribution },
+      message: `${inserted.length} of ${rows.length} contributions recorded`,
+      data: {
+        recorded: inserted.length,
+        failed,
+        totalAmount:
+          Math.round(inserted.reduce((sum, c) => sum + c.amount, 0) * 100) / 100,
+        penaltiesCharged: penalties.filter(Boolean).length,
+        results,
+        releasedFromQueue,
+      },
     });
   } catch (error) {
     res.status(500).json({
       status: "error",
-      message: "Failed to add contribution",
+      message: "Failed to record contributions",
       error: error.message,
     });
   }
@@ -354,6 +757,8 @@ const createContribution = async (req, res) => {
  *     responses:
  *       200:
  *         description: Contribution updated successfully
+ *       400:
+ *         description: The contribution was confirmed by someone else in the meantime
  *       404:
  *         description: Contribution not found
  *       403:
@@ -390,14 +795,50 @@ const updatingContribution = async (req, res) => {
     delete req.body.member;
     delete req.body.branch;
 
-    const updatedContribution = await Contribution.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    )
-      .populate("memberId", "firstName lastName")
-      .populate("recordedBy", "firstName lastName")
-      .populate("branch", "name code");
+    // Receipt numbers are issued by the model and never change
+    delete req.body.receiptNumber;
+    delete req.body.receiptSequence;
+    delete req.body.receiptIssuedAt;
+
+    // Only confirming a pending contribution takes a receipt number
+    const issuesReceipt =
+      contribution.status === "pending" &&
+      req.body.status === "confirmed" &&
+      !contribution.importBatch;
+
+    const updatedContribution = await runInTransaction(async (session) => {
+      // Someone else may have confirmed it in the meantime
+      let updated = await Contribution.findOneAndUpdate(
+        issuesReceipt ? { _id: contribution._id, status: "pending" } : { _id: contribution._id },
+        req.body,
+        { new: true, runValidators: true, session }
+      );
+      if (!updated) return null;
+
+      if (issuesReceipt) {
+        const receipt = await Contribution.nextReceiptNumber(contribution.branch?._id, session);
+        updated = await Contribution.findByIdAndUpdate(
+          updated._id,
+          { $set: receipt },
+          { new: true, session }
+        );
+      }
+
+      // Confirming adds the amount to the member's total, cancelling takes it out
+      await Contribution.updateUserContributions(updated.memberId, session);
+      return updated;
+    });
+
+    if (!updatedContribution) {
+      return res.status(400).json({
+        status: "error",
+        message: "The contribution was confirmed by someone else. Reload it and check the changes",
+      });
+    }
+
+    await updatedContribution.populate("memberId", "firstName lastName");
+    await updatedContribution.populate("recordedBy", "firstName lastName");
+    await updatedContribution.populate("branch", "name code");
 
     // Log the action
     await AuditLog.create({
@@ -440,6 +881,8 @@ const updatingContribution = async (req, res) => {
  *     responses:
  *       200:
  *         description: Contribution deleted successfully
+ *       400:
+ *         description: Contribution has a receipt number; cancel it instead
  *       404:
  *         description: Contribution not found
  *       500:
@@ -447,7 +890,7 @@ const updatingContribution = async (req, res) => {
  */
 const deletingContribution = async (req, res) => {
   try {
-    const contribution = await Contribution.findByIdAndDelete(req.params.id);
+    const contribution = await Contribution.findById(req.params.id);
 
     if (!contribution) {
       return res.status(404).json({
@@ -456,6 +899,16 @@ const deletingContribution = async (req, res) => {
       });
     }
 
+    // Deleting would leave a gap in the receipt numbers
+    if (contribution.receiptNumber) {
+      return res.status(400).json({
+        status: "error",
+        message: `Contribution has receipt ${contribution.receiptNumber} and cannot be deleted; cancel it instead`,
+      });
+    }
+
+    await contribution.deleteOne();
+
     // Update user's total contributions
     await Contribution.updateUserContributions(contribution.memberId);
 
@@ -519,102 +972,166 @@ const getTotalContributions = async (req, res) => {
  * /api/contributions/net:
  *   get:
  *     summary: Get net contributions (contributions minus approved loans plus interest and penalties)
+ *     description: Also reports the cash the group holds, the reserve required by the reserve ratio and the amount that can still be lent.
  *     tags: [Contributions]
  *     responses:
  *       200:
- *         description: Net contributions and related financial summary
+ *         description: Net contributions, liquidity and related financial summary
  *       500:
  *         description: Failed to calculate net contributions
  */
 const getNetContributions = async (req, res) => {
   try {
-    // Only include contributions from active users (memberId not null)
-    const activeUsers = await User.find({ isActive: true }).select("_id");
-    const activeUserIds = activeUsers.map((u) => u._id);
+    const liquidity = await getGroupLiquidity();
 
-    // Sum all contributions from active users only
-    const contribResult = await Contribution.aggregate([
-      { $match: { memberId: { $in: activeUserIds } } },
-      { $group: { _id: null, total: { $sum: "$amount" } } },
-    ]);
-    const totalContributions = contribResult[0] ? contribResult[0].total : 0;
-
-    // Sum all approved loans with non-null member
-    const approvedLoans = await Loan.find({ status: "approved" }).populate("member");
-    const totalApprovedLoans = approvedLoans
-      .filter(l => l.member !== null)
-      .reduce((sum, l) => sum + (l.amount || 0), 0);
-
-    // Sum all interest from repaid loans with non-null member
-    const repaidLoans = await Loan.find({ status: "repaid" }).populate("member");
-    const totalInterestFromRepaidLoans = repaidLoans
-      .filter(l => l.member !== null)
-      .reduce((sum, l) => sum + ((l.totalAmount || 0) - (l.amount || 0)), 0);
-
-    // Sum all collected penalties with non-null member
-    const collectedPenalties = await Penalty.find({ status: "collected" }).populate("member");
-    const totalCollectedPenalties = collectedPenalties
-      .filter(p => p.member !== null)
-      .reduce((sum, p) => sum + (p.amount || 0), 0);
-
-    // Sum all paid penalties with non-null member
-    const paidPenalties = await Penalty.find({ status: "paid" }).populate("member");
-    const totalPaidPenalties = paidPenalties
-      .filter(p => p.member !== null)
-      .reduce((sum, p) => sum + (p.amount || 0), 0);
-
-    // Sum all pending penalties with non-null member
-    const pendingPenalties = await Penalty.find({ status: "pending" }).populate("member");
-    const totalPendingPenalties = pendingPenalties
-      .filter(p => p.member !== null)
-      .reduce((sum, p) => sum + (p.amount || 0), 0);
-
-    // Net available: contributions - approved loans + interest from repaid loans + collected penalties + paid penalties
-    const netAvailable =
-      totalContributions -
-      totalApprovedLoans +
-      totalInterestFromRepaidLoans +
-      totalCollectedPenalties +
-      totalPaidPenalties;
-
-    // Sum all interest from approved loans with non-null member
-    const approvedLoansForInterest = await Loan.find({ status: "approved" }).populate("member");
-    const totalInterestFromApprovedLoans = approvedLoansForInterest
-      .filter(l => l.member !== null)
-      .reduce((sum, l) => sum + ((l.totalAmount || 0) - (l.amount || 0)), 0);
-
-    // Future balance: netAvailable + interest from approved loans + pending penalties
-    const futureBalance =
-      netAvailable + totalInterestFromApprovedLoans + totalPendingPenalties;
-
-    // Total amount to be repaid for approved loans with non-null member
-    const totalToBeRepaidOnApprovedLoans = approvedLoansForInterest
-      .filter(l => l.member !== null)
-      .reduce((sum, l) => sum + (l.totalAmount || 0), 0);
-
-    // Best future balance: netAvailable + total to be repaid on approved loans + pending penalties
-    const bestFutureBalance =
-      netAvailable + totalToBeRepaidOnApprovedLoans + totalPendingPenalties;
+    res.status(200).json({
+      status: "success",
+      data: liquidity,
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to calculate net contributions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/contributions/arrears:
+ *   get:
+ *     summary: Get members who are behind on their contribution plan
+ *     tags: [Contributions]
+ *     parameters:
+ *       - in: query
+ *         name: memberId
+ *         schema:
+ *           type: string
+ *         description: Limit to one member and include the per-period breakdown
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *         description: Filter by branch (admin only)
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to calculate arrears for (defaults to today)
+ *       - in: query
+ *         name: includeUpToDate
+ *         schema:
+ *           type: boolean
+ *         description: Also list members who are not behind
+ *     responses:
+ *       200:
+ *         description: Arrears per member, largest first
+ *       400:
+ *         description: Invalid date
+ *       500:
+ *         description: Failed to calculate contribution arrears
+ */
+const getContributionArrears = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (Number.isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        status: "error",
+        message: "asOf must be a valid date",
+      });
+    }
+
+    let query = { role: "member", isActive: true };
+
+    // Role-based filtering
+    if (req.user.role === "member") {
+      query._id = req.user._id;
+    } else if (req.user.role === "branch_lead") {
+      query.branch = req.user.branch._id.toString();
+    } else if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+
+    if (req.query.memberId && req.user.role !== "member") {
+      query._id = req.query.memberId;
+    }
+
+    const members = await User.find(query).select(
+      "firstName lastName membershipId email branch joinDate createdAt"
+    );
+    const plans = await ContributionPlan.resolveForMembers(members);
+
+    const contributions = await Contribution.find({
+      memberId: { $in: [...plans.keys()] },
+      status: "confirmed",
+      contributionType: { $in: PLAN_CONTRIBUTION_TYPES },
+    }).select("memberId amount contributionType contributionDate");
+
+    const contributionsByMember = {};
+    contributions.forEach((c) => {
+      const id = c.memberId.toString();
+      (contributionsByMember[id] = contributionsByMember[id] || []).push(c);
+    });
+
+    const includeDetail = Boolean(req.query.memberId) || req.user.role === "member";
+    const includeUpToDate = req.query.includeUpToDate === "true";
+
+    const arrears = [];
+    members.forEach((member) => {
+      const plan = plans.get(member._id.toString());
+      if (!plan) return;
+
+      const { periods, ...summary } = calculateArrears(
+        member,
+        plan,
+        contributionsByMember[member._id.toString()] || [],
+        asOf
+      );
+      if (!includeUpToDate && !includeDetail && summary.arrears <= 0) return;
+
+      arrears.push({
+        member: {
+          _id: member._id,
+          firstName: member.firstName,
+          lastName: member.lastName,
+          membershipId: member.membershipId,
+          email: member.email,
+          branch: member.branch,
+        },
+        plan: {
+          _id: plan._id,
+          name: plan.name,
+          scope: plan.scope,
+          amount: plan.amount,
+          frequency: plan.frequency,
+          dueDay: plan.dueDay,
+        },
+        ...summary,
+        ...(includeDetail && { periods }),
+      });
+    });
+
+    arrears.sort((a, b) => b.arrears - a.arrears || b.periodsBehind - a.periodsBehind);
 
     res.status(200).json({
       status: "success",
       data: {
-        totalContributions,
-        totalApprovedLoans,
-        totalInterestFromRepaidLoans,
-        totalCollectedPenalties,
-        totalPaidPenalties,
-        totalPendingPenalties,
-        netAvailable,
-        futureBalance,
-        totalToBeRepaidOnApprovedLoans,
-        bestFutureBalance,
+        asOf,
+        arrears,
+        summary: {
+          membersBehind: arrears.filter((a) => a.arrears > 0).length,
+          totalArrears:
+            Math.round(arrears.reduce((sum, a) => sum + a.arrears, 0) * 100) / 100,
+          membersWithoutPlan: members.length - plans.size,
+        },
       },
     });
   } catch (error) {
     res.status(500).json({
       status: "error",
-      message: "Failed to calculate net contributions",
+      message: "Failed to calculate contribution arrears",
       error: error.message,
     });
   }
@@ -623,9 +1140,12 @@ const getNetContributions = async (req, res) => {
 module.exports = {
   getAllContribution,
   getOneContribution,
+  getContributionReceipt,
   createContribution,
+  createBulkContributions,
   updatingContribution,
   deletingContribution,
   getTotalContributions,
   getNetContributions,
+  getContributionArrears,
 };
@@ -0,0 +1,195 @@
+const User = require("../models/User");
+const Setting = require("../models/Setting");
+const AuditLog = require("../models/AuditLog");
+const {
+  CREDIT_SCORE_SETTING_KEY,
+  CREDIT_SCORE_FACTORS,
+  CREDIT_GRADES,
+  getCreditScoreSettings,
+  calculateCreditScore,
+} = require("../utils/creditScore");
+
+const SETTING_FIELDS = [
+  "lookbackMonths",
+  "fullScoreMembershipMonths",
+  "penaltyDeduction",
+  "defaultDeduction",
+  "neutralScore",
+];
+
+/**
+ * @swagger
+ * /api/credit-scores/settings:
+ *   get:
+ *     summary: Get the credit scoring weights and parameters
+ *     tags: [Credit Scores]
+ *     responses:
+ *       200:
+ *         description: Current settings, factor labels and grade thresholds
+ *       500:
+ *         description: Failed to get credit score settings
+ */
+const getScoringSettings = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: "success",
+      data: {
+        settings: await getCreditScoreSettings(),
+        factors: CREDIT_SCORE_FACTORS,
+        grades: CREDIT_GRADES,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get credit score settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/credit-scores/settings:
+ *   put:
+ *     summary: Update the credit scoring weights and parameters
+ *     tags: [Credit Scores]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Credit score settings updated
+ *       400:
+ *         description: All weights are zero
+ *       500:
+ *         description: Failed to update credit score settings
+ */
+const updateScoringSettings = async (req, res) => {
+  try {
+    const current = await getCreditScoreSettings();
+
+    const settings = { ...current, weights: { ...current.weights } };
+    Object.keys(CREDIT_SCORE_FACTORS).forEach((factor) => {
+      if (req.body.weights && req.body.weights[factor] !== undefined) {
+        settings.weights[factor] = Number(req.body.weights[factor]);
+      }
+    });
+    SETTING_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        settings[field] = Number(req.body[field]);
+      }
+    });
+
+    if (!Object.values(settings.weights).some((weight) => weight > 0)) {
+      return res.status(400).json({
+        status: "error",
+        message: "At least one credit score weight must be greater than 0",
+      });
+    }
+
+    await Setting.setValue(CREDIT_SCORE_SETTING_KEY, settings, req.user._id);
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "update_setting",
+      resource: "setting",
+      details: {
+        key: CREDIT_SCORE_SETTING_KEY,
+        previous: current,
+        updated: settings,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Credit score settings updated successfully",
+      data: { settings },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to update credit score settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/credit-scores/members/{memberId}:
+ *   get:
+ *     summary: Get a member's current credit score with its breakdown
+ *     tags: [Credit Scores]
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Member ID
+ *     responses:
+ *       200:
+ *         description: Credit score, grade and per-factor breakdown
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Failed to calculate credit score
+ */
+const getMemberCreditScore = async (req, res) => {
+  try {
+    if (
+      req.user.role === "member" &&
+      req.params.memberId !== req.user._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view your own credit score.",
+      });
+    }
+
+    const member = await User.findById(req.params.memberId);
+
+    if (!member) {
+      return res.status(404).json({
+        status: "error",
+        message: "Member not found",
+      });
+    }
+
+    if (
+      req.user.role === "branch_lead" &&
+      String(member.branch) !== req.user.branch._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view members from your branch.",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { creditScore: await calculateCreditScore(member) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to calculate credit score",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getScoringSettings,
+  updateScoringSettings,
+  getMemberCreditScore,
+};
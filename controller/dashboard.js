@@ -87,6 +87,7 @@ const adminDashboard = async (req, res) => {
     ]);
 
     const pendingLoans = await Loan.countDocuments({ status: 'pending' });
+    const writeOffs = await Loan.getWriteOffSummary();
     const recentLoans = await Loan.countDocuments({
       appliedDate: { $gte: startDate }
     });
@@ -169,7 +170,8 @@ const adminDashboard = async (req, res) => {
         loans: {
           byStatus: loanStats,
           pending: pendingLoans,
-          recent: recentLoans
+          recent: recentLoans,
+          writeOffs
         },
         penalties: {
           byStatus: penaltyStats
@@ -274,6 +276,8 @@ const branchDashboard = async (req, res) => {
       }
     ]);
 
+    const writeOffs = await Loan.getWriteOffSummary({ branch: String(branchId) });
+
     // Branch penalty statistics
     const penaltyStats = await Penalty.aggregate([
       { $match: { branch: branchId } },
@@ -327,7 +331,8 @@ const branchDashboard = async (req, res) => {
           recentCount: 0
         },
         loans: {
-          byStatus: loanStats
+          byStatus: loanStats,
+          writeOffs
         },
         penalties: {
           byStatus: penaltyStats
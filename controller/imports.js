@@ -0,0 +1,450 @@
+const mongoose = require("mongoose");
+const ImportBatch = require("../models/ImportBatch");
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const Penalty = require("../models/Penalty");
+const LoanRepayment = require("../models/LoanRepayment");
+const Collateral = require("../models/Collateral");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const {
+  MAX_IMPORT_ROWS,
+  IMPORT_TYPES,
+  parseImportFile,
+  mapImportColumns,
+  validateImportRows,
+} = require("../utils/recordImport");
+const { releaseWaitingLoans } = require("../utils/loanQueue");
+const { runInTransaction } = require("../utils/transactions");
+
+const IMPORT_MODELS = {
+  contributions: { model: Contribution, memberField: "memberId" },
+  loans: { model: Loan, memberField: "member" },
+  penalties: { model: Penalty, memberField: "member" },
+};
+
+// Keep the member totals that the save hooks normally maintain in step
+const refreshMemberTotals = async (type, memberIds, session) => {
+  for (const memberId of memberIds) {
+    if (type === "contributions") {
+      await Contribution.updateUserContributions(memberId, session);
+    } else if (type === "penalties") {
+      await Penalty.updateUserPenalties(new mongoose.Types.ObjectId(memberId), session);
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/imports/{type}:
+ *   post:
+ *     summary: Preview or import historical records from a CSV or XLSX file
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [contributions, loans, penalties]
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and preview without recording anything
+ *     responses:
+ *       200:
+ *         description: Dry run preview with a result per row
+ *       201:
+ *         description: Records imported
+ *       400:
+ *         description: Unreadable file, missing columns, or rows that failed validation
+ *       500:
+ *         description: Failed to import records
+ */
+const importRecords = async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!IMPORT_TYPES[type]) {
+      return res.status(400).json({
+        status: "error",
+        message: `Import type must be one of: ${Object.keys(IMPORT_TYPES).join(", ")}`,
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        status: "error",
+        message: "Please upload a CSV or XLSX file in the 'file' field",
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file);
+    } catch (parseError) {
+      return res.status(400).json({
+        status: "error",
+        message: `Could not read the file: ${parseError.message}`,
+      });
+    }
+
+    if (!parsed.records.length) {
+      return res.status(400).json({
+        status: "error",
+        message: "The file has no data rows",
+      });
+    }
+
+    if (parsed.records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        status: "error",
+        message: `A file can contain at most ${MAX_IMPORT_ROWS} rows; split it into smaller files`,
+      });
+    }
+
+    const { mapping, missing } = mapImportColumns(type, parsed.headers);
+    if (missing.length) {
+      return res.status(400).json({
+        status: "error",
+        message: `Missing required columns: ${missing.join(", ")}`,
+        data: {
+          missingColumns: missing,
+          columns: IMPORT_TYPES[type].columns,
+        },
+      });
+    }
+
+    // Match members by email
+    const emails = parsed.records
+      .map(({ values }) => String(values[mapping.email] || "").trim().toLowerCase())
+      .filter(Boolean);
+    const members = await User.find({ email: { $in: [...new Set(emails)] } });
+    const membersByEmail = new Map(members.map((m) => [m.email, m]));
+
+    const { results, valid } = await validateImportRows(
+      type,
+      parsed.records,
+      mapping,
+      membersByEmail,
+      req.user._id
+    );
+    const failed = results.length - valid.length;
+    const totalAmount =
+      Math.round(valid.reduce((sum, v) => sum + v.doc.amount, 0) * 100) / 100;
+
+    const dryRun = String(req.query.dryRun || req.body.dryRun) === "true";
+    if (dryRun) {
+      return res.status(200).json({
+        status: "success",
+        message: `Dry run: ${valid.length} of ${results.length} rows are valid; nothing was recorded`,
+        data: {
+          dryRun: true,
+          type,
+          valid: valid.length,
+          failed,
+          totalAmount,
+          results,
+        },
+      });
+    }
+
+    if (failed) {
+      return res.status(400).json({
+        status: "error",
+        message: `${failed} of ${results.length} rows failed validation; nothing was imported`,
+        data: { type, valid: valid.length, failed, results },
+      });
+    }
+
+    // Write the batch and every record in one transaction, so an import lands whole or not at all
+    const { model } = IMPORT_MODELS[type];
+    const memberIds = [...new Set(valid.map((v) => v.member._id.toString()))];
+    let batch;
+    await runInTransaction(async (session) => {
+      batch = new ImportBatch({
+        type,
+        fileName: req.file.originalname,
+        fileFormat: parsed.format,
+        rowCount: valid.length,
+        totalAmount,
+        memberCount: memberIds.length,
+        importedBy: req.user._id,
+      });
+      await batch.save({ session });
+
+      await model.insertMany(
+        valid.map((v) => ({ ...v.doc.toObject(), importBatch: batch._id })),
+        { session }
+      );
+      await refreshMemberTotals(type, memberIds, session);
+
+      // Log the action
+      await AuditLog.create(
+        [
+          {
+            user: req.user._id,
+            action: "import_records",
+            resource: "import_batch",
+            resourceId: batch._id,
+            details: {
+              type,
+              fileName: batch.fileName,
+              rowCount: batch.rowCount,
+              totalAmount,
+            },
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          },
+        ],
+        { session }
+      );
+    });
+
+    // Imported contributions add to the group's funds
+    const releasedFromQueue =
+      type === "contributions" ? await releaseWaitingLoans(req) : [];
+
+    res.status(201).json({
+      status: "success",
+      message: `${valid.length} ${type} imported`,
+      data: { batch, results, releasedFromQueue },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to import records",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/imports:
+ *   get:
+ *     summary: Get import batches
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [contributions, loans, penalties]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [committed, rolled_back]
+ *     responses:
+ *       200:
+ *         description: List of import batches
+ *       500:
+ *         description: Failed to get import batches
+ */
+const getImportBatches = async (req, res) => {
+  try {
+    let query = {};
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const batches = await ImportBatch.find(query)
+      .populate("importedBy", "firstName lastName email")
+      .populate("rolledBackBy", "firstName lastName email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: "success",
+      data: { batches },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get import batches",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/imports/{id}:
+ *   get:
+ *     summary: Get an import batch with the number of records it still holds
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import batch ID
+ *     responses:
+ *       200:
+ *         description: Import batch details
+ *       404:
+ *         description: Import batch not found
+ *       500:
+ *         description: Failed to get import batch
+ */
+const getImportBatch = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id)
+      .populate("importedBy", "firstName lastName email")
+      .populate("rolledBackBy", "firstName lastName email");
+
+    if (!batch) {
+      return res.status(404).json({
+        status: "error",
+        message: "Import batch not found",
+      });
+    }
+
+    const recordCount = await IMPORT_MODELS[batch.type].model.countDocuments({
+      importBatch: batch._id,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: { batch, recordCount },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get import batch",
+      error: error.message,
+    });
+  }
+};
+
+// Records created since the import that depend on imported loans
+const findLoanDependents = async (loanIds) => {
+  const [repayments, penalties, collateral, topUps] = await Promise.all([
+    LoanRepayment.countDocuments({ loan: { $in: loanIds } }),
+    Penalty.countDocuments({ loan: { $in: loanIds } }),
+    Collateral.countDocuments({ loan: { $in: loanIds } }),
+    Loan.countDocuments({ refinances: { $in: loanIds } }),
+  ]);
+  return [
+    repayments && `${repayments} repayment(s)`,
+    penalties && `${penalties} late repayment penalty(ies)`,
+    collateral && `${collateral} collateral item(s)`,
+    topUps && `${topUps} top-up loan(s)`,
+  ].filter(Boolean);
+};
+
+/**
+ * @swagger
+ * /api/imports/{id}/rollback:
+ *   post:
+ *     summary: Delete every record created by an import
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import batch ID
+ *     responses:
+ *       200:
+ *         description: Import rolled back
+ *       400:
+ *         description: Already rolled back, or imported loans have since been used
+ *       404:
+ *         description: Import batch not found
+ *       500:
+ *         description: Failed to roll back import
+ */
+const rollbackImport = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        status: "error",
+        message: "Import batch not found",
+      });
+    }
+
+    if (batch.status === "rolled_back") {
+      return res.status(400).json({
+        status: "error",
+        message: "This import has already been rolled back",
+      });
+    }
+
+    const { model, memberField } = IMPORT_MODELS[batch.type];
+    const records = await model
+      .find({ importBatch: batch._id })
+      .select(`_id ${memberField}`);
+
+    if (batch.type === "loans") {
+      const dependents = await findLoanDependents(records.map((r) => r._id));
+      if (dependents.length) {
+        return res.status(400).json({
+          status: "error",
+          message: `Cannot roll back: the imported loans now have ${dependents.join(", ")}`,
+        });
+      }
+    }
+
+    const memberIds = [...new Set(records.map((r) => r[memberField].toString()))];
+    let deletedCount = 0;
+    await runInTransaction(async (session) => {
+      const result = await model.deleteMany({ importBatch: batch._id }, { session });
+      deletedCount = result.deletedCount;
+      await refreshMemberTotals(batch.type, memberIds, session);
+
+      batch.status = "rolled_back";
+      batch.rolledBackBy = req.user._id;
+      batch.rolledBackAt = new Date();
+      batch.rollbackReason = req.body.reason;
+      await batch.save({ session });
+
+      // Log the action
+      await AuditLog.create(
+        [
+          {
+            user: req.user._id,
+            action: "rollback_import",
+            resource: "import_batch",
+            resourceId: batch._id,
+            details: {
+              type: batch.type,
+              fileName: batch.fileName,
+              deletedCount,
+              reason: req.body.reason,
+            },
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          },
+        ],
+        { session }
+      );
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: `Import rolled back; ${deletedCount} ${batch.type} deleted`,
+      data: { batch, deletedCount },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to roll back import",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  importRecords,
+  getImportBatches,
+  getImportBatch,
+  rollbackImport,
+};
@@ -0,0 +1,130 @@
+const Setting = require("../models/Setting");
+const AuditLog = require("../models/AuditLog");
+const {
+  LIQUIDITY_SETTING_KEY,
+  getLiquiditySettings,
+  getGroupLiquidity,
+} = require("../utils/liquidity");
+
+/**
+ * @swagger
+ * /api/liquidity:
+ *   get:
+ *     summary: Get the group's liquidity and lendable amount
+ *     tags: [Liquidity]
+ *     responses:
+ *       200:
+ *         description: Cash available, committed funds, required reserve and lendable amount
+ *       500:
+ *         description: Failed to calculate liquidity
+ */
+const getLiquidity = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: "success",
+      data: { liquidity: await getGroupLiquidity() },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to calculate liquidity",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/liquidity/settings:
+ *   get:
+ *     summary: Get the reserve ratio and enforcement mode
+ *     tags: [Liquidity]
+ *     responses:
+ *       200:
+ *         description: Liquidity settings
+ *       500:
+ *         description: Failed to get liquidity settings
+ */
+const getLiquidityConfig = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: "success",
+      data: { settings: await getLiquiditySettings() },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get liquidity settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/liquidity/settings:
+ *   put:
+ *     summary: Update the reserve ratio and enforcement mode
+ *     tags: [Liquidity]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Liquidity settings updated
+ *       500:
+ *         description: Failed to update liquidity settings
+ */
+const updateLiquidityConfig = async (req, res) => {
+  try {
+    const current = await getLiquiditySettings();
+
+    const settings = { ...current };
+    if (req.body.reserveRatio !== undefined) {
+      settings.reserveRatio = Number(req.body.reserveRatio);
+    }
+    if (req.body.mode !== undefined) {
+      settings.mode = req.body.mode;
+    }
+    if (req.body.queuePolicy !== undefined) {
+      settings.queuePolicy = req.body.queuePolicy;
+    }
+
+    await Setting.setValue(LIQUIDITY_SETTING_KEY, settings, req.user._id);
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "update_setting",
+      resource: "setting",
+      details: {
+        key: LIQUIDITY_SETTING_KEY,
+        previous: current,
+        updated: settings,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Liquidity settings updated successfully",
+      data: { settings },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to update liquidity settings",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getLiquidity,
+  getLiquidityConfig,
+  updateLiquidityConfig,
+};
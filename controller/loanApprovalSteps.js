@@ -0,0 +1,291 @@
+const LoanApprovalStep = require("../models/LoanApprovalStep");
+const AuditLog = require("../models/AuditLog");
+
+/**
+ * @swagger
+ * /api/loan-approval-steps:
+ *   get:
+ *     summary: Get all loan approval steps
+ *     tags: [Loan Approval Steps]
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: List of loan approval steps
+ *       500:
+ *         description: Failed to get loan approval steps
+ */
+const getAllApprovalSteps = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === "true";
+    }
+
+    const steps = await LoanApprovalStep.find(query).sort({ order: 1, minAmount: 1 });
+
+    res.status(200).json({
+      status: "success",
+      data: { steps },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get loan approval steps",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loan-approval-steps/{id}:
+ *   get:
+ *     summary: Get a single approval step by ID
+ *     tags: [Loan Approval Steps]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval step ID
+ *     responses:
+ *       200:
+ *         description: Approval step details
+ *       404:
+ *         description: Approval step not found
+ *       500:
+ *         description: Failed to get approval step
+ */
+const getOneApprovalStep = async (req, res) => {
+  try {
+    const step = await LoanApprovalStep.findById(req.params.id);
+
+    if (!step) {
+      return res.status(404).json({
+        status: "error",
+        message: "Approval step not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { step },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get approval step",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loan-approval-steps:
+ *   post:
+ *     summary: Create a new approval step
+ *     tags: [Loan Approval Steps]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       201:
+ *         description: Approval step created successfully
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Failed to create approval step
+ */
+const createApprovalStep = async (req, res) => {
+  try {
+    const step = await LoanApprovalStep.create(req.body);
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "create_approval_step",
+      resource: "loan_approval_step",
+      resourceId: step._id,
+      details: {
+        name: step.name,
+        role: step.role,
+        minAmount: step.minAmount,
+        requiredApprovals: step.requiredApprovals,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Approval step created successfully",
+      data: { step },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to create approval step",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loan-approval-steps/{id}:
+ *   put:
+ *     summary: Update an approval step by ID
+ *     tags: [Loan Approval Steps]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval step ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Approval step updated successfully
+ *       404:
+ *         description: Approval step not found
+ *       500:
+ *         description: Failed to update approval step
+ */
+const updateApprovalStep = async (req, res) => {
+  try {
+    const step = await LoanApprovalStep.findById(req.params.id);
+
+    if (!step) {
+      return res.status(404).json({
+        status: "error",
+        message: "Approval step not found",
+      });
+    }
+
+    // Save through the document so the min/max cross-check runs
+    step.set(req.body);
+    await step.save();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "update_approval_step",
+      resource: "loan_approval_step",
+      resourceId: step._id,
+      details: req.body,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Approval step updated successfully",
+      data: { step },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to update approval step",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loan-approval-steps/{id}:
+ *   delete:
+ *     summary: Deactivate an approval step by ID (soft delete)
+ *     tags: [Loan Approval Steps]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval step ID
+ *     responses:
+ *       200:
+ *         description: Approval step deactivated successfully
+ *       404:
+ *         description: Approval step not found
+ *       500:
+ *         description: Failed to delete approval step
+ */
+const deleteApprovalStep = async (req, res) => {
+  try {
+    const step = await LoanApprovalStep.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!step) {
+      return res.status(404).json({
+        status: "error",
+        message: "Approval step not found",
+      });
+    }
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "delete_approval_step",
+      resource: "loan_approval_step",
+      resourceId: step._id,
+      details: { name: step.name },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Approval step deactivated successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to delete approval step",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllApprovalSteps,
+  getOneApprovalStep,
+  createApprovalStep,
+  updateApprovalStep,
+  deleteApprovalStep,
+};
@@ -0,0 +1,302 @@
+const LoanProduct = require("../models/LoanProduct");
+const AuditLog = require("../models/AuditLog");
+
+/**
+ * @swagger
+ * /api/loan-products:
+ *   get:
+ *     summary: Get all loan products
+ *     tags: [Loan Products]
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status (members only see active products)
+ *     responses:
+ *       200:
+ *         description: List of loan products
+ *       500:
+ *         description: Failed to get loan products
+ */
+const getAllLoanProducts = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.user.role === "member") {
+      query.isActive = true;
+    } else if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === "true";
+    }
+
+    const products = await LoanProduct.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      status: "success",
+      data: { products },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get loan products",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loan-products/{id}:
+ *   get:
+ *     summary: Get a single loan product by ID
+ *     tags: [Loan Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan product ID
+ *     responses:
+ *       200:
+ *         description: Loan product details
+ *       404:
+ *         description: Loan product not found
+ *       500:
+ *         description: Failed to get loan product
+ */
+const getOneLoanProduct = async (req, res) => {
+  try {
+    const product = await LoanProduct.findById(req.params.id);
+
+    if (!product || (req.user.role === "member" && !product.isActive)) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan product not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { product },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get loan product",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loan-products:
+ *   post:
+ *     summary: Create a new loan product
+ *     tags: [Loan Products]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       201:
+ *         description: Loan product created successfully
+ *       400:
+ *         description: Loan product with this name or code already exists
+ *       500:
+ *         description: Failed to create loan product
+ */
+const createLoanProduct = async (req, res) => {
+  try {
+    const product = await LoanProduct.create(req.body);
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "create_loan_product",
+      resource: "loan_product",
+      resourceId: product._id,
+      details: { name: product.name, code: product.code },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Loan product created successfully",
+      data: { product },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: "error",
+        message: "Loan product with this name or code already exists",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to create loan product",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loan-products/{id}:
+ *   put:
+ *     summary: Update a loan product by ID
+ *     tags: [Loan Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Loan product updated successfully
+ *       404:
+ *         description: Loan product not found
+ *       500:
+ *         description: Failed to update loan product
+ */
+const updateLoanProduct = async (req, res) => {
+  try {
+    const product = await LoanProduct.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan product not found",
+      });
+    }
+
+    // Save through the document so the min/max cross-check runs
+    product.set(req.body);
+    await product.save();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "update_loan_product",
+      resource: "loan_product",
+      resourceId: product._id,
+      details: req.body,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Loan product updated successfully",
+      data: { product },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        status: "error",
+        message: "Loan product with this name or code already exists",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to update loan product",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loan-products/{id}:
+ *   delete:
+ *     summary: Deactivate a loan product by ID (soft delete)
+ *     tags: [Loan Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan product ID
+ *     responses:
+ *       200:
+ *         description: Loan product deactivated successfully
+ *       404:
+ *         description: Loan product not found
+ *       500:
+ *         description: Failed to delete loan product
+ */
+const deleteLoanProduct = async (req, res) => {
+  try {
+    const product = await LoanProduct.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan product not found",
+      });
+    }
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "delete_loan_product",
+      resource: "loan_product",
+      resourceId: product._id,
+      details: { name: product.name },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Loan product deactivated successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to delete loan product",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllLoanProducts,
+  getOneLoanProduct,
+  createLoanProduct,
+  updateLoanProduct,
+  deleteLoanProduct,
+};
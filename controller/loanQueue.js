@@ -0,0 +1,176 @@
+const Loan = require("../models/Loan");
+const AuditLog = require("../models/AuditLog");
+const { getGroupLiquidity } = require("../utils/liquidity");
+const { getOrderedQueue, releaseQueuedLoans } = require("../utils/loanQueue");
+
+/**
+ * @swagger
+ * /api/loans/queue:
+ *   get:
+ *     summary: Get the waiting list of approved loans awaiting funds
+ *     tags: [Loans]
+ *     responses:
+ *       200:
+ *         description: Queued loans in funding order with the current lendable amount
+ *       500:
+ *         description: Failed to get loan queue
+ */
+const getLoanQueue = async (req, res) => {
+  try {
+    const { policy, loans } = await getOrderedQueue();
+
+    // Positions are group-wide; branch leads only see their branch's entries
+    const queue = loans
+      .map((loan, index) => ({ position: index + 1, loan }))
+      .filter(
+        ({ loan }) =>
+          req.user.role !== "branch_lead" ||
+          String(loan.branch?._id || loan.branch) === req.user.branch._id.toString()
+      );
+
+    const liquidity = await getGroupLiquidity();
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        policy,
+        queue,
+        total: queue.length,
+        lendable: liquidity.lendable,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get loan queue",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/queue:
+ *   put:
+ *     summary: Reorder the loan waiting list
+ *     tags: [Loans]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               loanIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Loan queue reordered
+ *       400:
+ *         description: A listed loan is not queued
+ *       500:
+ *         description: Failed to reorder loan queue
+ */
+const reorderLoanQueue = async (req, res) => {
+  try {
+    const loanIds = req.body.loanIds.map(String);
+
+    if (new Set(loanIds).size !== loanIds.length) {
+      return res.status(400).json({
+        status: "error",
+        message: "A loan is listed more than once",
+      });
+    }
+
+    const listed = await Loan.find({ _id: { $in: loanIds }, status: "queued" });
+    if (listed.length !== loanIds.length) {
+      const found = listed.map((loan) => loan._id.toString());
+      return res.status(400).json({
+        status: "error",
+        message: "Only queued loans can be reordered",
+        errors: loanIds
+          .filter((id) => !found.includes(id))
+          .map((id) => ({ loan: id, message: "Loan not found or not queued" })),
+      });
+    }
+
+    // Listed loans go first in the given order; the rest follow the queue policy
+    await Loan.updateMany({ status: "queued" }, { queuePriority: null });
+    await Promise.all(
+      loanIds.map((id, index) =>
+        Loan.updateOne({ _id: id }, { queuePriority: index + 1 })
+      )
+    );
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "reorder_loan_queue",
+      resource: "loan",
+      details: { loanIds },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    const { policy, loans } = await getOrderedQueue();
+
+    res.status(200).json({
+      status: "success",
+      message: "Loan queue reordered successfully",
+      data: {
+        policy,
+        queue: loans.map((loan, index) => ({ position: index + 1, loan })),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to reorder loan queue",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/queue/release:
+ *   post:
+ *     summary: Release queued loans the group can now fund
+ *     tags: [Loans]
+ *     responses:
+ *       200:
+ *         description: Loans moved back to approved
+ *       500:
+ *         description: Failed to release queued loans
+ */
+const releaseLoanQueue = async (req, res) => {
+  try {
+    const released = await releaseQueuedLoans({
+      user: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: released.length
+        ? `${released.length} queued loan(s) released for disbursement`
+        : "No queued loan can be funded yet",
+      data: { released },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to release queued loans",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getLoanQueue,
+  reorderLoanQueue,
+  releaseLoanQueue,
+};
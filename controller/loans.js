@@ -1,12 +1,49 @@
 const Loan = require("../models/Loan");
+const LoanRepayment = require("../models/LoanRepayment");
+const LoanProduct = require("../models/LoanProduct");
+const SignedAgreement = require("../models/SignedAgreement");
+const Collateral = require("../models/Collateral");
+const LoanApprovalStep = require("../models/LoanApprovalStep");
 const AuditLog = require("../models/AuditLog");
 const User = require("../models/User");
+const Branch = require("../models/Branch");
+const mongoose = require("mongoose");
+const {
+  calculateTotalInterest,
+  buildRepaymentSchedule,
+  refreshScheduleStatus,
+  calculatePayoffQuote,
+} = require("../utils/loanCalculator");
+const loanPolicy = require("../config/loanPolicy");
+const { generateLoanAgreementPdf } = require("../utils/loanAgreementPdf");
+const { calculateCreditScore } = require("../utils/creditScore");
+const { checkLoanFunding } = require("../utils/liquidity");
+const { releaseWaitingLoans } = require("../utils/loanQueue");
+const { runInTransaction } = require("../utils/transactions");
+const { getExportFormat, sendExport, personName } = require("../utils/listExport");
 const sgMail = require("@sendgrid/mail");
 const fs = require("fs");
 const path = require("path");
 
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
+// Release or seize the collateral held against a loan when it is closed
+const settleCollateral = async (loan, outcome, req, note) => {
+  const count = await Collateral.settleForLoan(loan._id, outcome, req.user._id, note);
+  if (count > 0) {
+    await AuditLog.create({
+      user: req.user._id,
+      action: outcome === "seized" ? "seize_collateral" : "release_collateral",
+      resource: "loan",
+      resourceId: loan._id,
+      details: { items: count, note },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  }
+  return count;
+};
+
 /**
  * @swagger
  * /api/loans:
@@ -36,6 +73,12 @@ sgMail.setApiKey(process.env.SENDGRID_API_KEY);
  *           type: string
  *           format: date
  *         description: Filter loans applied before this date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         description: Download the result as a CSV or XLSX file instead of JSON
  *     responses:
  *       200:
  *         description: List of loans and summary
@@ -117,10 +160,13 @@ const getAllLoans = async (req, res) => {
       },
     ]);
 
-    // Add risk assessment to each loan
+    // Risk is the inverse of the credit score taken when the loan was requested.
+    // Loans requested before credit scoring fall back to amount vs. contributions.
     const loansWithRisk = filteredLoans.map((loan) => {
       let risk = null;
-      if (loan.member && loan.member.totalContributions && loan.amount) {
+      if (loan.creditScore && loan.creditScore.score != null) {
+        risk = Math.round((100 - loan.creditScore.score) * 100) / 100;
+      } else if (loan.member && loan.member.totalContributions && loan.amount) {
         risk = Math.min(
           100,
           (loan.amount / loan.member.totalContributions) * 100
@@ -133,6 +179,45 @@ const getAllLoans = async (req, res) => {
       };
     });
 
+    const format = getExportFormat(req);
+    if (format) {
+      const totals = summary[0] || {
+        totalAmount: 0,
+        totalApproved: 0,
+        totalDisbursed: 0,
+        pending: 0,
+      };
+      return sendExport(res, format, {
+        fileName: "loans",
+        sheetName: "Loans",
+        columns: [
+          { header: "Applied Date", type: "date", value: (l) => l.appliedDate },
+          { header: "Member", width: 24, value: (l) => personName(l.member) },
+          { header: "Email", width: 28, value: (l) => l.member && l.member.email },
+          { header: "Amount", type: "money", value: (l) => l.amount },
+          { header: "Interest Rate (%)", type: "number", value: (l) => l.interestRate },
+          { header: "Interest Method", value: (l) => l.interestMethod },
+          { header: "Duration (months)", type: "number", value: (l) => l.duration },
+          { header: "Status", value: (l) => l.status },
+          { header: "Total Repayable", type: "money", value: (l) => l.totalAmount },
+          { header: "Amount Paid", type: "money", value: (l) => l.amountPaid },
+          { header: "Remaining", type: "money", value: (l) => l.remainingAmount },
+          { header: "Disbursed Date", type: "date", value: (l) => l.disbursedDate },
+          { header: "Due Date", type: "date", value: (l) => l.dueDate },
+          { header: "Credit Score", type: "number", value: (l) => l.creditScore && l.creditScore.score },
+          { header: "Risk (%)", type: "number", value: (l) => l.riskAssessment },
+        ],
+        rows: loansWithRisk,
+        summary: [
+          ["Loans", total],
+          ["Total amount", totals.totalAmount],
+          ["Approved, not disbursed", totals.totalApproved],
+          ["Disbursed", totals.totalDisbursed],
+          ["Pending requests", totals.pending],
+        ],
+      });
+    }
+
     res.status(200).json({
       status: "success",
       data: {
@@ -184,10 +269,16 @@ const getSingleLoan = async (req, res) => {
       .populate({
         path: "member",
         select:
-          "firstName lastName membershipId email phone totalContributions branch",
+          "firstName lastName membershipId email phone totalContributions branch joinDate createdAt",
         populate: { path: "branch", select: "name code location" },
       })
       .populate("approvedBy", "firstName lastName")
+      .populate("guarantors.member", "firstName lastName membershipId email")
+      .populate("restructures.restructuredBy", "firstName lastName")
+      .populate("writeOff.approvedBy", "firstName lastName")
+      .populate("approvals.approver", "firstName lastName role")
+      .populate("refinances", "amount status disbursedDate")
+      .populate("refinancedBy", "amount status disbursedDate")
       .populate("branch", "name code location");
 
     if (!loan) {
@@ -218,9 +309,21 @@ const getSingleLoan = async (req, res) => {
       });
     }
 
+    const collateral = await Collateral.find({ loan: loan._id })
+      .select("-documents.fileData")
+      .sort({ createdAt: 1 });
+
     res.status(200).json({
       status: "success",
-      data: { loan },
+      data: {
+        loan,
+        collateral,
+        collateralCoverage: await Collateral.getCoverage(loan),
+        approvalChain:
+          loan.status === "pending" ? await LoanApprovalStep.evaluate(loan) : null,
+        // Current score; loan.creditScore keeps the one taken at request time
+        creditScore: await calculateCreditScore(loan.member, { loan }),
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -250,36 +353,165 @@ const getSingleLoan = async (req, res) => {
  *                 type: number
  *               purpose:
  *                 type: string
+ *               interestMethod:
+ *                 type: string
+ *                 enum: [flat, reducing_balance, compound]
+ *               product:
+ *                 type: string
+ *                 description: Loan product ID the request is validated against
+ *               guarantors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     member:
+ *                       type: string
+ *                     amount:
+ *                       type: number
  *     responses:
  *       201:
  *         description: Loan request submitted successfully
  *       400:
- *         description: Already has a pending or approved loan
+ *         description: Already has an active loan or fails the product or default eligibility rules
+ *       404:
+ *         description: Loan product not found
  *       500:
  *         description: Failed to request loan
  */
 const requestingLoan = async (req, res) => {
   try {
-    // Check if member has any pending loans
+    // Check if member has any pending loans. A top-up replaces the loan it refinances.
     const pendingLoan = await Loan.findOne({
       member: req.user._id,
-      status: { $in: ["pending", "approved"] },
+      status: { $in: ["pending", "queued", "approved", "disbursed", "defaulted"] },
+      ...(req.topUpOf && { _id: { $ne: req.topUpOf._id } }),
     });
 
     if (pendingLoan) {
       return res.status(400).json({
         status: "error",
         message:
-          "You already have a pending or approved loan. Please wait until it is processed or repaid.",
+          "You already have an active loan. Please wait until it is processed or repaid.",
       });
     }
 
+    // Only the terms a member may choose; pricing comes from the loan product
+    // or the approver, and lifecycle fields are set by the loan workflow
     const loanData = {
-      ...req.body,
+      amount: req.body.amount,
+      duration: req.body.duration,
+      interestMethod: req.body.interestMethod,
       member: req.user._id,
       branch: req.user.branch._id,
     };
 
+    // Validate the guarantors named on the request
+    const guarantors = [];
+    if (Array.isArray(req.body.guarantors) && req.body.guarantors.length) {
+      const guarantorErrors = [];
+      const seen = new Set();
+
+      for (const entry of req.body.guarantors) {
+        const guarantorId = String(entry.member);
+        const pledgedAmount = Number(entry.amount);
+
+        if (guarantorId === req.user._id.toString()) {
+          guarantorErrors.push({
+            member: guarantorId,
+            message: "You cannot guarantee your own loan",
+          });
+          continue;
+        }
+
+        if (seen.has(guarantorId)) {
+          guarantorErrors.push({
+            member: guarantorId,
+            message: "Guarantor is listed more than once",
+          });
+          continue;
+        }
+        seen.add(guarantorId);
+
+        const guarantor = await User.findById(guarantorId);
+        if (!guarantor || !guarantor.isActive) {
+          guarantorErrors.push({
+            member: guarantorId,
+            message: "Guarantor not found or inactive",
+          });
+          continue;
+        }
+
+        // A pledge is limited by what the guarantor has not already pledged elsewhere
+        const alreadyPledged = await Loan.getPledgedAmount(guarantor._id);
+        const available = (guarantor.totalContributions || 0) - alreadyPledged;
+        if (pledgedAmount > available) {
+          guarantorErrors.push({
+            member: guarantorId,
+            message: `Pledge exceeds the guarantor's available capacity (${Math.max(0, available)})`,
+          });
+          continue;
+        }
+
+        guarantors.push({ member: guarantor._id, pledgedAmount });
+      }
+
+      if (guarantorErrors.length) {
+        return res.status(400).json({
+          status: "error",
+          message: "Invalid guarantors",
+          errors: guarantorErrors,
+        });
+      }
+    }
+    loanData.guarantors = guarantors;
+    loanData.requiredGuaranteeCoverage = 0;
+    loanData.refinances = req.topUpOf ? req.topUpOf._id : null;
+
+    // Validate the request against the chosen loan product, or the group's
+    // default borrowing limit when no product was chosen
+    const request = {
+      amount: Number(req.body.amount),
+      duration: Number(req.body.duration),
+      member: req.user,
+      pledgedAmount: await Loan.getPledgedAmount(req.user._id),
+    };
+    let product = null;
+    if (req.body.product) {
+      product = await LoanProduct.findById(req.body.product);
+      if (!product) {
+        return res.status(404).json({
+          status: "error",
+          message: "Loan product not found",
+        });
+      }
+    }
+
+    const failedRules = product
+      ? product.checkEligibility(request)
+      : LoanProduct.checkDefaultEligibility(request);
+
+    if (failedRules.length) {
+      return res.status(400).json({
+        status: "error",
+        message: product
+          ? "Loan request does not meet the product eligibility rules"
+          : "Loan request does not meet the default eligibility rules",
+        errors: failedRules,
+      });
+    }
+
+    if (product) {
+      // Pricing comes from the product, not the request
+      loanData.product = product._id;
+      loanData.interestRate = product.defaultInterestRate;
+      loanData.interestMethod = product.interestMethod;
+      loanData.requiredGuaranteeCoverage = product.requiredGuaranteeCoverage;
+    }
+
+    loanData.creditScore = await calculateCreditScore(req.user, {
+      loan: loanData,
+    });
+
     const loan = await Loan.create(loanData);
     await loan.populate({
       path: "member",
@@ -303,14 +535,20 @@ const requestingLoan = async (req, res) => {
       action: "request_loan",
       resource: "loan",
       resourceId: loan._id,
-      details: { amount: loan.amount },
+      details: {
+        amount: loan.amount,
+        creditScore: loan.creditScore.score,
+        ...(loan.refinances && { refinances: loan.refinances }),
+      },
       ipAddress: req.ip,
       userAgent: req.get("User-Agent"),
     });
 
     res.status(201).json({
       status: "success",
-      message: "Loan request submitted successfully",
+      message: loan.refinances
+        ? "Top-up request submitted successfully"
+        : "Loan request submitted successfully",
       data: { loan },
     });
   } catch (error) {
@@ -322,6 +560,111 @@ const requestingLoan = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/loans/{id}/top-up:
+ *   post:
+ *     summary: Request a top-up that refinances the balance of a disbursed loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the loan being topped up
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Principal of the new loan, including the balance carried over
+ *               duration:
+ *                 type: number
+ *               purpose:
+ *                 type: string
+ *               product:
+ *                 type: string
+ *               guarantors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Top-up request submitted successfully
+ *       400:
+ *         description: Loan cannot be topped up or the amount does not exceed the payoff amount
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to request top-up
+ */
+const requestTopUp = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    if (loan.member.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only top up your own loans.",
+      });
+    }
+
+    if (!loan.canTransitionTo("refinanced")) {
+      return res.status(400).json({
+        status: "error",
+        message: Loan.transitionError(loan.status, "refinanced"),
+      });
+    }
+
+    const pendingTopUp = await Loan.findOne({
+      refinances: loan._id,
+      status: { $in: ["pending", "queued", "approved"] },
+    });
+
+    if (pendingTopUp) {
+      return res.status(400).json({
+        status: "error",
+        message: "A top-up of this loan is already being processed",
+      });
+    }
+
+    const quote = calculatePayoffQuote(
+      loan,
+      new Date(),
+      loanPolicy.earlySettlement.rebatePercentage
+    );
+
+    if (Number(req.body.amount) <= quote.payoffAmount) {
+      return res.status(400).json({
+        status: "error",
+        message: `A top-up must exceed the current payoff amount of ${quote.payoffAmount}`,
+        data: { quote },
+      });
+    }
+
+    req.topUpOf = loan;
+    return requestingLoan(req, res);
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to request top-up",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/loans/{id}/approve:
@@ -347,11 +690,17 @@ const requestingLoan = async (req, res) => {
  *                 enum: [approved, rejected]
  *               interestRate:
  *                 type: number
+ *               interestMethod:
+ *                 type: string
+ *                 enum: [flat, reducing_balance, compound]
  *               rejectionReason:
  *                 type: string
+ *               queue:
+ *                 type: boolean
+ *                 description: Place the loan on the waiting list if the group cannot fund it yet. Loans already waiting are funded first, so a loan that cannot be funded after them joins the list anyway.
  *     responses:
  *       200:
- *         description: Loan approved or rejected successfully
+ *         description: Loan approved, queued or rejected successfully
  *       404:
  *         description: Loan not found
  *       400:
@@ -361,7 +710,14 @@ const requestingLoan = async (req, res) => {
  */
 const approvingLoan = async (req, res) => {
   try {
-    const { status, interestRate, rejectionReason } = req.body;
+    const {
+      status,
+      interestRate,
+      interestMethod,
+      rejectionReason,
+      comment,
+      queue,
+    } = req.body;
 
     const loan = await Loan.findById(req.params.id)
       .populate("member")
@@ -374,28 +730,178 @@ const approvingLoan = async (req, res) => {
       });
     }
 
-    if (loan.status !== "pending") {
+    if (!loan.canTransitionTo(status)) {
       return res.status(400).json({
         status: "error",
-        message: "Loan has already been processed",
+        message: Loan.transitionError(loan.status, status),
       });
     }
 
+    // Branch leads only decide on loans from their own branch
+    if (
+      req.user.role === "branch_lead" &&
+      String(loan.branch?._id || loan.branch) !== req.user.branch._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only approve loans from your branch.",
+      });
+    }
+
+    // Work out where the loan stands in the approval chain
+    const chain = await LoanApprovalStep.evaluate(loan);
+    const currentStep = chain.currentStep;
+
+    if (currentStep) {
+      // Admins may reject at any step; every other decision needs the step's role
+      if (
+        currentStep.role !== req.user.role &&
+        !(status === "rejected" && req.user.role === "admin")
+      ) {
+        return res.status(403).json({
+          status: "error",
+          message: `This loan is awaiting the ${currentStep.name} step, which requires a ${currentStep.role} decision`,
+          data: { approvalChain: chain },
+        });
+      }
+
+      if (
+        loan.approvals.some(
+          (a) => a.approver.toString() === req.user._id.toString()
+        )
+      ) {
+        return res.status(400).json({
+          status: "error",
+          message: "You have already recorded a decision on this loan",
+        });
+      }
+    }
+
+    const decision = {
+      step: currentStep ? currentStep.step : null,
+      stepName: currentStep ? currentStep.name : undefined,
+      role: req.user.role,
+      decision: status,
+      comment: comment || rejectionReason,
+      approver: req.user._id,
+      decidedAt: new Date(),
+    };
+
+    // Guarantors must have accepted enough of the loan before it can be approved
+    if (status === "approved") {
+      const coverage = loan.getGuaranteeCoverage();
+      if (!coverage.isMet) {
+        return res.status(400).json({
+          status: "error",
+          message: `Guarantee coverage is ${coverage.percentage}% but ${coverage.required}% is required`,
+          data: { coverage },
+        });
+      }
+    }
+
+    // An approval that leaves steps outstanding is recorded without changing the status
+    const completesChain =
+      !currentStep ||
+      (currentStep === chain.steps[chain.steps.length - 1] &&
+        currentStep.approvals + 1 >= currentStep.requiredApprovals);
+
+    if (status === "approved" && !completesChain) {
+      loan.approvals.push(decision);
+      await loan.save();
+
+      const approvalChain = await LoanApprovalStep.evaluate(loan);
+
+      // Log the action
+      await AuditLog.create({
+        user: req.user._id,
+        action: "approve_loan_step",
+        resource: "loan",
+        resourceId: loan._id,
+        details: {
+          step: decision.stepName,
+          comment: decision.comment,
+          nextStep: approvalChain.currentStep?.name,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+
+      return res.status(200).json({
+        status: "success",
+        message: `Approval recorded. Awaiting ${approvalChain.currentStep.name}`,
+        data: { loan, approvalChain },
+      });
+    }
+
+    // The group must be able to fund the loan without dropping below its reserve
+    let funding = null;
+    let newStatus = status;
+    if (status === "approved") {
+      // Loans already on the waiting list are funded first
+      funding = await checkLoanFunding(loan, { afterQueue: true });
+
+      if (
+        !funding.canFund &&
+        (queue || funding.queuedDemand > 0) &&
+        loan.canTransitionTo("queued")
+      ) {
+        newStatus = "queued";
+      } else if (!funding.canFund && funding.mode === "block") {
+        return res.status(400).json({
+          status: "error",
+          message:
+            `Approving this loan would take the group below its ${funding.liquidity.reserveRatio}% reserve ` +
+            `(short by ${funding.shortfall})` +
+            (loan.canTransitionTo("queued")
+              ? ". Approve with queue: true to place it on the waiting list."
+              : ""),
+          data: { funding },
+        });
+      }
+    }
 
     // Update loan
     const updateData = {
-      status,
+      status: newStatus,
       approvedBy: req.user._id,
       approvedDate: new Date(),
+      $push: { approvals: decision },
     };
+    if (newStatus === "queued") {
+      updateData.queuedAt = updateData.approvedDate;
+    }
+
+    // Fall back to the rate set by the loan product at request time; a
+    // request never carries its own rate
+    const rate =
+      interestRate !== undefined && interestRate !== null
+        ? interestRate
+        : loan.interestRate;
 
     if (status === "approved") {
-      updateData.interestRate = interestRate;
-      // Calculate totalAmount using: amount + (amount * interestRate * duration / 100)
-      if (loan.amount && interestRate && loan.duration) {
+      updateData.interestRate = rate;
+      updateData.interestMethod = interestMethod || loan.interestMethod || "flat";
+      // Calculate totalAmount with the loan's interest method
+      if (loan.amount && rate && loan.duration) {
         updateData.totalAmount =
-          loan.amount + (loan.amount * interestRate * loan.duration) / 100;
+          loan.amount +
+          calculateTotalInterest({
+            amount: loan.amount,
+            interestRate: rate,
+            duration: loan.duration,
+            interestMethod: updateData.interestMethod,
+          });
       }
+      updateData.remainingAmount =
+        (updateData.totalAmount || loan.totalAmount || loan.amount) -
+        (loan.amountPaid || 0);
+      updateData.schedule = buildRepaymentSchedule({
+        amount: loan.amount,
+        interestRate: rate,
+        duration: loan.duration,
+        interestMethod: updateData.interestMethod,
+        startDate: updateData.approvedDate,
+      });
     } else if (status === "rejected") {
       updateData.rejectionReason = rejectionReason;
     }
@@ -413,6 +919,8 @@ const approvingLoan = async (req, res) => {
       .populate("approvedBy", "firstName lastName")
       .populate("branch", "name code");
 
+    const collateralCoverage = await Collateral.getCoverage(loan);
+
     // Log the action
     await AuditLog.create({
       user: req.user._id,
@@ -422,16 +930,37 @@ const approvingLoan = async (req, res) => {
       details: {
         amount: loan.amount,
         member: loan.member.email,
-        reason: rejectionReason || `Interest rate: ${interestRate}%`,
+        reason:
+          rejectionReason ||
+          `Interest rate: ${rate}% (${updateData.interestMethod})`,
+        loanToCollateralRatio: collateralCoverage.loanToCollateralRatio,
+        ...(funding && !funding.canFund && {
+          queued: newStatus === "queued",
+          liquidityShortfall: funding.shortfall,
+        }),
       },
       ipAddress: req.ip,
       userAgent: req.get("User-Agent"),
     });
 
+    if (status === "rejected") {
+      await settleCollateral(loan, "released", req, "Loan rejected");
+    }
+
     res.status(200).json({
       status: "success",
-      message: `Loan ${status} successfully`,
-      data: { loan: updatedLoan },
+      message:
+        newStatus === "queued"
+          ? "Loan approved and placed on the waiting list until funds are available"
+          : `Loan ${status} successfully`,
+      data: {
+        loan: updatedLoan,
+        collateralCoverage,
+        ...(funding && !funding.canFund && {
+          liquidityWarning: `The group is short by ${funding.shortfall} to fund this loan and keep its reserve`,
+          funding,
+        }),
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -442,11 +971,102 @@ const approvingLoan = async (req, res) => {
   }
 };
 
+// Close a loan that a top-up has paid off, moving its held collateral to the
+// new loan. Resolves to null, changing nothing, when a repayment was recorded
+// against the old loan after the payoff was worked out.
+const closeRefinancedLoan = async (oldLoan, newLoan, quote, req, session) => {
+  const settledAt = newLoan.disbursedDate;
+
+  const closed = await Loan.applyPayment(oldLoan._id, quote.payoffAmount, {
+    statuses: [oldLoan.status],
+    expectedAmountPaid: oldLoan.amountPaid || 0,
+    session,
+  });
+  if (!closed) return null;
+
+  const [repayment] = await LoanRepayment.create(
+    [
+      {
+        loan: oldLoan._id,
+        member: oldLoan.member,
+        amount: quote.payoffAmount,
+        paymentDate: settledAt,
+        method: "other",
+        reference: newLoan._id.toString(),
+        notes: `Refinanced into loan ${newLoan._id}`,
+        recordedBy: req.user._id,
+        branch: oldLoan.branch,
+      },
+    ],
+    { session }
+  );
+  closed.applyRepaymentToSchedule(quote.payoffAmount, settledAt);
+
+  // The rebate is waived, so installments it covered are closed as well
+  closed.schedule.forEach((installment) => {
+    if (installment.status !== "paid") {
+      installment.status = "paid";
+      installment.paidDate = settledAt;
+    }
+  });
+
+  closed.amountPaid = Math.round(closed.amountPaid * 100) / 100;
+  closed.totalAmount = closed.amountPaid;
+  closed.remainingAmount = 0;
+  closed.status = "refinanced";
+  closed.refinancedBy = newLoan._id;
+  closed.refinancedAt = settledAt;
+  closed.isOverdue = false;
+  closed.overdueSince = null;
+  closed.earlySettlement = {
+    settledAt,
+    principalOutstanding: quote.principalOutstanding,
+    accruedInterest: quote.accruedInterest,
+    unearnedInterest: quote.unearnedInterest,
+    rebatePercentage: quote.rebatePercentage,
+    rebate: quote.rebate,
+    payoffAmount: quote.payoffAmount,
+    settledBy: req.user._id,
+  };
+
+  await closed.save({ session });
+
+  const collateral = await Collateral.updateMany(
+    { loan: oldLoan._id, status: "held" },
+    { loan: newLoan._id },
+    { session }
+  );
+
+  // Log the action
+  await AuditLog.create(
+    [
+      {
+        user: req.user._id,
+        action: "refinance_loan",
+        resource: "loan",
+        resourceId: oldLoan._id,
+        details: {
+          refinancedBy: newLoan._id,
+          payoffAmount: quote.payoffAmount,
+          rebate: quote.rebate,
+          repaymentId: repayment._id,
+          collateralMoved: collateral.modifiedCount,
+        },
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      },
+    ],
+    { session }
+  );
+
+  return closed;
+};
+
 /**
  * @swagger
- * /api/loans/{id}/repay:
- *   put:
- *     summary: Mark a loan as repaid/disbursed
+ * /api/loans/{id}/disburse:
+ *   post:
+ *     summary: Disburse an approved loan
  *     tags: [Loans]
  *     parameters:
  *       - in: path
@@ -455,23 +1075,38 @@ const approvingLoan = async (req, res) => {
  *         schema:
  *           type: string
  *         description: Loan ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [cash, mobile_money, bank_transfer, cheque, other]
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               queue:
+ *                 type: boolean
+ *                 description: Place the loan on the waiting list if the group cannot fund it yet
  *     responses:
  *       200:
- *         description: Loan disbursed successfully
+ *         description: Loan disbursed or placed on the waiting list
  *       404:
  *         description: Loan not found
  *       400:
- *         description: Loan must be approved before disbursement
+ *         description: Loan must be approved and have a verified signed agreement before disbursement, and a top-up must still exceed the balance it refinances
  *       500:
  *         description: Failed to disburse loan
  */
-const repaymentLoan = async (req, res) => {
+const disbursingLoan = async (req, res) => {
   try {
-    const loan = await Loan.findById(req.params.id).populate({
-      path: "member",
-      select: "firstName lastName membershipId email branch",
-      populate: { path: "branch", select: "name code location" },
-    });
+    const { method, reference, notes, queue } = req.body;
+
+    const loan = await Loan.findById(req.params.id);
 
     if (!loan) {
       return res.status(404).json({
@@ -480,54 +1115,1670 @@ const repaymentLoan = async (req, res) => {
       });
     }
 
-    if (loan.status !== "approved") {
+    // Defaulted loans go back to disbursed only through a restructure
+    if (loan.disbursedDate) {
       return res.status(400).json({
         status: "error",
-        message: "Loan must be approved before disbursement",
+        message: "This loan has already been disbursed",
       });
     }
 
-    const updatedLoan = await Loan.findByIdAndUpdate(
-      req.params.id,
-      {
-        status: "repaid",
-        disbursedDate: new Date(),
-      },
-      { new: true, runValidators: true }
-    )
-      .populate({
-        path: "member",
-        select: "firstName lastName membershipId email branch",
-        populate: { path: "branch", select: "name code location" },
-      })
-      .populate("approvedBy", "firstName lastName")
-      .populate("branch", "name code");
+    if (!loan.canTransitionTo("disbursed")) {
+      return res.status(400).json({
+        status: "error",
+        message: Loan.transitionError(loan.status, "disbursed"),
+      });
+    }
 
-    // Log the action
-    await AuditLog.create({
-      user: req.user._id,
-      action: "disburse_loan",
-      resource: "loan",
-      resourceId: loan._id,
-      details: {
-        amount: loan.amount,
-        member: loan.member.email,
-      },
-      ipAddress: req.ip,
-      userAgent: req.get("User-Agent"),
-    });
+    if (!(await SignedAgreement.hasVerified(loan._id))) {
+      return res.status(400).json({
+        status: "error",
+        message: "A verified signed loan agreement is required before disbursement",
+      });
+    }
 
-    res.status(200).json({
-      status: "success",
-      message: "Loan disbursed successfully",
-      data: { loan: updatedLoan },
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: "error",
-      message: "Failed to disburse loan",
-      error: error.message,
-    });
+    // Approved loans were counted as committed, so leave this one out of the check
+    const funding = await checkLoanFunding(loan, { excludeLoanId: loan._id });
+    if (!funding.canFund && queue) {
+      loan.status = "queued";
+      loan.queuedAt = new Date();
+      await loan.save();
+
+      // Log the action
+      await AuditLog.create({
+        user: req.user._id,
+        action: "queue_loan",
+        resource: "loan",
+        resourceId: loan._id,
+        details: { amount: loan.amount, liquidityShortfall: funding.shortfall },
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+
+      return res.status(200).json({
+        status: "success",
+        message: "Loan placed on the waiting list until funds are available",
+        data: { loan, funding },
+      });
+    }
+
+    if (!funding.canFund && funding.mode === "block") {
+      return res.status(400).json({
+        status: "error",
+        message:
+          `Disbursing this loan would take the group below its ${funding.liquidity.reserveRatio}% reserve ` +
+          `(short by ${funding.shortfall}). Disburse with queue: true to place it on the waiting list.`,
+        data: { funding },
+      });
+    }
+
+    const disbursedDate = new Date();
+
+    // A top-up pays off the loan it refinances and only the difference is paid out
+    let refinancedLoan = null;
+    let payoffQuote = null;
+    if (loan.refinances) {
+      refinancedLoan = await Loan.findById(loan.refinances);
+
+      if (!refinancedLoan || !refinancedLoan.canTransitionTo("refinanced")) {
+        return res.status(400).json({
+          status: "error",
+          message: "The loan being topped up is no longer outstanding",
+        });
+      }
+
+      payoffQuote = calculatePayoffQuote(
+        refinancedLoan,
+        disbursedDate,
+        loanPolicy.earlySettlement.rebatePercentage
+      );
+
+      if (payoffQuote.payoffAmount >= loan.amount) {
+        return res.status(400).json({
+          status: "error",
+          message: `The balance being refinanced (${payoffQuote.payoffAmount}) now exceeds the top-up amount`,
+          data: { quote: payoffQuote },
+        });
+      }
+    }
+
+    const refinancedBalance = payoffQuote ? payoffQuote.payoffAmount : 0;
+
+    loan.status = "disbursed";
+    loan.disbursedDate = disbursedDate;
+    loan.disbursement = {
+      method,
+      reference,
+      notes,
+      disbursedBy: req.user._id,
+      disbursedAt: disbursedDate,
+    };
+    loan.refinancedBalance = refinancedBalance;
+    loan.netDisbursement = Math.round((loan.amount - refinancedBalance) * 100) / 100;
+    // Installments run from the disbursement date, not the approval date
+    loan.generateSchedule(disbursedDate);
+    loan.dueDate = loan.schedule[loan.schedule.length - 1].dueDate;
+
+    if (refinancedLoan) {
+      // The old loan is paid off and the top-up disbursed together. If the
+      // old loan's balance changed since the payoff was worked out, neither happens.
+      const disbursed = await runInTransaction(async (session) => {
+        if (!(await closeRefinancedLoan(refinancedLoan, loan, payoffQuote, req, session))) {
+          return false;
+        }
+        await loan.save({ session });
+        return true;
+      });
+
+      if (!disbursed) {
+        return res.status(400).json({
+          status: "error",
+          message:
+            "The balance of the loan being topped up changed. Try the disbursement again",
+        });
+      }
+      await Loan.updateUserLoans(loan.member);
+    } else {
+      await loan.save();
+    }
+
+    const updatedLoan = await Loan.findById(loan._id)
+      .populate({
+        path: "member",
+        select: "firstName lastName membershipId email branch",
+        populate: { path: "branch", select: "name code location" },
+      })
+      .populate("approvedBy", "firstName lastName")
+      .populate("disbursement.disbursedBy", "firstName lastName")
+      .populate("branch", "name code");
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "disburse_loan",
+      resource: "loan",
+      resourceId: loan._id,
+      details: {
+        amount: loan.amount,
+        netDisbursement: loan.netDisbursement,
+        ...(refinancedLoan && { refinances: refinancedLoan._id, refinancedBalance }),
+        ...(!funding.canFund && { liquidityShortfall: funding.shortfall }),
+        member: updatedLoan.member?.email,
+        method: loan.disbursement.method,
+        reference,
+        dueDate: loan.dueDate,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Loan disbursed successfully",
+      data: {
+        loan: updatedLoan,
+        ...(!funding.canFund && {
+          liquidityWarning: `The group is short by ${funding.shortfall} to fund this loan and keep its reserve`,
+        }),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to disburse loan",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/repay:
+ *   post:
+ *     summary: Settle the outstanding balance and mark a loan as repaid
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [cash, mobile_money, bank_transfer, cheque, other]
+ *               reference:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Loan marked as repaid
+ *       404:
+ *         description: Loan not found
+ *       400:
+ *         description: Loan cannot be marked as repaid from its current status
+ *       500:
+ *         description: Failed to mark loan as repaid
+ */
+const repaymentLoan = async (req, res) => {
+  try {
+    const { method, reference } = req.body;
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    if (!loan.canTransitionTo("repaid")) {
+      return res.status(400).json({
+        status: "error",
+        message: Loan.transitionError(loan.status, "repaid"),
+      });
+    }
+
+    const totalAmount = loan.getTotalDue();
+    const outstanding =
+      Math.round((totalAmount - (loan.amountPaid || 0)) * 100) / 100;
+    const paymentDate = new Date();
+
+    // Settle exactly the balance read above. If another repayment is recorded
+    // in the meantime the guarded update matches nothing and nothing is saved.
+    const settled = await runInTransaction(async (session) => {
+      const paid = await Loan.applyPayment(loan._id, Math.max(outstanding, 0), {
+        statuses: [loan.status],
+        expectedAmountPaid: loan.amountPaid || 0,
+        session,
+      });
+      if (!paid) return null;
+
+      // Record whatever is still owed as the final installment in the ledger
+      if (outstanding > 0) {
+        await LoanRepayment.create(
+          [
+            {
+              loan: loan._id,
+              member: loan.member,
+              amount: outstanding,
+              paymentDate,
+              method,
+              reference,
+              notes: "Final settlement",
+              recordedBy: req.user._id,
+              branch: loan.branch,
+            },
+          ],
+          { session }
+        );
+        paid.applyRepaymentToSchedule(outstanding, paymentDate);
+      }
+
+      paid.amountPaid = totalAmount;
+      paid.remainingAmount = 0;
+      paid.status = "repaid";
+      paid.repaidAt = paymentDate;
+      paid.isOverdue = false;
+      paid.overdueSince = null;
+
+      await paid.save({ session });
+      return paid;
+    });
+
+    if (!settled) {
+      return res.status(400).json({
+        status: "error",
+        message:
+          "The loan balance changed while it was being settled. Reload the loan and try again",
+      });
+    }
+
+    await Loan.updateUserLoans(loan.member);
+    await settleCollateral(loan, "released", req, "Loan repaid");
+
+    const updatedLoan = await Loan.findById(loan._id)
+      .populate({
+        path: "member",
+        select: "firstName lastName membershipId email branch",
+        populate: { path: "branch", select: "name code location" },
+      })
+      .populate("approvedBy", "firstName lastName")
+      .populate("branch", "name code");
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "record_repayment",
+      resource: "loan",
+      resourceId: loan._id,
+      details: {
+        amount: outstanding,
+        settled: true,
+        member: updatedLoan.member?.email,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    const releasedFromQueue = await releaseWaitingLoans(req);
+
+    res.status(200).json({
+      status: "success",
+      message: "Loan marked as repaid",
+      data: { loan: updatedLoan, releasedFromQueue },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to mark loan as repaid",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/repayments:
+ *   post:
+ *     summary: Record a (partial) repayment against a loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               paymentDate:
+ *                 type: string
+ *                 format: date
+ *               method:
+ *                 type: string
+ *                 enum: [cash, mobile_money, bank_transfer, cheque, other]
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Repayment recorded successfully
+ *       404:
+ *         description: Loan not found
+ *       400:
+ *         description: Loan is not repayable or amount exceeds the outstanding balance
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Failed to record repayment
+ */
+const recordRepayment = async (req, res) => {
+  try {
+    const { amount, paymentDate, method, reference, notes } = req.body;
+
+    let loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    if (!["disbursed", "defaulted"].includes(loan.status)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Cannot record a repayment on a ${loan.status} loan`,
+      });
+    }
+
+    // Branch lead can only record repayments for loans from their branch
+    if (
+      req.user.role === "branch_lead" &&
+      String(loan.branch) !== req.user.branch._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message:
+          "Access denied. You can only record repayments for loans from your branch.",
+      });
+    }
+
+    const repaymentAmount = Math.round(Number(amount) * 100) / 100;
+    const totalAmount = loan.getTotalDue();
+
+    // The balance check and the increment happen in one update, so two
+    // repayments recorded at the same time cannot both pass the check and
+    // overpay the loan. The transaction keeps the ledger in step.
+    let repayment;
+    const updated = await runInTransaction(async (session) => {
+      const paid = await Loan.applyPayment(loan._id, repaymentAmount, { session });
+      if (!paid) return null;
+
+      [repayment] = await LoanRepayment.create(
+        [
+          {
+            loan: loan._id,
+            member: loan.member,
+            amount: repaymentAmount,
+            paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+            method,
+            reference,
+            notes,
+            recordedBy: req.user._id,
+            branch: loan.branch,
+          },
+        ],
+        { session }
+      );
+
+      paid.amountPaid = Math.round(paid.amountPaid * 100) / 100;
+      paid.remainingAmount =
+        Math.round((totalAmount - paid.amountPaid) * 100) / 100;
+      paid.applyRepaymentToSchedule(repaymentAmount, repayment.paymentDate);
+
+      // Clear the overdue flag once every past-due installment is covered
+      if (paid.isOverdue && paid.getOverdueInstallments().length === 0) {
+        paid.isOverdue = false;
+        paid.overdueSince = null;
+      }
+
+      // Close the loan automatically once the balance is cleared
+      if (paid.remainingAmount <= 0 && paid.canTransitionTo("repaid")) {
+        paid.remainingAmount = 0;
+        paid.status = "repaid";
+        paid.repaidAt = repayment.paymentDate;
+      }
+
+      await paid.save({ session });
+      return paid;
+    });
+
+    if (!updated) {
+      const current = await Loan.findById(loan._id);
+      if (!["disbursed", "defaulted"].includes(current.status)) {
+        return res.status(400).json({
+          status: "error",
+          message: `Cannot record a repayment on a ${current.status} loan`,
+        });
+      }
+      const outstanding =
+        Math.round((totalAmount - (current.amountPaid || 0)) * 100) / 100;
+      return res.status(400).json({
+        status: "error",
+        message: `Repayment exceeds the outstanding balance of ${outstanding}`,
+      });
+    }
+    loan = updated;
+
+    await Loan.updateUserLoans(loan.member);
+
+    if (loan.status === "repaid") {
+      await settleCollateral(loan, "released", req, "Loan repaid");
+    }
+
+    await repayment.populate("recordedBy", "firstName lastName");
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "record_repayment",
+      resource: "loan",
+      resourceId: loan._id,
+      details: {
+        amount: repaymentAmount,
+        method: repayment.method,
+        remainingAmount: loan.remainingAmount,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    const releasedFromQueue = await releaseWaitingLoans(req);
+
+    res.status(201).json({
+      status: "success",
+      message:
+        loan.status === "repaid"
+          ? "Repayment recorded. Loan fully repaid"
+          : "Repayment recorded successfully",
+      data: { repayment, loan, releasedFromQueue },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to record repayment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/repayments:
+ *   get:
+ *     summary: Get the repayment ledger of a loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Repayments recorded against the loan
+ *       404:
+ *         description: Loan not found
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Failed to get repayments
+ */
+const getLoanRepayments = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    // Check permissions
+    if (
+      req.user.role === "member" &&
+      loan.member.toString() !== req.user._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view your own loans.",
+      });
+    }
+
+    if (
+      req.user.role === "branch_lead" &&
+      String(loan.branch) !== req.user.branch._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view loans from your branch.",
+      });
+    }
+
+    const repayments = await LoanRepayment.find({ loan: loan._id })
+      .populate("recordedBy", "firstName lastName")
+      .sort({ paymentDate: 1 });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        repayments,
+        summary: {
+          totalAmount: loan.totalAmount,
+          amountPaid: loan.amountPaid,
+          remainingAmount: loan.remainingAmount,
+          writtenOff: loan.writeOff?.amount || 0,
+          recoveredAmount: loan.recoveredAmount || 0,
+          count: repayments.length,
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get repayments",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/schedule:
+ *   get:
+ *     summary: Get the installment schedule of a loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Installment schedule with paid, partial and overdue status
+ *       404:
+ *         description: Loan not found
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Failed to get loan schedule
+ */
+const getLoanSchedule = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    // Check permissions
+    if (
+      req.user.role === "member" &&
+      loan.member.toString() !== req.user._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view your own loans.",
+      });
+    }
+
+    if (
+      req.user.role === "branch_lead" &&
+      String(loan.branch) !== req.user.branch._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view loans from your branch.",
+      });
+    }
+
+    const schedule = refreshScheduleStatus(
+      loan.schedule.map((installment) => installment.toObject())
+    );
+
+    const summary = schedule.reduce(
+      (acc, installment) => {
+        acc[installment.status] += 1;
+        acc.totalDue += installment.amountDue;
+        acc.totalPaid += installment.amountPaid || 0;
+        return acc;
+      },
+      { pending: 0, partial: 0, paid: 0, overdue: 0, totalDue: 0, totalPaid: 0 }
+    );
+    summary.totalDue = Math.round(summary.totalDue * 100) / 100;
+    summary.totalPaid = Math.round(summary.totalPaid * 100) / 100;
+    summary.nextInstallment =
+      schedule.find((installment) => installment.status !== "paid") || null;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        loanId: loan._id,
+        loanStatus: loan.status,
+        schedule,
+        summary,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get loan schedule",
+      error: error.message,
+    });
+  }
+};
+
+// Parse the settlement date for a payoff; defaults to now and may not lie in the future
+const parsePayoffDate = (value) => {
+  if (!value) return new Date();
+  const date = new Date(value);
+  if (isNaN(date.getTime()) || date > new Date()) return null;
+  return date;
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/payoff-quote:
+ *   get:
+ *     summary: Get the amount needed to close a loan early
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Settlement date for the quote (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Payoff quote
+ *       400:
+ *         description: Loan is not outstanding or the date is invalid
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to get payoff quote
+ */
+const getPayoffQuote = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    // Check permissions
+    if (
+      req.user.role === "member" &&
+      loan.member.toString() !== req.user._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view your own loans.",
+      });
+    }
+
+    if (
+      req.user.role === "branch_lead" &&
+      String(loan.branch) !== req.user.branch._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view loans from your branch.",
+      });
+    }
+
+    if (!["disbursed", "defaulted"].includes(loan.status)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Cannot quote a payoff on a ${loan.status} loan`,
+      });
+    }
+
+    const asOf = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        status: "error",
+        message: "Quote date must be a valid date",
+      });
+    }
+
+    const quote = calculatePayoffQuote(
+      loan,
+      asOf,
+      loanPolicy.earlySettlement.rebatePercentage
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: { loanId: loan._id, quote },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get payoff quote",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/payoff:
+ *   post:
+ *     summary: Settle a loan early at the quoted payoff amount
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               amount:
+ *                 type: number
+ *                 description: Quoted payoff amount; rejected if it no longer matches
+ *               method:
+ *                 type: string
+ *                 enum: [cash, mobile_money, bank_transfer, cheque, other]
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Loan settled early
+ *       400:
+ *         description: Loan is not outstanding or the quote has changed
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to settle loan
+ */
+const settleLoanEarly = async (req, res) => {
+  try {
+    const { amount, method, reference, notes } = req.body;
+
+    let loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    // Branch lead can only settle loans from their branch
+    if (
+      req.user.role === "branch_lead" &&
+      String(loan.branch) !== req.user.branch._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message:
+          "Access denied. You can only record repayments for loans from your branch.",
+      });
+    }
+
+    if (!loan.canTransitionTo("repaid")) {
+      return res.status(400).json({
+        status: "error",
+        message: Loan.transitionError(loan.status, "repaid"),
+      });
+    }
+
+    const settledAt = parsePayoffDate(req.body.date);
+    if (!settledAt) {
+      return res.status(400).json({
+        status: "error",
+        message: "Settlement date must be a valid date that is not in the future",
+      });
+    }
+
+    const quote = calculatePayoffQuote(
+      loan,
+      settledAt,
+      loanPolicy.earlySettlement.rebatePercentage
+    );
+
+    if (amount !== undefined && Number(amount) !== quote.payoffAmount) {
+      return res.status(400).json({
+        status: "error",
+        message: `The payoff amount is now ${quote.payoffAmount}. Request a new quote before settling.`,
+        data: { quote },
+      });
+    }
+
+    // Pay exactly the quoted amount against the balance the quote was worked
+    // out from. If a repayment is recorded in the meantime the guarded update
+    // matches nothing and nothing is saved.
+    let repayment = null;
+    const settled = await runInTransaction(async (session) => {
+      const paid = await Loan.applyPayment(loan._id, quote.payoffAmount, {
+        statuses: [loan.status],
+        expectedAmountPaid: loan.amountPaid || 0,
+        session,
+      });
+      if (!paid) return null;
+
+      repayment = null;
+      if (quote.payoffAmount > 0) {
+        [repayment] = await LoanRepayment.create(
+          [
+            {
+              loan: loan._id,
+              member: loan.member,
+              amount: quote.payoffAmount,
+              paymentDate: settledAt,
+              method,
+              reference,
+              notes: notes || "Early settlement",
+              recordedBy: req.user._id,
+              branch: loan.branch,
+            },
+          ],
+          { session }
+        );
+        paid.applyRepaymentToSchedule(quote.payoffAmount, settledAt);
+      }
+
+      // The rebate is waived, so installments it covered are closed as well
+      paid.schedule.forEach((installment) => {
+        if (installment.status !== "paid") {
+          installment.status = "paid";
+          installment.paidDate = settledAt;
+        }
+      });
+
+      paid.amountPaid = Math.round(paid.amountPaid * 100) / 100;
+      paid.totalAmount = paid.amountPaid;
+      paid.remainingAmount = 0;
+      paid.status = "repaid";
+      paid.repaidAt = settledAt;
+      paid.isOverdue = false;
+      paid.overdueSince = null;
+      paid.earlySettlement = {
+        settledAt,
+        principalOutstanding: quote.principalOutstanding,
+        accruedInterest: quote.accruedInterest,
+        unearnedInterest: quote.unearnedInterest,
+        rebatePercentage: quote.rebatePercentage,
+        rebate: quote.rebate,
+        payoffAmount: quote.payoffAmount,
+        settledBy: req.user._id,
+      };
+
+      await paid.save({ session });
+      return paid;
+    });
+
+    if (!settled) {
+      return res.status(400).json({
+        status: "error",
+        message:
+          "The loan balance changed since the quote. Request a new quote before settling.",
+      });
+    }
+    loan = settled;
+
+    await Loan.updateUserLoans(loan.member);
+    await settleCollateral(loan, "released", req, "Loan settled early");
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "settle_loan_early",
+      resource: "loan",
+      resourceId: loan._id,
+      details: {
+        payoffAmount: quote.payoffAmount,
+        rebate: quote.rebate,
+        rebatePercentage: quote.rebatePercentage,
+        settledAt,
+        repaymentId: repayment?._id,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    const releasedFromQueue = await releaseWaitingLoans(req);
+
+    res.status(200).json({
+      status: "success",
+      message: "Loan settled early",
+      data: { loan, repayment, quote, releasedFromQueue },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to settle loan",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/write-off:
+ *   post:
+ *     summary: Write off the remaining balance of a loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Loan written off
+ *       400:
+ *         description: Loan cannot be written off from its current status
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to write off loan
+ */
+const writeOffLoan = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    if (!loan.canTransitionTo("written_off")) {
+      return res.status(400).json({
+        status: "error",
+        message: Loan.transitionError(loan.status, "written_off"),
+      });
+    }
+
+    const totalAmount = loan.totalAmount || loan.amount;
+    const balance =
+      Math.round((totalAmount - (loan.amountPaid || 0)) * 100) / 100;
+
+    loan.status = "written_off";
+    loan.writeOff = {
+      amount: balance,
+      reason,
+      approvedBy: req.user._id,
+      writtenOffAt: new Date(),
+    };
+    loan.remainingAmount = 0;
+    loan.isOverdue = false;
+    loan.overdueSince = null;
+
+    await loan.save();
+    await Loan.updateUserLoans(loan.member);
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "write_off_loan",
+      resource: "loan",
+      resourceId: loan._id,
+      details: {
+        amount: balance,
+        reason,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    await settleCollateral(loan, "seized", req, "Loan written off");
+
+    res.status(200).json({
+      status: "success",
+      message: "Loan written off successfully",
+      data: { loan },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to write off loan",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/recoveries:
+ *   post:
+ *     summary: Record a recovery payment against a written-off loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               paymentDate:
+ *                 type: string
+ *                 format: date
+ *               method:
+ *                 type: string
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Recovery recorded
+ *       400:
+ *         description: Loan is not written off or amount exceeds the unrecovered balance
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to record recovery
+ */
+const recordRecovery = async (req, res) => {
+  try {
+    const { amount, paymentDate, method, reference, notes } = req.body;
+
+    let loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    if (loan.status !== "written_off") {
+      return res.status(400).json({
+        status: "error",
+        message: "Recoveries can only be recorded against written-off loans",
+      });
+    }
+
+    const recoveryAmount = Math.round(Number(amount) * 100) / 100;
+    const unrecovered =
+      Math.round(
+        ((loan.writeOff?.amount || 0) - (loan.recoveredAmount || 0)) * 100
+      ) / 100;
+
+    if (recoveryAmount > unrecovered) {
+      return res.status(400).json({
+        status: "error",
+        message: `Recovery exceeds the unrecovered balance of ${unrecovered}`,
+      });
+    }
+
+    // The balance check and the increment happen in one update, so two
+    // recoveries recorded at the same time cannot both pass the check
+    let recovery;
+    const recovered = await runInTransaction(async (session) => {
+      const updated = await Loan.applyRecovery(loan._id, recoveryAmount, { session });
+      if (!updated) return null;
+
+      [recovery] = await LoanRepayment.create(
+        [
+          {
+            loan: loan._id,
+            member: loan.member,
+            amount: recoveryAmount,
+            type: "recovery",
+            paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+            method,
+            reference,
+            notes,
+            recordedBy: req.user._id,
+            branch: loan.branch,
+          },
+        ],
+        { session }
+      );
+
+      updated.recoveredAmount = Math.round(updated.recoveredAmount * 100) / 100;
+      await updated.save({ session });
+      return updated;
+    });
+
+    if (!recovered) {
+      const current = await Loan.findById(loan._id);
+      const left =
+        Math.round(
+          ((current.writeOff?.amount || 0) - (current.recoveredAmount || 0)) * 100
+        ) / 100;
+      return res.status(400).json({
+        status: "error",
+        message: `Recovery exceeds the unrecovered balance of ${left}`,
+      });
+    }
+    loan = recovered;
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "record_recovery",
+      resource: "loan",
+      resourceId: loan._id,
+      details: {
+        amount: recoveryAmount,
+        recoveredAmount: loan.recoveredAmount,
+        unrecovered:
+          Math.round(((loan.writeOff?.amount || 0) - loan.recoveredAmount) * 100) / 100,
+        method: recovery.method,
+        reference,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    const releasedFromQueue = await releaseWaitingLoans(req);
+
+    res.status(201).json({
+      status: "success",
+      message: "Recovery recorded successfully",
+      data: {
+        recovery,
+        loan: {
+          _id: loan._id,
+          status: loan.status,
+          writeOff: loan.writeOff,
+          recoveredAmount: loan.recoveredAmount,
+        },
+        releasedFromQueue,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to record recovery",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/restructure:
+ *   post:
+ *     summary: Restructure the outstanding balance of a loan with new terms
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               duration:
+ *                 type: integer
+ *                 description: Remaining duration in months
+ *               interestRate:
+ *                 type: number
+ *               interestMethod:
+ *                 type: string
+ *                 enum: [flat, reducing_balance, compound]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Loan restructured successfully
+ *       400:
+ *         description: Loan has no outstanding balance or no new terms were given
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to restructure loan
+ */
+const restructureLoan = async (req, res) => {
+  try {
+    const { duration, interestRate, interestMethod, reason } = req.body;
+
+    if (
+      duration === undefined &&
+      interestRate === undefined &&
+      interestMethod === undefined
+    ) {
+      return res.status(400).json({
+        status: "error",
+        message: "Provide a new duration, interest rate or interest method",
+      });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    if (!["disbursed", "defaulted"].includes(loan.status)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Only disbursed or defaulted loans can be restructured (current status: ${loan.status})`,
+      });
+    }
+
+    if (!(loan.remainingAmount > 0)) {
+      return res.status(400).json({
+        status: "error",
+        message: "This loan has no outstanding balance to restructure",
+      });
+    }
+
+    // A restructure replaces the terms the member defaulted on
+    const reinstating = loan.status === "defaulted";
+    if (reinstating && !loan.canTransitionTo("disbursed")) {
+      return res.status(400).json({
+        status: "error",
+        message: Loan.transitionError(loan.status, "disbursed"),
+      });
+    }
+
+    const restructure = loan.restructure({
+      duration,
+      interestRate,
+      interestMethod,
+      reason,
+      restructuredBy: req.user._id,
+    });
+
+    if (reinstating) {
+      loan.status = "disbursed";
+      loan.defaultedAt = undefined;
+    }
+
+    await loan.save();
+    await Loan.updateUserLoans(loan.member);
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "restructure_loan",
+      resource: "loan",
+      resourceId: loan._id,
+      details: {
+        version: restructure.version,
+        previousTerms: {
+          interestRate: restructure.previousTerms.interestRate,
+          interestMethod: restructure.previousTerms.interestMethod,
+          duration: restructure.previousTerms.duration,
+          remainingAmount: restructure.previousTerms.remainingAmount,
+          status: restructure.previousTerms.status,
+        },
+        newTerms: restructure.newTerms,
+        restructuredBalance: restructure.restructuredBalance,
+        reason,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Loan restructured successfully",
+      data: { loan, restructure },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to restructure loan",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/guarantees:
+ *   get:
+ *     summary: Get loans the current user has been asked to guarantee
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined]
+ *         description: Filter by the current user's guarantee status
+ *     responses:
+ *       200:
+ *         description: Guarantee requests for the current user
+ *       500:
+ *         description: Failed to get guarantees
+ */
+const getMyGuarantees = async (req, res) => {
+  try {
+    const elemMatch = { member: req.user._id };
+    if (req.query.status) {
+      elemMatch.status = req.query.status;
+    }
+
+    const loans = await Loan.find({ guarantors: { $elemMatch: elemMatch } })
+      .populate("member", "firstName lastName membershipId email")
+      .sort({ appliedDate: -1 });
+
+    const guarantees = loans.map((loan) => {
+      const own = loan.guarantors.find(
+        (g) => g.member.toString() === req.user._id.toString()
+      );
+      return {
+        loanId: loan._id,
+        borrower: loan.member,
+        loanAmount: loan.amount,
+        loanStatus: loan.status,
+        appliedDate: loan.appliedDate,
+        pledgedAmount: own.pledgedAmount,
+        status: own.status,
+        respondedAt: own.respondedAt,
+      };
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: { guarantees },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get guarantees",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/guarantee:
+ *   post:
+ *     summary: Accept or decline a guarantee request on a loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [accepted, declined]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Guarantee response recorded
+ *       404:
+ *         description: Loan or guarantee request not found
+ *       400:
+ *         description: Loan is no longer pending or guarantee already answered
+ *       500:
+ *         description: Failed to respond to guarantee
+ */
+const respondToGuarantee = async (req, res) => {
+  try {
+    const { decision, comment } = req.body;
+
+    const loan = await Loan.findById(req.params.id).populate(
+      "member",
+      "firstName lastName email"
+    );
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    const guarantee = loan.guarantors.find(
+      (g) => g.member.toString() === req.user._id.toString()
+    );
+
+    if (!guarantee) {
+      return res.status(404).json({
+        status: "error",
+        message: "You have not been asked to guarantee this loan",
+      });
+    }
+
+    if (loan.status !== "pending") {
+      return res.status(400).json({
+        status: "error",
+        message: "Guarantees can only be changed while the loan is pending",
+      });
+    }
+
+    if (guarantee.status !== "pending") {
+      return res.status(400).json({
+        status: "error",
+        message: `You have already ${guarantee.status} this guarantee`,
+      });
+    }
+
+    guarantee.status = decision;
+    guarantee.comment = comment;
+    guarantee.respondedAt = new Date();
+    await loan.save();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "respond_guarantee",
+      resource: "loan",
+      resourceId: loan._id,
+      details: {
+        decision,
+        pledgedAmount: guarantee.pledgedAmount,
+        borrower: loan.member?.email,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: `Guarantee ${decision} successfully`,
+      data: {
+        guarantee,
+        coverage: loan.getGuaranteeCoverage(),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to respond to guarantee",
+      error: error.message,
+    });
+  }
+};
+
+// Load a loan with everything the generated agreement needs
+const loadAgreementContext = async (loanId) => {
+  const loan = await Loan.findById(loanId)
+    .populate("member", "firstName lastName email membershipId")
+    .populate("guarantors.member", "firstName lastName membershipId");
+
+  if (!loan) return { loan: null };
+
+  let branchName = loan.branch;
+  if (loan.branch && mongoose.isValidObjectId(loan.branch)) {
+    const branch = await Branch.findById(loan.branch).select("name");
+    branchName = branch?.name || loan.branch;
+  }
+
+  return { loan, branchName };
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/agreement:
+ *   get:
+ *     summary: Download the generated agreement for a loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Loan agreement PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Loan has not been approved
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to generate loan agreement
+ */
+const getLoanAgreement = async (req, res) => {
+  try {
+    const { loan, branchName } = await loadAgreementContext(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    // Check permissions
+    if (
+      req.user.role === "member" &&
+      loan.member._id.toString() !== req.user._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view your own loans.",
+      });
+    }
+
+    if (
+      req.user.role === "branch_lead" &&
+      String(loan.branch) !== req.user.branch._id.toString()
+    ) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only view loans from your branch.",
+      });
+    }
+
+    if (["pending", "rejected"].includes(loan.status)) {
+      return res.status(400).json({
+        status: "error",
+        message: "The loan agreement is available once the loan is approved",
+      });
+    }
+
+    const pdfBuffer = await generateLoanAgreementPdf(loan, { branchName });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="loan_agreement_${loan._id}.pdf"`
+    );
+    res.status(200).send(pdfBuffer);
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to generate loan agreement",
+      error: error.message,
+    });
   }
 };
 
@@ -557,12 +2808,7 @@ const repaymentLoan = async (req, res) => {
 const sendLoanApprovalEmail = async (req, res) => {
   try {
     const loanId = req.params.id;
-    const loan = await Loan.findById(loanId)
-      .populate({
-        path: "member",
-        select: "firstName lastName email membershipId",
-      })
-      .populate("branch", "name code group"); // include 'group' field
+    const { loan, branchName } = await loadAgreementContext(loanId);
 
     if (!loan) {
       return res.status(404).json({ status: "error", message: "Loan not found" });
@@ -584,8 +2830,7 @@ const sendLoanApprovalEmail = async (req, res) => {
     const totalAmount = loan.totalAmount || loanAmount;
     const approvedDate = new Date(loan.approvedDate || Date.now()).toLocaleString();
 
-    // Prefer branch.group, fallback to branch.name
-    const groupName = loan.branch?.group || loan.branch?.name || "N/A";
+    const groupName = branchName || "N/A";
 
     // Log group and user info
     console.info("Sending loan approval email - context:", {
@@ -607,24 +2852,18 @@ const sendLoanApprovalEmail = async (req, res) => {
       approvedDate,
     });
 
-    // Attachment: loan agreement PDF (optional)
+    // Attachment: agreement generated for this loan
     let attachments = [];
     try {
-      const pdfPath = path.join(__dirname, "..", "resources", "loan_agreement.pdf");
-      if (fs.existsSync(pdfPath)) {
-        const pdfBuffer = fs.readFileSync(pdfPath);
-        attachments.push({
-          content: pdfBuffer.toString("base64"),
-          filename: "loan_agreement.pdf",
-          type: "application/pdf",
-          disposition: "attachment",
-        });
-        console.info("Attached loan agreement PDF:", pdfPath);
-      } else {
-        console.warn("Loan agreement PDF not found at:", pdfPath);
-      }
+      const pdfBuffer = await generateLoanAgreementPdf(loan, { branchName });
+      attachments.push({
+        content: pdfBuffer.toString("base64"),
+        filename: `loan_agreement_${loan._id}.pdf`,
+        type: "application/pdf",
+        disposition: "attachment",
+      });
     } catch (attachErr) {
-      console.warn("Error reading loan agreement PDF:", attachErr);
+      console.warn("Error generating loan agreement PDF:", attachErr);
     }
 
     const html = `
@@ -659,7 +2898,7 @@ const sendLoanApprovalEmail = async (req, res) => {
         </table>
 
         <p style="margin-top: 16px; color:#374151;">
-          Please fill and sign the attached loan agreement PDF, then send the signed copy back to this email address as a scanned PDF or clear photo. Once we receive the signed agreement we will proceed with disbursement.
+          Please review and sign the attached loan agreement, which is pre-filled with your loan terms and repayment schedule, then upload the signed copy as a scanned PDF or clear photo from your loan page. Once the signed agreement has been verified we will proceed with disbursement.
         </p>
 
         <p style="margin-top: 16px; color:#374151;">
@@ -680,7 +2919,7 @@ const sendLoanApprovalEmail = async (req, res) => {
       to: member.email,
       from: process.env.SENDGRID_VERIFIED_SENDER,
       subject: "Loan Approved — Community Saver",
-      text: `Hello ${fullName}, your loan for ${loanAmount} has been approved. Please sign and return the attached loan agreement.`,
+      text: `Hello ${fullName}, your loan for ${loanAmount} has been approved. Please sign the attached loan agreement and upload it from your loan page.`,
       html,
       ...(attachments.length ? { attachments } : {}),
     };
@@ -743,8 +2982,21 @@ module.exports = {
   getAllLoans,
   getSingleLoan,
   requestingLoan,
+  requestTopUp,
   approvingLoan,
+  disbursingLoan,
   repaymentLoan,
+  recordRepayment,
+  getLoanRepayments,
+  getLoanSchedule,
+  getPayoffQuote,
+  settleLoanEarly,
+  restructureLoan,
+  writeOffLoan,
+  recordRecovery,
+  getMyGuarantees,
+  respondToGuarantee,
+  getLoanAgreement,
   sendLoanApprovalEmail,
   downloadLoanAgreement, // new export
 };
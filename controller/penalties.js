@@ -2,6 +2,16 @@ const Penalty = require("../models/Penalty");
 const User = require("../models/User");
 const AuditLog = require("../models/AuditLog");
 const Contribution = require("../models/Contribution");
+const { applyPenaltyRule } = require("../utils/penaltyEngine");
+const { getExportFormat, sendExport, personName } = require("../utils/listExport");
+
+// Why a missed meeting was not charged, by the engine's skip reason
+const MEETING_SKIP_MESSAGES = {
+  no_rule: "No penalty rule applies to missed meetings in this branch",
+  within_grace: "No penalty is due: the meeting is still within the rule's grace period",
+  already_charged: "This member has already been penalised for missing this meeting",
+  capped: "No penalty is due: the monthly cap for missed meetings has been reached",
+};
 
 /**
  * @swagger
@@ -37,6 +47,12 @@ const Contribution = require("../models/Contribution");
  *           type: string
  *           format: date
  *         description: Filter penalties assigned before this date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         description: Download the result as a CSV or XLSX file instead of JSON
  *     responses:
  *       200:
  *         description: List of penalties and summary
@@ -114,6 +130,40 @@ const getAllPenalties = async (req, res) => {
       },
     ]);
 
+    const totals = summary[0] || {
+      totalAmount: 0,
+      pendingAmount: 0,
+      paidAmount: 0,
+      waivedAmount: 0,
+    };
+
+    const format = getExportFormat(req);
+    if (format) {
+      return sendExport(res, format, {
+        fileName: "penalties",
+        sheetName: "Penalties",
+        columns: [
+          { header: "Assigned Date", type: "date", value: (p) => p.assignedDate },
+          { header: "Member", width: 24, value: (p) => personName(p.member) },
+          { header: "Reason", width: 20, value: (p) => p.reason },
+          { header: "Description", width: 40, value: (p) => p.description },
+          { header: "Amount", type: "money", value: (p) => p.amount },
+          { header: "Status", value: (p) => p.status },
+          { header: "Paid Date", type: "date", value: (p) => p.paidDate },
+          { header: "Waived Date", type: "date", value: (p) => p.waivedDate },
+          { header: "Assigned By", width: 24, value: (p) => personName(p.assignedBy) },
+        ],
+        rows: penalties,
+        summary: [
+          ["Penalties", penalties.length],
+          ["Total amount", totals.totalAmount],
+          ["Pending", totals.pendingAmount],
+          ["Paid", totals.paidAmount],
+          ["Waived", totals.waivedAmount],
+        ],
+      });
+    }
+
     res.status(200).json({
       status: "success",
       data: {
@@ -223,14 +273,18 @@ const getSinglePenalty = async (req, res) => {
  *                 type: string
  *               amount:
  *                 type: number
+ *                 description: Ignored for missed meetings (the missed_meeting rule sets it)
  *               reason:
  *                 type: string
  *               assignedDate:
  *                 type: string
  *                 format: date
+ *                 description: For missed meetings, the meeting date
  *     responses:
  *       201:
  *         description: Penalty assigned successfully
+ *       400:
+ *         description: No missed-meeting penalty is due (already charged or capped)
  *       404:
  *         description: Member not found
  *       403:
@@ -268,7 +322,38 @@ const createPenality = async (req, res) => {
         req.user.role === "branch_lead" ? req.user.branch._id : member.branch,
     };
 
-    const penalty = await Penalty.create(penaltyData);
+    // Missed meetings are charged under the branch's rule (or the default),
+    // once per meeting date
+    let penalty;
+    let meetingRule = null;
+    if (penaltyData.reason === "missed_meeting") {
+      const meetingDate = penaltyData.assignedDate
+        ? new Date(penaltyData.assignedDate)
+        : new Date();
+      const result = await applyPenaltyRule({
+        trigger: "missed_meeting",
+        member: member._id,
+        branch: penaltyData.branch,
+        occurredAt: meetingDate,
+        period: meetingDate.toISOString().slice(0, 10),
+        assignedBy: req.user._id,
+        description:
+          penaltyData.description ||
+          `Missed meeting on ${meetingDate.toISOString().slice(0, 10)}`,
+      });
+
+      if (!result.penalty) {
+        return res.status(400).json({
+          status: "error",
+          message: MEETING_SKIP_MESSAGES[result.skipped],
+        });
+      }
+      penalty = result.penalty;
+      meetingRule = result.rule;
+    } else {
+      penalty = await Penalty.create(penaltyData);
+    }
+
     await penalty.populate("member", "firstName lastName membershipId");
     await penalty.populate("assignedBy", "firstName lastName");
     await penalty.populate("branch", "name code");
@@ -283,6 +368,7 @@ const createPenality = async (req, res) => {
         amount: penalty.amount,
         reason: penalty.reason,
         member: member.email,
+        ...(meetingRule && { rule: meetingRule.name }),
       },
       ipAddress: req.ip,
       userAgent: req.get("User-Agent"),
@@ -0,0 +1,338 @@
+const PenaltyRule = require("../models/PenaltyRule");
+const AuditLog = require("../models/AuditLog");
+const { resolvePenaltyRule } = require("../utils/penaltyEngine");
+
+// Branch leads manage the rules of their own branch only; group-wide rules are admin-only
+const isOutsideBranch = (user, branch) =>
+  user.role === "branch_lead" &&
+  (!branch || String(branch) !== user.branch._id.toString());
+
+/**
+ * @swagger
+ * /api/penalty-rules:
+ *   get:
+ *     summary: Get penalty rules
+ *     tags: [Penalty Rules]
+ *     parameters:
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [late_contribution, missed_meeting, late_loan_repayment]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of penalty rules
+ *       500:
+ *         description: Failed to get penalty rules
+ */
+const getAllPenaltyRules = async (req, res) => {
+  try {
+    let query = {};
+
+    // Branch leads see the group-wide rules and their branch's own
+    if (req.user.role === "branch_lead") {
+      query.branch = { $in: [null, req.user.branch._id.toString()] };
+    } else if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+
+    if (req.query.trigger) {
+      query.trigger = req.query.trigger;
+    }
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === "true";
+    }
+
+    const rules = await PenaltyRule.find(query).sort({ trigger: 1, branch: 1 });
+
+    res.status(200).json({
+      status: "success",
+      data: { rules },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get penalty rules",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/penalty-rules/effective:
+ *   get:
+ *     summary: Get the rule that applies to each trigger for a branch
+ *     tags: [Penalty Rules]
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *         description: Branch ID (branch leads always get their own branch)
+ *     responses:
+ *       200:
+ *         description: Effective rule per trigger, including built-in defaults
+ *       500:
+ *         description: Failed to get effective penalty rules
+ */
+const getEffectivePenaltyRules = async (req, res) => {
+  try {
+    const branch =
+      req.user.role === "branch_lead"
+        ? req.user.branch._id.toString()
+        : req.query.branch || null;
+
+    const rules = {};
+    for (const trigger of PenaltyRule.TRIGGERS) {
+      const rule = await resolvePenaltyRule(trigger, branch);
+      rules[trigger] = rule
+        ? { ...(rule.toObject ? rule.toObject() : rule), isDefault: !rule._id }
+        : null;
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { branch, rules },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get effective penalty rules",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/penalty-rules:
+ *   post:
+ *     summary: Create a penalty rule for a branch or the whole group
+ *     tags: [Penalty Rules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       201:
+ *         description: Penalty rule created successfully
+ *       400:
+ *         description: Validation error or an active rule already exists
+ *       500:
+ *         description: Failed to create penalty rule
+ */
+const createPenaltyRule = async (req, res) => {
+  try {
+    const ruleData = {
+      ...req.body,
+      branch:
+        req.user.role === "branch_lead"
+          ? req.user.branch._id.toString()
+          : req.body.branch || null,
+      createdBy: req.user._id,
+    };
+
+    const existing = await PenaltyRule.findOne({
+      trigger: ruleData.trigger,
+      branch: ruleData.branch,
+      isActive: true,
+    });
+    if (existing) {
+      return res.status(400).json({
+        status: "error",
+        message: `An active ${ruleData.trigger} rule already exists for this ${ruleData.branch ? "branch" : "group"}. Update or deactivate it first.`,
+        data: { rule: existing },
+      });
+    }
+
+    const rule = await PenaltyRule.create(ruleData);
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "create_penalty_rule",
+      resource: "penalty_rule",
+      resourceId: rule._id,
+      details: {
+        name: rule.name,
+        trigger: rule.trigger,
+        branch: rule.branch,
+        amountType: rule.amountType,
+        amount: rule.amount,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Penalty rule created successfully",
+      data: { rule },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to create penalty rule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/penalty-rules/{id}:
+ *   put:
+ *     summary: Update a penalty rule by ID
+ *     tags: [Penalty Rules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Penalty rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Penalty rule updated successfully
+ *       404:
+ *         description: Penalty rule not found
+ *       500:
+ *         description: Failed to update penalty rule
+ */
+const updatePenaltyRule = async (req, res) => {
+  try {
+    const rule = await PenaltyRule.findById(req.params.id);
+
+    if (!rule || isOutsideBranch(req.user, rule.branch)) {
+      return res.status(404).json({
+        status: "error",
+        message: "Penalty rule not found",
+      });
+    }
+
+    // The trigger and branch identify the rule and cannot change
+    const { trigger, branch, createdBy, ...updates } = req.body;
+
+    // Save through the document so the cross-field checks run
+    rule.set(updates);
+    await rule.save();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "update_penalty_rule",
+      resource: "penalty_rule",
+      resourceId: rule._id,
+      details: updates,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Penalty rule updated successfully",
+      data: { rule },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to update penalty rule",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/penalty-rules/{id}:
+ *   delete:
+ *     summary: Deactivate a penalty rule (soft delete)
+ *     tags: [Penalty Rules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Penalty rule ID
+ *     responses:
+ *       200:
+ *         description: Penalty rule deactivated successfully
+ *       404:
+ *         description: Penalty rule not found
+ *       500:
+ *         description: Failed to delete penalty rule
+ */
+const deletePenaltyRule = async (req, res) => {
+  try {
+    const rule = await PenaltyRule.findById(req.params.id);
+
+    if (!rule || isOutsideBranch(req.user, rule.branch)) {
+      return res.status(404).json({
+        status: "error",
+        message: "Penalty rule not found",
+      });
+    }
+
+    rule.isActive = false;
+    await rule.save();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "delete_penalty_rule",
+      resource: "penalty_rule",
+      resourceId: rule._id,
+      details: { name: rule.name, trigger: rule.trigger },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Penalty rule deactivated successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to delete penalty rule",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllPenaltyRules,
+  getEffectivePenaltyRules,
+  createPenaltyRule,
+  updatePenaltyRule,
+  deletePenaltyRule,
+};
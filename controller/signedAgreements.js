@@ -0,0 +1,364 @@
+const Loan = require("../models/Loan");
+const SignedAgreement = require("../models/SignedAgreement");
+const AuditLog = require("../models/AuditLog");
+const { canAccessLoan } = require("../utils/loanAccess");
+
+/**
+ * @swagger
+ * /api/loans/{id}/signed-agreements:
+ *   post:
+ *     summary: Upload the signed agreement for a loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               agreement:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Signed agreement uploaded
+ *       400:
+ *         description: No file uploaded or loan is not awaiting disbursement
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to upload signed agreement
+ */
+const uploadSignedAgreement = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: "error",
+        message: "No file uploaded. Field name must be 'agreement'.",
+      });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    if (loan.member.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You can only upload agreements for your own loans.",
+      });
+    }
+
+    if (loan.status !== "approved") {
+      return res.status(400).json({
+        status: "error",
+        message: "Signed agreements can only be uploaded for approved loans awaiting disbursement",
+      });
+    }
+
+    if (await SignedAgreement.hasVerified(loan._id)) {
+      return res.status(400).json({
+        status: "error",
+        message: "A signed agreement has already been verified for this loan",
+      });
+    }
+
+    // Only the latest upload is reviewed
+    await SignedAgreement.updateMany(
+      { loan: loan._id, status: "pending" },
+      { status: "superseded" }
+    );
+
+    const agreement = await SignedAgreement.create({
+      loan: loan._id,
+      member: loan.member,
+      originalname: req.file.originalname,
+      fileData: req.file.buffer,
+      mimetype: req.file.mimetype,
+      size: req.file.size,
+      uploadedBy: req.user._id,
+      branch: loan.branch,
+    });
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "upload_signed_agreement",
+      resource: "loan",
+      resourceId: loan._id,
+      details: {
+        agreementId: agreement._id,
+        filename: agreement.originalname,
+        size: agreement.size,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    // Return the agreement without the large fileData field
+    const agreementResponse = agreement.toObject();
+    delete agreementResponse.fileData;
+
+    res.status(201).json({
+      status: "success",
+      message: "Signed agreement uploaded successfully",
+      data: { agreement: agreementResponse },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to upload signed agreement",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/signed-agreements:
+ *   get:
+ *     summary: List signed agreements uploaded for a loan
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Signed agreements, newest first
+ *       404:
+ *         description: Loan not found
+ *       500:
+ *         description: Failed to get signed agreements
+ */
+const getSignedAgreements = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Loan not found",
+      });
+    }
+
+    if (!canAccessLoan(req.user, loan)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You cannot view agreements for this loan.",
+      });
+    }
+
+    const agreements = await SignedAgreement.find({ loan: loan._id })
+      .select("-fileData")
+      .populate("uploadedBy", "firstName lastName")
+      .populate("reviewedBy", "firstName lastName")
+      .sort({ uploadedAt: -1 });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        agreements,
+        isVerified: agreements.some((agreement) => agreement.status === "verified"),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get signed agreements",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/signed-agreements/{agreementId}/download:
+ *   get:
+ *     summary: Download a signed agreement file
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: agreementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed agreement ID
+ *     responses:
+ *       200:
+ *         description: The uploaded file
+ *       404:
+ *         description: Signed agreement not found
+ *       500:
+ *         description: Failed to download signed agreement
+ */
+const downloadSignedAgreement = async (req, res) => {
+  try {
+    const agreement = await SignedAgreement.findOne({
+      _id: req.params.agreementId,
+      loan: req.params.id,
+    });
+    const loan = agreement && (await Loan.findById(agreement.loan));
+
+    if (!agreement || !loan) {
+      return res.status(404).json({
+        status: "error",
+        message: "Signed agreement not found",
+      });
+    }
+
+    if (!canAccessLoan(req.user, loan)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Access denied. You cannot view agreements for this loan.",
+      });
+    }
+
+    // The file name comes from the uploader; res.attachment escapes quotes
+    // and encodes non-ASCII characters so it cannot break the header
+    res.attachment(agreement.originalname);
+    res.set({
+      "Content-Type": agreement.mimetype,
+      "Content-Length": agreement.size,
+    });
+
+    res.send(agreement.fileData);
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to download signed agreement",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/loans/{id}/signed-agreements/{agreementId}/review:
+ *   patch:
+ *     summary: Verify or reject a signed agreement
+ *     tags: [Loans]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: agreementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed agreement ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [verified, rejected]
+ *               rejectionReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Signed agreement reviewed
+ *       400:
+ *         description: Agreement has already been reviewed
+ *       404:
+ *         description: Signed agreement not found
+ *       500:
+ *         description: Failed to review signed agreement
+ */
+const reviewSignedAgreement = async (req, res) => {
+  try {
+    const { status, rejectionReason } = req.body;
+
+    const agreement = await SignedAgreement.findOne({
+      _id: req.params.agreementId,
+      loan: req.params.id,
+    }).select("-fileData");
+
+    if (!agreement) {
+      return res.status(404).json({
+        status: "error",
+        message: "Signed agreement not found",
+      });
+    }
+
+    if (agreement.status !== "pending") {
+      return res.status(400).json({
+        status: "error",
+        message: `This agreement has already been ${agreement.status}`,
+      });
+    }
+
+    agreement.status = status;
+    agreement.reviewedBy = req.user._id;
+    agreement.reviewedAt = new Date();
+    if (status === "rejected") {
+      agreement.rejectionReason = rejectionReason;
+    }
+    await agreement.save();
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action:
+        status === "verified"
+          ? "verify_signed_agreement"
+          : "reject_signed_agreement",
+      resource: "loan",
+      resourceId: agreement.loan,
+      details: {
+        agreementId: agreement._id,
+        ...(status === "rejected" && { rejectionReason }),
+      },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: `Signed agreement ${status} successfully`,
+      data: { agreement },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to review signed agreement",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  uploadSignedAgreement,
+  getSignedAgreements,
+  downloadSignedAgreement,
+  reviewSignedAgreement,
+};
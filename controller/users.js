@@ -3,6 +3,28 @@ const AuditLog = require("../models/AuditLog");
 const Contribution = require("../models/Contribution");
 const Loan = require("../models/Loan");
 const Penalty = require("../models/Penalty"); // Import Penalty model
+const { getExportFormat, sendExport, personName } = require("../utils/listExport");
+const { calculateMemberShares, calculateMemberShare } = require("../utils/memberShares");
+const { buildMemberStatement } = require("../utils/memberStatement");
+const { generateMemberStatementPdf } = require("../utils/memberStatementPdf");
+const sgMail = require("@sendgrid/mail");
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+// Members see their own records, branch leads their branch's, admins everyone's
+const getRecordAccessError = (viewer, user) => {
+  if (viewer.role === "member" && viewer._id.toString() !== user._id.toString()) {
+    return "Access denied. You can only view your own records.";
+  }
+  if (
+    viewer.role === "branch_lead" &&
+    viewer._id.toString() !== user._id.toString() &&
+    String(user.branch?._id || user.branch) !== viewer.branch._id.toString()
+  ) {
+    return "Access denied. You can only view users from your branch.";
+  }
+  return null;
+};
 
 /**
  * @swagger
@@ -36,6 +58,12 @@ const Penalty = require("../models/Penalty"); // Import Penalty model
  *         schema:
  *           type: string
  *         description: Search by name or email
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         description: Download every matching user (not just one page) as a CSV or XLSX file. Branch leads get their branch's users and members only themselves.
  *     responses:
  *       200:
  *         description: List of users
@@ -72,14 +100,26 @@ const getAllUsers = async (req, res) => {
       ];
     }
 
+    // Exports contain every matching user rather than one page, so they are
+    // limited to what the caller may see: a branch lead their branch, a member themselves
+    const format = getExportFormat(req);
+    if (format) {
+      if (req.user.role === "member") {
+        query._id = req.user._id;
+      } else if (req.user.role === "branch_lead") {
+        query.branch = req.user.branch._id.toString();
+      }
+    }
+
     // Fetch users as plain objects
-    const users = await User.find(query)
+    let usersQuery = User.find(query)
       .populate("branch")
       .select("-password")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
+      .sort({ createdAt: -1 });
+    if (!format) {
+      usersQuery = usersQuery.skip(skip).limit(limit);
+    }
+    const users = await usersQuery.lean();
 
     // Get all user IDs
     const userIds = users.map((u) => u._id);
@@ -101,6 +141,33 @@ const getAllUsers = async (req, res) => {
       user.totalContributions = contributionsMap[user._id.toString()] || 0;
     });
 
+    if (format) {
+      return sendExport(res, format, {
+        fileName: "users",
+        sheetName: "Users",
+        columns: [
+          { header: "Name", width: 24, value: (u) => personName(u) },
+          { header: "Email", width: 28, value: (u) => u.email },
+          { header: "Role", value: (u) => u.role },
+          { header: "Branch", width: 20, value: (u) => u.branch && u.branch.name },
+          { header: "Join Date", type: "date", value: (u) => u.joinDate || u.createdAt },
+          { header: "Status", value: (u) => u.status },
+          { header: "Active", value: (u) => (u.isActive ? "Yes" : "No") },
+          { header: "Total Contributions", type: "money", value: (u) => u.totalContributions },
+          { header: "Total Loans", type: "money", value: (u) => u.totalLoans },
+          { header: "Unpaid Penalties", type: "money", value: (u) => u.totalPenalties },
+        ],
+        rows: users,
+        summary: [
+          ["Users", users.length],
+          [
+            "Total contributions",
+            users.reduce((sum, u) => sum + (u.totalContributions || 0), 0),
+          ],
+        ],
+      });
+    }
+
     const total = await User.countDocuments(query);
 
     res.status(200).json({
@@ -388,15 +455,15 @@ const deleteUser = async (req, res) => {
 
     // Check if user has any loans that are not repaid (pending or approved)
     const activeLoans = await Loan.findOne({
-      memberId: req.params.id,
-      status: { $in: ["pending", "approved"] },
+      member: req.params.id,
+      status: { $in: ["pending", "queued", "approved", "disbursed", "defaulted"] },
     });
 
     if (activeLoans) {
       return res.status(400).json({
         status: "error",
         message:
-          "Cannot delete user. User has active loans (pending or approved) in the system.",
+          "Cannot delete user. User has active loans (pending, approved or disbursed) in the system.",
       });
     }
 
@@ -515,199 +582,12 @@ const getMemberShares = async (req, res) => {
     // Add caching headers for read-only endpoint with heavy computations
     res.set("Cache-Control", "public, max-age=30");
 
-    // Get all active members AND branch leads who have contributions
-    const contributors = await User.find({
-      role: { $in: ["member", "branch_lead"] },
-      isActive: true,
-      totalContributions: { $gt: 0 },
-    })
-      .populate({ path: "branch", select: "name code location" })
-      .lean();
-
-    const contributorIds = contributors.map((c) => c._id);
-
-    // Get total contributions
-    const contribResult = await Contribution.aggregate([
-      { $group: { _id: null, total: { $sum: "$amount" } } },
-    ]);
-    const totalContributions = contribResult[0]?.total || 0;
-
-    // ============================================
-    // OPTIMIZATION: Fetch ALL contributions ONCE with timestamps
-    // ============================================
-    const allContributions = await Contribution.find({
-      memberId: { $in: contributorIds }
-    })
-      .select('memberId amount createdAt')
-      .sort({ createdAt: 1 })
-      .lean();
-
-    // Create a sorted array for efficient lookups
-    const sortedContributions = allContributions.map(c => ({
-      memberId: c.memberId.toString(),
-      amount: c.amount,
-      createdAt: c.createdAt
-    }));
-
-    // Maps for interest calculations
-    const interestEarnedMap = {};
-    const interestToBeEarnedMap = {};
-    contributors.forEach((c) => {
-      const id = c._id.toString();
-      interestEarnedMap[id] = 0;
-      interestToBeEarnedMap[id] = 0;
-    });
-
-    // ============================================
-    // OPTIMIZED: Helper function using cached data
-    // ============================================
-    const allocateByContribsBeforeOptimized = (amount, cutoffDate) => {
-      if (!cutoffDate || amount <= 0) return {};
-
-      // Calculate totals from cached contributions
-      const totals = {};
-      let pool = 0;
-
-      sortedContributions.forEach(contrib => {
-        if (contrib.createdAt <= cutoffDate) {
-          const id = contrib.memberId;
-          totals[id] = (totals[id] || 0) + contrib.amount;
-          pool += contrib.amount;
-        }
-      });
-
-      if (pool <= 0) return {};
-
-      // Calculate allocations
-      const allocations = {};
-      Object.keys(totals).forEach((id) => {
-        allocations[id] = (totals[id] / pool) * amount;
-      });
-
-      return allocations;
-    };
-
-    // ============================================
-    // Fetch all loans and penalties in parallel
-    // ============================================
-    const [repaidLoans, paidPenalties, approvedLoans, pendingPenalties] = await Promise.all([
-      Loan.find({ status: "repaid" })
-        .select("totalAmount amount repaidAt updatedAt createdAt")
-        .lean(),
-
-      Penalty.find({ status: "paid" })
-        .select("amount paidDate updatedAt createdAt member")
-        .populate("member", "_id")
-        .lean(),
-
-      Loan.find({ status: "approved" })
-        .select("totalAmount amount")
-        .lean(),
-
-      Penalty.find({ status: { $ne: "paid" } })
-        .select("amount member")
-        .populate("member", "_id")
-        .lean()
-    ]);
-
-    // ============================================
-    // Process repaid loans (interest already earned)
-    // ============================================
-    let summedInterestFromRepaidLoans = 0;
-    for (const loan of repaidLoans) {
-      const repaidAt = loan.repaidAt || loan.updatedAt || loan.createdAt;
-      const interestAmount = (loan.totalAmount || 0) - (loan.amount || 0);
-      if (!repaidAt || interestAmount <= 0) continue;
-
-      // Use optimized function with cached data
-      const allocations = allocateByContribsBeforeOptimized(interestAmount, repaidAt);
-      Object.entries(allocations).forEach(([id, value]) => {
-        interestEarnedMap[id] = (interestEarnedMap[id] || 0) + value;
-      });
-
-      summedInterestFromRepaidLoans += interestAmount;
-    }
-
-    // ============================================
-    // Process paid penalties (additional interest earned)
-    // ============================================
-    let summedInterestFromPaidPenalties = 0;
-    for (const penalty of paidPenalties) {
-      if (!penalty.member) continue;
-      const paidDate = penalty.paidDate || penalty.updatedAt || penalty.createdAt;
-      const penaltyAmount = penalty.amount || 0;
-      if (!paidDate || penaltyAmount <= 0) continue;
-
-      // Use optimized function with cached data
-      const allocations = allocateByContribsBeforeOptimized(penaltyAmount, paidDate);
-      Object.entries(allocations).forEach(([id, value]) => {
-        interestEarnedMap[id] = (interestEarnedMap[id] || 0) + value;
-      });
-
-      summedInterestFromPaidPenalties += penaltyAmount;
-    }
-
-    // ============================================
-    // Process approved loans and pending penalties (interest to be earned)
-    // ============================================
-    let summedInterestFromApprovedLoans = 0;
-    for (const loan of approvedLoans) {
-      const interestAmount = (loan.totalAmount || 0) - (loan.amount || 0);
-      if (interestAmount > 0) {
-        summedInterestFromApprovedLoans += interestAmount;
-      }
-    }
-
-    // Only use pending penalties where member is not null
-    const summedPendingPenalties = pendingPenalties.reduce((sum, penalty) =>
-      penalty.member ? sum + (penalty.amount || 0) : sum, 0);
-
-    // Total pending interest includes both loan interest and pending penalties
-    const totalPendingInterest = summedInterestFromApprovedLoans + summedPendingPenalties;
-
-    // Distribute the total pending interest based on contribution shares
-    contributors.forEach(contributor => {
-      const id = contributor._id.toString();
-      const sharePercentage = totalContributions > 0
-        ? (contributor.totalContributions || 0) / totalContributions
-        : 0;
-      interestToBeEarnedMap[id] = totalPendingInterest * sharePercentage;
-    });
-
-    // ============================================
-    // Build response data
-    // ============================================
-    const data = contributors.map((contributor) => {
-      const id = contributor._id.toString();
-      const share = totalContributions > 0
-        ? (contributor.totalContributions || 0) / totalContributions
-        : 0;
-
-      return {
-        id: contributor._id,
-        name: contributor.fullName || `${contributor.firstName} ${contributor.lastName}`,
-        role: contributor.role === "branch_lead" ? "Branch Lead" : "Member",
-        branch: contributor.branch?.name || contributor.branch || "Unknown",
-        totalContribution: contributor.totalContributions || 0,
-        sharePercentage: Math.round(share * 10000) / 100,
-        interestEarned: Math.round((interestEarnedMap[id] || 0) * 100) / 100,
-        interestToBeEarned: Math.round((interestToBeEarnedMap[id] || 0) * 100) / 100,
-      };
-    });
-
-    // Sort by total contribution descending
-    data.sort((a, b) => b.totalContribution - a.totalContribution);
+    const { shares, summary } = await calculateMemberShares();
 
     res.status(200).json({
       status: "success",
-      data,
-      summary: {
-        totalContributions,
-        totalInterest: Math.round((summedInterestFromRepaidLoans + summedInterestFromPaidPenalties) * 100) / 100,
-        totalInterestToBeEarned: Math.round(totalPendingInterest * 100) / 100,
-        totalContributors: data.length,
-        totalPenaltyInterest: Math.round(summedInterestFromPaidPenalties * 100) / 100,
-      },
+      data: shares,
+      summary,
     });
   } catch (error) {
     console.error("getMemberShares error:", error);
@@ -735,6 +615,8 @@ const getMemberShares = async (req, res) => {
  *     responses:
  *       200:
  *         description: User report data
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: User not found
  *       500:
@@ -757,6 +639,14 @@ const getUserReport = async (req, res) => {
       });
     }
 
+    const accessError = getRecordAccessError(req.user, user);
+    if (accessError) {
+      return res.status(403).json({
+        status: 'error',
+        message: accessError
+      });
+    }
+
     // Get contributions
     const contributions = await Contribution.find({ memberId: userId })
       .sort({ createdAt: -1 })
@@ -765,21 +655,21 @@ const getUserReport = async (req, res) => {
     const totalContributions = contributions.reduce((sum, contrib) => sum + contrib.amount, 0);
 
     // Get loans
-    const loans = await Loan.find({ memberId: userId })
+    const loans = await Loan.find({ member: userId })
       .sort({ createdAt: -1 })
       .lean();
 
     // Calculate loan statistics
     const loanStats = {
       totalLoansCount: loans.length,
-      activeLoans: loans.filter(loan => ['pending', 'approved'].includes(loan.status)),
+      activeLoans: loans.filter(loan => ['pending', 'queued', 'approved', 'disbursed', 'defaulted'].includes(loan.status)),
       repaidLoans: loans.filter(loan => loan.status === 'repaid'),
       totalBorrowed: loans.reduce((sum, loan) => sum + (loan.amount || 0), 0),
       totalRepaid: loans.reduce((sum, loan) => sum + (loan.totalAmount || 0), 0),
     };
 
     // Get penalties
-    const penalties = await Penalty.find({ memberId: userId })
+    const penalties = await Penalty.find({ member: userId })
       .sort({ createdAt: -1 })
       .lean();
 
@@ -794,7 +684,7 @@ const getUserReport = async (req, res) => {
     };
 
     // Calculate shares and interest
-    const { interestEarned, interestToBeEarned } = await calculateUserInterest(userId);
+    const share = await calculateMemberShare(userId);
 
     const report = {
       userDetails: {
@@ -804,7 +694,7 @@ const getUserReport = async (req, res) => {
         phone: user.phone,
         role: user.role,
         branch: user.branch,
-        membershipDate: user.createdAt,
+        membershipDate: user.joinDate || user.createdAt,
         isActive: user.isActive,
       },
       contributionSummary: {
@@ -823,8 +713,8 @@ const getUserReport = async (req, res) => {
         recentPenalties: penalties.slice(0, 5), // Last 5 penalties
       },
       investmentSummary: {
-        totalInterestEarned: interestEarned,
-        pendingInterest: interestToBeEarned,
+        totalInterestEarned: share ? share.interestEarned : 0,
+        pendingInterest: share ? share.interestToBeEarned : 0,
         sharePercentage: totalContributions > 0
           ? ((totalContributions / await getTotalContributions()) * 100).toFixed(2)
           : '0.00',
@@ -846,13 +736,262 @@ const getUserReport = async (req, res) => {
   }
 };
 
-// Helper functions
-async function calculateUserInterest(userId) {
-  // Reuse logic from getMemberShares but for single user
-  // ... implementation details ...
-  return { interestEarned: 0, interestToBeEarned: 0 }; // Implement actual calculation
-}
+// Statement period from ?from=&to= (or the body); defaults to the year so far
+const getStatementPeriod = (source) => {
+  const to = source.to ? new Date(source.to) : new Date();
+  to.setHours(23, 59, 59, 999);
+  const from = source.from ? new Date(source.from) : new Date(to.getFullYear(), 0, 1);
+  from.setHours(0, 0, 0, 0);
+  return { from, to };
+};
+
+const statementFileName = (statement) =>
+  `statement_${statement.member.name.replace(/[^a-zA-Z0-9]+/g, "_")}_${statement.period.to
+    .toISOString()
+    .slice(0, 10)}.pdf`;
 
+/**
+ * @swagger
+ * /api/users/{id}/statement:
+ *   get:
+ *     summary: Download a member's account statement as a PDF
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the period (defaults to 1 January of the end date's year)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the period (defaults to today)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, json]
+ *         description: Defaults to pdf
+ *     responses:
+ *       200:
+ *         description: Statement PDF, or the statement data when format=json
+ *       400:
+ *         description: Invalid period
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to generate statement
+ */
+const getMemberStatement = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .populate("branch", "name code")
+      .select("-password");
+
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    const accessError = getRecordAccessError(req.user, user);
+    if (accessError) {
+      return res.status(403).json({
+        status: "error",
+        message: accessError,
+      });
+    }
+
+    const { from, to } = getStatementPeriod(req.query);
+    if (from > to) {
+      return res.status(400).json({
+        status: "error",
+        message: "The start of the period must be before its end",
+      });
+    }
+
+    const share = await calculateMemberShare(user._id);
+    const statement = await buildMemberStatement(user, { from, to, share });
+
+    if (req.query.format === "json") {
+      return res.status(200).json({
+        status: "success",
+        data: { statement },
+      });
+    }
+
+    const pdfBuffer = await generateMemberStatementPdf(statement);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${statementFileName(statement)}"`
+    );
+    res.status(200).send(pdfBuffer);
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to generate statement",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/users/statements/email:
+ *   post:
+ *     summary: Email account statements to members
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Statements sent, with a result per member
+ *       400:
+ *         description: Invalid period
+ *       404:
+ *         description: No matching members
+ *       500:
+ *         description: Failed to email statements
+ */
+const emailMemberStatements = async (req, res) => {
+  try {
+    const { from, to } = getStatementPeriod(req.body);
+    if (from > to) {
+      return res.status(400).json({
+        status: "error",
+        message: "The start of the period must be before its end",
+      });
+    }
+
+    let query = {
+      role: { $in: ["member", "branch_lead"] },
+      isActive: true,
+    };
+    if (req.body.memberIds && req.body.memberIds.length) {
+      query._id = { $in: req.body.memberIds };
+    }
+    if (req.body.branch) {
+      query.branch = req.body.branch;
+    }
+
+    const members = await User.find(query)
+      .populate("branch", "name code")
+      .select("-password");
+
+    if (!members.length) {
+      return res.status(404).json({
+        status: "error",
+        message: "No matching members found",
+      });
+    }
+
+    // Shares are the same for every statement, so work them out once
+    const { shares } = await calculateMemberShares();
+
+    const results = [];
+    for (const member of members) {
+      if (!member.email) {
+        results.push({ memberId: member._id, status: "skipped", error: "No email address" });
+        continue;
+      }
+      try {
+        const share = shares.find((entry) => entry.id.toString() === member._id.toString());
+        const statement = await buildMemberStatement(member, { from, to, share });
+        const pdfBuffer = await generateMemberStatementPdf(statement);
+        const period = `${from.toISOString().slice(0, 10)} to ${to.toISOString().slice(0, 10)}`;
+
+        await sgMail.send({
+          to: member.email,
+          from: process.env.SENDGRID_VERIFIED_SENDER,
+          subject: "Your Account Statement — Community Saver",
+          text: `Hello ${member.firstName}, your Community Saver account statement for ${period} is attached.`,
+          html: `
+            <div style="font-family: Arial, sans-serif; color: #1f2937; max-width: 600px; margin: auto;">
+              <h2 style="color: #0f766e; margin-bottom: 0.5rem;">Your Account Statement</h2>
+              <p>Hello ${member.firstName},</p>
+              <p style="color:#374151;">
+                Your statement for <strong>${period}</strong> is attached. It shows your savings,
+                loans and penalties with their opening and closing balances for the period.
+              </p>
+              <p style="color:#374151;">If anything looks wrong, please contact your branch lead.</p>
+              <p style="margin-top: 20px;">
+                Regards,<br/>
+                <strong>Community Saver Team</strong>
+              </p>
+              <hr style="border:none; border-top:1px solid #e6eef0; margin-top:20px;" />
+              <small style="color:#9ca3af;">This is an autogenerated message — do not reply directly.</small>
+            </div>
+          `,
+          attachments: [
+            {
+              content: pdfBuffer.toString("base64"),
+              filename: statementFileName(statement),
+              type: "application/pdf",
+              disposition: "attachment",
+            },
+          ],
+        });
+        results.push({ memberId: member._id, email: member.email, status: "sent" });
+      } catch (sendErr) {
+        console.error(
+          `Failed to email statement to ${member.email}:`,
+          sendErr?.response?.body || sendErr
+        );
+        results.push({
+          memberId: member._id,
+          email: member.email,
+          status: "failed",
+          error: sendErr.message,
+        });
+      }
+    }
+
+    const sent = results.filter((r) => r.status === "sent").length;
+    const failed = results.filter((r) => r.status === "failed").length;
+
+    // Log the action
+    await AuditLog.create({
+      user: req.user._id,
+      action: "email_statements",
+      resource: "user",
+      details: { from, to, branch: req.body.branch, sent, failed },
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: `Statements sent to ${sent} of ${members.length} members`,
+      data: { sent, failed, results },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: "Failed to email statements",
+      error: error.message,
+    });
+  }
+};
+
+// Helper functions
 async function getTotalContributions() {
   const result = await Contribution.aggregate([
     { $group: { _id: null, total: { $sum: '$amount' } } }
@@ -869,4 +1008,6 @@ module.exports = {
   getUserShares,
   getMemberShares,
   getUserReport,
+  getMemberStatement,
+  emailMemberStatements,
 };
\ No newline at end of file
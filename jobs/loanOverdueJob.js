@@ -0,0 +1,164 @@
+// In-process job that keeps disbursed loans in step with their repayment schedule:
+// flags overdue loans, charges late-repayment penalties once per late installment
+// (under the late_loan_repayment penalty rule) and marks loans as defaulted once they stay overdue past the grace period.
+
+const Loan = require("../models/Loan");
+const Penalty = require("../models/Penalty");
+const AuditLog = require("../models/AuditLog");
+const loanPolicy = require("../config/loanPolicy");
+const { applyPenaltyRule, resolvePenaltyRule } = require("../utils/penaltyEngine");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) =>
+  Math.floor((new Date(to) - new Date(from)) / DAY_MS);
+
+// No user is behind the job's penalties and audit entries; they are marked
+// automated instead
+const logAction = (action, loan, details) =>
+  AuditLog.create({
+    user: null,
+    automated: true,
+    action,
+    resource: "loan",
+    resourceId: loan._id,
+    details,
+  });
+
+// Late installments are charged under the branch's late_loan_repayment rule
+const applyLatePenalties = async (loan, overdue, now) => {
+  const rule = await resolvePenaltyRule("late_loan_repayment", loan.branch);
+  if (!rule) return 0;
+
+  let applied = 0;
+
+  for (const installment of overdue) {
+    const alreadyCharged = await Penalty.exists({
+      loan: loan._id,
+      installmentNumber: installment.installmentNumber,
+      reason: "late_loan_repayment",
+    });
+    if (alreadyCharged) continue;
+
+    const { penalty } = await applyPenaltyRule({
+      trigger: "late_loan_repayment",
+      member: loan.member,
+      branch: loan.branch,
+      occurredAt: now,
+      dueDate: installment.dueDate,
+      baseAmount: (installment.amountDue || 0) - (installment.amountPaid || 0),
+      assignedBy: null,
+      description: installment.installmentNumber
+        ? `Late repayment of installment ${installment.installmentNumber} due ${installment.dueDate.toISOString().slice(0, 10)}`
+        : `Late repayment of loan due ${installment.dueDate.toISOString().slice(0, 10)}`,
+      fields: {
+        automated: true,
+        loan: loan._id,
+        installmentNumber: installment.installmentNumber,
+      },
+      rule,
+    });
+    if (!penalty) continue;
+
+    await logAction("apply_late_penalty", loan, {
+      penaltyId: penalty._id,
+      installmentNumber: installment.installmentNumber,
+      amount: penalty.amount,
+      rule: rule.name,
+    });
+    applied++;
+  }
+
+  return applied;
+};
+
+/**
+ * Scan every disbursed loan once.
+ * Returns a summary of what changed so callers can log it.
+ */
+const runLoanOverdueCheck = async (now = new Date()) => {
+  const summary = { scanned: 0, flagged: 0, cleared: 0, penalties: 0, defaulted: 0 };
+
+  const loans = await Loan.find({ status: "disbursed" });
+
+  for (const loan of loans) {
+    summary.scanned++;
+    const overdue = loan.getOverdueInstallments(now);
+
+    if (overdue.length === 0) {
+      if (loan.isOverdue) {
+        loan.isOverdue = false;
+        loan.overdueSince = null;
+        await logAction("clear_loan_overdue", loan, {});
+        summary.cleared++;
+      }
+      // Persist any installment statuses refreshed above
+      if (loan.isModified()) await loan.save();
+      continue;
+    }
+
+    if (!loan.isOverdue) {
+      loan.isOverdue = true;
+      loan.overdueSince = overdue[0].dueDate;
+      await logAction("flag_loan_overdue", loan, {
+        overdueSince: loan.overdueSince,
+        overdueInstallments: overdue.length,
+      });
+      summary.flagged++;
+    }
+
+    summary.penalties += await applyLatePenalties(loan, overdue, now);
+
+    const daysOverdue = daysBetween(loan.overdueSince, now);
+    if (
+      daysOverdue >= loanPolicy.defaultGraceDays &&
+      loan.canTransitionTo("defaulted")
+    ) {
+      loan.status = "defaulted";
+      loan.defaultedAt = now;
+      await logAction("default_loan", loan, {
+        daysOverdue,
+        remainingAmount: loan.remainingAmount,
+      });
+      summary.defaulted++;
+    }
+
+    await loan.save();
+  }
+
+  return summary;
+};
+
+let timer = null;
+
+// Start the recurring scan; safe to call more than once
+const startLoanOverdueJob = () => {
+  if (!loanPolicy.overdueJob.enabled || timer) return;
+
+  const run = async () => {
+    try {
+      const summary = await runLoanOverdueCheck();
+      if (summary.flagged || summary.penalties || summary.defaulted || summary.cleared) {
+        console.log("Loan overdue check:", summary);
+      }
+    } catch (error) {
+      console.error("Loan overdue check failed:", error.message);
+    }
+  };
+
+  timer = setInterval(run, loanPolicy.overdueJob.intervalMinutes * 60 * 1000);
+  run();
+};
+
+const stopLoanOverdueJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runLoanOverdueCheck,
+  startLoanOverdueJob,
+  stopLoanOverdueJob,
+};
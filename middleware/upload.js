@@ -0,0 +1,60 @@
+const multer = require('multer');
+
+// Files are kept in memory and stored on the document, like uploaded reports
+const MAX_FILE_SIZE = 16 * 1024 * 1024; // 16MB (MongoDB document limit is 16MB)
+
+const DOCUMENT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Accept scanned documents: PDFs and photos
+exports.documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    error.message = 'Only PDF, JPEG, or PNG files are allowed';
+    cb(error);
+  }
+});
+
+const IMPORT_EXTENSIONS = ['csv', 'xlsx'];
+
+// Accept spreadsheets for record imports; browsers report CSV under several MIME types, so check the extension
+exports.importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = (file.originalname || '').split('.').pop().toLowerCase();
+    if (IMPORT_EXTENSIONS.includes(extension)) {
+      return cb(null, true);
+    }
+    const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    error.message = 'Only CSV or XLSX files are allowed';
+    cb(error);
+  }
+});
+
+// Turn multer errors into the API's error response shape
+exports.handleUploadErrors = (fieldName) => (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'File size exceeds 16MB limit'
+      });
+    }
+    return res.status(400).json({
+      status: 'error',
+      message: err.message === 'Unexpected field'
+        ? `File field name must be '${fieldName}'`
+        : err.message
+    });
+  }
+  next(err);
+};
@@ -1,4 +1,4 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 
 // Handle validation errors
 exports.handleValidationErrors = (req, res, next) => {
@@ -62,7 +62,30 @@ exports.validateContribution = [
   body('description')
     .optional()
     .isLength({ max: 200 })
-    .withMessage('Description cannot exceed 200 characters')
+    .withMessage('Description cannot exceed 200 characters'),
+  body('emailReceipt')
+    .optional()
+    .isBoolean()
+    .withMessage('emailReceipt must be true or false')
+];
+
+// Bulk contribution validation rules; rows are checked one by one in the controller
+exports.validateBulkContributions = [
+  body('contributions')
+    .isArray({ min: 1 })
+    .withMessage('Contributions must be a non-empty list'),
+  body('contributionType')
+    .optional()
+    .isIn(['monthly', 'weekly', 'special', 'penalty_payment'])
+    .withMessage('Invalid contribution type'),
+  body('contributionDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Contribution date must be a valid date'),
+  body('allowPartial')
+    .optional()
+    .isBoolean()
+    .withMessage('allowPartial must be true or false')
 ];
 
 // Loan validation rules
@@ -72,19 +95,417 @@ exports.validateLoan = [
     .withMessage('Amount must be greater than 0'),
   body('duration')
     .isInt({ min: 1, max: 60 })
-    .withMessage('Duration must be between 1 and 60 months')
+    .withMessage('Duration must be between 1 and 60 months'),
+  body('interestMethod')
+    .optional()
+    .isIn(['flat', 'reducing_balance', 'compound'])
+    .withMessage('Interest method must be flat, reducing_balance, or compound'),
+  body('product')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid loan product ID'),
+  body('guarantors')
+    .optional()
+    .isArray()
+    .withMessage('Guarantors must be a list'),
+  body('guarantors.*.member')
+    .isMongoId()
+    .withMessage('Invalid guarantor member ID'),
+  body('guarantors.*.amount')
+    .isFloat({ min: 1 })
+    .withMessage('Pledged amount must be greater than 0')
+];
+
+exports.validateGuaranteeResponse = [
+  body('decision')
+    .isIn(['accepted', 'declined'])
+    .withMessage('Decision must be accepted or declined'),
+  body('comment')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Comment cannot exceed 300 characters')
+];
+
+exports.validateAgreementReview = [
+  body('status')
+    .isIn(['verified', 'rejected'])
+    .withMessage('Status must be verified or rejected'),
+  body('rejectionReason')
+    .if(body('status').equals('rejected'))
+    .trim()
+    .isLength({ min: 3, max: 300 })
+    .withMessage('Rejection reason must be between 3 and 300 characters')
+];
+
+exports.validateCollateral = [
+  body('type')
+    .isIn(['land', 'building', 'vehicle', 'equipment', 'livestock', 'savings', 'other'])
+    .withMessage('Type must be land, building, vehicle, equipment, livestock, savings, or other'),
+  body('description')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Description must be between 3 and 500 characters'),
+  body('estimatedValue')
+    .isFloat({ min: 1 })
+    .withMessage('Estimated value must be greater than 0')
+];
+
+exports.validateCollateralUpdate = [
+  body('type')
+    .optional()
+    .isIn(['land', 'building', 'vehicle', 'equipment', 'livestock', 'savings', 'other'])
+    .withMessage('Type must be land, building, vehicle, equipment, livestock, savings, or other'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Description must be between 3 and 500 characters'),
+  body('estimatedValue')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Estimated value must be greater than 0')
 ];
 
 exports.validateLoanApproval = [
   body('status')
     .isIn(['approved', 'rejected'])
     .withMessage('Status must be approved or rejected'),
+  body('interestMethod')
+    .optional()
+    .isIn(['flat', 'reducing_balance', 'compound'])
+    .withMessage('Interest method must be flat, reducing_balance, or compound'),
+  body('comment')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Comment cannot exceed 300 characters'),
+  body('queue')
+    .optional()
+    .isBoolean()
+    .withMessage('Queue must be true or false')
+    .toBoolean(),
   // body('rejectionReason')
   //   .if(body('status').equals('rejected'))
   //   .notEmpty()
   //   .withMessage('Rejection reason is required when rejecting loan')
 ];
 
+exports.validateLoanDisbursement = [
+  body('method')
+    .optional()
+    .isIn(['cash', 'mobile_money', 'bank_transfer', 'cheque', 'other'])
+    .withMessage('Invalid disbursement method'),
+  body('reference')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Notes cannot exceed 300 characters'),
+  body('queue')
+    .optional()
+    .isBoolean()
+    .withMessage('Queue must be true or false')
+    .toBoolean()
+];
+
+exports.validateLoanRepayment = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  body('paymentDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Payment date must be a valid date'),
+  body('method')
+    .optional()
+    .isIn(['cash', 'mobile_money', 'bank_transfer', 'cheque', 'other'])
+    .withMessage('Invalid repayment method'),
+  body('reference')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Notes cannot exceed 300 characters')
+];
+
+exports.validateLoanPayoff = [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Settlement date must be a valid date'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('method')
+    .optional()
+    .isIn(['cash', 'mobile_money', 'bank_transfer', 'cheque', 'other'])
+    .withMessage('Invalid repayment method'),
+  body('reference')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Notes cannot exceed 300 characters')
+];
+
+exports.validateLoanWriteOff = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 300 })
+    .withMessage('Reason must be between 3 and 300 characters')
+];
+
+exports.validateImportRollback = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 300 })
+    .withMessage('Reason must be between 3 and 300 characters')
+];
+
+exports.validateStatementEmail = [
+  body(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Statement dates must be valid dates'),
+  body('memberIds')
+    .optional()
+    .isArray()
+    .withMessage('Member IDs must be a list'),
+  body('memberIds.*')
+    .isMongoId()
+    .withMessage('Invalid member ID'),
+  body('branch')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid branch ID')
+];
+
+exports.validateStatementPeriod = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Statement dates must be valid dates')
+];
+
+exports.validateLoanRestructure = [
+  body('duration')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Duration must be between 1 and 60 months'),
+  body('interestRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Interest rate must be between 0 and 100'),
+  body('interestMethod')
+    .optional()
+    .isIn(['flat', 'reducing_balance', 'compound'])
+    .withMessage('Interest method must be flat, reducing_balance, or compound'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 300 })
+    .withMessage('Reason must be between 3 and 300 characters')
+];
+
+exports.validateLoanApprovalStep = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Step name must be between 2 and 100 characters'),
+  body('order')
+    .isInt({ min: 1 })
+    .withMessage('Order must be a whole number of at least 1'),
+  body('role')
+    .isIn(['branch_lead', 'admin'])
+    .withMessage('Role must be branch_lead or admin'),
+  body('minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount cannot be negative'),
+  body('requiredApprovals')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('At least one approval is required')
+];
+
+// Credit score settings validation rules
+exports.validateCreditScoreSettings = [
+  body('weights')
+    .optional()
+    .isObject()
+    .withMessage('Weights must be an object keyed by factor'),
+  body('weights.*')
+    .isFloat({ min: 0 })
+    .withMessage('Each weight must be a number of at least 0'),
+  body('lookbackMonths')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Lookback must be between 1 and 60 months'),
+  body('fullScoreMembershipMonths')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Full-score membership age must be at least 1 month'),
+  body(['penaltyDeduction', 'defaultDeduction', 'neutralScore'])
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Deductions and the neutral score must be between 0 and 100')
+];
+
+// Liquidity settings validation rules
+exports.validateLiquiditySettings = [
+  body('reserveRatio')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Reserve ratio must be between 0 and 100'),
+  body('mode')
+    .optional()
+    .isIn(['block', 'warn'])
+    .withMessage('Mode must be block or warn'),
+  body('queuePolicy')
+    .optional()
+    .isIn(['fifo', 'smallest_first', 'credit_score'])
+    .withMessage('Queue policy must be fifo, smallest_first, or credit_score')
+];
+
+// Loan waiting list order validation rules
+exports.validateLoanQueueOrder = [
+  body('loanIds')
+    .isArray()
+    .withMessage('Loan IDs must be a list'),
+  body('loanIds.*')
+    .isMongoId()
+    .withMessage('Invalid loan ID')
+];
+
+// Loan product validation rules
+exports.validateLoanProduct = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Product name must be between 2 and 100 characters'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Product code is required'),
+  body('minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount cannot be negative'),
+  body('maxAmount')
+    .isFloat({ min: 1 })
+    .withMessage('Maximum amount must be greater than 0'),
+  body('maxContributionMultiple')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Contribution multiple cannot be negative'),
+  body('allowedDurations')
+    .optional()
+    .isArray()
+    .withMessage('Allowed durations must be a list of months'),
+  body('allowedDurations.*')
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Each allowed duration must be between 1 and 60 months'),
+  body('defaultInterestRate')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Default interest rate must be between 0 and 100'),
+  body('interestMethod')
+    .optional()
+    .isIn(['flat', 'reducing_balance', 'compound'])
+    .withMessage('Interest method must be flat, reducing_balance, or compound'),
+  body('minMembershipMonths')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Minimum membership age must be a whole number of months'),
+  body('requiredGuaranteeCoverage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Required guarantee coverage must be between 0 and 100')
+];
+
+// Contribution plan validation rules
+exports.validateContributionPlan = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Plan name must be between 2 and 100 characters'),
+  body('scope')
+    .isIn(['branch', 'member'])
+    .withMessage('Scope must be branch or member'),
+  body('branch')
+    .if(body('scope').equals('branch'))
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid branch ID'),
+  body('member')
+    .if(body('scope').equals('member'))
+    .isMongoId()
+    .withMessage('A valid member ID is required for a member plan'),
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be greater than 0'),
+  body('frequency')
+    .optional()
+    .isIn(['weekly', 'monthly'])
+    .withMessage('Frequency must be weekly or monthly'),
+  body('dueDay')
+    .isInt({ min: 0, max: 31 })
+    .withMessage('Due day must be a day of the month (1-31) or of the week (0-6)'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
+
+// Penalty rule validation rules
+exports.validatePenaltyRule = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Rule name must be between 2 and 100 characters'),
+  body('trigger')
+    .isIn(['late_contribution', 'missed_meeting', 'late_loan_repayment'])
+    .withMessage('Trigger must be late_contribution, missed_meeting, or late_loan_repayment'),
+  body('branch')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid branch ID'),
+  body('graceDays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Grace days must be a whole number of at least 0'),
+  body('amountType')
+    .optional()
+    .isIn(['fixed', 'percentage'])
+    .withMessage('Amount type must be fixed or percentage'),
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Amount cannot be negative'),
+  body('dueDay')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Due day must be between 1 and 31'),
+  body('escalationRate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Escalation rate cannot be negative'),
+  body('repeatWindowDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Repeat window must be at least 1 day'),
+  body(['maxAmount', 'maxPerMonth'])
+    .optional({ nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Caps must be greater than 0')
+];
+
 // Penalty validation rules
 exports.validatePenalty = [
   body('member')
@@ -1,10 +1,16 @@
 const mongoose = require('mongoose');
 
 const auditLogSchema = new mongoose.Schema({
+  // Empty on entries written by a background job, which are marked automated
   user: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: [true, 'User is required']
+    required: [function () { return !this.automated; }, 'User is required'],
+    default: null
+  },
+  automated: {
+    type: Boolean,
+    default: false
   },
   action: {
     type: String,
@@ -15,13 +21,27 @@ const auditLogSchema = new mongoose.Schema({
       'add_contribution', 'update_contribution', 'delete_contribution',
       'request_loan', 'approve_loan', 'reject_loan', 'update_loan',
       'assign_penalty', 'pay_penalty', 'waive_penalty',
-      'create_branch', 'update_branch', 'delete_branch', 'disburse_loan'
+      'create_branch', 'update_branch', 'delete_branch', 'disburse_loan',
+      'record_repayment',
+      'create_loan_product', 'update_loan_product', 'delete_loan_product',
+      'respond_guarantee',
+      'flag_loan_overdue', 'clear_loan_overdue', 'apply_late_penalty', 'default_loan',
+      'restructure_loan', 'settle_loan_early', 'refinance_loan', 'queue_loan', 'reorder_loan_queue', 'release_queued_loan',
+      'upload_signed_agreement', 'verify_signed_agreement', 'reject_signed_agreement',
+      'add_collateral', 'update_collateral', 'remove_collateral', 'release_collateral', 'seize_collateral',
+      'write_off_loan', 'record_recovery',
+      'approve_loan_step', 'create_approval_step', 'update_approval_step', 'delete_approval_step',
+      'update_setting',
+      'create_contribution_plan', 'update_contribution_plan', 'delete_contribution_plan',
+      'create_penalty_rule', 'update_penalty_rule', 'delete_penalty_rule',
+      'import_records', 'rollback_import',
+      'email_statements'
     ]
   },
   resource: {
     type: String,
     required: [true, 'Resource is required'],
-    enum: ['user', 'contribution', 'loan', 'penalty', 'branch', 'auth']
+    enum: ['user', 'contribution', 'loan', 'penalty', 'branch', 'auth', 'loan_product', 'collateral', 'loan_approval_step', 'setting', 'contribution_plan', 'penalty_rule', 'import_batch']
   },
   resourceId: {
     type: mongoose.Schema.ObjectId,
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const COLLATERAL_TYPES = ['land', 'building', 'vehicle', 'equipment', 'livestock', 'savings', 'other'];
+
+const collateralDocumentSchema = new mongoose.Schema({
+  originalname: String,
+  fileData: Buffer,
+  mimetype: String,
+  size: Number,
+  uploadedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Asset pledged to secure a loan; released when the loan is repaid, seized on write-off
+const collateralSchema = new mongoose.Schema({
+  loan: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Loan',
+    required: [true, 'Loan is required']
+  },
+  member: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Member is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Collateral type is required'],
+    enum: {
+      values: COLLATERAL_TYPES,
+      message: `Type must be one of: ${COLLATERAL_TYPES.join(', ')}`
+    }
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  estimatedValue: {
+    type: Number,
+    required: [true, 'Estimated value is required'],
+    min: [1, 'Estimated value must be greater than 0']
+  },
+  documents: {
+    type: [collateralDocumentSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['held', 'released', 'seized'],
+      message: 'Status must be held, released, or seized'
+    },
+    default: 'held'
+  },
+  statusChangedAt: {
+    type: Date
+  },
+  statusChangedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  statusNote: {
+    type: String,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  },
+  addedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  branch: {
+    type: String,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+collateralSchema.index({ loan: 1, status: 1 });
+
+/**
+ * Loan-to-collateral ratio for a loan, counting collateral still held.
+ * The ratio is the loan amount as a percentage of the collateral value.
+ */
+collateralSchema.statics.getCoverage = async function (loan) {
+  const stats = await this.aggregate([
+    { $match: { loan: loan._id, status: 'held' } },
+    { $group: { _id: null, total: { $sum: '$estimatedValue' }, count: { $sum: 1 } } }
+  ]);
+
+  const totalValue = stats[0] ? stats[0].total : 0;
+  return {
+    items: stats[0] ? stats[0].count : 0,
+    totalValue,
+    loanToCollateralRatio: totalValue > 0
+      ? Math.round((loan.amount / totalValue) * 10000) / 100
+      : null
+  };
+};
+
+// Close out all held collateral when its loan is closed
+collateralSchema.statics.settleForLoan = async function (loanId, outcome, userId, note) {
+  const result = await this.updateMany(
+    { loan: loanId, status: 'held' },
+    {
+      status: outcome,
+      statusChangedAt: new Date(),
+      statusChangedBy: userId,
+      statusNote: note
+    }
+  );
+  return result.modifiedCount;
+};
+
+collateralSchema.statics.TYPES = COLLATERAL_TYPES;
+
+module.exports = mongoose.model('Collateral', collateralSchema);
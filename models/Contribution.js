@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { runInTransaction } = require('../utils/transactions');
 
 const contributionSchema = new mongoose.Schema({
   memberId: {
@@ -39,31 +41,99 @@ const contributionSchema = new mongoose.Schema({
     type: String,
     enum: ['pending', 'confirmed', 'cancelled'],
     default: 'confirmed'
+  },
+  // Set on records created by a spreadsheet import
+  importBatch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ImportBatch',
+    default: null
+  },
+  // Receipt numbers run without gaps per branch, e.g. CEN-000042. A cancelled
+  // contribution keeps its number; its receipt is shown as void.
+  receiptNumber: {
+    type: String
+  },
+  receiptSequence: {
+    type: Number
+  },
+  receiptIssuedAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+contributionSchema.index({ importBatch: 1 });
+contributionSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
+
+// Issue a receipt number when a contribution is created as confirmed. A pending
+// one gets its number when it is confirmed (see updatingContribution); older
+// confirmed ones from before receipts are numbered by backfillReceiptNumbers.
+// Imported contributions are historical and get no receipt.
+contributionSchema.pre('save', async function () {
+  if (!this.isNew || this.status !== 'confirmed' || this.receiptNumber || this.importBatch) return;
+  this.set(await this.constructor.nextReceiptNumber(this.branch, this.$session()));
+});
+
 // Update user's total contributions after saving
 contributionSchema.post('save', async function () {
-  await this.constructor.updateUserContributions(this.memberId);
+  await this.constructor.updateUserContributions(this.memberId, this.$session());
 });
 
 // Update user's total contributions after deletion
 contributionSchema.post('remove', async function () {
-  await this.constructor.updateUserContributions(this.memberId);
+  await this.constructor.updateUserContributions(this.memberId, this.$session());
 });
 
 // Static method to calculate user's total contributions
-contributionSchema.statics.updateUserContributions = async function (userId) {
+// Pass the session when called inside a transaction
+contributionSchema.statics.updateUserContributions = async function (userId, session = null) {
   const User = mongoose.model('User');
   const stats = await this.aggregate([
-    { $match: { member: userId, status: 'confirmed' } },
+    { $match: { memberId: new mongoose.Types.ObjectId(String(userId)), status: 'confirmed' } },
     { $group: { _id: null, total: { $sum: '$amount' } } }
-  ]);
+  ]).session(session);
 
   const total = stats[0] ? stats[0].total : 0;
-  await User.findByIdAndUpdate(userId, { totalContributions: total });
+  await User.findByIdAndUpdate(userId, { totalContributions: total }, { session });
+};
+
+// Static method to take the next receipt number of a branch
+// Call it inside the transaction that saves the contribution, so an aborted write leaves no gap
+contributionSchema.statics.nextReceiptNumber = async function (branchId, session = null) {
+  const Branch = mongoose.model('Branch');
+  const branch = branchId && mongoose.isValidObjectId(String(branchId))
+    ? await Branch.findById(branchId).select('code').session(session)
+    : null;
+  const prefix = branch ? branch.code.toUpperCase() : 'GRP';
+  const sequence = await Counter.next(`receipt:${branch ? branch._id : 'group'}`, session);
+
+  return {
+    receiptNumber: `${prefix}-${String(sequence).padStart(6, '0')}`,
+    receiptSequence: sequence,
+    receiptIssuedAt: new Date()
+  };
+};
+
+// Static method to number the confirmed contributions recorded before receipts
+// existed, in contribution date order within each branch. Numbers already
+// issued are left alone, so it is safe to run again. Returns how many were numbered.
+contributionSchema.statics.backfillReceiptNumbers = async function () {
+  const unnumbered = await this.find({
+    status: 'confirmed',
+    receiptNumber: null,
+    importBatch: null
+  })
+    .select('branch contributionDate')
+    .sort({ contributionDate: 1, createdAt: 1, _id: 1 });
+
+  for (const contribution of unnumbered) {
+    await runInTransaction(async (session) => {
+      const receipt = await this.nextReceiptNumber(contribution.branch, session);
+      await this.updateOne({ _id: contribution._id }, { $set: receipt }, { session });
+    });
+  }
+  return unnumbered.length;
 };
 
 module.exports = mongoose.model('Contribution', contributionSchema);
\ No newline at end of file
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// What members are expected to contribute. A member's own plan takes
+// precedence over the plan of their branch.
+const contributionPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+  scope: {
+    type: String,
+    enum: {
+      values: ['branch', 'member'],
+      message: 'Scope must be branch or member'
+    },
+    required: [true, 'Plan scope is required']
+  },
+  branch: {
+    type: String,
+    required: [true, 'Branch is required']
+  },
+  member: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be greater than 0']
+  },
+  frequency: {
+    type: String,
+    enum: {
+      values: ['weekly', 'monthly'],
+      message: 'Frequency must be weekly or monthly'
+    },
+    default: 'monthly'
+  },
+  // Day of the month (1-31, clamped to short months) or of the week (0 = Sunday ... 6 = Saturday)
+  dueDay: {
+    type: Number,
+    required: [true, 'Due day is required'],
+    min: [0, 'Due day cannot be negative'],
+    max: [31, 'Due day cannot exceed 31']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+contributionPlanSchema.index({ scope: 1, branch: 1, member: 1, isActive: 1 });
+
+contributionPlanSchema.pre('validate', function (next) {
+  if (this.scope === 'member' && !this.member) {
+    this.invalidate('member', 'Member is required for a member plan');
+  }
+  if (this.scope === 'branch') {
+    this.member = null;
+  }
+  if (this.frequency === 'weekly' && this.dueDay > 6) {
+    this.invalidate('dueDay', 'Weekly plans are due on a weekday from 0 (Sunday) to 6 (Saturday)');
+  }
+  if (this.frequency === 'monthly' && this.dueDay < 1) {
+    this.invalidate('dueDay', 'Monthly plans are due on a day from 1 to 31');
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+/**
+ * Resolve the plan that applies to each member: their own active plan,
+ * otherwise the active plan of their branch. Returns a Map of member id -> plan.
+ */
+contributionPlanSchema.statics.resolveForMembers = async function (members) {
+  const plans = await this.find({
+    isActive: true,
+    $or: [
+      { scope: 'member', member: { $in: members.map((m) => m._id) } },
+      { scope: 'branch', branch: { $in: [...new Set(members.map((m) => String(m.branch)))] } }
+    ]
+  }).sort({ startDate: -1 });
+
+  const byMember = new Map();
+  const byBranch = new Map();
+  plans.forEach((plan) => {
+    if (plan.scope === 'member' && !byMember.has(String(plan.member))) {
+      byMember.set(String(plan.member), plan);
+    } else if (plan.scope === 'branch' && !byBranch.has(plan.branch)) {
+      byBranch.set(plan.branch, plan);
+    }
+  });
+
+  const resolved = new Map();
+  members.forEach((member) => {
+    const plan = byMember.get(String(member._id)) || byBranch.get(String(member.branch));
+    if (plan) resolved.set(String(member._id), plan);
+  });
+  return resolved;
+};
+
+module.exports = mongoose.model('ContributionPlan', contributionPlanSchema);
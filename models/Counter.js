@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. receipt numbers per branch. Incremented inside the
+// transaction that uses the number, so an aborted write never leaves a gap.
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Counter key is required'],
+    unique: true,
+    trim: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Increment the sequence and return the new value, starting from 1
+counterSchema.statics.next = async function (key, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
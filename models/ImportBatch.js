@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One committed spreadsheet import. Every record it created carries the batch
+// ID, so the whole import can be rolled back.
+const importBatchSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: ['contributions', 'loans', 'penalties'],
+      message: 'Import type must be contributions, loans, or penalties'
+    },
+    required: [true, 'Import type is required']
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  fileFormat: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: [true, 'File format is required']
+  },
+  status: {
+    type: String,
+    enum: ['committed', 'rolled_back'],
+    default: 'committed'
+  },
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  memberCount: {
+    type: Number,
+    default: 0
+  },
+  importedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Imported by is required']
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  rolledBackAt: {
+    type: Date
+  },
+  rollbackReason: {
+    type: String,
+    maxlength: [300, 'Rollback reason cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
@@ -1,4 +1,192 @@
 const mongoose = require('mongoose');
+const {
+  INTEREST_METHODS,
+  round2,
+  addMonths,
+  calculateTotalInterest,
+  buildRepaymentSchedule,
+  allocatePayment,
+  refreshScheduleStatus,
+  getOutstandingBreakdown
+} = require('../utils/loanCalculator');
+
+// Allowed lifecycle moves; every status change must go through this map
+const LOAN_STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'queued'],
+  // Approved but waiting for the group to have enough funds
+  queued: ['approved', 'rejected'],
+  approved: ['disbursed', 'queued'],
+  disbursed: ['repaid', 'defaulted', 'written_off', 'refinanced'],
+  // A restructure puts a defaulted loan back on a repayment plan
+  defaulted: ['repaid', 'written_off', 'disbursed'],
+  rejected: [],
+  repaid: [],
+  written_off: [],
+  refinanced: []
+};
+
+const disbursementSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: {
+      values: ['cash', 'mobile_money', 'bank_transfer', 'cheque', 'other'],
+      message: 'Method must be cash, mobile_money, bank_transfer, cheque, or other'
+    },
+    default: 'cash'
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  },
+  disbursedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  disbursedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const guarantorSchema = new mongoose.Schema({
+  member: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Guarantor is required']
+  },
+  pledgedAmount: {
+    type: Number,
+    required: [true, 'Pledged amount is required'],
+    min: [1, 'Pledged amount must be greater than 0']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  },
+  comment: {
+    type: String,
+    maxlength: [300, 'Comment cannot exceed 300 characters']
+  }
+}, { _id: false });
+
+const installmentSchema = new mongoose.Schema({
+  installmentNumber: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  principal: {
+    type: Number,
+    default: 0
+  },
+  interest: {
+    type: Number,
+    default: 0
+  },
+  amountDue: {
+    type: Number,
+    default: 0
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'partial', 'paid', 'overdue'],
+    default: 'pending'
+  },
+  paidDate: {
+    type: Date
+  }
+}, { _id: false });
+
+// A decision taken at one step of the approval chain
+const approvalDecisionSchema = new mongoose.Schema({
+  step: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'LoanApprovalStep',
+    default: null
+  },
+  stepName: String,
+  role: String,
+  decision: {
+    type: String,
+    enum: ['approved', 'rejected'],
+    required: true
+  },
+  comment: {
+    type: String,
+    maxlength: [300, 'Comment cannot exceed 300 characters']
+  },
+  approver: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  decidedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Terms in force before a restructure, kept so every version of the loan can be traced
+const restructureSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  previousTerms: {
+    interestRate: Number,
+    interestMethod: String,
+    duration: Number,
+    totalAmount: Number,
+    remainingAmount: Number,
+    dueDate: Date,
+    status: String,
+    schedule: [installmentSchema]
+  },
+  newTerms: {
+    interestRate: Number,
+    interestMethod: String,
+    duration: Number,
+    totalAmount: Number
+  },
+  // Principal still owed plus interest already due but unpaid
+  restructuredBalance: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Restructure reason is required'],
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  restructuredBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  restructuredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 
 const loanSchema = new mongoose.Schema({
   member: {
@@ -17,6 +205,19 @@ const loanSchema = new mongoose.Schema({
     min: [0, 'Interest rate cannot be negative'],
     max: [100, 'Interest rate cannot exceed 100%']
   },
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'LoanProduct',
+    default: null
+  },
+  interestMethod: {
+    type: String,
+    enum: {
+      values: INTEREST_METHODS,
+      message: 'Interest method must be flat, reducing_balance, or compound'
+    },
+    default: 'flat'
+  },
   duration: {
     type: Number,
     required: [true, 'Loan duration is required'],
@@ -26,8 +227,8 @@ const loanSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['pending', 'approved', 'rejected', 'disbursed', 'repaid', 'defaulted'],
-      message: 'Status must be pending, approved, rejected, disbursed, repaid, or defaulted'
+      values: ['pending', 'queued', 'approved', 'rejected', 'disbursed', 'repaid', 'defaulted', 'written_off', 'refinanced'],
+      message: 'Status must be pending, queued, approved, rejected, disbursed, repaid, defaulted, written_off, or refinanced'
     },
     default: 'pending'
   },
@@ -43,12 +244,95 @@ const loanSchema = new mongoose.Schema({
   approvedDate: {
     type: Date
   },
+  approvals: {
+    type: [approvalDecisionSchema],
+    default: []
+  },
   disbursedDate: {
     type: Date
   },
+  disbursement: {
+    type: disbursementSchema,
+    default: null
+  },
   dueDate: {
     type: Date
   },
+  repaidAt: {
+    type: Date
+  },
+  // When the loan was placed on the waiting list for funds
+  queuedAt: {
+    type: Date
+  },
+  // Position set by an admin; overrides the queue policy (see utils/loanQueue)
+  queuePriority: {
+    type: Number,
+    default: null
+  },
+  // Top-ups: the loan this one replaces, and on the old loan, the loan that replaced it
+  refinances: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Loan',
+    default: null
+  },
+  refinancedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Loan',
+    default: null
+  },
+  refinancedAt: {
+    type: Date
+  },
+  // Balance of the refinanced loan settled out of this loan, and the cash actually paid out
+  refinancedBalance: {
+    type: Number,
+    default: 0
+  },
+  netDisbursement: {
+    type: Number
+  },
+  // Set by the overdue job while any installment is past due
+  isOverdue: {
+    type: Boolean,
+    default: false
+  },
+  overdueSince: {
+    type: Date,
+    default: null
+  },
+  defaultedAt: {
+    type: Date
+  },
+  // Balance removed from the books when the loan was written off
+  writeOff: {
+    amount: Number,
+    reason: String,
+    approvedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    writtenOffAt: Date
+  },
+  // Collected against the loan after it was written off
+  recoveredAmount: {
+    type: Number,
+    default: 0
+  },
+  // Set when the loan is closed through an early payoff
+  earlySettlement: {
+    settledAt: Date,
+    principalOutstanding: Number,
+    accruedInterest: Number,
+    unearnedInterest: Number,
+    rebatePercentage: Number,
+    rebate: Number,
+    payoffAmount: Number,
+    settledBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  },
   totalAmount: {
     type: Number,
     default: 0
@@ -61,6 +345,46 @@ const loanSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  schedule: {
+    type: [installmentSchema],
+    default: []
+  },
+  guarantors: {
+    type: [guarantorSchema],
+    default: []
+  },
+  restructures: {
+    type: [restructureSchema],
+    default: []
+  },
+  // Percentage of the loan amount that accepted guarantees must cover
+  requiredGuaranteeCoverage: {
+    type: Number,
+    default: 0,
+    min: [0, 'Guarantee coverage cannot be negative'],
+    max: [100, 'Guarantee coverage cannot exceed 100%']
+  },
+  // Credit score of the member when the loan was requested (see utils/creditScore)
+  creditScore: {
+    score: Number,
+    grade: String,
+    breakdown: [{
+      _id: false,
+      factor: String,
+      label: String,
+      weight: Number,
+      score: Number,
+      points: Number,
+      detail: String
+    }],
+    calculatedAt: Date
+  },
+  // Set on records created by a spreadsheet import
+  importBatch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ImportBatch',
+    default: null
+  },
   branch: {
     type: String,
     required: false
@@ -75,21 +399,237 @@ const loanSchema = new mongoose.Schema({
 
 // Calculate total amount with interest before saving
 loanSchema.pre('save', function (next) {
-  if (this.isModified('amount') || this.isModified('interestRate') || this.isModified('duration')) {
-    const interest = (this.amount * this.interestRate * this.duration) / 100;
+  // Restructured loans carry their totals from restructure(); the original formula no longer applies
+  if (
+    !this.restructures.length && (
+      this.isModified('amount') ||
+      this.isModified('interestRate') ||
+      this.isModified('duration') ||
+      this.isModified('interestMethod')
+    )
+  ) {
+    const interest = calculateTotalInterest(this);
     this.totalAmount = this.amount + interest;
     this.remainingAmount = this.totalAmount - this.amountPaid;
+  }
 
-    if (this.disbursedDate && !this.dueDate) {
-      this.dueDate = new Date(this.disbursedDate.getTime() + (this.duration * 30 * 24 * 60 * 60 * 1000));
-    }
+  if (this.disbursedDate && !this.dueDate) {
+    this.dueDate = addMonths(this.disbursedDate, this.duration);
   }
   next();
 });
 
+// Check whether the lifecycle allows moving from the current status
+loanSchema.methods.canTransitionTo = function (nextStatus) {
+  return this.constructor.canTransition(this.status, nextStatus);
+};
+
+loanSchema.statics.canTransition = function (fromStatus, toStatus) {
+  return (LOAN_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+loanSchema.statics.transitionError = function (fromStatus, toStatus) {
+  const allowed = LOAN_STATUS_TRANSITIONS[fromStatus] || [];
+  return `Cannot move loan from ${fromStatus} to ${toStatus}` +
+    (allowed.length ? `. Allowed next status: ${allowed.join(', ')}` : '');
+};
+
+// What the borrower owes in total. Loans saved before interest was added
+// have a totalAmount of 0 and fall back to the principal.
+loanSchema.methods.getTotalDue = function () {
+  return this.totalAmount > 0 ? this.totalAmount : this.amount;
+};
+
+// The getTotalDue rule, for use inside queries
+const TOTAL_DUE_EXPR = { $cond: [{ $gt: ['$totalAmount', 0] }, '$totalAmount', '$amount'] };
+
+// Add a payment to amountPaid in one guarded update, so two payments recorded
+// at the same time cannot both pass the balance check and overpay the loan.
+// Resolves to the updated loan, or null when the loan is no longer in one of
+// the given statuses, the payment exceeds the balance or, with
+// expectedAmountPaid, another payment was recorded first.
+loanSchema.statics.applyPayment = function (loanId, amount, {
+  statuses = ['disbursed', 'defaulted'],
+  expectedAmountPaid,
+  session = null
+} = {}) {
+  const filter = {
+    _id: loanId,
+    status: { $in: statuses },
+    $expr: {
+      $lte: [
+        { $add: [{ $ifNull: ['$amountPaid', 0] }, amount] },
+        // Half a cent of slack for floating point sums
+        { $add: [TOTAL_DUE_EXPR, 0.005] }
+      ]
+    }
+  };
+  if (expectedAmountPaid !== undefined) filter.amountPaid = expectedAmountPaid;
+
+  return this.findOneAndUpdate(filter, { $inc: { amountPaid: amount } }, { new: true, session });
+};
+
+// Generate the installment schedule starting from the given date
+loanSchema.methods.generateSchedule = function (startDate) {
+  this.schedule = buildRepaymentSchedule({
+    amount: this.amount,
+    interestRate: this.interestRate,
+    duration: this.duration,
+    interestMethod: this.interestMethod,
+    startDate: startDate || this.disbursedDate || this.approvedDate || new Date()
+  });
+  return this.schedule;
+};
+
+/**
+ * Replace the unpaid part of the schedule with new terms.
+ * Fully paid installments are kept. The restructured balance is the principal not yet
+ * repaid plus interest that has fallen due without being paid; future interest is
+ * recalculated under the new terms. Replaced installments continue the numbering so
+ * penalties charged against them stay attached to the old installment.
+ */
+loanSchema.methods.restructure = function ({
+  interestRate,
+  duration,
+  interestMethod,
+  reason,
+  restructuredBy,
+  asOf = new Date()
+}) {
+  const previousSchedule = this.schedule.map((installment) => installment.toObject());
+  refreshScheduleStatus(this.schedule, asOf);
+
+  const { principalOutstanding, arrearsInterest } = getOutstandingBreakdown(this, asOf);
+  const balance = round2(principalOutstanding + arrearsInterest);
+  const paidInstallments = this.schedule.filter((installment) => installment.status === 'paid');
+  const unpaidCount = this.schedule.length - paidInstallments.length;
+
+  const newTerms = {
+    interestRate: interestRate !== undefined ? Number(interestRate) : this.interestRate,
+    interestMethod: interestMethod || this.interestMethod,
+    duration: duration !== undefined ? Number(duration) : Math.max(1, unpaidCount)
+  };
+
+  const lastNumber = previousSchedule.reduce(
+    (max, installment) => Math.max(max, installment.installmentNumber), 0
+  );
+  const newSchedule = buildRepaymentSchedule({
+    amount: balance,
+    interestRate: newTerms.interestRate,
+    duration: newTerms.duration,
+    interestMethod: newTerms.interestMethod,
+    startDate: asOf
+  }).map((installment) => ({
+    ...installment,
+    installmentNumber: installment.installmentNumber + lastNumber
+  }));
+  const newInterest = newSchedule.reduce((sum, installment) => sum + installment.interest, 0);
+
+  this.restructures.push({
+    version: this.restructures.length + 1,
+    previousTerms: {
+      interestRate: this.interestRate,
+      interestMethod: this.interestMethod,
+      duration: this.duration,
+      totalAmount: this.totalAmount,
+      remainingAmount: this.remainingAmount,
+      dueDate: this.dueDate,
+      status: this.status,
+      schedule: previousSchedule
+    },
+    newTerms: {
+      ...newTerms,
+      totalAmount: round2(balance + newInterest)
+    },
+    restructuredBalance: balance,
+    reason,
+    restructuredBy,
+    restructuredAt: asOf
+  });
+
+  this.interestRate = newTerms.interestRate;
+  this.interestMethod = newTerms.interestMethod;
+  this.duration = paidInstallments.length + newTerms.duration;
+  this.schedule = [...paidInstallments.map((installment) => installment.toObject()), ...newSchedule];
+  this.remainingAmount = round2(balance + newInterest);
+  this.totalAmount = round2((this.amountPaid || 0) + this.remainingAmount);
+  this.dueDate = newSchedule[newSchedule.length - 1].dueDate;
+  this.isOverdue = false;
+  this.overdueSince = null;
+
+  return this.restructures[this.restructures.length - 1];
+};
+
+// Match a repayment against the earliest unpaid installments
+loanSchema.methods.applyRepaymentToSchedule = function (amount, paymentDate) {
+  if (!this.schedule || this.schedule.length === 0) return amount;
+  const remaining = allocatePayment(this.schedule, amount, paymentDate);
+  refreshScheduleStatus(this.schedule);
+  this.markModified('schedule');
+  return remaining;
+};
+
+// Installments past due as of a date; loans without a schedule fall back to dueDate
+loanSchema.methods.getOverdueInstallments = function (asOf = new Date()) {
+  if (this.schedule && this.schedule.length) {
+    refreshScheduleStatus(this.schedule, asOf);
+    return this.schedule.filter((installment) => installment.status === 'overdue');
+  }
+
+  if (this.dueDate && this.dueDate < asOf && this.remainingAmount > 0) {
+    return [{
+      installmentNumber: null,
+      dueDate: this.dueDate,
+      amountDue: this.remainingAmount,
+      amountPaid: 0
+    }];
+  }
+
+  return [];
+};
+
+// Total pledged by accepted guarantors, and how much of the loan it covers
+loanSchema.methods.getGuaranteeCoverage = function () {
+  const accepted = (this.guarantors || [])
+    .filter((g) => g.status === 'accepted')
+    .reduce((sum, g) => sum + (g.pledgedAmount || 0), 0);
+  const percentage = this.amount > 0 ? (accepted / this.amount) * 100 : 0;
+  return {
+    acceptedAmount: accepted,
+    percentage: Math.round(percentage * 100) / 100,
+    required: this.requiredGuaranteeCoverage || 0,
+    isMet: percentage >= (this.requiredGuaranteeCoverage || 0)
+  };
+};
+
+// Amount a member has pledged as guarantor on loans that are still open
+loanSchema.statics.getPledgedAmount = async function (memberId, excludeLoanId = null) {
+  const match = {
+    status: { $in: ['pending', 'queued', 'approved', 'disbursed', 'defaulted'] },
+    'guarantors.member': new mongoose.Types.ObjectId(String(memberId))
+  };
+  if (excludeLoanId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(String(excludeLoanId)) };
+  }
+
+  const stats = await this.aggregate([
+    { $match: match },
+    { $unwind: '$guarantors' },
+    {
+      $match: {
+        'guarantors.member': match['guarantors.member'],
+        'guarantors.status': { $in: ['pending', 'accepted'] }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$guarantors.pledgedAmount' } } }
+  ]);
+
+  return stats[0] ? stats[0].total : 0;
+};
+
 // Update user's total loans after saving
 loanSchema.post('save', async function () {
-  if (this.status === 'approved' || this.status === 'disbursed') {
+  if (['approved', 'disbursed', 'defaulted'].includes(this.status)) {
     await this.constructor.updateUserLoans(this.member);
   }
 });
@@ -101,7 +641,7 @@ loanSchema.statics.updateUserLoans = async function (userId) {
     {
       $match: {
         member: userId,
-        status: { $in: ['approved', 'disbursed'] }
+        status: { $in: ['approved', 'disbursed', 'defaulted'] }
       }
     },
     { $group: { _id: null, total: { $sum: '$amount' } } }
@@ -111,4 +651,67 @@ loanSchema.statics.updateUserLoans = async function (userId) {
   await User.findByIdAndUpdate(userId, { totalLoans: total });
 };
 
+// Add a recovery to a written-off loan in one guarded update, so recoveries
+// recorded at the same time cannot together exceed the written-off balance.
+// Resolves to the updated loan, or null when the recovery no longer fits.
+loanSchema.statics.applyRecovery = function (loanId, amount, { session = null } = {}) {
+  return this.findOneAndUpdate(
+    {
+      _id: loanId,
+      status: 'written_off',
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$recoveredAmount', 0] }, amount] },
+          { $add: [{ $ifNull: ['$writeOff.amount', 0] }, 0.005] }
+        ]
+      }
+    },
+    { $inc: { recoveredAmount: amount } },
+    { new: true, session }
+  );
+};
+
+// Written-off balances, recoveries and the resulting loss, optionally for one branch
+loanSchema.statics.getWriteOffSummary = async function (match = {}) {
+  // Repayments made before the write-off plus recoveries since
+  const collected = {
+    $add: [{ $ifNull: ['$amountPaid', 0] }, { $ifNull: ['$recoveredAmount', 0] }]
+  };
+
+  const stats = await this.aggregate([
+    { $match: { ...match, status: 'written_off' } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        writtenOff: { $sum: '$writeOff.amount' },
+        recovered: { $sum: '$recoveredAmount' },
+        // Balance written off, less what has been recovered since
+        netLoss: {
+          $sum: {
+            $max: [0, {
+              $subtract: [
+                { $ifNull: ['$writeOff.amount', 0] },
+                { $ifNull: ['$recoveredAmount', 0] }
+              ]
+            }]
+          }
+        },
+        // Money lent that never came back: principal less what was collected.
+        // The written-off balance also holds interest the group never had, so
+        // liquidity uses this figure instead.
+        cashLoss: { $sum: { $max: [0, { $subtract: ['$amount', collected] }] } },
+        // Collected beyond the principal, i.e. interest the group did receive.
+        // Kept apart so one loan's surplus does not hide another's loss.
+        surplus: { $sum: { $max: [0, { $subtract: [collected, '$amount'] }] } }
+      }
+    }
+  ]);
+
+  const summary = stats[0] ||
+    { count: 0, writtenOff: 0, recovered: 0, netLoss: 0, cashLoss: 0, surplus: 0 };
+  delete summary._id;
+  return summary;
+};
+
 module.exports = mongoose.model('Loan', loanSchema);
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One level of the loan approval chain. A step applies to loans of at least minAmount;
+// applicable steps are worked through in order before a loan can be approved.
+const loanApprovalStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Step name is required'],
+    trim: true,
+    maxlength: [100, 'Step name cannot exceed 100 characters']
+  },
+  order: {
+    type: Number,
+    required: [true, 'Step order is required'],
+    min: [1, 'Order must be at least 1']
+  },
+  role: {
+    type: String,
+    required: [true, 'Approver role is required'],
+    enum: {
+      values: ['branch_lead', 'admin'],
+      message: 'Role must be branch_lead or admin'
+    }
+  },
+  minAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum amount cannot be negative']
+  },
+  requiredApprovals: {
+    type: Number,
+    default: 1,
+    min: [1, 'At least one approval is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Active steps that apply to a loan amount, in the order they must be completed
+loanApprovalStepSchema.statics.getChainFor = function (amount) {
+  return this.find({ isActive: true, minAmount: { $lte: amount } }).sort({ order: 1, minAmount: 1 });
+};
+
+/**
+ * Progress of a loan through its approval chain.
+ * currentStep is the first step still short of approvals; null once the chain is complete.
+ */
+loanApprovalStepSchema.statics.evaluate = async function (loan) {
+  const chain = await this.getChainFor(loan.amount);
+  const approvals = loan.approvals || [];
+
+  const steps = chain.map((step) => {
+    const approvers = new Set(
+      approvals
+        .filter((a) => a.decision === 'approved' && String(a.step) === String(step._id))
+        .map((a) => String(a.approver?._id || a.approver))
+    );
+    return {
+      step: step._id,
+      name: step.name,
+      role: step.role,
+      requiredApprovals: step.requiredApprovals,
+      approvals: approvers.size,
+      isComplete: approvers.size >= step.requiredApprovals
+    };
+  });
+
+  const current = steps.find((step) => !step.isComplete) || null;
+  return {
+    // No configured steps means a single approval is enough, as before
+    isConfigured: steps.length > 0,
+    steps,
+    currentStep: current,
+    isComplete: !current
+  };
+};
+
+module.exports = mongoose.model('LoanApprovalStep', loanApprovalStepSchema);
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { INTEREST_METHODS } = require('../utils/loanCalculator');
+
+const loanProductSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Product name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Product code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  minAmount: {
+    type: Number,
+    default: 1,
+    min: [0, 'Minimum amount cannot be negative']
+  },
+  maxAmount: {
+    type: Number,
+    required: [true, 'Maximum amount is required'],
+    min: [1, 'Maximum amount must be greater than 0']
+  },
+  // Loan amount may not exceed this multiple of the member's totalContributions
+  maxContributionMultiple: {
+    type: Number,
+    default: null,
+    min: [0, 'Contribution multiple cannot be negative']
+  },
+  allowedDurations: {
+    type: [Number],
+    default: []
+  },
+  defaultInterestRate: {
+    type: Number,
+    required: [true, 'Default interest rate is required'],
+    min: [0, 'Interest rate cannot be negative'],
+    max: [100, 'Interest rate cannot exceed 100%']
+  },
+  interestMethod: {
+    type: String,
+    enum: {
+      values: INTEREST_METHODS,
+      message: 'Interest method must be flat, reducing_balance, or compound'
+    },
+    default: 'flat'
+  },
+  // Minimum time since the member's joinDate, in months
+  minMembershipMonths: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum membership age cannot be negative']
+  },
+  // Percentage of the loan amount that accepted guarantees must cover before approval
+  requiredGuaranteeCoverage: {
+    type: Number,
+    default: 0,
+    min: [0, 'Guarantee coverage cannot be negative'],
+    max: [100, 'Guarantee coverage cannot exceed 100%']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+loanProductSchema.pre('validate', function (next) {
+  if (this.maxAmount != null && this.minAmount > this.maxAmount) {
+    this.invalidate('minAmount', 'Minimum amount cannot exceed maximum amount');
+  }
+  next();
+});
+
+// Requests made without a product may borrow up to this multiple of the
+// member's contributions
+const DEFAULT_MAX_CONTRIBUTION_MULTIPLE = 3;
+
+const checkContributionMultiple = (multiple, { amount, member, pledgedAmount }) => {
+  // Amounts pledged as guarantor for other members reduce the borrowing base
+  const base = Math.max(0, (member.totalContributions || 0) - pledgedAmount);
+  const limit = base * multiple;
+  if (amount <= limit) return null;
+
+  return {
+    rule: 'maxContributionMultiple',
+    message: pledgedAmount > 0
+      ? `Amount cannot exceed ${multiple}x your total contributions less ${pledgedAmount} pledged as guarantor (${limit})`
+      : `Amount cannot exceed ${multiple}x your total contributions (${limit})`
+  };
+};
+
+/**
+ * Evaluate a loan request against this product.
+ * Returns the list of failed rules; an empty list means the member is eligible.
+ */
+loanProductSchema.methods.checkEligibility = function ({ amount, duration, member, pledgedAmount = 0 }) {
+  const failed = [];
+
+  if (!this.isActive) {
+    failed.push({ rule: 'active', message: `Loan product ${this.name} is not available` });
+  }
+
+  if (amount < this.minAmount) {
+    failed.push({
+      rule: 'minAmount',
+      message: `Amount must be at least ${this.minAmount}`
+    });
+  }
+
+  if (amount > this.maxAmount) {
+    failed.push({
+      rule: 'maxAmount',
+      message: `Amount cannot exceed ${this.maxAmount}`
+    });
+  }
+
+  if (this.allowedDurations.length && !this.allowedDurations.includes(Number(duration))) {
+    failed.push({
+      rule: 'allowedDurations',
+      message: `Duration must be one of: ${this.allowedDurations.join(', ')} months`
+    });
+  }
+
+  if (this.maxContributionMultiple != null) {
+    const failedRule = checkContributionMultiple(this.maxContributionMultiple, { amount, member, pledgedAmount });
+    if (failedRule) failed.push(failedRule);
+  }
+
+  if (this.minMembershipMonths > 0) {
+    const joinDate = new Date(member.joinDate || member.createdAt || Date.now());
+    const now = new Date();
+    let months = (now.getFullYear() - joinDate.getFullYear()) * 12 +
+      (now.getMonth() - joinDate.getMonth());
+    if (now.getDate() < joinDate.getDate()) months -= 1;
+
+    if (months < this.minMembershipMonths) {
+      failed.push({
+        rule: 'minMembershipMonths',
+        message: `Membership must be at least ${this.minMembershipMonths} months old (currently ${Math.max(0, months)})`
+      });
+    }
+  }
+
+  return failed;
+};
+
+// The eligibility rule applied to requests made without a product
+loanProductSchema.statics.checkDefaultEligibility = function ({ amount, member, pledgedAmount = 0 }) {
+  const failedRule = checkContributionMultiple(DEFAULT_MAX_CONTRIBUTION_MULTIPLE, { amount, member, pledgedAmount });
+  return failedRule ? [failedRule] : [];
+};
+
+module.exports = mongoose.model('LoanProduct', loanProductSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const loanRepaymentSchema = new mongoose.Schema({
+  loan: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Loan',
+    required: [true, 'Loan is required']
+  },
+  member: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Member is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Repayment amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  // Recoveries are collected after the loan was written off
+  type: {
+    type: String,
+    enum: {
+      values: ['repayment', 'recovery'],
+      message: 'Type must be repayment or recovery'
+    },
+    default: 'repayment'
+  },
+  paymentDate: {
+    type: Date,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    enum: {
+      values: ['cash', 'mobile_money', 'bank_transfer', 'cheque', 'other'],
+      message: 'Method must be cash, mobile_money, bank_transfer, cheque, or other'
+    },
+    default: 'cash'
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Recorded by is required']
+  },
+  branch: {
+    type: String,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+loanRepaymentSchema.index({ loan: 1, paymentDate: 1 });
+loanRepaymentSchema.index({ member: 1, paymentDate: -1 });
+
+module.exports = mongoose.model('LoanRepayment', loanRepaymentSchema);
@@ -23,10 +23,16 @@ const penaltySchema = new mongoose.Schema({
     type: String,
     maxlength: [300, 'Description cannot exceed 300 characters']
   },
+  // Empty on penalties charged by the overdue job, which are marked automated
   assignedBy: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: [true, 'Assigned by is required']
+    required: [function () { return !this.automated; }, 'Assigned by is required'],
+    default: null
+  },
+  automated: {
+    type: Boolean,
+    default: false
   },
   status: {
     type: String,
@@ -47,6 +53,33 @@ const penaltySchema = new mongoose.Schema({
     type: mongoose.Schema.ObjectId,
     ref: 'User'
   },
+  // Set for late_loan_repayment penalties applied by the overdue job
+  loan: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Loan',
+    default: null
+  },
+  installmentNumber: {
+    type: Number,
+    default: null
+  },
+  // Set for penalties charged by a penalty rule
+  rule: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PenaltyRule',
+    default: null
+  },
+  // Period the penalty was charged for (e.g. 2024-03 or a meeting date), so it is charged once
+  period: {
+    type: String,
+    default: null
+  },
+  // Set on records created by a spreadsheet import
+  importBatch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ImportBatch',
+    default: null
+  },
   branch: {
     type: String,
 
@@ -56,26 +89,31 @@ const penaltySchema = new mongoose.Schema({
   timestamps: true
 });
 
+penaltySchema.index({ loan: 1, installmentNumber: 1 });
+penaltySchema.index({ member: 1, reason: 1, period: 1 });
+penaltySchema.index({ importBatch: 1 });
+
 // Update user's total penalties after saving
 penaltySchema.post('save', async function () {
-  await this.constructor.updateUserPenalties(this.member);
+  await this.constructor.updateUserPenalties(this.member, this.$session());
 });
 
 // Update user's total penalties after deletion
 penaltySchema.post('remove', async function () {
-  await this.constructor.updateUserPenalties(this.member);
+  await this.constructor.updateUserPenalties(this.member, this.$session());
 });
 
 // Static method to calculate user's total unpaid penalties
-penaltySchema.statics.updateUserPenalties = async function (userId) {
+// Pass the session when called inside a transaction
+penaltySchema.statics.updateUserPenalties = async function (userId, session = null) {
   const User = mongoose.model('User');
   const stats = await this.aggregate([
     { $match: { member: userId, status: 'pending' } },
     { $group: { _id: null, total: { $sum: '$amount' } } }
-  ]);
+  ]).session(session);
 
   const total = stats[0] ? stats[0].total : 0;
-  await User.findByIdAndUpdate(userId, { totalPenalties: total });
+  await User.findByIdAndUpdate(userId, { totalPenalties: total }, { session });
 };
 
 module.exports = mongoose.model('Penalty', penaltySchema);
\ No newline at end of file
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const PENALTY_TRIGGERS = ['late_contribution', 'missed_meeting', 'late_loan_repayment'];
+
+// How a penalty is charged when a trigger fires. A branch rule overrides the
+// group-wide rule (branch: null) for the same trigger.
+const penaltyRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  trigger: {
+    type: String,
+    required: [true, 'Trigger is required'],
+    enum: {
+      values: PENALTY_TRIGGERS,
+      message: 'Trigger must be late_contribution, missed_meeting, or late_loan_repayment'
+    }
+  },
+  branch: {
+    type: String,
+    default: null
+  },
+  // Days after the due date before the penalty applies
+  graceDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Grace days cannot be negative']
+  },
+  amountType: {
+    type: String,
+    enum: {
+      values: ['fixed', 'percentage'],
+      message: 'Amount type must be fixed or percentage'
+    },
+    default: 'fixed'
+  },
+  // Fixed amount, or percentage of the late amount (contribution due or unpaid installment)
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  // Due day of the month for members without a contribution plan (late_contribution only)
+  dueDay: {
+    type: Number,
+    default: 10,
+    min: [1, 'Due day must be between 1 and 31'],
+    max: [31, 'Due day must be between 1 and 31']
+  },
+  // Each earlier offence within the repeat window raises the amount by this percentage
+  escalationRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Escalation rate cannot be negative']
+  },
+  repeatWindowDays: {
+    type: Number,
+    default: 365,
+    min: [1, 'Repeat window must be at least 1 day']
+  },
+  // Caps: per penalty, and per member per calendar month for this trigger
+  maxAmount: {
+    type: Number,
+    default: null,
+    min: [1, 'Maximum amount must be greater than 0']
+  },
+  maxPerMonth: {
+    type: Number,
+    default: null,
+    min: [1, 'Monthly cap must be greater than 0']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+penaltyRuleSchema.index({ trigger: 1, branch: 1, isActive: 1 });
+
+penaltyRuleSchema.pre('validate', function (next) {
+  if (this.amountType === 'percentage' && this.amount > 100) {
+    this.invalidate('amount', 'Percentage cannot exceed 100%');
+  }
+  if (this.trigger === 'missed_meeting' && this.amountType === 'percentage') {
+    this.invalidate('amountType', 'Missed meeting penalties must be a fixed amount');
+  }
+  next();
+});
+
+// The active rule for a trigger: the branch's own rule, otherwise the group-wide one
+penaltyRuleSchema.statics.resolve = async function (trigger, branch) {
+  const rules = await this.find({
+    trigger,
+    isActive: true,
+    branch: { $in: [null, ...(branch ? [String(branch)] : [])] }
+  }).sort({ updatedAt: -1 });
+
+  return rules.find((rule) => rule.branch) || rules[0] || null;
+};
+
+penaltyRuleSchema.statics.TRIGGERS = PENALTY_TRIGGERS;
+
+module.exports = mongoose.model('PenaltyRule', penaltyRuleSchema);
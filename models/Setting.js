@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Admin-tunable settings, stored as one document per key
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Stored value merged over the defaults, so newly added options always have a value
+settingSchema.statics.getValue = async function (key, defaults = {}) {
+  const setting = await this.findOne({ key }).lean();
+  return { ...defaults, ...(setting ? setting.value : {}) };
+};
+
+settingSchema.statics.setValue = async function (key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
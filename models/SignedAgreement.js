@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Signed loan agreement uploaded by the borrower; disbursement waits for a verified one
+const signedAgreementSchema = new mongoose.Schema({
+  loan: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Loan',
+    required: [true, 'Loan is required']
+  },
+  member: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Member is required']
+  },
+  originalname: String,
+  fileData: Buffer,
+  mimetype: String,
+  size: Number,
+  uploadedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'verified', 'rejected', 'superseded'],
+      message: 'Status must be pending, verified, rejected, or superseded'
+    },
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: [300, 'Rejection reason cannot exceed 300 characters']
+  },
+  branch: {
+    type: String,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+signedAgreementSchema.index({ loan: 1, uploadedAt: -1 });
+
+// Whether the loan has a verified signed agreement on file
+signedAgreementSchema.statics.hasVerified = async function (loanId) {
+  return Boolean(await this.exists({ loan: loanId, status: 'verified' }));
+};
+
+module.exports = mongoose.model('SignedAgreement', signedAgreementSchema);
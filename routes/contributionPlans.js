@@ -0,0 +1,189 @@
+const express = require("express");
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateContributionPlan,
+  handleValidationErrors,
+} = require("../middleware/validation");
+const {
+  getAllContributionPlans,
+  getOneContributionPlan,
+  createContributionPlan,
+  updateContributionPlan,
+  deleteContributionPlan,
+} = require("../controller/contributionPlans");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Contribution Plans
+ *   description: Expected contributions per branch or per member
+ */
+
+// All routes are protected
+router.use(protect);
+
+/**
+ * @swagger
+ * /contribution-plans:
+ *   get:
+ *     summary: Get contribution plans
+ *     tags: [Contribution Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of contribution plans
+ */
+// @route   GET /api/contribution-plans
+// @desc    Get contribution plans
+// @access  Admin (all), Branch Lead (branch), Member (plans that apply to them)
+router.get("/", getAllContributionPlans);
+
+/**
+ * @swagger
+ * /contribution-plans/{id}:
+ *   get:
+ *     summary: Get contribution plan by ID
+ *     tags: [Contribution Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contribution plan ID
+ *     responses:
+ *       200:
+ *         description: Contribution plan details
+ *       404:
+ *         description: Contribution plan not found
+ */
+// @route   GET /api/contribution-plans/:id
+// @desc    Get contribution plan by ID
+// @access  Admin, Branch Lead
+router.get("/:id", authorize("admin", "branch_lead"), getOneContributionPlan);
+
+/**
+ * @swagger
+ * /contribution-plans:
+ *   post:
+ *     summary: Create a contribution plan
+ *     description: A member plan overrides the plan of the member's branch.
+ *     tags: [Contribution Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scope
+ *               - amount
+ *               - dueDay
+ *               - startDate
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Monthly savings
+ *               scope:
+ *                 type: string
+ *                 enum: [branch, member]
+ *               branch:
+ *                 type: string
+ *                 description: Branch ID, for branch plans
+ *               member:
+ *                 type: string
+ *                 description: Member ID, for member plans
+ *               amount:
+ *                 type: number
+ *                 example: 100
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, monthly]
+ *               dueDay:
+ *                 type: integer
+ *                 example: 10
+ *                 description: Day of the month (1-31) or of the week (0 = Sunday ... 6 = Saturday)
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Contribution plan created successfully
+ *       400:
+ *         description: Validation error
+ */
+// @route   POST /api/contribution-plans
+// @desc    Create contribution plan
+// @access  Admin, Branch Lead (own branch)
+router.post(
+  "/",
+  authorize("admin", "branch_lead"),
+  validateContributionPlan,
+  handleValidationErrors,
+  createContributionPlan
+);
+
+/**
+ * @swagger
+ * /contribution-plans/{id}:
+ *   put:
+ *     summary: Update a contribution plan
+ *     tags: [Contribution Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contribution plan ID
+ *     responses:
+ *       200:
+ *         description: Contribution plan updated successfully
+ *       404:
+ *         description: Contribution plan not found
+ */
+// @route   PUT /api/contribution-plans/:id
+// @desc    Update contribution plan
+// @access  Admin, Branch Lead (own branch)
+router.put("/:id", authorize("admin", "branch_lead"), updateContributionPlan);
+
+/**
+ * @swagger
+ * /contribution-plans/{id}:
+ *   delete:
+ *     summary: Deactivate a contribution plan (soft delete)
+ *     tags: [Contribution Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contribution plan ID
+ *     responses:
+ *       200:
+ *         description: Contribution plan deactivated successfully
+ *       404:
+ *         description: Contribution plan not found
+ */
+// @route   DELETE /api/contribution-plans/:id
+// @desc    Deactivate contribution plan
+// @access  Admin, Branch Lead (own branch)
+router.delete("/:id", authorize("admin", "branch_lead"), deleteContributionPlan);
+
+module.exports = router;
@@ -6,15 +6,19 @@ const express = require("express");
 const { protect, authorize } = require("../middleware/auth");
 const {
   validateContribution,
+  validateBulkContributions,
   handleValidationErrors,
 } = require("../middleware/validation");
 const {
   getAllContribution,
   getOneContribution,
+  getContributionReceipt,
   createContribution,
+  createBulkContributions,
   updatingContribution,
   deletingContribution,
   getTotalContributions,
+  getContributionArrears,
   getNetContributions
 } = require("../controller/contributions");
 
@@ -50,6 +54,44 @@ router.get("/net", getNetContributions);
 
 router.get("/total", getTotalContributions);
 
+/**
+ * @swagger
+ * /contributions/arrears:
+ *   get:
+ *     summary: Get members who are behind on their contribution plan
+ *     description: Expected obligations are generated per period from the contribution plan that applies to each member (their own plan, otherwise their branch's). Monthly and weekly contributions are applied to the oldest obligation first.
+ *     tags: [Contributions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: memberId
+ *         schema:
+ *           type: string
+ *         description: Limit to one member and include the per-period breakdown
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *         description: Filter by branch (admin only)
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: includeUpToDate
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Amount and number of periods each member is behind, largest arrears first
+ */
+// @route   GET /api/contributions/arrears
+// @desc    Expected vs. actual contributions per member
+// @access  Admin (all), Branch Lead (branch), Member (own)
+router.get("/arrears", getContributionArrears);
+
 /**
  * @swagger
  * /contributions:
@@ -73,6 +115,41 @@ router.get("/total", getTotalContributions);
 // @access  Admin (all), Branch Lead (branch), Member (own)
 router.get("/", getAllContribution);
 
+/**
+ * @swagger
+ * /contributions/{id}/receipt:
+ *   get:
+ *     summary: Download a contribution receipt
+ *     description: Receipt numbers run without gaps per branch. A cancelled contribution keeps its number and its receipt is marked void.
+ *     tags: [Contributions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contribution ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Receipt as a PDF download or an HTML page
+ *       400:
+ *         description: Contribution has no receipt
+ *       404:
+ *         description: Contribution not found
+ */
+// @route   GET /api/contributions/:id/receipt
+// @desc    Download contribution receipt
+// @access  Admin, Branch Lead (branch), Member (own)
+router.get("/:id/receipt", getContributionReceipt);
+
 /**
  * @swagger
  * /contributions/{id}:
@@ -138,6 +215,79 @@ router.post(
   deletingContribution
 );
 
+/**
+ * @swagger
+ * /contributions/bulk:
+ *   post:
+ *     summary: Record a meeting's contributions in one batch
+ *     description: >
+ *       Every row is validated first. If any row fails, nothing is recorded unless
+ *       allowPartial is true, in which case only the valid rows are recorded. The
+ *       recorded rows, their late-contribution penalties and the members' totals
+ *       are written in a single transaction.
+ *     tags: [Contributions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contributions
+ *             properties:
+ *               contributionType:
+ *                 type: string
+ *                 enum: [monthly, weekly, special, penalty_payment]
+ *                 description: Default for rows that do not set one
+ *               contributionDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Meeting date, used for rows that do not set one
+ *               description:
+ *                 type: string
+ *               allowPartial:
+ *                 type: boolean
+ *                 default: false
+ *               contributions:
+ *                 type: array
+ *                 maxItems: 200
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - memberId
+ *                     - amount
+ *                   properties:
+ *                     memberId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                       example: 500
+ *                     contributionType:
+ *                       type: string
+ *                     contributionDate:
+ *                       type: string
+ *                       format: date
+ *                     description:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Contributions recorded, with a result per row
+ *       400:
+ *         description: Rows failed validation; the per-row results say why
+ */
+// @route   POST /api/contributions/bulk
+// @desc    Record many contributions at once
+// @access  Admin, Branch Lead (own branch members)
+router.post(
+  "/bulk",
+  authorize("admin", "branch_lead"),
+  validateBulkContributions,
+  handleValidationErrors,
+  createBulkContributions
+);
+
 /**
  * @swagger
  * /contributions/{id}:
@@ -0,0 +1,141 @@
+const express = require("express");
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateCreditScoreSettings,
+  handleValidationErrors,
+} = require("../middleware/validation");
+const {
+  getScoringSettings,
+  updateScoringSettings,
+  getMemberCreditScore,
+} = require("../controller/creditScores");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Credit Scores
+ *   description: Member credit scoring used to assess loan requests
+ */
+
+// All routes are protected
+router.use(protect);
+
+/**
+ * @swagger
+ * /credit-scores/settings:
+ *   get:
+ *     summary: Get the credit scoring weights and parameters
+ *     tags: [Credit Scores]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current settings, factor labels and grade thresholds
+ */
+// @route   GET /api/credit-scores/settings
+// @desc    Get credit scoring settings
+// @access  Admin, Branch Lead
+router.get("/settings", authorize("admin", "branch_lead"), getScoringSettings);
+
+/**
+ * @swagger
+ * /credit-scores/settings:
+ *   put:
+ *     summary: Update the credit scoring weights and parameters
+ *     description: Weights are relative; factors that do not apply to a score are left out and the rest rescaled to 100%.
+ *     tags: [Credit Scores]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               weights:
+ *                 type: object
+ *                 properties:
+ *                   contributionRegularity:
+ *                     type: number
+ *                     example: 30
+ *                   repaymentPunctuality:
+ *                     type: number
+ *                     example: 30
+ *                   penaltyHistory:
+ *                     type: number
+ *                     example: 15
+ *                   membershipAge:
+ *                     type: number
+ *                     example: 10
+ *                   guarantorCoverage:
+ *                     type: number
+ *                     example: 15
+ *               lookbackMonths:
+ *                 type: integer
+ *                 example: 12
+ *                 description: Window for contribution regularity and penalty history
+ *               fullScoreMembershipMonths:
+ *                 type: integer
+ *                 example: 24
+ *                 description: Membership age that earns the full membership score
+ *               penaltyDeduction:
+ *                 type: number
+ *                 example: 20
+ *                 description: Points deducted per penalty, doubled while unpaid
+ *               defaultDeduction:
+ *                 type: number
+ *                 example: 50
+ *                 description: Points deducted from punctuality per defaulted or written-off loan
+ *               neutralScore:
+ *                 type: number
+ *                 example: 50
+ *                 description: Punctuality score of members without repayment history
+ *     responses:
+ *       200:
+ *         description: Credit score settings updated successfully
+ *       400:
+ *         description: Validation error
+ */
+// @route   PUT /api/credit-scores/settings
+// @desc    Tune credit scoring weights
+// @access  Admin
+router.put(
+  "/settings",
+  authorize("admin"),
+  validateCreditScoreSettings,
+  handleValidationErrors,
+  updateScoringSettings
+);
+
+/**
+ * @swagger
+ * /credit-scores/members/{memberId}:
+ *   get:
+ *     summary: Get a member's current credit score
+ *     tags: [Credit Scores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Member ID
+ *     responses:
+ *       200:
+ *         description: Credit score, grade and per-factor breakdown
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Member not found
+ */
+// @route   GET /api/credit-scores/members/:memberId
+// @desc    Get a member's credit score
+// @access  Admin, Branch Lead (own branch), Member (self)
+router.get("/members/:memberId", getMemberCreditScore);
+
+module.exports = router;
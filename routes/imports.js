@@ -0,0 +1,182 @@
+const express = require("express");
+const { protect, authorize } = require("../middleware/auth");
+const { importUpload, handleUploadErrors } = require("../middleware/upload");
+const {
+  validateImportRollback,
+  handleValidationErrors,
+} = require("../middleware/validation");
+const {
+  importRecords,
+  getImportBatches,
+  getImportBatch,
+  rollbackImport,
+} = require("../controller/imports");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Imports
+ *   description: Import historical records from spreadsheets
+ */
+
+// All routes are protected and admin-only
+router.use(protect);
+router.use(authorize("admin"));
+
+/**
+ * @swagger
+ * /imports:
+ *   get:
+ *     summary: Get import batches
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of import batches
+ */
+// @route   GET /api/imports
+// @desc    Get import batches
+// @access  Admin
+router.get("/", getImportBatches);
+
+/**
+ * @swagger
+ * /imports/{type}:
+ *   post:
+ *     summary: Import contributions, loans or penalties from a CSV or XLSX file
+ *     description: >
+ *       The first row holds the column names and members are matched by email.
+ *       Dates must be spreadsheet dates or YYYY-MM-DD. With dryRun=true every row
+ *       is validated and previewed without recording anything. Otherwise the file
+ *       is imported only if every row is valid, in one transaction, and every
+ *       record is tagged with the import batch ID so it can be rolled back.
+ *
+ *       Columns - contributions: email, amount, date, type (default monthly),
+ *       status (default confirmed), description.
+ *       Loans: email, amount, interestRate, duration (months), interestMethod
+ *       (default flat), status (disbursed, repaid or defaulted), disbursedDate,
+ *       appliedDate, amountPaid (default 0, or the total for repaid loans),
+ *       repaidDate (required for repaid loans).
+ *       Penalties: email, amount, reason, date, status (default pending),
+ *       paidDate, description.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [contributions, loans, penalties]
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or XLSX file (first worksheet is read)
+ *     responses:
+ *       200:
+ *         description: Dry run preview with a result per row
+ *       201:
+ *         description: Records imported
+ *       400:
+ *         description: Unreadable file, missing columns, or rows that failed validation
+ */
+// @route   POST /api/imports/:type
+// @desc    Preview or import records from a spreadsheet
+// @access  Admin
+router.post(
+  "/:type",
+  importUpload.single("file"),
+  handleUploadErrors("file"),
+  importRecords
+);
+
+/**
+ * @swagger
+ * /imports/{id}/rollback:
+ *   post:
+ *     summary: Roll back an import by deleting every record it created
+ *     description: Loan imports cannot be rolled back once the loans have repayments, penalties, collateral or top-ups.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import batch ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Wrong branch sheet imported
+ *     responses:
+ *       200:
+ *         description: Import rolled back
+ *       400:
+ *         description: Already rolled back, or imported loans have since been used
+ *       404:
+ *         description: Import batch not found
+ */
+// @route   POST /api/imports/:id/rollback
+// @desc    Roll back an import
+// @access  Admin
+router.post(
+  "/:id/rollback",
+  validateImportRollback,
+  handleValidationErrors,
+  rollbackImport
+);
+
+/**
+ * @swagger
+ * /imports/{id}:
+ *   get:
+ *     summary: Get an import batch
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import batch ID
+ *     responses:
+ *       200:
+ *         description: Import batch details
+ *       404:
+ *         description: Import batch not found
+ */
+// @route   GET /api/imports/:id
+// @desc    Get import batch
+// @access  Admin
+router.get("/:id", getImportBatch);
+
+module.exports = router;
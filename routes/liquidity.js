@@ -0,0 +1,105 @@
+const express = require("express");
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateLiquiditySettings,
+  handleValidationErrors,
+} = require("../middleware/validation");
+const {
+  getLiquidity,
+  getLiquidityConfig,
+  updateLiquidityConfig,
+} = require("../controller/liquidity");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Liquidity
+ *   description: Group funds available for lending and the reserve kept back
+ */
+
+// All routes are protected
+router.use(protect);
+router.use(authorize("admin", "branch_lead"));
+
+/**
+ * @swagger
+ * /liquidity:
+ *   get:
+ *     summary: Get the group's liquidity and lendable amount
+ *     description: Loans that would take cash available below the required reserve are blocked or flagged when they are approved or disbursed, depending on the reserve mode.
+ *     tags: [Liquidity]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cash available, committed funds, required reserve and lendable amount
+ */
+// @route   GET /api/liquidity
+// @desc    Get group liquidity
+// @access  Admin, Branch Lead
+router.get("/", getLiquidity);
+
+/**
+ * @swagger
+ * /liquidity/settings:
+ *   get:
+ *     summary: Get the reserve ratio and enforcement mode
+ *     tags: [Liquidity]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Liquidity settings
+ */
+// @route   GET /api/liquidity/settings
+// @desc    Get liquidity settings
+// @access  Admin, Branch Lead
+router.get("/settings", getLiquidityConfig);
+
+/**
+ * @swagger
+ * /liquidity/settings:
+ *   put:
+ *     summary: Update the reserve ratio and enforcement mode
+ *     tags: [Liquidity]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reserveRatio:
+ *                 type: number
+ *                 example: 10
+ *                 description: Percentage of total contributions that must remain in the group
+ *               mode:
+ *                 type: string
+ *                 enum: [block, warn]
+ *                 description: Block loans that break the reserve, or only warn
+ *               queuePolicy:
+ *                 type: string
+ *                 enum: [fifo, smallest_first, credit_score]
+ *                 description: Order in which waiting-list loans are funded
+ *     responses:
+ *       200:
+ *         description: Liquidity settings updated successfully
+ *       400:
+ *         description: Validation error
+ */
+// @route   PUT /api/liquidity/settings
+// @desc    Update liquidity settings
+// @access  Admin
+router.put(
+  "/settings",
+  authorize("admin"),
+  validateLiquiditySettings,
+  handleValidationErrors,
+  updateLiquidityConfig
+);
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require("express");
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateLoanApprovalStep,
+  handleValidationErrors,
+} = require("../middleware/validation");
+const {
+  getAllApprovalSteps,
+  getOneApprovalStep,
+  createApprovalStep,
+  updateApprovalStep,
+  deleteApprovalStep,
+} = require("../controller/loanApprovalSteps");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Loan Approval Steps
+ *   description: Configurable approval chain that loans must complete before approval
+ */
+
+// All routes are protected
+router.use(protect);
+
+/**
+ * @swagger
+ * /loan-approval-steps:
+ *   get:
+ *     summary: Get all loan approval steps
+ *     tags: [Loan Approval Steps]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of approval steps in chain order
+ */
+// @route   GET /api/loan-approval-steps
+// @desc    Get the approval chain configuration
+// @access  Admin, Branch Lead
+router.get("/", authorize("admin", "branch_lead"), getAllApprovalSteps);
+
+/**
+ * @swagger
+ * /loan-approval-steps/{id}:
+ *   get:
+ *     summary: Get approval step by ID
+ *     tags: [Loan Approval Steps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval step ID
+ *     responses:
+ *       200:
+ *         description: Approval step details
+ *       404:
+ *         description: Approval step not found
+ */
+// @route   GET /api/loan-approval-steps/:id
+// @desc    Get approval step by ID
+// @access  Admin, Branch Lead
+router.get("/:id", authorize("admin", "branch_lead"), getOneApprovalStep);
+
+/**
+ * @swagger
+ * /loan-approval-steps:
+ *   post:
+ *     summary: Create a new approval step
+ *     description: Steps apply to loans of at least minAmount and are completed in ascending order.
+ *     tags: [Loan Approval Steps]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - order
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Admin sign-off for large loans
+ *               order:
+ *                 type: integer
+ *                 example: 2
+ *               role:
+ *                 type: string
+ *                 enum: [branch_lead, admin]
+ *               minAmount:
+ *                 type: number
+ *                 example: 5000
+ *               requiredApprovals:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       201:
+ *         description: Approval step created successfully
+ *       400:
+ *         description: Validation error
+ */
+// @route   POST /api/loan-approval-steps
+// @desc    Create approval step
+// @access  Admin
+router.post(
+  "/",
+  authorize("admin"),
+  validateLoanApprovalStep,
+  handleValidationErrors,
+  createApprovalStep
+);
+
+/**
+ * @swagger
+ * /loan-approval-steps/{id}:
+ *   put:
+ *     summary: Update an approval step
+ *     tags: [Loan Approval Steps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval step ID
+ *     responses:
+ *       200:
+ *         description: Approval step updated successfully
+ *       404:
+ *         description: Approval step not found
+ */
+// @route   PUT /api/loan-approval-steps/:id
+// @desc    Update approval step
+// @access  Admin
+router.put("/:id", authorize("admin"), updateApprovalStep);
+
+/**
+ * @swagger
+ * /loan-approval-steps/{id}:
+ *   delete:
+ *     summary: Deactivate an approval step (soft delete)
+ *     tags: [Loan Approval Steps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval step ID
+ *     responses:
+ *       200:
+ *         description: Approval step deactivated successfully
+ *       404:
+ *         description: Approval step not found
+ */
+// @route   DELETE /api/loan-approval-steps/:id
+// @desc    Deactivate approval step
+// @access  Admin
+router.delete("/:id", authorize("admin"), deleteApprovalStep);
+
+module.exports = router;
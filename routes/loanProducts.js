@@ -0,0 +1,194 @@
+const express = require("express");
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateLoanProduct,
+  handleValidationErrors,
+} = require("../middleware/validation");
+const {
+  getAllLoanProducts,
+  getOneLoanProduct,
+  createLoanProduct,
+  updateLoanProduct,
+  deleteLoanProduct,
+} = require("../controller/loanProducts");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Loan Products
+ *   description: Loan products with limits and eligibility rules
+ */
+
+// All routes are protected
+router.use(protect);
+
+/**
+ * @swagger
+ * /loan-products:
+ *   get:
+ *     summary: Get all loan products
+ *     tags: [Loan Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of loan products
+ */
+// @route   GET /api/loan-products
+// @desc    Get loan products
+// @access  Admin, Branch Lead (all), Member (active only)
+router.get("/", getAllLoanProducts);
+
+/**
+ * @swagger
+ * /loan-products/{id}:
+ *   get:
+ *     summary: Get loan product by ID
+ *     tags: [Loan Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan product ID
+ *     responses:
+ *       200:
+ *         description: Loan product details
+ *       404:
+ *         description: Loan product not found
+ */
+// @route   GET /api/loan-products/:id
+// @desc    Get loan product by ID
+// @access  Protected
+router.get("/:id", getOneLoanProduct);
+
+/**
+ * @swagger
+ * /loan-products:
+ *   post:
+ *     summary: Create a new loan product
+ *     tags: [Loan Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - code
+ *               - maxAmount
+ *               - defaultInterestRate
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Emergency Loan
+ *               code:
+ *                 type: string
+ *                 example: EMG
+ *               description:
+ *                 type: string
+ *               minAmount:
+ *                 type: number
+ *                 example: 100
+ *               maxAmount:
+ *                 type: number
+ *                 example: 5000
+ *               maxContributionMultiple:
+ *                 type: number
+ *                 example: 3
+ *               allowedDurations:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [3, 6, 12]
+ *               defaultInterestRate:
+ *                 type: number
+ *                 example: 2
+ *               interestMethod:
+ *                 type: string
+ *                 enum: [flat, reducing_balance, compound]
+ *               minMembershipMonths:
+ *                 type: integer
+ *                 example: 6
+ *               requiredGuaranteeCoverage:
+ *                 type: number
+ *                 description: Percentage of the loan accepted guarantees must cover before approval
+ *                 example: 50
+ *     responses:
+ *       201:
+ *         description: Loan product created successfully
+ *       400:
+ *         description: Validation error
+ */
+// @route   POST /api/loan-products
+// @desc    Create loan product
+// @access  Admin
+router.post(
+  "/",
+  authorize("admin"),
+  validateLoanProduct,
+  handleValidationErrors,
+  createLoanProduct
+);
+
+/**
+ * @swagger
+ * /loan-products/{id}:
+ *   put:
+ *     summary: Update a loan product
+ *     tags: [Loan Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan product ID
+ *     responses:
+ *       200:
+ *         description: Loan product updated successfully
+ *       404:
+ *         description: Loan product not found
+ */
+// @route   PUT /api/loan-products/:id
+// @desc    Update loan product
+// @access  Admin
+router.put("/:id", authorize("admin"), updateLoanProduct);
+
+/**
+ * @swagger
+ * /loan-products/{id}:
+ *   delete:
+ *     summary: Deactivate a loan product (soft delete)
+ *     tags: [Loan Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan product ID
+ *     responses:
+ *       200:
+ *         description: Loan product deactivated successfully
+ *       404:
+ *         description: Loan product not found
+ */
+// @route   DELETE /api/loan-products/:id
+// @desc    Deactivate loan product
+// @access  Admin
+router.delete("/:id", authorize("admin"), deleteLoanProduct);
+
+module.exports = router;
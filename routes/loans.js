@@ -1,19 +1,62 @@
 const express = require("express");
 const { protect, authorize } = require("../middleware/auth");
+const { documentUpload, handleUploadErrors } = require("../middleware/upload");
 const {
   validateLoan,
   validateLoanApproval,
+  validateLoanDisbursement,
+  validateLoanRepayment,
+  validateGuaranteeResponse,
+  validateLoanRestructure,
+  validateLoanPayoff,
+  validateLoanWriteOff,
+  validateAgreementReview,
+  validateCollateral,
+  validateCollateralUpdate,
+  validateLoanQueueOrder,
   handleValidationErrors,
 } = require("../middleware/validation");
 const {
   getAllLoans,
   getSingleLoan,
   requestingLoan,
+  requestTopUp,
   approvingLoan,
+  disbursingLoan,
   repaymentLoan,
+  recordRepayment,
+  getLoanRepayments,
+  getLoanSchedule,
+  getPayoffQuote,
+  settleLoanEarly,
+  restructureLoan,
+  writeOffLoan,
+  recordRecovery,
+  getMyGuarantees,
+  respondToGuarantee,
+  getLoanAgreement,
   sendLoanApprovalEmail,
   downloadLoanAgreement,
 } = require("../controller/loans");
+const {
+  uploadSignedAgreement,
+  getSignedAgreements,
+  downloadSignedAgreement,
+  reviewSignedAgreement,
+} = require("../controller/signedAgreements");
+const {
+  addCollateral,
+  getLoanCollateral,
+  updateCollateral,
+  addCollateralDocuments,
+  downloadCollateralDocument,
+  removeCollateral,
+} = require("../controller/collaterals");
+const {
+  getLoanQueue,
+  reorderLoanQueue,
+  releaseLoanQueue,
+} = require("../controller/loanQueue");
 const router = express.Router();
 
 /**
@@ -49,7 +92,7 @@ router.use(protect);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, approved, rejected, disbursed, repaid, defaulted]
+ *           enum: [pending, queued, approved, rejected, disbursed, repaid, defaulted, written_off, refinanced]
  *         description: Filter by loan status
  *       - in: query
  *         name: member
@@ -100,6 +143,104 @@ router.get("/", getAllLoans);
 // @access  Protected (all authenticated users)
 router.get("/loan-agreement", downloadLoanAgreement);
 
+/**
+ * @swagger
+ * /loans/guarantees:
+ *   get:
+ *     summary: Get guarantee requests addressed to the current user
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined]
+ *     responses:
+ *       200:
+ *         description: Guarantee requests retrieved successfully
+ */
+// @route   GET /api/loans/guarantees
+// @desc    Get loans the current user has been asked to guarantee
+// @access  Protected (all authenticated users)
+router.get("/guarantees", getMyGuarantees);
+
+/**
+ * @swagger
+ * /loans/queue:
+ *   get:
+ *     summary: Get the waiting list of approved loans awaiting funds
+ *     description: Loans placed by an admin come first; the rest follow the queue policy in the liquidity settings (fifo, smallest_first or credit_score).
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Queued loans with their positions, the queue policy and the current lendable amount
+ */
+// @route   GET /api/loans/queue
+// @desc    Get the loan waiting list
+// @access  Admin, Branch Lead (own branch entries)
+router.get("/queue", authorize("admin", "branch_lead"), getLoanQueue);
+
+/**
+ * @swagger
+ * /loans/queue:
+ *   put:
+ *     summary: Reorder the loan waiting list
+ *     description: The listed loans move to the front in the given order; queued loans not listed follow them in policy order. An empty list restores the policy order.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - loanIds
+ *             properties:
+ *               loanIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Loan queue reordered successfully
+ *       400:
+ *         description: A listed loan is not queued
+ */
+// @route   PUT /api/loans/queue
+// @desc    Reorder the loan waiting list
+// @access  Admin
+router.put(
+  "/queue",
+  authorize("admin"),
+  validateLoanQueueOrder,
+  handleValidationErrors,
+  reorderLoanQueue
+);
+
+/**
+ * @swagger
+ * /loans/queue/release:
+ *   post:
+ *     summary: Release queued loans the group can now fund
+ *     description: Runs automatically after repayments; loans are released in queue order until one cannot be funded.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Released loans, now approved and awaiting disbursement
+ */
+// @route   POST /api/loans/queue/release
+// @desc    Release fundable loans from the waiting list
+// @access  Admin
+router.post("/queue/release", authorize("admin"), releaseLoanQueue);
+
 /**
  * @swagger
  * /loans:
@@ -132,6 +273,21 @@ router.get("/loan-agreement", downloadLoanAgreement);
  *                 maximum: 60
  *                 example: 12
  *                 description: Loan duration in months
+ *               product:
+ *                 type: string
+ *                 description: Loan product ID; the request must satisfy its eligibility rules
+ *               guarantors:
+ *                 type: array
+ *                 description: Members asked to guarantee the loan
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     member:
+ *                       type: string
+ *                       example: 507f1f77bcf86cd799439011
+ *                     amount:
+ *                       type: number
+ *                       example: 2500
  *     responses:
  *       201:
  *         description: Loan request submitted successfully
@@ -198,24 +354,38 @@ router.post(
  *                 type: string
  *                 enum: [approved, rejected]
  *                 example: approved
+ *               interestRate:
+ *                 type: number
+ *                 example: 2
+ *                 description: Monthly interest rate in percent
+ *               interestMethod:
+ *                 type: string
+ *                 enum: [flat, reducing_balance, compound]
+ *                 example: reducing_balance
  *               rejectionReason:
  *                 type: string
  *                 example: Insufficient collateral
+ *               comment:
+ *                 type: string
+ *                 description: Approver's comment, stored with their decision
+ *               queue:
+ *                 type: boolean
+ *                 description: Place the loan on the waiting list if the group cannot fund it without breaking its reserve
  *     responses:
  *       200:
- *         description: Loan approved or rejected successfully
+ *         description: Decision recorded; the loan is approved (or queued) once every step of the approval chain is complete
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Loan'
  *       400:
- *         description: Validation error
+ *         description: Validation error, or the group cannot fund the loan and the reserve mode is block
  *       404:
  *         description: Loan not found
  */
 
 // @route   POST /api/loans/:id/approve
-// @desc    Approve or reject loan
+// @desc    Record an approval decision; approves the loan once the chain is complete
 // @access  Admin, Branch Lead
 router.post(
   "/:id/approve",
@@ -240,13 +410,34 @@ router.post(
  *         schema:
  *           type: string
  *         description: Loan ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [cash, mobile_money, bank_transfer, cheque, other]
+ *                 example: bank_transfer
+ *               reference:
+ *                 type: string
+ *                 example: TRX-0001
+ *               notes:
+ *                 type: string
+ *               queue:
+ *                 type: boolean
+ *                 description: Place the loan on the waiting list if the group cannot fund it yet
  *     responses:
  *       200:
- *         description: Loan disbursed successfully
+ *         description: Loan disbursed successfully, or placed on the waiting list
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Loan is not in the approved status, or the group cannot fund it and the reserve mode is block
  *       404:
  *         description: Loan not found
  */
@@ -254,7 +445,963 @@ router.post(
 // @route   POST /api/loans/:id/disburse
 // @desc    Disburse approved loan
 // @access  Admin
-router.post("/:id/disburse", authorize("admin"), repaymentLoan);
+router.post(
+  "/:id/disburse",
+  authorize("admin"),
+  validateLoanDisbursement,
+  handleValidationErrors,
+  disbursingLoan
+);
+
+/**
+ * @swagger
+ * /loans/{id}/repay:
+ *   post:
+ *     summary: Settle the outstanding balance and mark a loan as repaid
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Loan marked as repaid
+ *       400:
+ *         description: Loan cannot be marked as repaid from its current status
+ *       404:
+ *         description: Loan not found
+ */
+
+// @route   POST /api/loans/:id/repay
+// @desc    Settle the outstanding balance and close the loan
+// @access  Admin
+router.post(
+  "/:id/repay",
+  authorize("admin"),
+  validateLoanDisbursement,
+  handleValidationErrors,
+  repaymentLoan
+);
+
+/**
+ * @swagger
+ * /loans/{id}/top-up:
+ *   post:
+ *     summary: Request a top-up of a disbursed loan
+ *     description: Creates a new, larger loan request. When it is disbursed, the payoff amount of the current loan is deducted, the current loan is closed as refinanced and only the difference is paid out.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the loan being topped up
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - duration
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 3000
+ *                 description: Principal of the new loan, including the balance carried over
+ *               duration:
+ *                 type: integer
+ *                 example: 12
+ *               purpose:
+ *                 type: string
+ *               product:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Top-up request submitted successfully
+ *       400:
+ *         description: Loan cannot be topped up or the amount does not exceed the payoff amount
+ *       403:
+ *         description: Not the borrower
+ *       404:
+ *         description: Loan not found
+ */
+// @route   POST /api/loans/:id/top-up
+// @desc    Request a new loan that refinances the balance of this one
+// @access  Member, Branch Lead (own loan)
+router.post(
+  "/:id/top-up",
+  authorize("member", "branch_lead"),
+  validateLoan,
+  handleValidationErrors,
+  requestTopUp
+);
+
+/**
+ * @swagger
+ * /loans/{id}/payoff-quote:
+ *   get:
+ *     summary: Get an early payoff quote for a loan
+ *     description: Returns the outstanding principal, interest accrued up to the date and the rebate on unearned interest under the early-settlement policy.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Settlement date (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Payoff quote retrieved successfully
+ *       400:
+ *         description: Loan is not outstanding or the date is invalid
+ *       404:
+ *         description: Loan not found
+ */
+// @route   GET /api/loans/:id/payoff-quote
+// @desc    Quote the amount needed to close a loan early
+// @access  Admin, Branch Lead (own branch), Member (own loan)
+router.get("/:id/payoff-quote", getPayoffQuote);
+
+/**
+ * @swagger
+ * /loans/{id}/payoff:
+ *   post:
+ *     summary: Settle a loan early at the quoted amount
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Settlement date (defaults to today, cannot be in the future)
+ *               amount:
+ *                 type: number
+ *                 description: Amount from the quote; the request fails if the payoff amount has changed
+ *               method:
+ *                 type: string
+ *                 enum: [cash, mobile_money, bank_transfer, cheque, other]
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Loan settled early
+ *       400:
+ *         description: Loan cannot be settled or the quote has changed
+ *       404:
+ *         description: Loan not found
+ */
+// @route   POST /api/loans/:id/payoff
+// @desc    Close a loan early at the quoted payoff amount
+// @access  Admin, Branch Lead
+router.post(
+  "/:id/payoff",
+  authorize("admin", "branch_lead"),
+  validateLoanPayoff,
+  handleValidationErrors,
+  settleLoanEarly
+);
+
+/**
+ * @swagger
+ * /loans/{id}/write-off:
+ *   post:
+ *     summary: Write off the remaining balance of a disbursed or defaulted loan
+ *     description: Removes the outstanding balance from the group's books and seizes any collateral still held.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Member relocated and cannot be reached
+ *     responses:
+ *       200:
+ *         description: Loan written off
+ *       400:
+ *         description: Loan cannot be written off from its current status
+ *       404:
+ *         description: Loan not found
+ */
+// @route   POST /api/loans/:id/write-off
+// @desc    Write off the remaining balance of a loan
+// @access  Admin
+router.post(
+  "/:id/write-off",
+  authorize("admin"),
+  validateLoanWriteOff,
+  handleValidationErrors,
+  writeOffLoan
+);
+
+/**
+ * @swagger
+ * /loans/{id}/recoveries:
+ *   post:
+ *     summary: Record a recovery payment against a written-off loan
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 200
+ *               paymentDate:
+ *                 type: string
+ *                 format: date
+ *               method:
+ *                 type: string
+ *                 enum: [cash, mobile_money, bank_transfer, cheque, other]
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Recovery recorded
+ *       400:
+ *         description: Loan is not written off or the amount exceeds what was written off
+ *       404:
+ *         description: Loan not found
+ */
+// @route   POST /api/loans/:id/recoveries
+// @desc    Record money recovered on a written-off loan
+// @access  Admin
+router.post(
+  "/:id/recoveries",
+  authorize("admin"),
+  validateLoanRepayment,
+  handleValidationErrors,
+  recordRecovery
+);
+
+/**
+ * @swagger
+ * /loans/{id}/restructure:
+ *   post:
+ *     summary: Restructure the outstanding balance of a loan
+ *     description: Regenerates the unpaid part of the schedule under new terms and keeps the previous terms as a version history on the loan.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               duration:
+ *                 type: integer
+ *                 description: Remaining duration in months
+ *                 example: 12
+ *               interestRate:
+ *                 type: number
+ *                 example: 1.5
+ *               interestMethod:
+ *                 type: string
+ *                 enum: [flat, reducing_balance, compound]
+ *               reason:
+ *                 type: string
+ *                 example: Member lost their job and needs lower installments
+ *     responses:
+ *       200:
+ *         description: Loan restructured successfully
+ *       400:
+ *         description: Loan cannot be restructured
+ *       404:
+ *         description: Loan not found
+ */
+// @route   POST /api/loans/:id/restructure
+// @desc    Change the remaining duration and/or interest rate of an outstanding loan
+// @access  Admin
+router.post(
+  "/:id/restructure",
+  authorize("admin"),
+  validateLoanRestructure,
+  handleValidationErrors,
+  restructureLoan
+);
+
+/**
+ * @swagger
+ * /loans/{id}/repayments:
+ *   post:
+ *     summary: Record a repayment installment (Admin and Branch Lead)
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 1000
+ *               paymentDate:
+ *                 type: string
+ *                 format: date
+ *               method:
+ *                 type: string
+ *                 enum: [cash, mobile_money, bank_transfer, cheque, other]
+ *                 example: mobile_money
+ *               reference:
+ *                 type: string
+ *                 example: MM-20240115-001
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Repayment recorded successfully
+ *       400:
+ *         description: Validation error or amount exceeds the outstanding balance
+ *       404:
+ *         description: Loan not found
+ *   get:
+ *     summary: Get the repayment ledger of a loan
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Repayments retrieved successfully
+ *       404:
+ *         description: Loan not found
+ */
+
+// @route   POST /api/loans/:id/repayments
+// @desc    Record a repayment installment
+// @access  Admin, Branch Lead (own branch)
+router.post(
+  "/:id/repayments",
+  authorize("admin", "branch_lead"),
+  validateLoanRepayment,
+  handleValidationErrors,
+  recordRepayment
+);
+
+// @route   GET /api/loans/:id/repayments
+// @desc    Get the repayment ledger of a loan
+// @access  Admin, Branch Lead (branch), Member (own)
+router.get("/:id/repayments", getLoanRepayments);
+
+/**
+ * @swagger
+ * /loans/{id}/guarantee:
+ *   post:
+ *     summary: Accept or decline a request to guarantee a loan
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [accepted, declined]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Guarantee response recorded
+ *       400:
+ *         description: Loan is no longer pending or guarantee already answered
+ *       404:
+ *         description: Loan or guarantee request not found
+ */
+// @route   POST /api/loans/:id/guarantee
+// @desc    Guarantor accepts or declines their pledge
+// @access  Guarantor named on the loan
+router.post(
+  "/:id/guarantee",
+  validateGuaranteeResponse,
+  handleValidationErrors,
+  respondToGuarantee
+);
+
+/**
+ * @swagger
+ * /loans/{id}/schedule:
+ *   get:
+ *     summary: Get the installment schedule of a loan
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved successfully
+ *       404:
+ *         description: Loan not found
+ */
+
+// @route   GET /api/loans/:id/schedule
+// @desc    Get the installment schedule of a loan
+// @access  Admin, Branch Lead (branch), Member (own)
+router.get("/:id/schedule", getLoanSchedule);
+
+/**
+ * @swagger
+ * /loans/{id}/agreement:
+ *   get:
+ *     summary: Download the loan agreement generated for this loan
+ *     description: Pre-filled with the member, branch, loan terms, repayment schedule and guarantors.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Loan agreement PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Loan has not been approved
+ *       404:
+ *         description: Loan not found
+ */
+// @route   GET /api/loans/:id/agreement
+// @desc    Download the generated agreement for a loan
+// @access  Admin, Branch Lead (own branch), Member (own loan)
+router.get("/:id/agreement", getLoanAgreement);
+
+/**
+ * @swagger
+ * /loans/{id}/signed-agreements:
+ *   post:
+ *     summary: Upload the signed agreement for an approved loan
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - agreement
+ *             properties:
+ *               agreement:
+ *                 type: string
+ *                 format: binary
+ *                 description: Scanned PDF or photo (JPEG/PNG) of the signed agreement, up to 16MB
+ *     responses:
+ *       201:
+ *         description: Signed agreement uploaded
+ *       400:
+ *         description: No file, wrong file type, or loan is not awaiting disbursement
+ *       403:
+ *         description: Not the borrower on this loan
+ *       404:
+ *         description: Loan not found
+ *   get:
+ *     summary: List signed agreements uploaded for a loan
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Signed agreements retrieved successfully
+ *       404:
+ *         description: Loan not found
+ */
+// @route   POST /api/loans/:id/signed-agreements
+// @desc    Borrower uploads their signed loan agreement
+// @access  Member (own loan)
+router.post(
+  "/:id/signed-agreements",
+  authorize("member", "branch_lead"),
+  documentUpload.single("agreement"),
+  handleUploadErrors("agreement"),
+  uploadSignedAgreement
+);
+
+// @route   GET /api/loans/:id/signed-agreements
+// @desc    List signed agreements for a loan
+// @access  Admin, Branch Lead (own branch), Member (own loan)
+router.get("/:id/signed-agreements", getSignedAgreements);
+
+/**
+ * @swagger
+ * /loans/{id}/signed-agreements/{agreementId}/download:
+ *   get:
+ *     summary: Download an uploaded signed agreement
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: agreementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed agreement ID
+ *     responses:
+ *       200:
+ *         description: The uploaded file
+ *       404:
+ *         description: Signed agreement not found
+ */
+// @route   GET /api/loans/:id/signed-agreements/:agreementId/download
+// @desc    Download a signed agreement
+// @access  Admin, Branch Lead (own branch), Member (own loan)
+router.get(
+  "/:id/signed-agreements/:agreementId/download",
+  downloadSignedAgreement
+);
+
+/**
+ * @swagger
+ * /loans/{id}/signed-agreements/{agreementId}/review:
+ *   patch:
+ *     summary: Verify or reject a signed agreement
+ *     description: Disbursement is only allowed once a signed agreement has been verified.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: agreementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed agreement ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [verified, rejected]
+ *               rejectionReason:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: Signed agreement reviewed
+ *       400:
+ *         description: Agreement has already been reviewed
+ *       404:
+ *         description: Signed agreement not found
+ */
+// @route   PATCH /api/loans/:id/signed-agreements/:agreementId/review
+// @desc    Verify or reject a signed agreement
+// @access  Admin
+router.patch(
+  "/:id/signed-agreements/:agreementId/review",
+  authorize("admin"),
+  validateAgreementReview,
+  handleValidationErrors,
+  reviewSignedAgreement
+);
+
+/**
+ * @swagger
+ * /loans/{id}/collateral:
+ *   post:
+ *     summary: Register collateral securing a loan
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - description
+ *               - estimatedValue
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [land, building, vehicle, equipment, livestock, savings, other]
+ *               description:
+ *                 type: string
+ *                 example: Toyota Corolla 2015, plate RAB 123A
+ *               estimatedValue:
+ *                 type: number
+ *                 example: 8000
+ *               documents:
+ *                 type: array
+ *                 description: Up to 5 supporting documents (PDF, JPEG, PNG)
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Collateral registered
+ *       400:
+ *         description: Validation error or loan is closed
+ *       404:
+ *         description: Loan not found
+ *   get:
+ *     summary: List collateral on a loan with the loan-to-collateral ratio
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *     responses:
+ *       200:
+ *         description: Collateral retrieved successfully
+ *       404:
+ *         description: Loan not found
+ */
+// @route   POST /api/loans/:id/collateral
+// @desc    Register collateral against a loan
+// @access  Admin, Branch Lead (own branch), Member (own pending loan)
+router.post(
+  "/:id/collateral",
+  documentUpload.array("documents", 5),
+  handleUploadErrors("documents"),
+  validateCollateral,
+  handleValidationErrors,
+  addCollateral
+);
+
+// @route   GET /api/loans/:id/collateral
+// @desc    List collateral on a loan
+// @access  Admin, Branch Lead (own branch), Member (own loan)
+router.get("/:id/collateral", getLoanCollateral);
+
+/**
+ * @swagger
+ * /loans/{id}/collateral/{collateralId}:
+ *   put:
+ *     summary: Update the details or valuation of held collateral
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: collateralId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collateral ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [land, building, vehicle, equipment, livestock, savings, other]
+ *               description:
+ *                 type: string
+ *               estimatedValue:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Collateral updated
+ *       400:
+ *         description: Collateral has already been released or seized
+ *       404:
+ *         description: Collateral not found
+ *   delete:
+ *     summary: Remove collateral before the loan is disbursed
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: collateralId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collateral ID
+ *     responses:
+ *       200:
+ *         description: Collateral removed
+ *       400:
+ *         description: Loan has already been disbursed
+ *       404:
+ *         description: Collateral not found
+ */
+// @route   PUT /api/loans/:id/collateral/:collateralId
+// @desc    Update collateral details or valuation
+// @access  Admin, Branch Lead (own branch), Member (own pending loan)
+router.put(
+  "/:id/collateral/:collateralId",
+  validateCollateralUpdate,
+  handleValidationErrors,
+  updateCollateral
+);
+
+// @route   DELETE /api/loans/:id/collateral/:collateralId
+// @desc    Remove collateral from a loan that has not been disbursed
+// @access  Admin, Branch Lead (own branch), Member (own pending loan)
+router.delete("/:id/collateral/:collateralId", removeCollateral);
+
+/**
+ * @swagger
+ * /loans/{id}/collateral/{collateralId}/documents:
+ *   post:
+ *     summary: Attach supporting documents to collateral
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: collateralId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collateral ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Documents attached
+ *       400:
+ *         description: No files uploaded
+ *       404:
+ *         description: Collateral not found
+ */
+// @route   POST /api/loans/:id/collateral/:collateralId/documents
+// @desc    Upload supporting documents for collateral
+// @access  Admin, Branch Lead (own branch), Member (own loan)
+router.post(
+  "/:id/collateral/:collateralId/documents",
+  documentUpload.array("documents", 5),
+  handleUploadErrors("documents"),
+  addCollateralDocuments
+);
+
+/**
+ * @swagger
+ * /loans/{id}/collateral/{collateralId}/documents/{documentId}:
+ *   get:
+ *     summary: Download a collateral document
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan ID
+ *       - in: path
+ *         name: collateralId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collateral ID
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: The uploaded file
+ *       404:
+ *         description: Document not found
+ */
+// @route   GET /api/loans/:id/collateral/:collateralId/documents/:documentId
+// @desc    Download a collateral document
+// @access  Admin, Branch Lead (own branch), Member (own loan)
+router.get(
+  "/:id/collateral/:collateralId/documents/:documentId",
+  downloadCollateralDocument
+);
 
 /**
  * @swagger
@@ -0,0 +1,192 @@
+const express = require("express");
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validatePenaltyRule,
+  handleValidationErrors,
+} = require("../middleware/validation");
+const {
+  getAllPenaltyRules,
+  getEffectivePenaltyRules,
+  createPenaltyRule,
+  updatePenaltyRule,
+  deletePenaltyRule,
+} = require("../controller/penaltyRules");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Penalty Rules
+ *   description: How late contributions, missed meetings and late loan repayments are penalised
+ */
+
+// All routes are protected
+router.use(protect);
+router.use(authorize("admin", "branch_lead"));
+
+/**
+ * @swagger
+ * /penalty-rules:
+ *   get:
+ *     summary: Get penalty rules
+ *     tags: [Penalty Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of penalty rules
+ */
+// @route   GET /api/penalty-rules
+// @desc    Get penalty rules
+// @access  Admin (all), Branch Lead (group-wide and own branch)
+router.get("/", getAllPenaltyRules);
+
+/**
+ * @swagger
+ * /penalty-rules/effective:
+ *   get:
+ *     summary: Get the rule that applies to each trigger for a branch
+ *     description: A branch rule overrides the group-wide rule. Without either, the built-in default applies (25 for a contribution after the 10th, and the loan policy's late-repayment penalty).
+ *     tags: [Penalty Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Effective rule per trigger
+ */
+// @route   GET /api/penalty-rules/effective
+// @desc    Get the rules that apply to a branch
+// @access  Admin, Branch Lead (own branch)
+router.get("/effective", getEffectivePenaltyRules);
+
+/**
+ * @swagger
+ * /penalty-rules:
+ *   post:
+ *     summary: Create a penalty rule
+ *     tags: [Penalty Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - trigger
+ *               - amount
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Late monthly contribution
+ *               trigger:
+ *                 type: string
+ *                 enum: [late_contribution, missed_meeting, late_loan_repayment]
+ *               branch:
+ *                 type: string
+ *                 description: Branch ID; omit for a group-wide rule (admin only)
+ *               graceDays:
+ *                 type: integer
+ *                 example: 3
+ *                 description: Days after the due date before the penalty applies
+ *               amountType:
+ *                 type: string
+ *                 enum: [fixed, percentage]
+ *               amount:
+ *                 type: number
+ *                 example: 25
+ *                 description: Fixed amount, or percentage of the late amount
+ *               dueDay:
+ *                 type: integer
+ *                 example: 10
+ *                 description: Contribution due day for members without a contribution plan
+ *               escalationRate:
+ *                 type: number
+ *                 example: 50
+ *                 description: Percentage added per earlier offence within the repeat window
+ *               repeatWindowDays:
+ *                 type: integer
+ *                 example: 365
+ *               maxAmount:
+ *                 type: number
+ *                 description: Cap per penalty
+ *               maxPerMonth:
+ *                 type: number
+ *                 description: Cap per member per calendar month for this trigger
+ *     responses:
+ *       201:
+ *         description: Penalty rule created successfully
+ *       400:
+ *         description: Validation error or an active rule already exists
+ */
+// @route   POST /api/penalty-rules
+// @desc    Create penalty rule
+// @access  Admin, Branch Lead (own branch)
+router.post(
+  "/",
+  validatePenaltyRule,
+  handleValidationErrors,
+  createPenaltyRule
+);
+
+/**
+ * @swagger
+ * /penalty-rules/{id}:
+ *   put:
+ *     summary: Update a penalty rule
+ *     tags: [Penalty Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Penalty rule ID
+ *     responses:
+ *       200:
+ *         description: Penalty rule updated successfully
+ *       404:
+ *         description: Penalty rule not found
+ */
+// @route   PUT /api/penalty-rules/:id
+// @desc    Update penalty rule
+// @access  Admin, Branch Lead (own branch)
+router.put("/:id", updatePenaltyRule);
+
+/**
+ * @swagger
+ * /penalty-rules/{id}:
+ *   delete:
+ *     summary: Deactivate a penalty rule (soft delete)
+ *     tags: [Penalty Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Penalty rule ID
+ *     responses:
+ *       200:
+ *         description: Penalty rule deactivated successfully
+ *       404:
+ *         description: Penalty rule not found
+ */
+// @route   DELETE /api/penalty-rules/:id
+// @desc    Deactivate penalty rule
+// @access  Admin, Branch Lead (own branch)
+router.delete("/:id", deletePenaltyRule);
+
+module.exports = router;
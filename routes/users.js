@@ -6,6 +6,8 @@ const express = require("express");
 const { protect, authorize } = require("../middleware/auth");
 const {
   validateRegister,
+  validateStatementEmail,
+  validateStatementPeriod,
   handleValidationErrors,
 } = require("../middleware/validation");
 const {
@@ -16,6 +18,9 @@ const {
   deleteUser,
   getUserShares,
   getMemberShares,
+  getUserReport,
+  getMemberStatement,
+  emailMemberStatements,
 } = require("../controller/users");
 
 const router = express.Router();
@@ -48,6 +53,135 @@ router.get("/shares", getMemberShares);
 // @access  Admin, Branch Lead
 router.get("/", authorize("admin", "branch_lead", "member"), getAllUsers);
 
+/**
+ * @swagger
+ * /users/statements/email:
+ *   post:
+ *     summary: Email account statements to members
+ *     description: Sends each active member (or the chosen members or branch) a PDF statement for the period.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to 1 January of the end date's year
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               memberIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               branch:
+ *                 type: string
+ *                 description: Branch ID
+ *     responses:
+ *       200:
+ *         description: Statements sent, with a result per member
+ *       404:
+ *         description: No matching members
+ */
+// @route   POST /api/users/statements/email
+// @desc    Email account statements in bulk
+// @access  Admin
+router.post(
+  "/statements/email",
+  authorize("admin"),
+  validateStatementEmail,
+  handleValidationErrors,
+  emailMemberStatements
+);
+
+/**
+ * @swagger
+ * /users/{id}/report:
+ *   get:
+ *     summary: Get a member's contribution, loan, penalty and share summary
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User report data
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ */
+// @route   GET /api/users/:id/report
+// @desc    Get member report
+// @access  Admin, Branch Lead (own branch), Member (own report)
+router.get("/:id/report", getUserReport);
+
+/**
+ * @swagger
+ * /users/{id}/statement:
+ *   get:
+ *     summary: Download a member's account statement
+ *     description: PDF with opening and closing balances for savings, loans and penalties, and every transaction in the period.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, json]
+ *     responses:
+ *       200:
+ *         description: Statement PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ */
+// @route   GET /api/users/:id/statement
+// @desc    Download member statement
+// @access  Admin, Branch Lead (own branch), Member (own statement)
+router.get(
+  "/:id/statement",
+  validateStatementPeriod,
+  handleValidationErrors,
+  getMemberStatement
+);
+
 /**
  * @swagger
  * /users/{id}:
@@ -0,0 +1,22 @@
+// One-off migration: give receipt numbers to the confirmed contributions
+// recorded before receipts existed. Run with `npm run migrate:receipts`.
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const connectDB = require("../config/database");
+const Contribution = require("../models/Contribution");
+require("../models/Branch");
+
+const run = async () => {
+  await connectDB();
+  const numbered = await Contribution.backfillReceiptNumbers();
+  console.log(`✅ Issued receipt numbers to ${numbered} contributions`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Receipt number backfill failed:", error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -20,6 +20,14 @@ const penaltyRoutes = require("./routes/penalties");
 const dashboardRoutes = require("./routes/dashboard");
 const branchRoutes = require("./routes/branches");
 const reportsRoutes = require("./routes/reports");
+const loanProductRoutes = require("./routes/loanProducts");
+const loanApprovalStepRoutes = require("./routes/loanApprovalSteps");
+const creditScoreRoutes = require("./routes/creditScores");
+const liquidityRoutes = require("./routes/liquidity");
+const contributionPlanRoutes = require("./routes/contributionPlans");
+const penaltyRuleRoutes = require("./routes/penaltyRules");
+const importRoutes = require("./routes/imports");
+const { startLoanOverdueJob } = require("./jobs/loanOverdueJob");
 
 const app = express();
 
@@ -201,6 +209,13 @@ app.use("/api/penalties", penaltyRoutes);
 app.use("/api/dashboard", pollingLimiter, dashboardRoutes);
 app.use("/api/branches", branchRoutes);
 app.use("/api/reports", reportsRoutes);
+app.use("/api/loan-products", loanProductRoutes);
+app.use("/api/loan-approval-steps", loanApprovalStepRoutes);
+app.use("/api/credit-scores", creditScoreRoutes);
+app.use("/api/liquidity", liquidityRoutes);
+app.use("/api/contribution-plans", contributionPlanRoutes);
+app.use("/api/penalty-rules", penaltyRuleRoutes);
+app.use("/api/imports", importRoutes);
 
 // Ensure swagger UI uses the backend URL from env to avoid CORS cross-origin issues
 (() => {
@@ -284,6 +299,7 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
+  startLoanOverdueJob();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,158 @@
+jest.mock("../utils/penaltyEngine", () => ({
+  ...jest.requireActual("../utils/penaltyEngine"),
+  evaluateContributionPenalty: jest.fn(),
+}));
+jest.mock("../utils/loanQueue", () => ({
+  ...jest.requireActual("../utils/loanQueue"),
+  releaseWaitingLoans: jest.fn().mockResolvedValue([]),
+}));
+
+const Contribution = require("../models/Contribution");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { createBulkContributions } = require("../controller/contributions");
+const { evaluateContributionPenalty } = require("../utils/penaltyEngine");
+const { releaseWaitingLoans } = require("../utils/loanQueue");
+const { setTransactionSupport } = require("../utils/transactions");
+const { objectId, mockTransactions } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const branchId = objectId();
+const lead = { _id: objectId(), role: "branch_lead", branch: { _id: branchId } };
+
+const memberOf = (branch = branchId, isActive = true) => ({
+  _id: objectId(),
+  email: "member@example.com",
+  branch,
+  isActive,
+});
+
+const ama = memberOf();
+const kofi = memberOf();
+const inactive = memberOf(branchId, false);
+const elsewhere = memberOf(objectId());
+
+let session;
+let insertMany;
+
+beforeEach(() => {
+  jest.spyOn(User, "find").mockResolvedValue([ama, kofi, inactive, elsewhere]);
+  session = mockTransactions();
+  let sequence = 0;
+  jest.spyOn(Contribution, "nextReceiptNumber").mockImplementation(async () => {
+    sequence += 1;
+    return { receiptNumber: `ACC-${String(sequence).padStart(6, "0")}` };
+  });
+  insertMany = jest
+    .spyOn(Contribution, "insertMany")
+    .mockImplementation(async (docs) => docs.map((doc) => new Contribution(doc)));
+  jest.spyOn(Contribution, "updateUserContributions").mockResolvedValue();
+  jest.spyOn(AuditLog, "insertMany").mockResolvedValue([]);
+  evaluateContributionPenalty.mockResolvedValue({ penalty: null });
+  releaseWaitingLoans.mockClear();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const record = async (body, user = lead) => {
+  const res = mockRes();
+  await createBulkContributions(mockReq({ user, body }), res);
+  return responseOf(res);
+};
+
+describe("createBulkContributions", () => {
+  const mixedBatch = [
+    { memberId: ama._id, amount: 100 },
+    { memberId: inactive._id, amount: 100 },
+    { memberId: elsewhere._id, amount: 100 },
+    { memberId: "not-an-id", amount: 100 },
+    { memberId: kofi._id, amount: 0 },
+  ];
+
+  it("records nothing when any row fails", async () => {
+    const { status, body } = await record({ contributions: mixedBatch });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe("4 of 5 rows failed validation; nothing was recorded");
+    expect(body.data.results.map((r) => [r.row, r.status, r.errors])).toEqual([
+      [0, "valid", undefined],
+      [1, "failed", ["Member is not active"]],
+      [2, "failed", ["Member is not in your branch"]],
+      [3, "failed", ["Invalid member ID"]],
+      [4, "failed", ["Amount must be greater than 0"]],
+    ]);
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  it("records the valid rows in one transaction when partial batches are allowed", async () => {
+    const penalty = { _id: objectId(), amount: 25 };
+    evaluateContributionPenalty
+      .mockResolvedValueOnce({ penalty: null })
+      .mockResolvedValueOnce({ penalty });
+
+    const { status, body } = await record({
+      contributions: [
+        { memberId: ama._id, amount: 100 },
+        ...mixedBatch.slice(1),
+        { memberId: ama._id, amount: 50.5, contributionDate: "2026-03-20" },
+      ],
+      contributionType: "weekly",
+      allowPartial: true,
+    });
+
+    expect(status).toBe(201);
+    expect(body.message).toBe("2 of 6 contributions recorded");
+    expect(body.data).toMatchObject({ recorded: 2, failed: 4, totalAmount: 150.5 });
+    expect(body.data.penaltiesCharged).toBe(1);
+    expect(body.data.results[5]).toMatchObject({
+      status: "recorded",
+      receiptNumber: "ACC-000002",
+      penalty: { id: penalty._id, amount: 25 },
+    });
+
+    const [docs, options] = insertMany.mock.calls[0];
+    expect(docs.map((d) => [d.amount, d.contributionType, d.receiptNumber])).toEqual([
+      [100, "weekly", "ACC-000001"],
+      [50.5, "weekly", "ACC-000002"],
+    ]);
+    expect(options).toEqual({ session });
+    // Totals are recomputed once per member
+    expect(Contribution.updateUserContributions).toHaveBeenCalledTimes(1);
+    expect(AuditLog.insertMany.mock.calls[0][0]).toHaveLength(2);
+    expect(session.endSession).toHaveBeenCalled();
+    expect(releaseWaitingLoans).toHaveBeenCalled();
+  });
+
+  it("ends the session when the transaction fails", async () => {
+    Contribution.updateUserContributions.mockRejectedValue(new Error("write conflict"));
+
+    const { status } = await record({ contributions: [{ memberId: ama._id, amount: 100 }] });
+
+    expect(status).toBe(500);
+    expect(session.endSession).toHaveBeenCalled();
+    expect(releaseWaitingLoans).not.toHaveBeenCalled();
+  });
+
+  it("records the batch without a transaction on a standalone MongoDB", async () => {
+    setTransactionSupport(false);
+    let result;
+    try {
+      result = await record({ contributions: [{ memberId: ama._id, amount: 100 }] });
+    } finally {
+      setTransactionSupport(true);
+    }
+
+    expect(result.status).toBe(201);
+    expect(session.withTransaction).not.toHaveBeenCalled();
+    expect(insertMany.mock.calls[0][1]).toEqual({ session: null });
+  });
+
+  it("limits the size of a batch", async () => {
+    const rows = Array.from({ length: 201 }, () => ({ memberId: ama._id, amount: 1 }));
+
+    expect(await record({ contributions: rows })).toMatchObject({
+      status: 400,
+      body: { message: "A batch can contain at most 200 contributions" },
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const Loan = require("../models/Loan");
+const Collateral = require("../models/Collateral");
+const AuditLog = require("../models/AuditLog");
+const {
+  addCollateral,
+  updateCollateral,
+  downloadCollateralDocument,
+  removeCollateral,
+} = require("../controller/collaterals");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const member = { _id: objectId(), role: "member", branch: { _id: objectId() } };
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+const loanFor = (overrides = {}) =>
+  new Loan({
+    member: member._id,
+    amount: 3000,
+    duration: 6,
+    status: "pending",
+    branch: String(member.branch._id),
+    ...overrides,
+  });
+
+const heldCollateral = (loan, overrides = {}) => {
+  const collateral = new Collateral({
+    loan: loan._id,
+    member: loan.member,
+    type: "vehicle",
+    description: "Motorbike",
+    estimatedValue: 4000,
+    documents: [
+      {
+        originalname: "logbook.pdf",
+        fileData: Buffer.from("%PDF-1.4"),
+        mimetype: "application/pdf",
+        size: 8,
+      },
+    ],
+    ...overrides,
+  });
+  jest.spyOn(collateral, "save").mockResolvedValue(collateral);
+  jest.spyOn(collateral, "deleteOne").mockResolvedValue({});
+  return collateral;
+};
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  jest.spyOn(Collateral, "aggregate").mockResolvedValue([{ total: 4000, count: 1 }]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("Collateral", () => {
+  it("reports the loan-to-collateral ratio of collateral still held", async () => {
+    const loan = loanFor();
+
+    expect(await Collateral.getCoverage(loan)).toEqual({
+      items: 1,
+      totalValue: 4000,
+      loanToCollateralRatio: 75,
+    });
+    expect(Collateral.aggregate.mock.calls[0][0][0].$match).toEqual({
+      loan: loan._id,
+      status: "held",
+    });
+  });
+
+  it("has no ratio without collateral", async () => {
+    Collateral.aggregate.mockResolvedValue([]);
+
+    expect((await Collateral.getCoverage(loanFor())).loanToCollateralRatio).toBeNull();
+  });
+
+  it("releases or seizes only collateral that is still held", async () => {
+    const update = jest
+      .spyOn(Collateral, "updateMany")
+      .mockResolvedValue({ modifiedCount: 2 });
+    const loanId = objectId();
+
+    expect(await Collateral.settleForLoan(loanId, "seized", admin._id, "Written off")).toBe(2);
+    expect(update.mock.calls[0][0]).toEqual({ loan: loanId, status: "held" });
+    expect(update.mock.calls[0][1]).toMatchObject({
+      status: "seized",
+      statusChangedBy: admin._id,
+      statusNote: "Written off",
+    });
+  });
+});
+
+describe("addCollateral", () => {
+  const add = async (loan, user, body, files = []) => {
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+    await addCollateral(mockReq({ user, params: { id: loan._id }, body, files }), res);
+    return responseOf(res);
+  };
+
+  const motorbike = { type: "vehicle", description: "Motorbike", estimatedValue: 4000 };
+
+  it("registers collateral with its documents and returns the coverage", async () => {
+    jest
+      .spyOn(Collateral, "create")
+      .mockImplementation(async (data) => new Collateral(data));
+
+    const { status, body } = await add(loanFor(), member, motorbike, [
+      {
+        originalname: "logbook.pdf",
+        buffer: Buffer.from("x"),
+        mimetype: "application/pdf",
+        size: 1,
+      },
+    ]);
+
+    expect(status).toBe(201);
+    expect(body.data.collateral.documents).toEqual([
+      expect.objectContaining({ originalname: "logbook.pdf", uploadedBy: member._id }),
+    ]);
+    expect(body.data.collateral.documents[0].fileData).toBeUndefined();
+    expect(body.data.coverage.loanToCollateralRatio).toBe(75);
+  });
+
+  it("stops borrowers changing collateral once the loan is approved", async () => {
+    expect((await add(loanFor({ status: "approved" }), member, motorbike)).status).toBe(403);
+  });
+
+  it("refuses collateral on closed loans", async () => {
+    expect(await add(loanFor({ status: "repaid" }), admin, motorbike)).toMatchObject({
+      status: 400,
+      body: { message: "Cannot add collateral to a repaid loan" },
+    });
+  });
+});
+
+describe("updateCollateral", () => {
+  const update = async (collateral, loan, body) => {
+    jest.spyOn(Collateral, "findOne").mockReturnValue(mockQuery(collateral));
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+    await updateCollateral(
+      mockReq({ user: admin, params: { id: loan._id, collateralId: collateral._id }, body }),
+      res
+    );
+    return responseOf(res);
+  };
+
+  it("revalues held collateral", async () => {
+    const loan = loanFor({ status: "disbursed" });
+    const collateral = heldCollateral(loan);
+
+    const { status } = await update(collateral, loan, {
+      estimatedValue: 3500,
+      member: objectId(),
+    });
+
+    expect(status).toBe(200);
+    expect(collateral.estimatedValue).toBe(3500);
+    expect(collateral.member).toEqual(member._id);
+  });
+
+  it("leaves released or seized collateral alone", async () => {
+    const loan = loanFor({ status: "repaid" });
+
+    expect(
+      await update(heldCollateral(loan, { status: "released" }), loan, { estimatedValue: 1 })
+    ).toMatchObject({ status: 400, body: { message: "Collateral has already been released" } });
+  });
+});
+
+describe("removeCollateral", () => {
+  const remove = async (collateral, loan, user = admin) => {
+    jest.spyOn(Collateral, "findOne").mockReturnValue(mockQuery(collateral));
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+    await removeCollateral(
+      mockReq({ user, params: { id: loan._id, collateralId: collateral._id } }),
+      res
+    );
+    return responseOf(res);
+  };
+
+  it("removes collateral before the loan is disbursed", async () => {
+    const loan = loanFor();
+    const collateral = heldCollateral(loan);
+
+    expect((await remove(collateral, loan, member)).status).toBe(200);
+    expect(collateral.deleteOne).toHaveBeenCalled();
+  });
+
+  it("keeps collateral on a disbursed loan", async () => {
+    const loan = loanFor({ status: "disbursed" });
+    const collateral = heldCollateral(loan);
+
+    expect((await remove(collateral, loan)).status).toBe(400);
+    expect(collateral.deleteOne).not.toHaveBeenCalled();
+  });
+});
+
+describe("downloadCollateralDocument", () => {
+  it("sends the document under its uploaded name", async () => {
+    const loan = loanFor();
+    const collateral = heldCollateral(loan);
+    const [document] = collateral.documents;
+    jest.spyOn(Collateral, "findOne").mockResolvedValue(collateral);
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+
+    await downloadCollateralDocument(
+      mockReq({
+        user: member,
+        params: { id: loan._id, collateralId: collateral._id, documentId: document._id },
+      }),
+      res
+    );
+
+    expect(res.attachment).toHaveBeenCalledWith("logbook.pdf");
+    expect(res.headers["Content-Type"]).toBe("application/pdf");
+    expect(res.send.mock.calls[0][0].toString()).toBe("%PDF-1.4");
+  });
+});
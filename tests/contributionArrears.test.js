@@ -0,0 +1,232 @@
+const Contribution = require("../models/Contribution");
+const ContributionPlan = require("../models/ContributionPlan");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { buildObligations, calculateArrears } = require("../utils/contributionSchedule");
+const { getContributionArrears } = require("../controller/contributions");
+const { createContributionPlan } = require("../controller/contributionPlans");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const branchId = String(objectId());
+
+const monthlyPlan = (overrides = {}) => ({
+  name: "Monthly savings",
+  scope: "branch",
+  branch: branchId,
+  amount: 100,
+  frequency: "monthly",
+  dueDay: 5,
+  startDate: new Date(2026, 0, 1),
+  ...overrides,
+});
+
+const contribution = (amount, date, contributionType = "monthly", memberId = objectId()) => ({
+  memberId,
+  amount,
+  contributionType,
+  contributionDate: date,
+});
+
+const dueDatesOf = (obligations) => obligations.map((o) => o.dueDate.toDateString());
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("buildObligations", () => {
+  it("falls due monthly from the first due day on or after the start", () => {
+    const plan = monthlyPlan({ dueDay: 10, startDate: new Date(2026, 0, 15) });
+
+    const obligations = buildObligations(plan, plan.startDate, new Date(2026, 3, 10));
+
+    expect(obligations.map((o) => o.period)).toEqual(["2026-02", "2026-03", "2026-04"]);
+  });
+
+  it("moves due days past the end of a short month to its last day", () => {
+    const plan = monthlyPlan({ dueDay: 31 });
+
+    const obligations = buildObligations(plan, plan.startDate, new Date(2026, 2, 31));
+
+    expect(dueDatesOf(obligations)).toEqual([
+      new Date(2026, 0, 31).toDateString(),
+      new Date(2026, 1, 28).toDateString(),
+      new Date(2026, 2, 31).toDateString(),
+    ]);
+  });
+
+  it("falls due weekly on the plan's weekday until the plan ends", () => {
+    const plan = monthlyPlan({
+      frequency: "weekly",
+      dueDay: 1,
+      startDate: new Date(2026, 5, 3),
+      endDate: new Date(2026, 5, 20),
+    });
+
+    const obligations = buildObligations(plan, plan.startDate, new Date(2026, 6, 1));
+
+    expect(obligations.map((o) => o.period)).toEqual(["2026-06-08", "2026-06-15"]);
+  });
+});
+
+describe("calculateArrears", () => {
+  const member = { _id: objectId(), joinDate: new Date(2025, 0, 1) };
+  const asOf = new Date(2026, 5, 10);
+
+  it("applies plan contributions to the oldest periods first", () => {
+    const result = calculateArrears(
+      member,
+      monthlyPlan(),
+      [
+        contribution(250, new Date(2026, 1, 1)),
+        contribution(100, new Date(2026, 2, 1), "weekly"),
+        // Neither of these count towards the plan
+        contribution(500, new Date(2026, 2, 1), "special"),
+        contribution(100, new Date(2025, 11, 20)),
+      ],
+      asOf
+    );
+
+    expect(result).toMatchObject({
+      expectedAmount: 600,
+      paidAmount: 350,
+      arrears: 250,
+      credit: 0,
+      periodsDue: 6,
+      periodsBehind: 3,
+      oldestUnpaidDueDate: new Date(2026, 3, 5),
+    });
+    expect(result.periods.map((p) => [p.period, p.paid, p.status])).toEqual([
+      ["2026-01", 100, "paid"],
+      ["2026-02", 100, "paid"],
+      ["2026-03", 100, "paid"],
+      ["2026-04", 50, "partial"],
+      ["2026-05", 0, "unpaid"],
+      ["2026-06", 0, "unpaid"],
+    ]);
+  });
+
+  it("reports contributions ahead of the plan as credit", () => {
+    const result = calculateArrears(member, monthlyPlan(), [contribution(800, asOf)], asOf);
+
+    expect(result).toMatchObject({ arrears: 0, credit: 200, periodsBehind: 0 });
+  });
+
+  it("only expects contributions from when the member joined", () => {
+    const newMember = { _id: objectId(), joinDate: new Date(2026, 3, 20) };
+
+    const result = calculateArrears(newMember, monthlyPlan(), [], asOf);
+
+    expect(result).toMatchObject({ expectedAmount: 200, firstDueDate: new Date(2026, 4, 5) });
+  });
+});
+
+describe("ContributionPlan", () => {
+  const errorsOf = async (data) => {
+    const error = await new ContributionPlan(data).validate().catch((e) => e);
+    return Object.keys(error.errors);
+  };
+
+  it("checks the due day against the frequency", async () => {
+    expect(await errorsOf(monthlyPlan({ frequency: "weekly", dueDay: 7 }))).toEqual(["dueDay"]);
+    expect(await errorsOf(monthlyPlan({ dueDay: 0 }))).toEqual(["dueDay"]);
+  });
+
+  it("needs a member for member plans and an end after the start", async () => {
+    expect(
+      await errorsOf(monthlyPlan({ scope: "member", endDate: new Date(2025, 0, 1) }))
+    ).toEqual(["member", "endDate"]);
+  });
+
+  it("prefers a member's own plan over their branch's", async () => {
+    const withOwnPlan = { _id: objectId(), branch: branchId };
+    const withBranchPlan = { _id: objectId(), branch: branchId };
+    const branchPlan = new ContributionPlan(monthlyPlan());
+    const ownPlan = new ContributionPlan(
+      monthlyPlan({ scope: "member", member: withOwnPlan._id })
+    );
+    jest.spyOn(ContributionPlan, "find").mockReturnValue(mockQuery([branchPlan, ownPlan]));
+
+    const plans = await ContributionPlan.resolveForMembers([withOwnPlan, withBranchPlan]);
+
+    expect(plans.get(String(withOwnPlan._id))).toBe(ownPlan);
+    expect(plans.get(String(withBranchPlan._id))).toBe(branchPlan);
+  });
+});
+
+describe("getContributionArrears", () => {
+  const memberNamed = (firstName, branch = branchId) => ({
+    _id: objectId(),
+    firstName,
+    branch,
+    joinDate: new Date(2025, 0, 1),
+  });
+  const behind = memberNamed("Ama");
+  const upToDate = memberNamed("Kofi");
+  const withoutPlan = memberNamed("Esi", String(objectId()));
+
+  const report = async (user, query = {}) => {
+    const find = jest
+      .spyOn(User, "find")
+      .mockReturnValue(mockQuery([behind, upToDate, withoutPlan]));
+    const plan = new ContributionPlan(monthlyPlan());
+    jest.spyOn(ContributionPlan, "resolveForMembers").mockResolvedValue(
+      new Map([
+        [String(behind._id), plan],
+        [String(upToDate._id), plan],
+      ])
+    );
+    jest.spyOn(Contribution, "find").mockReturnValue(
+      mockQuery([
+        contribution(200, new Date(2026, 1, 1), "monthly", behind._id),
+        contribution(600, new Date(2026, 1, 1), "monthly", upToDate._id),
+      ])
+    );
+    const res = mockRes();
+    await getContributionArrears(mockReq({ user, query: { asOf: "2026-06-10", ...query } }), res);
+    return { ...responseOf(res), find };
+  };
+
+  it("lists members who are behind, with the group totals", async () => {
+    const { status, body } = await report({ _id: objectId(), role: "admin" });
+
+    expect(status).toBe(200);
+    expect(body.data.arrears.map((a) => [a.member.firstName, a.arrears])).toEqual([["Ama", 400]]);
+    expect(body.data.arrears[0].periods).toBeUndefined();
+    expect(body.data.summary).toEqual({
+      membersBehind: 1,
+      totalArrears: 400,
+      membersWithoutPlan: 1,
+    });
+  });
+
+  it("shows members only their own arrears, period by period", async () => {
+    const { body, find } = await report(
+      { _id: behind._id, role: "member" },
+      { memberId: String(upToDate._id) }
+    );
+
+    expect(find.mock.calls[0][0]._id).toBe(behind._id);
+    expect(body.data.arrears[0].periods).toHaveLength(6);
+  });
+
+  it("refuses an invalid date", async () => {
+    expect((await report({ role: "admin" }, { asOf: "someday" })).status).toBe(400);
+  });
+});
+
+describe("createContributionPlan", () => {
+  it("keeps branch leads to plans for their own members", async () => {
+    const lead = { _id: objectId(), role: "branch_lead", branch: { _id: objectId() } };
+    jest.spyOn(User, "findById").mockResolvedValue({ _id: objectId(), branch: branchId });
+    const create = jest.spyOn(ContributionPlan, "create");
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    const res = mockRes();
+
+    await createContributionPlan(
+      mockReq({ user: lead, body: monthlyPlan({ scope: "member", member: objectId() }) }),
+      res
+    );
+
+    expect(responseOf(res).status).toBe(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+// Validation and access on the contribution plan routes
+
+jest.mock("../middleware/auth", () => require("./helpers/routes").mockAuth());
+jest.mock("../controller/contributionPlans");
+
+const request = require("supertest");
+const contributionPlanRoutes = require("../routes/contributionPlans");
+const { objectId } = require("./helpers/mongoose");
+const { stubControllers, buildApp, asUser } = require("./helpers/routes");
+
+const app = buildApp("/api/contribution-plans", contributionPlanRoutes);
+
+beforeEach(() => stubControllers(require("../controller/contributionPlans")));
+
+describe("POST /api/contribution-plans", () => {
+  const plan = {
+    name: "Monthly savings",
+    scope: "branch",
+    amount: 100,
+    dueDay: 5,
+    startDate: "2026-01-01",
+  };
+
+  it("accepts a branch plan without a member", async () => {
+    const res = await request(app).post("/api/contribution-plans").send(plan);
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("createContributionPlan");
+  });
+
+  it("needs a member for a member plan", async () => {
+    const missing = await request(app)
+      .post("/api/contribution-plans")
+      .send({ ...plan, scope: "member" });
+    const given = await request(app)
+      .post("/api/contribution-plans")
+      .send({ ...plan, scope: "member", member: objectId().toString() });
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.errors.map((e) => e.path)).toEqual(["member"]);
+    expect(given.status).toBe(200);
+  });
+
+  it("rejects an invalid amount, frequency and start date", async () => {
+    const res = await request(app)
+      .post("/api/contribution-plans")
+      .send({ ...plan, amount: 0, frequency: "daily", startDate: "soon" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["amount", "frequency", "startDate"]);
+  });
+
+  it("is not open to members", async () => {
+    const res = await request(app)
+      .post("/api/contribution-plans")
+      .set(asUser({ role: "member" }))
+      .send(plan);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,428 @@
+jest.mock("../utils/penaltyEngine", () => ({
+  ...jest.requireActual("../utils/penaltyEngine"),
+  evaluateContributionPenalty: jest.fn(),
+}));
+jest.mock("../utils/loanQueue", () => ({
+  ...jest.requireActual("../utils/loanQueue"),
+  releaseWaitingLoans: jest.fn().mockResolvedValue([]),
+}));
+
+const mongoose = require("mongoose");
+const PDFDocument = require("pdfkit");
+const sgMail = require("@sendgrid/mail");
+const Branch = require("../models/Branch");
+const Counter = require("../models/Counter");
+const Contribution = require("../models/Contribution");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { buildReceipt, generateReceiptPdf, renderReceiptHtml } = require("../utils/receipts");
+const {
+  getContributionReceipt,
+  createContribution,
+  updatingContribution,
+  deletingContribution,
+} = require("../controller/contributions");
+const { evaluateContributionPenalty } = require("../utils/penaltyEngine");
+const { setTransactionSupport } = require("../utils/transactions");
+const { objectId, mockQuery, mockTransactions, runSaveHooks } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const branch = { _id: objectId(), name: "Central", code: "cen" };
+const ama = { _id: objectId(), firstName: "Ama", lastName: "Mensah", email: "ama@example.com" };
+const lead = {
+  _id: objectId(),
+  firstName: "Kofi",
+  lastName: "Boateng",
+  role: "branch_lead",
+  branch,
+};
+
+// A contribution loaded for its receipt, with member, recorder and branch populated
+const receiptedContribution = (overrides = {}) => ({
+  _id: objectId(),
+  memberId: ama,
+  recordedBy: lead,
+  branch,
+  amount: 1250,
+  contributionType: "monthly",
+  contributionDate: new Date("2026-03-05T00:00:00Z"),
+  status: "confirmed",
+  receiptNumber: "CEN-000042",
+  receiptIssuedAt: new Date("2026-03-05T10:00:00Z"),
+  ...overrides,
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("Contribution.nextReceiptNumber", () => {
+  it("numbers receipts in sequence per branch", async () => {
+    const session = {};
+    jest.spyOn(Branch, "findById").mockReturnValue(mockQuery(branch));
+    const next = jest.spyOn(Counter, "next").mockResolvedValue(42);
+
+    const issued = await Contribution.nextReceiptNumber(branch._id, session);
+
+    expect(issued).toMatchObject({ receiptNumber: "CEN-000042", receiptSequence: 42 });
+    expect(next).toHaveBeenCalledWith(`receipt:${branch._id}`, session);
+  });
+
+  it("uses the group sequence when there is no branch", async () => {
+    const findById = jest.spyOn(Branch, "findById");
+    const next = jest.spyOn(Counter, "next").mockResolvedValue(7);
+
+    expect((await Contribution.nextReceiptNumber(null)).receiptNumber).toBe("GRP-000007");
+    expect(next).toHaveBeenCalledWith("receipt:group", null);
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  it("takes the next number in the same write that increments it", async () => {
+    const findOneAndUpdate = jest
+      .spyOn(Counter, "findOneAndUpdate")
+      .mockResolvedValue({ seq: 3 });
+
+    expect(await Counter.next("receipt:group")).toBe(3);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { key: "receipt:group" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, session: null }
+    );
+  });
+});
+
+describe("issuing receipt numbers on save", () => {
+  const saved = async (fields) => {
+    jest.spyOn(Contribution, "nextReceiptNumber").mockResolvedValue({
+      receiptNumber: "CEN-000043",
+      receiptSequence: 43,
+      receiptIssuedAt: new Date(),
+    });
+    const contribution = new Contribution({
+      memberId: ama._id,
+      amount: 100,
+      contributionType: "monthly",
+      branch: branch._id,
+      recordedBy: lead._id,
+      ...fields,
+    });
+    return runSaveHooks(contribution);
+  };
+
+  it("gives a confirmed contribution the branch's next number", async () => {
+    const contribution = await saved({ status: "confirmed" });
+
+    expect(contribution.receiptNumber).toBe("CEN-000043");
+    const [branchId, session] = Contribution.nextReceiptNumber.mock.calls[0];
+    expect(String(branchId)).toBe(String(branch._id));
+    expect(session).toBeNull();
+  });
+
+  it("gives none to pending or imported contributions and never renumbers", async () => {
+    const existing = new Contribution({ memberId: ama._id, amount: 100, status: "confirmed" });
+    existing.isNew = false;
+    expect((await runSaveHooks(existing)).receiptNumber).toBeUndefined();
+    expect((await saved({ status: "pending" })).receiptNumber).toBeUndefined();
+    expect((await saved({ importBatch: objectId() })).receiptNumber).toBeUndefined();
+    expect((await saved({ receiptNumber: "CEN-000001" })).receiptNumber).toBe("CEN-000001");
+    expect(Contribution.nextReceiptNumber).not.toHaveBeenCalled();
+  });
+});
+
+describe("receipts", () => {
+  it("marks a cancelled contribution's receipt void", () => {
+    expect(buildReceipt(receiptedContribution())).toMatchObject({
+      receiptNumber: "CEN-000042",
+      isVoid: false,
+      member: "Ama Mensah",
+      branch: "Central",
+      type: "Monthly contribution",
+      recordedBy: "Kofi Boateng",
+    });
+    expect(buildReceipt(receiptedContribution({ status: "cancelled" })).isVoid).toBe(true);
+  });
+
+  it("renders an HTML page with the member's text escaped", () => {
+    const receipt = buildReceipt(
+      receiptedContribution({ status: "cancelled", description: "<script>alert(1)</script>" })
+    );
+
+    const html = renderReceiptHtml(receipt);
+
+    expect(html).toContain("Amount received: 1,250.00");
+    expect(html).toContain("&lt;script&gt;alert(1)&lt;/script&gt;");
+    expect(html).not.toContain("<script>");
+    expect(html).toContain(">VOID</div>");
+  });
+
+  it("stamps VOID across a cancelled receipt's PDF only", async () => {
+    const text = jest.spyOn(PDFDocument.prototype, "text");
+
+    const pdf = await generateReceiptPdf(buildReceipt(receiptedContribution()));
+    const plainLines = text.mock.calls.length;
+    await generateReceiptPdf(buildReceipt(receiptedContribution({ status: "cancelled" })));
+    const lines = text.mock.calls.map(([value]) => value);
+
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(lines).toContain("Amount received: 1,250.00");
+    expect(lines.slice(0, plainLines)).not.toContain("VOID");
+    expect(lines.slice(plainLines)).toContain("VOID");
+  });
+});
+
+describe("getContributionReceipt", () => {
+  const download = async (contribution, user, query = {}) => {
+    jest.spyOn(Contribution, "findById").mockReturnValue(mockQuery(contribution));
+    const res = mockRes();
+    await getContributionReceipt(mockReq({ user, params: { id: contribution._id }, query }), res);
+    return res;
+  };
+
+  it("sends the receipt as a PDF", async () => {
+    const res = await download(receiptedContribution(), { _id: ama._id, role: "member" });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.headers).toMatchObject({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": 'attachment; filename="receipt-CEN-000042.pdf"',
+    });
+    expect(res.send.mock.calls[0][0].subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  it("sends an HTML page when asked", async () => {
+    const res = await download(receiptedContribution(), lead, { format: "html" });
+
+    expect(res.type).toHaveBeenCalledWith("html");
+    expect(res.send.mock.calls[0][0]).toContain("CEN-000042");
+  });
+
+  it("keeps receipts private to the member and their branch", async () => {
+    const otherMember = await download(receiptedContribution(), {
+      _id: objectId(),
+      role: "member",
+    });
+    const otherLead = await download(receiptedContribution(), {
+      ...lead,
+      branch: { _id: objectId() },
+    });
+
+    expect(responseOf(otherMember).status).toBe(403);
+    expect(responseOf(otherLead).status).toBe(403);
+  });
+
+  it("explains why a contribution has no receipt", async () => {
+    const admin = { _id: objectId(), role: "admin" };
+    const pending = receiptedContribution({ status: "pending", receiptNumber: undefined });
+    const imported = receiptedContribution({ receiptNumber: undefined, importBatch: objectId() });
+
+    expect(responseOf(await download(pending, admin)).body.message).toBe(
+      "Only confirmed contributions have a receipt"
+    );
+    expect(responseOf(await download(imported, admin)).body.message).toBe(
+      "Imported contributions have no receipt"
+    );
+  });
+});
+
+describe("createContribution", () => {
+  const record = async (body) => {
+    jest.spyOn(User, "findById").mockResolvedValue({ ...ama, branch: branch._id });
+    const session = mockTransactions();
+    const contribution = {
+      ...receiptedContribution(),
+      populate: jest.fn(async () => contribution),
+    };
+    const create = jest.spyOn(Contribution, "create").mockResolvedValue([contribution]);
+    jest.spyOn(AuditLog, "create").mockResolvedValue([]);
+    evaluateContributionPenalty.mockResolvedValue({ penalty: null });
+    const res = mockRes();
+    await createContribution(
+      mockReq({ user: lead, body: { memberId: ama._id, amount: 1250, ...body } }),
+      res
+    );
+    return { ...responseOf(res), create, session };
+  };
+
+  it("never takes a receipt number from the request", async () => {
+    jest.spyOn(sgMail, "send");
+
+    const { status, create, session } = await record({ receiptNumber: "CEN-999999" });
+
+    expect(status).toBe(201);
+    const [[data], options] = create.mock.calls[0];
+    expect(data.receiptNumber).toBeUndefined();
+    expect(data.branch).toBe(branch._id);
+    expect(options).toEqual({ session });
+    expect(sgMail.send).not.toHaveBeenCalled();
+  });
+
+  it("emails the member their receipt when asked", async () => {
+    const send = jest.spyOn(sgMail, "send").mockResolvedValue([{ statusCode: 202 }]);
+
+    const { body } = await record({ emailReceipt: true });
+
+    expect(body.data.receiptEmailed).toBe(true);
+    const [email] = send.mock.calls[0];
+    expect(email.to).toBe("ama@example.com");
+    expect(email.subject).toBe("Contribution Receipt CEN-000042 — Community Saver");
+    expect(email.attachments[0].filename).toBe("receipt-CEN-000042.pdf");
+  });
+
+  it("still records the contribution when the email fails", async () => {
+    jest.spyOn(sgMail, "send").mockRejectedValue(new Error("Mailbox unavailable"));
+
+    const { status, body } = await record({ emailReceipt: "true" });
+
+    expect(status).toBe(201);
+    expect(body.data).toMatchObject({
+      receiptEmailed: false,
+      receiptEmailError: "Mailbox unavailable",
+    });
+  });
+});
+
+describe("updatingContribution", () => {
+  const receipt = { receiptNumber: "CEN-000043", receiptSequence: 43, receiptIssuedAt: new Date() };
+
+  const update = async (contribution, body, { changed = false } = {}) => {
+    jest.spyOn(Contribution, "findById").mockReturnValue(mockQuery(contribution));
+    const updated = new Contribution({ ...contribution, branch: branch._id, ...body });
+    jest.spyOn(updated, "populate").mockResolvedValue(updated);
+    jest.spyOn(Contribution, "findOneAndUpdate").mockResolvedValue(changed ? null : updated);
+    const numbered = new Contribution({ ...updated.toObject(), ...receipt });
+    jest.spyOn(numbered, "populate").mockResolvedValue(numbered);
+    jest.spyOn(Contribution, "findByIdAndUpdate").mockResolvedValue(numbered);
+    jest.spyOn(Contribution, "nextReceiptNumber").mockResolvedValue(receipt);
+    jest.spyOn(Contribution, "updateUserContributions").mockResolvedValue();
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    const session = mockTransactions();
+    const res = mockRes();
+    await updatingContribution(
+      mockReq({ user: lead, params: { id: contribution._id }, body }),
+      res
+    );
+    return { ...responseOf(res), session };
+  };
+  const pending = () =>
+    receiptedContribution({ memberId: ama._id, status: "pending", receiptNumber: undefined });
+
+  it("numbers a pending contribution in the transaction that confirms it", async () => {
+    const contribution = pending();
+    const { status, body, session } = await update(contribution, {
+      status: "confirmed",
+      receiptNumber: "CEN-000001",
+    });
+
+    expect(status).toBe(200);
+    expect(body.data.contribution.receiptNumber).toBe("CEN-000043");
+    const [filter, changes, options] = Contribution.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: contribution._id, status: "pending" });
+    expect(changes).toEqual({ status: "confirmed" });
+    expect(options.session).toBe(session);
+    expect(Contribution.nextReceiptNumber).toHaveBeenCalledWith(branch._id, session);
+    expect(Contribution.findByIdAndUpdate.mock.calls[0][1]).toEqual({ $set: receipt });
+    expect(Contribution.updateUserContributions).toHaveBeenCalledWith(ama._id, session);
+  });
+
+  it("takes no number when someone else confirmed it first", async () => {
+    const { status, body } = await update(pending(), { status: "confirmed" }, { changed: true });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe(
+      "The contribution was confirmed by someone else. Reload it and check the changes"
+    );
+    expect(Contribution.nextReceiptNumber).not.toHaveBeenCalled();
+  });
+
+  it("never numbers other edits, even of an unnumbered confirmed contribution", async () => {
+    const legacy = receiptedContribution({ memberId: ama._id, receiptNumber: undefined });
+
+    const { status } = await update(legacy, { status: "confirmed", description: "Dues" });
+
+    expect(status).toBe(200);
+    expect(Contribution.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: legacy._id });
+    expect(Contribution.nextReceiptNumber).not.toHaveBeenCalled();
+  });
+
+  it("keeps the receipt number when a contribution is cancelled", async () => {
+    const { status, body } = await update(receiptedContribution({ memberId: ama._id }), {
+      status: "cancelled",
+    });
+
+    expect(status).toBe(200);
+    expect(body.data.contribution.receiptNumber).toBe("CEN-000042");
+    expect(Contribution.nextReceiptNumber).not.toHaveBeenCalled();
+    expect(Contribution.updateUserContributions).toHaveBeenCalledWith(
+      ama._id,
+      expect.anything()
+    );
+  });
+
+  it("works without transactions on a standalone server", async () => {
+    setTransactionSupport(false);
+    try {
+      const { status } = await update(pending(), { status: "confirmed" });
+
+      expect(status).toBe(200);
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+      expect(Contribution.nextReceiptNumber).toHaveBeenCalledWith(branch._id, null);
+    } finally {
+      setTransactionSupport(true);
+    }
+  });
+});
+
+describe("Contribution.backfillReceiptNumbers", () => {
+  it("numbers legacy confirmed contributions by contribution date", async () => {
+    const older = { _id: objectId(), branch: branch._id };
+    const newer = { _id: objectId(), branch: null };
+    const find = jest.spyOn(Contribution, "find").mockReturnValue(mockQuery([older, newer]));
+    jest
+      .spyOn(Contribution, "nextReceiptNumber")
+      .mockResolvedValueOnce({ receiptNumber: "CEN-000001" })
+      .mockResolvedValueOnce({ receiptNumber: "GRP-000001" });
+    const updateOne = jest.spyOn(Contribution, "updateOne").mockResolvedValue({});
+    const session = mockTransactions();
+
+    expect(await Contribution.backfillReceiptNumbers()).toBe(2);
+    expect(find.mock.calls[0][0]).toEqual({
+      status: "confirmed",
+      receiptNumber: null,
+      importBatch: null,
+    });
+    expect(find.mock.results[0].value.sort).toHaveBeenCalledWith({
+      contributionDate: 1,
+      createdAt: 1,
+      _id: 1,
+    });
+    expect(Contribution.nextReceiptNumber.mock.calls).toEqual([
+      [branch._id, session],
+      [null, session],
+    ]);
+    expect(updateOne.mock.calls[1]).toEqual([
+      { _id: newer._id },
+      { $set: { receiptNumber: "GRP-000001" } },
+      { session },
+    ]);
+  });
+});
+
+describe("deletingContribution", () => {
+  it("refuses to delete a contribution with a receipt", async () => {
+    const contribution = new Contribution(receiptedContribution({ memberId: ama._id }));
+    jest.spyOn(Contribution, "findById").mockResolvedValue(contribution);
+    const deleteOne = jest.spyOn(contribution, "deleteOne");
+    const res = mockRes();
+
+    await deletingContribution(
+      mockReq({ user: { _id: objectId(), role: "admin" }, params: { id: contribution._id } }),
+      res
+    );
+
+    expect(responseOf(res)).toMatchObject({
+      status: 400,
+      body: {
+        message: "Contribution has receipt CEN-000042 and cannot be deleted; cancel it instead",
+      },
+    });
+    expect(deleteOne).not.toHaveBeenCalled();
+  });
+});
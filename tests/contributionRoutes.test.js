@@ -0,0 +1,49 @@
+// Validation and access on the contribution routes
+
+jest.mock("../middleware/auth", () => require("./helpers/routes").mockAuth());
+jest.mock("../controller/contributions");
+
+const request = require("supertest");
+const contributionRoutes = require("../routes/contributions");
+const { objectId } = require("./helpers/mongoose");
+const { stubControllers, buildApp, asUser } = require("./helpers/routes");
+
+const app = buildApp("/api/contributions", contributionRoutes);
+
+beforeEach(() => stubControllers(require("../controller/contributions")));
+
+describe("POST /api/contributions/bulk", () => {
+  const rows = [{ memberId: objectId().toString(), amount: 100 }];
+
+  it("accepts a batch with shared defaults", async () => {
+    const res = await request(app)
+      .post("/api/contributions/bulk")
+      .set(asUser({ role: "branch_lead" }))
+      .send({ contributions: rows, contributionType: "weekly", allowPartial: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("createBulkContributions");
+  });
+
+  it("rejects an empty batch and invalid defaults", async () => {
+    const res = await request(app)
+      .post("/api/contributions/bulk")
+      .send({ contributions: [], contributionType: "daily", allowPartial: "sometimes" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual([
+      "contributions",
+      "contributionType",
+      "allowPartial",
+    ]);
+  });
+
+  it("is not open to members", async () => {
+    const res = await request(app)
+      .post("/api/contributions/bulk")
+      .set(asUser({ role: "member" }))
+      .send({ contributions: rows });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,45 @@
+// Validation and access on the credit score routes
+
+jest.mock("../middleware/auth", () => require("./helpers/routes").mockAuth());
+jest.mock("../controller/creditScores");
+
+const request = require("supertest");
+const creditScoreRoutes = require("../routes/creditScores");
+const { stubControllers, buildApp, asUser } = require("./helpers/routes");
+
+const app = buildApp("/api/credit-scores", creditScoreRoutes);
+
+beforeEach(() => stubControllers(require("../controller/creditScores")));
+
+describe("PUT /api/credit-scores/settings", () => {
+  it("accepts new weights and parameters", async () => {
+    const res = await request(app)
+      .put("/api/credit-scores/settings")
+      .send({ weights: { penaltyHistory: 20 }, lookbackMonths: 6 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("updateScoringSettings");
+  });
+
+  it("rejects negative weights and out-of-range parameters", async () => {
+    const res = await request(app)
+      .put("/api/credit-scores/settings")
+      .send({ weights: { penaltyHistory: -1 }, lookbackMonths: 0, neutralScore: 120 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual([
+      "weights.penaltyHistory",
+      "lookbackMonths",
+      "neutralScore",
+    ]);
+  });
+
+  it("is for admins only", async () => {
+    const res = await request(app)
+      .put("/api/credit-scores/settings")
+      .set(asUser({ role: "branch_lead" }))
+      .send({ lookbackMonths: 6 });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,219 @@
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const Penalty = require("../models/Penalty");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const {
+  DEFAULT_CREDIT_SCORE_SETTINGS,
+  getCreditScoreSettings,
+  calculateCreditScore,
+} = require("../utils/creditScore");
+const { updateScoringSettings, getMemberCreditScore } = require("../controller/creditScores");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const asOf = new Date(2026, 6, 1);
+const member = { _id: objectId(), joinDate: new Date(2025, 6, 1) };
+const settings = DEFAULT_CREDIT_SCORE_SETTINGS;
+
+const installment = (dueDate, paidDate) => ({
+  dueDate,
+  status: paidDate ? "paid" : "pending",
+  paidDate,
+});
+
+// Nine of the last twelve months contributed, three of four installments on
+// time, two penalties of which one is unpaid, and a year of membership
+const useHistory = ({ loans } = {}) => {
+  const contributions = [0, 1, 2, 3, 4, 6, 7, 9, 10].map((month) => ({
+    contributionDate: new Date(2025, 7 + month, 5),
+  }));
+  jest.spyOn(Contribution, "find").mockReturnValue(mockQuery(contributions));
+  jest.spyOn(Loan, "find").mockReturnValue(
+    mockQuery(
+      loans || [
+        {
+          status: "repaid",
+          schedule: [
+            installment(new Date(2026, 0, 1), new Date(2025, 11, 28)),
+            installment(new Date(2026, 1, 1), new Date(2026, 1, 1)),
+            installment(new Date(2026, 2, 1), new Date(2026, 2, 9)),
+            installment(new Date(2026, 3, 1), new Date(2026, 2, 30)),
+          ],
+        },
+      ]
+    )
+  );
+  jest
+    .spyOn(Penalty, "find")
+    .mockReturnValue(mockQuery([{ status: "paid" }, { status: "pending" }]));
+};
+
+const factorsOf = (result) =>
+  Object.fromEntries(result.breakdown.map((item) => [item.factor, item.score]));
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("calculateCreditScore", () => {
+  it("weights the member's history into a score and grade", async () => {
+    useHistory();
+
+    const result = await calculateCreditScore(member, { asOf, settings });
+
+    expect(factorsOf(result)).toEqual({
+      contributionRegularity: 75,
+      repaymentPunctuality: 75,
+      penaltyHistory: 40,
+      membershipAge: 50,
+    });
+    // Guarantor coverage does not apply, so the other weights make up 100%
+    expect(result.breakdown.map((item) => item.weight)).toEqual([35.29, 35.29, 17.65, 11.76]);
+    expect(result).toMatchObject({ score: 65.88, grade: "B", calculatedAt: asOf });
+  });
+
+  it("scores guarantor coverage and leaves out the loan's own history", async () => {
+    useHistory();
+    const loan = {
+      _id: objectId(),
+      amount: 1000,
+      guarantors: [
+        { pledgedAmount: 500, status: "accepted" },
+        { pledgedAmount: 300, status: "declined" },
+      ],
+    };
+
+    const result = await calculateCreditScore(member, { loan, asOf, settings });
+
+    expect(factorsOf(result).guarantorCoverage).toBe(50);
+    expect(result).toMatchObject({ score: 63.5, grade: "C" });
+    expect(Loan.find.mock.calls[0][0]._id).toEqual({ $ne: loan._id });
+  });
+
+  it("deducts defaulted loans from repayment punctuality", async () => {
+    useHistory({ loans: [{ status: "defaulted", schedule: [] }] });
+
+    const result = await calculateCreditScore(member, { asOf, settings });
+
+    expect(result.breakdown[1]).toMatchObject({
+      score: 0,
+      detail: "0 of 0 installments paid on time, 1 defaulted or written-off loan(s)",
+    });
+  });
+
+  it("gives members without repayments the neutral score", async () => {
+    useHistory({ loans: [] });
+
+    const result = await calculateCreditScore(member, { asOf, settings });
+
+    expect(result.breakdown[1]).toMatchObject({ score: 50, detail: "No repayment history" });
+  });
+
+  it("treats loans without a schedule as a single installment", async () => {
+    useHistory({
+      loans: [
+        { status: "repaid", dueDate: new Date(2026, 0, 1), repaidAt: new Date(2026, 0, 20) },
+      ],
+    });
+
+    const result = await calculateCreditScore(member, { asOf, settings });
+
+    expect(result.breakdown[1].detail).toBe("0 of 1 installments paid on time");
+  });
+
+  it("only looks back to when the member joined", async () => {
+    useHistory();
+    const newMember = { _id: objectId(), joinDate: new Date(2026, 3, 15) };
+    Contribution.find.mockReturnValue(mockQuery([{ contributionDate: new Date(2026, 5, 5) }]));
+
+    const result = await calculateCreditScore(newMember, { asOf, settings });
+
+    expect(Contribution.find.mock.calls[0][0].contributionDate).toEqual({
+      $gt: new Date(2026, 3, 1),
+      $lte: asOf,
+    });
+    expect(result.breakdown[0].detail).toBe("Contributed in 1 of the last 3 months");
+  });
+});
+
+describe("getCreditScoreSettings", () => {
+  it("merges stored settings and weights over the defaults", async () => {
+    jest
+      .spyOn(Setting, "getValue")
+      .mockResolvedValue({ lookbackMonths: 6, weights: { penaltyHistory: 0 } });
+
+    expect(await getCreditScoreSettings()).toEqual({
+      ...DEFAULT_CREDIT_SCORE_SETTINGS,
+      lookbackMonths: 6,
+      weights: { ...DEFAULT_CREDIT_SCORE_SETTINGS.weights, penaltyHistory: 0 },
+    });
+  });
+});
+
+describe("updateScoringSettings", () => {
+  const admin = { _id: objectId(), role: "admin" };
+
+  const update = async (body) => {
+    jest.spyOn(Setting, "getValue").mockResolvedValue({});
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    const setValue = jest.spyOn(Setting, "setValue").mockResolvedValue({});
+    const res = mockRes();
+    await updateScoringSettings(mockReq({ user: admin, body }), res);
+    return { ...responseOf(res), setValue };
+  };
+
+  it("stores the new weights and parameters", async () => {
+    const { status, setValue } = await update({
+      weights: { membershipAge: "0", unknown: 5 },
+      neutralScore: "40",
+    });
+
+    expect(status).toBe(200);
+    const [key, stored, userId] = setValue.mock.calls[0];
+    expect(key).toBe("credit_score");
+    expect(userId).toBe(admin._id);
+    expect(stored).toMatchObject({ neutralScore: 40 });
+    expect(stored.weights).toEqual({ ...settings.weights, membershipAge: 0 });
+    expect(AuditLog.create.mock.calls[0][0].action).toBe("update_setting");
+  });
+
+  it("needs at least one weight above zero", async () => {
+    const weights = Object.fromEntries(Object.keys(settings.weights).map((f) => [f, 0]));
+
+    const { status, setValue } = await update({ weights });
+
+    expect(status).toBe(400);
+    expect(setValue).not.toHaveBeenCalled();
+  });
+});
+
+describe("getMemberCreditScore", () => {
+  const branchId = objectId();
+  const scored = { _id: objectId(), branch: branchId, joinDate: new Date(2025, 6, 1) };
+
+  const view = async (user) => {
+    jest.spyOn(User, "findById").mockResolvedValue(scored);
+    jest.spyOn(Setting, "getValue").mockResolvedValue({});
+    useHistory();
+    const res = mockRes();
+    await getMemberCreditScore(mockReq({ user, params: { memberId: String(scored._id) } }), res);
+    return responseOf(res);
+  };
+
+  it("lets members see their own score", async () => {
+    const { status, body } = await view({ _id: scored._id, role: "member" });
+
+    expect(status).toBe(200);
+    expect(body.data.creditScore.breakdown).toHaveLength(4);
+  });
+
+  it("keeps scores private to the member and their branch", async () => {
+    expect((await view({ _id: objectId(), role: "member" })).status).toBe(403);
+    expect(
+      (await view({ _id: objectId(), role: "branch_lead", branch: { _id: objectId() } })).status
+    ).toBe(403);
+    expect(
+      (await view({ _id: objectId(), role: "branch_lead", branch: { _id: branchId } })).status
+    ).toBe(200);
+  });
+});
@@ -0,0 +1,119 @@
+// Liquidity and member shares worked out from a real replica set, with a
+// write-off loss and a write-off surplus on the books
+
+const User = require("../../models/User");
+const Contribution = require("../../models/Contribution");
+const Loan = require("../../models/Loan");
+const Penalty = require("../../models/Penalty");
+const { getGroupLiquidity } = require("../../utils/liquidity");
+const { calculateMemberShares, calculateMemberShare } = require("../../utils/memberShares");
+const { objectId } = require("../helpers/mongoose");
+const { useReplicaSet, insertRaw } = require("../helpers/replSet");
+
+useReplicaSet();
+
+const ama = {
+  _id: objectId(),
+  firstName: "Ama",
+  lastName: "Mensah",
+  email: "ama@example.com",
+  role: "member",
+  isActive: true,
+  totalContributions: 300,
+};
+const kofi = {
+  _id: objectId(),
+  firstName: "Kofi",
+  lastName: "Boateng",
+  email: "kofi@example.com",
+  role: "branch_lead",
+  isActive: true,
+  totalContributions: 100,
+};
+
+const loan = (fields) => ({ _id: objectId(), member: ama._id, amountPaid: 0, ...fields });
+
+// Half the pool is Ama's until her March contribution, then three quarters
+beforeEach(async () => {
+  await insertRaw(User, [{ ...ama }, { ...kofi }]);
+  await insertRaw(Contribution, [
+    { memberId: ama._id, amount: 100, status: "confirmed", createdAt: new Date(2026, 0, 1) },
+    { memberId: kofi._id, amount: 100, status: "confirmed", createdAt: new Date(2026, 0, 1) },
+    { memberId: ama._id, amount: 200, status: "confirmed", createdAt: new Date(2026, 2, 1) },
+  ]);
+  await insertRaw(Loan, [
+    loan({
+      status: "repaid",
+      amount: 1000,
+      totalAmount: 1100,
+      amountPaid: 1100,
+      repaidAt: new Date(2026, 1, 1),
+    }),
+    loan({ status: "disbursed", amount: 300, totalAmount: 330, amountPaid: 100 }),
+    // 200 of the principal was never collected
+    loan({
+      status: "written_off",
+      amount: 500,
+      totalAmount: 550,
+      amountPaid: 300,
+      writeOff: { amount: 250, writtenOffAt: new Date(2026, 1, 15) },
+    }),
+    // Recoveries brought in 10 more than was lent
+    loan({
+      status: "written_off",
+      amount: 100,
+      totalAmount: 110,
+      amountPaid: 80,
+      recoveredAmount: 30,
+      writeOff: { amount: 30, writtenOffAt: new Date(2026, 3, 2) },
+    }),
+  ]);
+  await insertRaw(Penalty, [
+    { member: kofi._id, amount: 40, status: "paid", paidDate: new Date(2026, 3, 1) },
+    { member: ama._id, amount: 20, status: "pending" },
+  ]);
+});
+
+describe("getGroupLiquidity", () => {
+  it("takes write-off losses out and adds surpluses back", async () => {
+    const liquidity = await getGroupLiquidity();
+
+    expect(liquidity).toMatchObject({
+      totalContributions: 400,
+      totalApprovedLoans: 300,
+      totalInterestFromRepaidLoans: 100,
+      totalPaidPenalties: 40,
+      writeOffCashLoss: 200,
+      writeOffSurplus: 10,
+      // 400 - 300 + 100 + 40 - 200 + 10
+      netAvailable: 50,
+      cashAvailable: 150,
+    });
+  });
+});
+
+describe("calculateMemberShares", () => {
+  it("shares interest, losses and surpluses by what members had contributed", async () => {
+    const { shares, summary } = await calculateMemberShares();
+
+    // Ama: 50 loan interest - 100 loss + 30 penalty + 7.5 surplus
+    expect(shares.map((s) => [s.name, s.interestEarned, s.interestToBeEarned])).toEqual([
+      ["Ama Mensah", -12.5, 37.5],
+      ["Kofi Boateng", -37.5, 12.5],
+    ]);
+    expect(summary).toMatchObject({
+      totalInterest: -50,
+      totalInterestToBeEarned: 50,
+      totalWriteOffLoss: 200,
+      totalWriteOffSurplus: 10,
+      totalRecovered: 30,
+    });
+  });
+
+  it("gives the same entry for one member on their own", async () => {
+    const { shares } = await calculateMemberShares();
+
+    expect(await calculateMemberShare(kofi._id)).toEqual(shares[1]);
+    expect(await calculateMemberShare(objectId())).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+// The guarded payment and recovery updates and the write-off summary against
+// a real replica set
+
+const Loan = require("../../models/Loan");
+const { runInTransaction } = require("../../utils/transactions");
+const { objectId } = require("../helpers/mongoose");
+const { useReplicaSet, insertRaw } = require("../helpers/replSet");
+
+useReplicaSet();
+
+const loanWith = (fields) => ({
+  _id: objectId(),
+  member: objectId(),
+  status: "disbursed",
+  amount: 1000,
+  totalAmount: 1100,
+  amountPaid: 0,
+  ...fields,
+});
+
+const amountPaidOf = async (loan) => (await Loan.findById(loan._id).lean()).amountPaid;
+
+describe("Loan.applyPayment", () => {
+  it("refuses a payment beyond the total due and accepts one that settles it", async () => {
+    const [loan] = await insertRaw(Loan, [loanWith({ amountPaid: 1000 })]);
+
+    expect(await Loan.applyPayment(loan._id, 150)).toBeNull();
+    expect((await Loan.applyPayment(loan._id, 100)).amountPaid).toBe(1100);
+  });
+
+  it("falls back to the amount lent when there is no total, as getTotalDue does", async () => {
+    const [loan] = await insertRaw(Loan, [loanWith({ totalAmount: 0, amountPaid: 450 })]);
+    expect(new Loan(loan).getTotalDue()).toBe(1000);
+
+    expect(await Loan.applyPayment(loan._id, 600)).toBeNull();
+    expect((await Loan.applyPayment(loan._id, 550)).amountPaid).toBe(1000);
+  });
+
+  it("lets only one of two payments racing for the last balance through", async () => {
+    const [loan] = await insertRaw(Loan, [loanWith({ amountPaid: 1000 })]);
+
+    const results = await Promise.all([
+      Loan.applyPayment(loan._id, 60),
+      Loan.applyPayment(loan._id, 60),
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await amountPaidOf(loan)).toBe(1060);
+  });
+
+  it("checks the loan's status and the amount paid it was quoted on", async () => {
+    const [repaid, quoted] = await insertRaw(Loan, [
+      loanWith({ status: "repaid" }),
+      loanWith({ amountPaid: 200 }),
+    ]);
+
+    expect(await Loan.applyPayment(repaid._id, 10)).toBeNull();
+    expect(await Loan.applyPayment(quoted._id, 10, { expectedAmountPaid: 100 })).toBeNull();
+    expect(await amountPaidOf(quoted)).toBe(200);
+  });
+
+  it("is undone with the rest of its transaction", async () => {
+    const [loan] = await insertRaw(Loan, [loanWith({ amountPaid: 100 })]);
+
+    await expect(
+      runInTransaction(async (session) => {
+        await Loan.applyPayment(loan._id, 100, { session });
+        throw new Error("Receipt could not be saved");
+      })
+    ).rejects.toThrow("Receipt could not be saved");
+
+    expect(await amountPaidOf(loan)).toBe(100);
+  });
+});
+
+// 200 of the first loan's principal was never collected; recoveries on the
+// second brought in 10 more than was lent
+const writtenOffLoans = () => [
+  loanWith({
+    status: "written_off",
+    amount: 500,
+    totalAmount: 550,
+    amountPaid: 300,
+    writeOff: { amount: 250, writtenOffAt: new Date(2026, 1, 15) },
+  }),
+  loanWith({
+    status: "written_off",
+    amount: 100,
+    totalAmount: 110,
+    amountPaid: 80,
+    recoveredAmount: 30,
+    writeOff: { amount: 30, writtenOffAt: new Date(2026, 3, 2) },
+  }),
+];
+
+describe("Loan.applyRecovery", () => {
+  it("stops recoveries at the written-off balance", async () => {
+    const [loan, recovered] = await insertRaw(Loan, writtenOffLoans());
+
+    expect((await Loan.applyRecovery(loan._id, 250)).recoveredAmount).toBe(250);
+    expect(await Loan.applyRecovery(loan._id, 1)).toBeNull();
+    expect(await Loan.applyRecovery(recovered._id, 5)).toBeNull();
+  });
+});
+
+describe("Loan.getWriteOffSummary", () => {
+  it("keeps one loan's surplus from hiding another's loss", async () => {
+    await insertRaw(Loan, [...writtenOffLoans(), loanWith({ amountPaid: 300 })]);
+
+    expect(await Loan.getWriteOffSummary()).toEqual({
+      count: 2,
+      writtenOff: 280,
+      recovered: 30,
+      netLoss: 250,
+      cashLoss: 200,
+      surplus: 10,
+    });
+  });
+
+  it("is all zeros without written-off loans", async () => {
+    expect(await Loan.getWriteOffSummary()).toEqual({
+      count: 0,
+      writtenOff: 0,
+      recovered: 0,
+      netLoss: 0,
+      cashLoss: 0,
+      surplus: 0,
+    });
+  });
+});
@@ -0,0 +1,4 @@
+// Environment for the test run: controllers configure SendGrid when loaded
+process.env.SENDGRID_API_KEY = process.env.SENDGRID_API_KEY || "SG.test";
+process.env.SENDGRID_VERIFIED_SENDER = process.env.SENDGRID_VERIFIED_SENDER || "noreply@example.com";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
@@ -0,0 +1,40 @@
+// Request/response doubles for calling controllers directly
+
+const mockReq = ({ user, body = {}, params = {}, query = {}, headers = {}, file, files } = {}) => ({
+  user,
+  body,
+  params,
+  query,
+  file,
+  files,
+  ip: "127.0.0.1",
+  get: (name) => headers[name.toLowerCase()] ?? (name === "User-Agent" ? "jest" : undefined),
+});
+
+const mockRes = () => {
+  const res = { headersSent: false, headers: {} };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.type = jest.fn(() => res);
+  res.attachment = jest.fn(() => res);
+  res.set = jest.fn((name, value) => {
+    Object.assign(res.headers, typeof name === "object" ? name : { [name]: value });
+    return res;
+  });
+  res.setHeader = res.set;
+  res.removeHeader = jest.fn((name) => delete res.headers[name]);
+  return res;
+};
+
+// Status code and JSON body the controller responded with
+const responseOf = (res) => ({
+  status: res.status.mock.calls.at(-1)?.[0],
+  body: res.json.mock.calls.at(-1)?.[0],
+});
+
+module.exports = {
+  mockReq,
+  mockRes,
+  responseOf,
+};
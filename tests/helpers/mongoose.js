@@ -0,0 +1,48 @@
+// Stand-ins for database access, so model and controller logic can be tested
+// without a running MongoDB
+
+const mongoose = require("mongoose");
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// A query that resolves to `value` and allows the usual chaining
+const mockQuery = (value) => {
+  const query = {};
+  ["populate", "select", "sort", "skip", "limit", "session", "lean"].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  query.exec = jest.fn(() => Promise.resolve(value));
+  query.then = (resolve, reject) => Promise.resolve(value).then(resolve, reject);
+  return query;
+};
+
+// Run transaction callbacks straight away; returns the fake session
+const mockTransactions = () => {
+  const session = {
+    withTransaction: jest.fn(async (callback) => callback()),
+    endSession: jest.fn(async () => {}),
+  };
+  jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+  return session;
+};
+
+// Run the schema's own pre-save hooks on a document without saving it.
+// Mongoose's built-in hooks expect a real save, so only hooks declared in
+// the model file are run.
+const runSaveHooks = async (doc) => {
+  const hooks = doc.constructor.schema.s.hooks._pres.get("save") || [];
+  for (const hook of hooks.filter((h) => !h.fn.name)) {
+    await new Promise((resolve, reject) => {
+      const result = hook.fn.call(doc, (error) => (error ? reject(error) : resolve()));
+      if (result && typeof result.then === "function") result.then(resolve, reject);
+    });
+  }
+  return doc;
+};
+
+module.exports = {
+  objectId,
+  mockQuery,
+  mockTransactions,
+  runSaveHooks,
+};
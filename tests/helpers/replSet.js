@@ -0,0 +1,46 @@
+// A real single-node MongoDB replica set in memory, for the tests in tests/db.
+// They cover what the mocks cannot: $expr guards, aggregations and
+// transactions. Run them with `npm run test:db`; the first run downloads a
+// mongod binary.
+
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const { setTransactionSupport } = require("../../utils/transactions");
+
+// Starting mongod (and downloading it the first time) takes a while
+const START_TIMEOUT_MS = 120000;
+
+// Connect for the whole file and empty every collection after each test
+const useReplicaSet = () => {
+  let replSet;
+
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({
+      replSet: { count: 1, storageEngine: "wiredTiger" },
+    });
+    await mongoose.connect(replSet.getUri());
+    setTransactionSupport(true);
+  }, START_TIMEOUT_MS);
+
+  afterEach(async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map((collection) => collection.deleteMany({})));
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+  });
+};
+
+// Insert documents as they are, skipping validation and save hooks, so each
+// test can set up exactly the figures it needs
+const insertRaw = async (Model, docs) => {
+  await Model.collection.insertMany(docs);
+  return docs;
+};
+
+module.exports = {
+  useReplicaSet,
+  insertRaw,
+};
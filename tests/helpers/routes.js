@@ -0,0 +1,41 @@
+// Mount a router the way server.js does, with the caller taken from the
+// x-test-user header. Use together with:
+//   jest.mock("../middleware/auth", () => require("./helpers/routes").mockAuth());
+//   jest.mock("../controller/<name>");
+// and stubControllers() so every handler answers 200 once validation passes.
+
+const express = require("express");
+
+const mockAuth = () => ({
+  ...jest.requireActual("../../middleware/auth"),
+  protect: (req, res, next) => {
+    req.user = JSON.parse(req.get("x-test-user") || '{"role":"admin"}');
+    next();
+  },
+});
+
+const stubControllers = (controllers) => {
+  Object.entries(controllers).forEach(([name, handler]) => {
+    if (jest.isMockFunction(handler)) {
+      handler.mockImplementation((req, res) =>
+        res.status(200).json({ handler: name })
+      );
+    }
+  });
+};
+
+const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+const asUser = (user) => ({ "x-test-user": JSON.stringify(user) });
+
+module.exports = {
+  mockAuth,
+  stubControllers,
+  buildApp,
+  asUser,
+};
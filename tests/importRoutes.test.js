@@ -0,0 +1,45 @@
+// Uploads and access on the import routes
+
+jest.mock("../middleware/auth", () => require("./helpers/routes").mockAuth());
+jest.mock("../controller/imports");
+
+const request = require("supertest");
+const importRoutes = require("../routes/imports");
+const { stubControllers, buildApp, asUser } = require("./helpers/routes");
+
+const app = buildApp("/api/imports", importRoutes);
+
+beforeEach(() => stubControllers(require("../controller/imports")));
+
+describe("POST /api/imports/:type", () => {
+  it("accepts a CSV file", async () => {
+    const res = await request(app)
+      .post("/api/imports/contributions")
+      .attach("file", Buffer.from("email,amount,date\n"), "records.csv");
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("importRecords");
+  });
+
+  it("refuses other files and other field names", async () => {
+    const pdf = await request(app)
+      .post("/api/imports/contributions")
+      .attach("file", Buffer.from("%PDF-1.4"), "records.pdf");
+    const field = await request(app)
+      .post("/api/imports/contributions")
+      .attach("upload", Buffer.from("email\n"), "records.csv");
+
+    expect(pdf.status).toBe(400);
+    expect(pdf.body.message).toBe("Only CSV or XLSX files are allowed");
+    expect(field.body.message).toBe("File field name must be 'file'");
+  });
+
+  it("is for admins only", async () => {
+    const res = await request(app)
+      .post("/api/imports/contributions")
+      .set(asUser({ role: "branch_lead" }))
+      .attach("file", Buffer.from("email\n"), "records.csv");
+
+    expect(res.status).toBe(403);
+  });
+});
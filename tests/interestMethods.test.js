@@ -0,0 +1,85 @@
+const Loan = require("../models/Loan");
+const {
+  calculateTotalInterest,
+  getLoanInterest,
+  buildRepaymentSchedule,
+} = require("../utils/loanCalculator");
+const { objectId, runSaveHooks } = require("./helpers/mongoose");
+
+const terms = { amount: 1000, interestRate: 2, duration: 12 };
+
+const sum = (values) => Math.round(values.reduce((a, b) => a + b, 0) * 100) / 100;
+
+describe("calculateTotalInterest", () => {
+  it("charges the monthly rate on the original principal for flat loans", () => {
+    expect(calculateTotalInterest({ ...terms, interestMethod: "flat" })).toBe(240);
+  });
+
+  it("charges the monthly rate on the outstanding principal for reducing balance loans", () => {
+    expect(calculateTotalInterest({ ...terms, interestMethod: "reducing_balance" })).toBe(134.72);
+  });
+
+  it("compounds the monthly rate for compound loans", () => {
+    expect(calculateTotalInterest({ ...terms, interestMethod: "compound" })).toBe(268.24);
+  });
+
+  it("defaults to flat and handles interest-free loans", () => {
+    expect(calculateTotalInterest(terms)).toBe(240);
+    expect(
+      calculateTotalInterest({ ...terms, interestRate: 0, interestMethod: "reducing_balance" })
+    ).toBe(0);
+  });
+});
+
+describe("getLoanInterest", () => {
+  it("uses the stored total and falls back to the calculation", () => {
+    expect(getLoanInterest({ amount: 1000, totalAmount: 1100 })).toBe(100);
+    expect(getLoanInterest({ ...terms, interestMethod: "compound" })).toBe(268.24);
+  });
+});
+
+describe("schedules per interest method", () => {
+  const scheduleFor = (interestMethod) =>
+    buildRepaymentSchedule({ ...terms, interestMethod, startDate: new Date(2026, 0, 1) });
+
+  it.each([
+    ["flat", 240],
+    ["reducing_balance", 134.72],
+    ["compound", 268.24],
+  ])("%s installments add up to the principal plus the total interest", (method, interest) => {
+    const schedule = scheduleFor(method);
+    expect(sum(schedule.map((i) => i.principal))).toBe(1000);
+    expect(sum(schedule.map((i) => i.interest))).toBe(interest);
+  });
+
+  it("keeps reducing balance installments equal while the interest share falls", () => {
+    const schedule = scheduleFor("reducing_balance");
+    expect(new Set(schedule.map((i) => i.amountDue)).size).toBe(1);
+    expect(schedule[0].interest).toBeGreaterThan(schedule[11].interest);
+  });
+
+  it("grows compound interest every period", () => {
+    const schedule = scheduleFor("compound");
+    expect(schedule[1].interest).toBeGreaterThan(schedule[0].interest);
+  });
+});
+
+describe("Loan", () => {
+  it("computes totalAmount with its interest method when saved", async () => {
+    const loan = new Loan({
+      member: objectId(),
+      ...terms,
+      interestMethod: "reducing_balance",
+    });
+
+    await runSaveHooks(loan);
+
+    expect(loan.totalAmount).toBe(1134.72);
+    expect(loan.remainingAmount).toBe(1134.72);
+  });
+
+  it("rejects unknown interest methods", () => {
+    const loan = new Loan({ member: objectId(), ...terms, interestMethod: "simple" });
+    expect(loan.validateSync().errors.interestMethod).toBeDefined();
+  });
+});
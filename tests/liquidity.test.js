@@ -0,0 +1,209 @@
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const LoanApprovalStep = require("../models/LoanApprovalStep");
+const Penalty = require("../models/Penalty");
+const User = require("../models/User");
+const Setting = require("../models/Setting");
+const Collateral = require("../models/Collateral");
+const AuditLog = require("../models/AuditLog");
+const { getGroupLiquidity, checkLoanFunding } = require("../utils/liquidity");
+const { approvingLoan } = require("../controller/loans");
+const { updateLiquidityConfig } = require("../controller/liquidity");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+const loan = (status, amount, extra = {}) => ({
+  _id: objectId(),
+  member: objectId(),
+  status,
+  amount,
+  totalAmount: amount * 1.1,
+  amountPaid: 0,
+  ...extra,
+});
+
+// 10000 contributed; 2000 approved and 3000 disbursed (1000 of it repaid);
+// 100 interest earned on repaid loans, 80 in settled penalties and 200 lost
+// to write-offs
+const approved = loan("approved", 2000);
+const disbursed = loan("disbursed", 3000, { amountPaid: 1000 });
+
+const useGroup = ({ settings = { reserveRatio: 10, mode: "block" }, queued = [] } = {}) => {
+  jest.spyOn(User, "find").mockReturnValue(mockQuery([{ _id: objectId() }]));
+  jest.spyOn(Contribution, "aggregate").mockResolvedValue([{ _id: null, total: 10000 }]);
+  jest.spyOn(Loan, "find").mockImplementation(({ status }) => {
+    if (status === "queued") return mockQuery(queued);
+    if (status.$in.includes("approved")) {
+      // Loans of members who have left do not count
+      return mockQuery([approved, disbursed, loan("disbursed", 500, { member: null })]);
+    }
+    return mockQuery([loan("repaid", 1000, { amountPaid: 1100 })]);
+  });
+  jest.spyOn(Penalty, "find").mockImplementation(({ status }) =>
+    mockQuery([{ member: objectId(), amount: { collected: 50, paid: 30, pending: 20 }[status] }])
+  );
+  jest.spyOn(Loan, "getWriteOffSummary").mockResolvedValue({
+    count: 1,
+    writtenOff: 500,
+    recovered: 100,
+    netLoss: 400,
+    cashLoss: 200,
+    surplus: 0,
+  });
+  jest.spyOn(Setting, "getValue").mockResolvedValue(settings);
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("getGroupLiquidity", () => {
+  it("lends what is in hand above the reserve", async () => {
+    useGroup();
+
+    expect(await getGroupLiquidity()).toMatchObject({
+      totalContributions: 10000,
+      totalApprovedLoans: 5000,
+      totalInterestFromRepaidLoans: 100,
+      writeOffCashLoss: 200,
+      netAvailable: 4980,
+      futureBalance: 5500,
+      bestFutureBalance: 10500,
+      outstandingDisbursements: 2000,
+      repaidOnOutstandingLoans: 1000,
+      reservedForApprovedLoans: 2000,
+      cashAvailable: 5980,
+      requiredReserve: 1000,
+      lendable: 4980,
+    });
+  });
+
+  it("can leave out the loan being disbursed", async () => {
+    useGroup();
+
+    const liquidity = await getGroupLiquidity({ excludeLoanId: approved._id });
+
+    expect(liquidity.reservedForApprovedLoans).toBe(0);
+    expect(liquidity.lendable).toBe(6980);
+  });
+
+  it("adds back what written-off loans returned beyond their principal", async () => {
+    useGroup();
+    Loan.getWriteOffSummary.mockResolvedValue({ cashLoss: 200, surplus: 30 });
+
+    expect(await getGroupLiquidity()).toMatchObject({
+      writeOffCashLoss: 200,
+      writeOffSurplus: 30,
+      netAvailable: 5010,
+    });
+  });
+
+  it("never lends below zero", async () => {
+    useGroup({ settings: { reserveRatio: 100, mode: "block" } });
+
+    expect((await getGroupLiquidity()).lendable).toBe(0);
+  });
+});
+
+describe("checkLoanFunding", () => {
+  it("funds loans up to the lendable amount", async () => {
+    useGroup();
+
+    expect(await checkLoanFunding({ amount: 4980 })).toMatchObject({
+      canFund: true,
+      required: 4980,
+      shortfall: 0,
+      mode: "block",
+    });
+    expect(await checkLoanFunding({ amount: 6000 })).toMatchObject({
+      canFund: false,
+      shortfall: 1020,
+    });
+  });
+
+  it("only needs the new money for a top-up", async () => {
+    useGroup();
+    jest.spyOn(Loan, "findById").mockReturnValue(mockQuery(disbursed));
+
+    const funding = await checkLoanFunding({ amount: 6000, refinances: disbursed._id });
+
+    expect(funding).toMatchObject({ canFund: true, required: 4000 });
+  });
+
+  it("funds the waiting list first when asked to", async () => {
+    const pending = { _id: objectId(), amount: 3000 };
+    useGroup({ queued: [{ amount: 1500 }, { amount: 1000 }] });
+
+    const funding = await checkLoanFunding(pending, { afterQueue: true });
+
+    expect(funding).toMatchObject({ canFund: false, queuedDemand: 2500, shortfall: 520 });
+    expect(Loan.find).toHaveBeenCalledWith({ status: "queued", _id: { $ne: pending._id } });
+  });
+});
+
+describe("approving without enough liquidity", () => {
+  const approve = async (settings) => {
+    useGroup({ settings });
+    const pending = new Loan({
+      member: objectId(),
+      amount: 6000,
+      interestRate: 1,
+      duration: 6,
+      status: "pending",
+    });
+    jest.spyOn(LoanApprovalStep, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Loan, "findById").mockReturnValue(mockQuery(pending));
+    const update = jest.spyOn(Loan, "findByIdAndUpdate").mockReturnValue(mockQuery(pending));
+    jest.spyOn(Collateral, "getCoverage").mockResolvedValue({ loanToCollateralRatio: null });
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    const res = mockRes();
+    await approvingLoan(
+      mockReq({ user: admin, params: { id: pending._id }, body: { status: "approved" } }),
+      res
+    );
+    return { ...responseOf(res), update };
+  };
+
+  it("is refused below the reserve in block mode", async () => {
+    const { status, body, update } = await approve({ reserveRatio: 10, mode: "block" });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe(
+      "Approving this loan would take the group below its 10% reserve (short by 1020). " +
+        "Approve with queue: true to place it on the waiting list."
+    );
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it("goes ahead with a warning in warn mode", async () => {
+    const { status, body } = await approve({ reserveRatio: 10, mode: "warn" });
+
+    expect(status).toBe(200);
+    expect(body.data.liquidityWarning).toBe(
+      "The group is short by 1020 to fund this loan and keep its reserve"
+    );
+  });
+});
+
+describe("updateLiquidityConfig", () => {
+  it("stores the reserve settings over the current ones", async () => {
+    jest
+      .spyOn(Setting, "getValue")
+      .mockResolvedValue({ reserveRatio: 10, mode: "block", queuePolicy: "fifo" });
+    const setValue = jest.spyOn(Setting, "setValue").mockResolvedValue({});
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    const res = mockRes();
+
+    await updateLiquidityConfig(
+      mockReq({ user: admin, body: { reserveRatio: "15", mode: "warn" } }),
+      res
+    );
+
+    expect(responseOf(res).status).toBe(200);
+    expect(setValue).toHaveBeenCalledWith(
+      "liquidity",
+      { reserveRatio: 15, mode: "warn", queuePolicy: "fifo" },
+      admin._id
+    );
+  });
+});
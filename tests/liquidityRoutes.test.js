@@ -0,0 +1,51 @@
+// Validation and access on the liquidity routes
+
+jest.mock("../middleware/auth", () => require("./helpers/routes").mockAuth());
+jest.mock("../controller/liquidity");
+
+const request = require("supertest");
+const liquidityRoutes = require("../routes/liquidity");
+const { stubControllers, buildApp, asUser } = require("./helpers/routes");
+
+const app = buildApp("/api/liquidity", liquidityRoutes);
+
+beforeEach(() => stubControllers(require("../controller/liquidity")));
+
+describe("GET /api/liquidity", () => {
+  it("is open to branch leads but not members", async () => {
+    const lead = await request(app).get("/api/liquidity").set(asUser({ role: "branch_lead" }));
+    const member = await request(app).get("/api/liquidity").set(asUser({ role: "member" }));
+
+    expect(lead.body.handler).toBe("getLiquidity");
+    expect(member.status).toBe(403);
+  });
+});
+
+describe("PUT /api/liquidity/settings", () => {
+  it("accepts a reserve ratio, mode and queue policy", async () => {
+    const res = await request(app)
+      .put("/api/liquidity/settings")
+      .send({ reserveRatio: 15, mode: "warn", queuePolicy: "smallest_first" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("updateLiquidityConfig");
+  });
+
+  it("rejects unknown modes and ratios above 100", async () => {
+    const res = await request(app)
+      .put("/api/liquidity/settings")
+      .send({ reserveRatio: 120, mode: "ignore", queuePolicy: "random" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["reserveRatio", "mode", "queuePolicy"]);
+  });
+
+  it("is for admins only", async () => {
+    const res = await request(app)
+      .put("/api/liquidity/settings")
+      .set(asUser({ role: "branch_lead" }))
+      .send({ reserveRatio: 15 });
+
+    expect(res.status).toBe(403);
+  });
+});
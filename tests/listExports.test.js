@@ -0,0 +1,179 @@
+const express = require("express");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const User = require("../models/User");
+const Contribution = require("../models/Contribution");
+const { getExportFormat, sendExport } = require("../utils/listExport");
+const { getAllUsers } = require("../controller/users");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes } = require("./helpers/http");
+
+const XLSX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const columns = [
+  { header: "Name", value: (r) => r.name },
+  { header: "Date", type: "date", value: (r) => r.date },
+  { header: "Amount", type: "money", value: (r) => r.amount },
+];
+const rows = [
+  { name: "Mensah, Ama", date: new Date(2026, 0, 5), amount: 100 },
+  { name: '=HYPERLINK("http://example.com")', date: null, amount: "n/a" },
+];
+
+// Serve sendExport the way a list controller does
+const appSending = (format, options) => {
+  const app = express();
+  app.get("/export", (req, res) => sendExport(res, format, options));
+  return app;
+};
+
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("getExportFormat", () => {
+  it("takes the format from the query or the Accept header", () => {
+    expect(getExportFormat(mockReq({ query: { format: "XLSX" } }))).toBe("xlsx");
+    expect(getExportFormat(mockReq({ headers: { accept: "text/csv" } }))).toBe("csv");
+    expect(getExportFormat(mockReq({ headers: { accept: XLSX_MIME_TYPE } }))).toBe("xlsx");
+  });
+
+  it("answers with JSON for anything else", () => {
+    expect(getExportFormat(mockReq({ query: { format: "pdf" } }))).toBeNull();
+    expect(getExportFormat(mockReq({ headers: { accept: "application/json" } }))).toBeNull();
+  });
+});
+
+describe("sendExport", () => {
+  it("writes a CSV Excel opens as UTF-8, with formulas neutralised", async () => {
+    const res = await request(
+      appSending("csv", { fileName: "contributions", columns, rows, summary: [["Total", 100]] })
+    ).get("/export");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("text/csv; charset=utf-8");
+    expect(res.headers["content-disposition"]).toMatch(
+      /^attachment; filename="contributions-\d{4}-\d{2}-\d{2}\.csv"$/
+    );
+    expect(res.text).toBe(
+      "\uFEFFName,Date,Amount\r\n" +
+        '"Mensah, Ama",2026-01-05,100\r\n' +
+        "\"'=HYPERLINK(\"\"http://example.com\"\")\",,\r\n" +
+        "\r\n" +
+        "Total,100\r\n"
+    );
+  });
+
+  it("writes an XLSX workbook with typed cells", async () => {
+    const res = await request(
+      appSending("xlsx", { fileName: "contributions", sheetName: "Contributions", columns, rows })
+    )
+      .get("/export")
+      .buffer(true)
+      .parse(binary);
+
+    expect(res.headers["content-type"]).toBe(XLSX_MIME_TYPE);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const sheet = workbook.getWorksheet("Contributions");
+    expect(sheet.getRow(1).values.slice(1)).toEqual(["Name", "Date", "Amount"]);
+    expect(sheet.getCell("B2").value).toEqual(rows[0].date);
+    expect(sheet.getCell("C2").value).toBe(100);
+    expect(sheet.getCell("A1").font.bold).toBe(true);
+    expect(sheet.getCell("B2").numFmt).toBe("yyyy-mm-dd");
+    expect(sheet.getCell("C2").numFmt).toBe("#,##0.00");
+    expect(sheet.getCell("C3").value).toBeNull();
+  });
+
+  it("cuts the download short when a row fails after the file has started", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const failing = [
+      ...columns,
+      {
+        header: "Member",
+        value: () => {
+          throw new Error("member lookup failed");
+        },
+      },
+    ];
+
+    await expect(
+      request(appSending("csv", { fileName: "contributions", columns: failing, rows })).get(
+        "/export"
+      )
+    ).rejects.toThrow();
+  });
+
+  it("lets the caller answer with an error when nothing was sent", async () => {
+    const res = mockRes();
+    res.write = jest.fn(() => {
+      throw new Error("stream closed");
+    });
+
+    await expect(sendExport(res, "csv", { fileName: "loans", columns, rows })).rejects.toThrow(
+      "stream closed"
+    );
+    expect(res.headers["Content-Disposition"]).toBeUndefined();
+  });
+});
+
+describe("user list exports", () => {
+  const branchId = objectId();
+  const ama = {
+    _id: objectId(),
+    firstName: "Ama",
+    lastName: "Mensah",
+    email: "ama@example.com",
+    role: "member",
+    branch: { _id: branchId, name: "Accra" },
+    joinDate: new Date(2025, 4, 1),
+    status: "active",
+    isActive: true,
+    totalLoans: 500,
+  };
+
+  const exportUsers = async (user) => {
+    const usersQuery = mockQuery([{ ...ama }]);
+    const find = jest.spyOn(User, "find").mockReturnValue(usersQuery);
+    jest.spyOn(Contribution, "aggregate").mockResolvedValue([{ _id: ama._id, total: 300 }]);
+    const app = express();
+    app.get("/users", (req, res) => {
+      req.user = user;
+      getAllUsers(req, res);
+    });
+    const res = await request(app).get("/users?format=csv&page=2&limit=1");
+    return { res, filter: find.mock.calls.at(-1)[0], usersQuery };
+  };
+
+  it("exports every matching user with their totals rather than one page", async () => {
+    const { res, usersQuery } = await exportUsers({ _id: objectId(), role: "admin" });
+
+    expect(res.status).toBe(200);
+    expect(res.text.split("\r\n")).toEqual([
+      "\uFEFFName,Email,Role,Branch,Join Date,Status,Active,Total Contributions," +
+        "Total Loans,Unpaid Penalties",
+      "Ama Mensah,ama@example.com,member,Accra,2025-05-01,active,Yes,300,500,",
+      "",
+      "Users,1",
+      "Total contributions,300",
+      "",
+    ]);
+    expect(usersQuery.skip).not.toHaveBeenCalled();
+    expect(usersQuery.limit).not.toHaveBeenCalled();
+  });
+
+  it("limits branch leads to their branch and members to themselves", async () => {
+    const memberId = objectId();
+
+    const branch = { _id: branchId };
+    const lead = await exportUsers({ _id: objectId(), role: "branch_lead", branch });
+    const member = await exportUsers({ _id: memberId, role: "member", branch });
+
+    expect(lead.filter.branch).toBe(String(branchId));
+    expect(member.filter._id).toBe(memberId);
+  });
+});
@@ -0,0 +1,156 @@
+const PDFDocument = require("pdfkit");
+const sgMail = require("@sendgrid/mail");
+const Loan = require("../models/Loan");
+const Branch = require("../models/Branch");
+const { getLoanAgreement, sendLoanApprovalEmail } = require("../controller/loans");
+const { generateLoanAgreementPdf } = require("../utils/loanAgreementPdf");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const branchId = objectId();
+const borrower = {
+  _id: objectId(),
+  firstName: "Ama",
+  lastName: "Mensah",
+  email: "ama@example.com",
+  membershipId: "CS-0042",
+};
+
+// A loan as loaded with member and guarantors.member populated
+const approvedLoan = ({ guarantors = [], ...overrides } = {}) => {
+  const loan = new Loan({
+    member: borrower._id,
+    amount: 1200,
+    interestRate: 1,
+    duration: 3,
+    totalAmount: 1236,
+    status: "approved",
+    approvedDate: new Date("2026-03-01T00:00:00Z"),
+    branch: String(branchId),
+    ...overrides,
+  });
+  loan.generateSchedule(new Date("2026-03-01T00:00:00Z"));
+  return { ...loan.toObject(), member: borrower, guarantors };
+};
+
+// Text written to the PDF; pdfkit compresses its content streams
+const renderedText = async (loan, options) => {
+  const text = jest.spyOn(PDFDocument.prototype, "text");
+  const pdf = await generateLoanAgreementPdf(loan, options);
+  const lines = text.mock.calls.map(([value]) => value);
+  text.mockRestore();
+  return { pdf, lines };
+};
+
+beforeEach(() => {
+  jest.spyOn(Branch, "findById").mockReturnValue(mockQuery({ name: "Accra Central" }));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("generateLoanAgreementPdf", () => {
+  it("fills in the borrower, terms and repayment schedule", async () => {
+    const { pdf, lines } = await renderedText(approvedLoan(), { branchName: "Accra Central" });
+
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        "Ama Mensah",
+        "CS-0042",
+        "Accra Central",
+        "1,200.00",
+        "1% per month",
+        "Flat",
+        "3 months",
+        "1,236.00",
+        "2026-04-01",
+        "412.00",
+        "Borrower: Ama Mensah",
+      ])
+    );
+  });
+
+  it("lists guarantors who have not declined and gives them a signature line", async () => {
+    const loan = approvedLoan({
+      guarantors: [
+        {
+          member: { firstName: "Kofi", lastName: "Boateng", membershipId: "CS-7" },
+          pledgedAmount: 500,
+          status: "accepted",
+        },
+        {
+          member: { firstName: "Yaw", lastName: "Owusu", membershipId: "CS-8" },
+          pledgedAmount: 300,
+          status: "declined",
+        },
+      ],
+    });
+
+    const { lines } = await renderedText(loan);
+
+    expect(lines).toEqual(
+      expect.arrayContaining(["Kofi Boateng", "500.00", "Guarantor: Kofi Boateng"])
+    );
+    expect(lines).not.toContain("Yaw Owusu");
+  });
+});
+
+describe("getLoanAgreement", () => {
+  const download = async (loan, user) => {
+    jest.spyOn(Loan, "findById").mockReturnValue(mockQuery(loan));
+    const res = mockRes();
+    await getLoanAgreement(mockReq({ user, params: { id: loan._id } }), res);
+    return res;
+  };
+
+  it("sends the agreement as a PDF download", async () => {
+    const loan = approvedLoan();
+
+    const res = await download(loan, { _id: borrower._id, role: "member" });
+
+    expect(responseOf(res).status).toBe(200);
+    expect(res.setHeader).toHaveBeenCalledWith("Content-Type", "application/pdf");
+    expect(res.send.mock.calls[0][0].subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  it("is only available once the loan is approved", async () => {
+    const res = await download(approvedLoan({ status: "pending" }), { role: "admin" });
+
+    expect(responseOf(res)).toMatchObject({
+      status: 400,
+      body: { message: "The loan agreement is available once the loan is approved" },
+    });
+  });
+
+  it("is private to the borrower and their branch", async () => {
+    const loan = approvedLoan();
+
+    expect(responseOf(await download(loan, { _id: objectId(), role: "member" })).status).toBe(403);
+    expect(
+      responseOf(await download(loan, { role: "branch_lead", branch: { _id: objectId() } })).status
+    ).toBe(403);
+  });
+});
+
+describe("sendLoanApprovalEmail", () => {
+  it("attaches the generated agreement to the approval email", async () => {
+    const loan = approvedLoan();
+    jest.spyOn(Loan, "findById").mockReturnValue(mockQuery(loan));
+    const send = jest.spyOn(sgMail, "send").mockResolvedValue([{ statusCode: 202 }]);
+    jest.spyOn(console, "info").mockImplementation(() => {});
+    const res = mockRes();
+
+    await sendLoanApprovalEmail(
+      mockReq({ user: { role: "admin" }, params: { id: loan._id } }),
+      res
+    );
+
+    expect(responseOf(res).body.message).toBe("Loan approval email sent to user.");
+    const [attachment] = send.mock.calls[0][0].attachments;
+    expect(attachment).toMatchObject({
+      filename: `loan_agreement_${loan._id}.pdf`,
+      type: "application/pdf",
+    });
+    expect(Buffer.from(attachment.content, "base64").subarray(0, 5).toString()).toBe("%PDF-");
+  });
+});
@@ -0,0 +1,216 @@
+jest.mock("../utils/liquidity", () => ({
+  ...jest.requireActual("../utils/liquidity"),
+  checkLoanFunding: jest.fn(),
+}));
+
+const Loan = require("../models/Loan");
+const LoanApprovalStep = require("../models/LoanApprovalStep");
+const Collateral = require("../models/Collateral");
+const AuditLog = require("../models/AuditLog");
+const { approvingLoan } = require("../controller/loans");
+const { checkLoanFunding } = require("../utils/liquidity");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const branchId = objectId();
+const branchLead = { _id: objectId(), role: "branch_lead", branch: { _id: branchId } };
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+const secondAdmin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+// Branch review for every loan, then two committee sign-offs from 5000 up
+const branchReview = new LoanApprovalStep({
+  name: "Branch review",
+  order: 1,
+  role: "branch_lead",
+});
+const committee = new LoanApprovalStep({
+  name: "Credit committee",
+  order: 2,
+  role: "admin",
+  minAmount: 5000,
+  requiredApprovals: 2,
+});
+
+const approvalOf = (step, user) => ({
+  step: step._id,
+  decision: "approved",
+  approver: user._id,
+  role: user.role,
+});
+
+const pendingLoan = (amount, approvals = []) =>
+  new Loan({
+    member: objectId(),
+    amount,
+    interestRate: 1,
+    duration: 6,
+    status: "pending",
+    branch: String(branchId),
+    approvals,
+  });
+
+const useChain = (...steps) =>
+  jest.spyOn(LoanApprovalStep, "find").mockReturnValue(mockQuery(steps));
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  jest.spyOn(Collateral, "getCoverage").mockResolvedValue({ loanToCollateralRatio: null });
+  jest.spyOn(Collateral, "settleForLoan").mockResolvedValue(0);
+  checkLoanFunding.mockResolvedValue({ canFund: true, shortfall: 0, queuedDemand: 0 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("LoanApprovalStep.evaluate", () => {
+  it("only includes active steps that apply to the loan amount", async () => {
+    const find = useChain(branchReview);
+
+    await LoanApprovalStep.evaluate(pendingLoan(1000));
+
+    expect(find).toHaveBeenCalledWith({ isActive: true, minAmount: { $lte: 1000 } });
+  });
+
+  it("moves to the next step once a step has enough distinct approvers", async () => {
+    useChain(branchReview, committee);
+    const loan = pendingLoan(8000, [
+      approvalOf(branchReview, branchLead),
+      approvalOf(committee, admin),
+      approvalOf(committee, admin),
+    ]);
+
+    const chain = await LoanApprovalStep.evaluate(loan);
+
+    expect(chain.steps.map((s) => [s.name, s.approvals, s.isComplete])).toEqual([
+      ["Branch review", 1, true],
+      ["Credit committee", 1, false],
+    ]);
+    expect(chain.currentStep.name).toBe("Credit committee");
+    expect(chain.isComplete).toBe(false);
+  });
+
+  it("is complete without configured steps", async () => {
+    useChain();
+
+    expect(await LoanApprovalStep.evaluate(pendingLoan(1000))).toEqual({
+      isConfigured: false,
+      steps: [],
+      currentStep: null,
+      isComplete: true,
+    });
+  });
+});
+
+describe("approvingLoan", () => {
+  const decide = async (loan, user, body) => {
+    jest.spyOn(Loan, "findById").mockReturnValue(mockQuery(loan));
+    jest.spyOn(loan, "save").mockResolvedValue(loan);
+    const update = jest.spyOn(Loan, "findByIdAndUpdate").mockReturnValue(mockQuery(loan));
+    const res = mockRes();
+    await approvingLoan(mockReq({ user, params: { id: loan._id }, body }), res);
+    return { ...responseOf(res), update };
+  };
+
+  it("records an approval without changing the status while steps remain", async () => {
+    useChain(branchReview, committee);
+    const loan = pendingLoan(8000);
+
+    const { status, body, update } = await decide(loan, branchLead, { status: "approved" });
+
+    expect(status).toBe(200);
+    expect(body.message).toBe("Approval recorded. Awaiting Credit committee");
+    expect(loan.status).toBe("pending");
+    expect(loan.approvals[0]).toMatchObject({
+      stepName: "Branch review",
+      decision: "approved",
+      approver: branchLead._id,
+    });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it("needs the current step's role", async () => {
+    useChain(branchReview, committee);
+
+    const { status, body } = await decide(pendingLoan(8000), admin, { status: "approved" });
+
+    expect(status).toBe(403);
+    expect(body.message).toBe(
+      "This loan is awaiting the Branch review step, which requires a branch_lead decision"
+    );
+  });
+
+  it("does not count the same approver twice", async () => {
+    useChain(branchReview, committee);
+    const loan = pendingLoan(8000, [
+      approvalOf(branchReview, branchLead),
+      approvalOf(committee, admin),
+    ]);
+
+    expect((await decide(loan, admin, { status: "approved" })).status).toBe(400);
+  });
+
+  it("approves the loan on the last approval of the final step", async () => {
+    useChain(branchReview, committee);
+    const loan = pendingLoan(8000, [
+      approvalOf(branchReview, branchLead),
+      approvalOf(committee, admin),
+    ]);
+
+    const { status, update } = await decide(loan, secondAdmin, {
+      status: "approved",
+      interestRate: 2,
+    });
+
+    expect(status).toBe(200);
+    const [, changes] = update.mock.calls[0];
+    expect(changes).toMatchObject({
+      status: "approved",
+      interestRate: 2,
+      interestMethod: "flat",
+      totalAmount: 8960,
+      remainingAmount: 8960,
+    });
+    expect(changes.schedule).toHaveLength(6);
+    expect(changes.$push.approvals).toMatchObject({ stepName: "Credit committee" });
+  });
+
+  it("lets an admin reject at any step", async () => {
+    useChain(branchReview, committee);
+
+    const { status, update } = await decide(pendingLoan(8000), admin, {
+      status: "rejected",
+      rejectionReason: "Insufficient income",
+    });
+
+    expect(status).toBe(200);
+    expect(update.mock.calls[0][1]).toMatchObject({
+      status: "rejected",
+      rejectionReason: "Insufficient income",
+    });
+    expect(Collateral.settleForLoan).toHaveBeenCalledWith(
+      expect.anything(),
+      "released",
+      admin._id,
+      "Loan rejected"
+    );
+  });
+
+  it("keeps branch leads to their own branch", async () => {
+    useChain(branchReview);
+    const otherBranchLead = { ...branchLead, branch: { _id: objectId() } };
+
+    const { status } = await decide(pendingLoan(1000), otherBranchLead, { status: "approved" });
+
+    expect(status).toBe(403);
+  });
+
+  it("waits for guarantors to cover the required share", async () => {
+    useChain(branchReview);
+    const loan = pendingLoan(1000);
+    loan.requiredGuaranteeCoverage = 50;
+
+    const { status, body } = await decide(loan, branchLead, { status: "approved" });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe("Guarantee coverage is 0% but 50% is required");
+  });
+});
@@ -0,0 +1,217 @@
+jest.mock("../utils/creditScore", () => ({
+  calculateCreditScore: jest.fn().mockResolvedValue({ score: 700, band: "good" }),
+}));
+
+const Loan = require("../models/Loan");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { requestingLoan, respondToGuarantee } = require("../controller/loans");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const borrower = {
+  _id: objectId(),
+  role: "member",
+  branch: { _id: objectId() },
+  totalContributions: 500,
+};
+const guarantor = { _id: objectId(), role: "member", branch: borrower.branch };
+
+const loanWithGuarantors = (guarantors, overrides = {}) =>
+  new Loan({
+    member: borrower._id,
+    amount: 1000,
+    interestRate: 1,
+    duration: 6,
+    requiredGuaranteeCoverage: 50,
+    guarantors,
+    ...overrides,
+  });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("getGuaranteeCoverage", () => {
+  it("only counts accepted pledges", () => {
+    const loan = loanWithGuarantors([
+      { member: objectId(), pledgedAmount: 300, status: "accepted" },
+      { member: objectId(), pledgedAmount: 400, status: "pending" },
+      { member: objectId(), pledgedAmount: 500, status: "declined" },
+    ]);
+
+    expect(loan.getGuaranteeCoverage()).toEqual({
+      acceptedAmount: 300,
+      percentage: 30,
+      required: 50,
+      isMet: false,
+    });
+  });
+
+  it("is met once accepted pledges reach the required percentage", () => {
+    const loan = loanWithGuarantors([
+      { member: objectId(), pledgedAmount: 250, status: "accepted" },
+      { member: objectId(), pledgedAmount: 250, status: "accepted" },
+    ]);
+
+    expect(loan.getGuaranteeCoverage().isMet).toBe(true);
+  });
+});
+
+describe("getPledgedAmount", () => {
+  it("sums pending and accepted pledges on open loans, optionally leaving one loan out", async () => {
+    const aggregate = jest.spyOn(Loan, "aggregate").mockResolvedValue([{ total: 700 }]);
+    const excluded = objectId();
+
+    expect(await Loan.getPledgedAmount(guarantor._id, excluded)).toBe(700);
+
+    const [match, , pledges] = aggregate.mock.calls[0][0];
+    expect(match.$match._id).toEqual({ $ne: excluded });
+    expect(match.$match.status.$in).not.toContain("repaid");
+    expect(pledges.$match["guarantors.status"]).toEqual({ $in: ["pending", "accepted"] });
+  });
+
+  it("is zero when the member has pledged nothing", async () => {
+    jest.spyOn(Loan, "aggregate").mockResolvedValue([]);
+    expect(await Loan.getPledgedAmount(guarantor._id)).toBe(0);
+  });
+});
+
+describe("requestingLoan guarantors", () => {
+  beforeEach(() => {
+    jest.spyOn(Loan, "findOne").mockResolvedValue(null);
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  });
+
+  const request = async (guarantors) => {
+    const res = mockRes();
+    await requestingLoan(
+      mockReq({ user: borrower, body: { amount: 1000, duration: 6, guarantors } }),
+      res
+    );
+    return responseOf(res);
+  };
+
+  it("refuses self-guarantees, duplicates and pledges beyond a guarantor's capacity", async () => {
+    jest
+      .spyOn(User, "findById")
+      .mockResolvedValue({ ...guarantor, isActive: true, totalContributions: 800 });
+    jest.spyOn(Loan, "getPledgedAmount").mockResolvedValue(500);
+    const create = jest.spyOn(Loan, "create");
+
+    const { status, body } = await request([
+      { member: borrower._id, amount: 100 },
+      { member: guarantor._id, amount: 400 },
+      { member: guarantor._id, amount: 100 },
+    ]);
+
+    expect(status).toBe(400);
+    expect(body.errors.map((e) => e.message)).toEqual([
+      "You cannot guarantee your own loan",
+      "Pledge exceeds the guarantor's available capacity (300)",
+      "Guarantor is listed more than once",
+    ]);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("records valid guarantors as pending", async () => {
+    jest
+      .spyOn(User, "findById")
+      .mockResolvedValueOnce({ ...guarantor, isActive: true, totalContributions: 800 })
+      .mockResolvedValue(null);
+    jest.spyOn(Loan, "getPledgedAmount").mockResolvedValue(0);
+    let created;
+    jest.spyOn(Loan, "create").mockImplementation(async (data) => {
+      created = new Loan(data);
+      jest.spyOn(created, "populate").mockResolvedValue(created);
+      return created;
+    });
+
+    const { status } = await request([{ member: guarantor._id, amount: 400 }]);
+
+    expect(status).toBe(201);
+    expect(created.guarantors.map((g) => g.toObject())).toEqual([
+      { member: guarantor._id, pledgedAmount: 400, status: "pending" },
+    ]);
+  });
+});
+
+describe("requestingLoan without a product", () => {
+  beforeEach(() => jest.spyOn(Loan, "findOne").mockResolvedValue(null));
+
+  it("counts the borrower's own pledges against the default borrowing limit", async () => {
+    jest.spyOn(Loan, "getPledgedAmount").mockResolvedValue(300);
+    const create = jest.spyOn(Loan, "create");
+    const res = mockRes();
+
+    await requestingLoan(mockReq({ user: borrower, body: { amount: 1000, duration: 6 } }), res);
+
+    expect(responseOf(res)).toMatchObject({
+      status: 400,
+      body: {
+        message: "Loan request does not meet the default eligibility rules",
+        errors: [
+          {
+            rule: "maxContributionMultiple",
+            message:
+              "Amount cannot exceed 3x your total contributions less 300 pledged as guarantor (600)",
+          },
+        ],
+      },
+    });
+    expect(Loan.getPledgedAmount).toHaveBeenCalledWith(borrower._id);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe("respondToGuarantee", () => {
+  const respond = async (loan, user, body) => {
+    jest.spyOn(Loan, "findById").mockReturnValue(mockQuery(loan));
+    const res = mockRes();
+    await respondToGuarantee(mockReq({ user, params: { id: loan._id }, body }), res);
+    return responseOf(res);
+  };
+
+  beforeEach(() => jest.spyOn(AuditLog, "create").mockResolvedValue({}));
+
+  it("records the guarantor's decision and reports the new coverage", async () => {
+    const loan = loanWithGuarantors([{ member: guarantor._id, pledgedAmount: 600 }]);
+    jest.spyOn(loan, "save").mockResolvedValue(loan);
+
+    const { status, body } = await respond(loan, guarantor, {
+      decision: "accepted",
+      comment: "Happy to help",
+    });
+
+    expect(status).toBe(200);
+    expect(loan.guarantors[0]).toMatchObject({ status: "accepted", comment: "Happy to help" });
+    expect(loan.guarantors[0].respondedAt).toBeInstanceOf(Date);
+    expect(body.data.coverage).toMatchObject({ percentage: 60, isMet: true });
+  });
+
+  it("only lets named guarantors respond", async () => {
+    const loan = loanWithGuarantors([{ member: guarantor._id, pledgedAmount: 600 }]);
+
+    expect(await respond(loan, { _id: objectId() }, { decision: "accepted" })).toMatchObject({
+      status: 404,
+      body: { message: "You have not been asked to guarantee this loan" },
+    });
+  });
+
+  it("does not let a guarantor change their mind", async () => {
+    const loan = loanWithGuarantors([
+      { member: guarantor._id, pledgedAmount: 600, status: "declined" },
+    ]);
+
+    expect(await respond(loan, guarantor, { decision: "accepted" })).toMatchObject({
+      status: 400,
+      body: { message: "You have already declined this guarantee" },
+    });
+  });
+
+  it("freezes guarantees once the loan has left pending", async () => {
+    const loan = loanWithGuarantors([{ member: guarantor._id, pledgedAmount: 600 }], {
+      status: "approved",
+    });
+
+    expect((await respond(loan, guarantor, { decision: "declined" })).status).toBe(400);
+  });
+});
@@ -0,0 +1,224 @@
+jest.mock("../utils/liquidity", () => ({
+  ...jest.requireActual("../utils/liquidity"),
+  checkLoanFunding: jest.fn(),
+}));
+jest.mock("../utils/loanQueue", () => ({
+  ...jest.requireActual("../utils/loanQueue"),
+  releaseWaitingLoans: jest.fn().mockResolvedValue([]),
+}));
+
+const Loan = require("../models/Loan");
+const LoanRepayment = require("../models/LoanRepayment");
+const SignedAgreement = require("../models/SignedAgreement");
+const Collateral = require("../models/Collateral");
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+const { disbursingLoan, repaymentLoan } = require("../controller/loans");
+const { deleteUser } = require("../controller/users");
+const { checkLoanFunding } = require("../utils/liquidity");
+const { objectId, mockQuery, mockTransactions } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+const approvedLoan = (overrides = {}) =>
+  new Loan({
+    member: objectId(),
+    amount: 1200,
+    interestRate: 1,
+    duration: 3,
+    status: "approved",
+    branch: String(admin.branch._id),
+    ...overrides,
+  });
+
+describe("Loan status transitions", () => {
+  it.each([
+    ["pending", "approved"],
+    ["pending", "queued"],
+    ["approved", "disbursed"],
+    ["disbursed", "repaid"],
+    ["disbursed", "defaulted"],
+    ["defaulted", "written_off"],
+  ])("allows %s -> %s", (from, to) => {
+    expect(Loan.canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ["pending", "disbursed"],
+    ["approved", "repaid"],
+    ["repaid", "disbursed"],
+    ["rejected", "approved"],
+    ["written_off", "repaid"],
+  ])("refuses %s -> %s", (from, to) => {
+    expect(Loan.canTransition(from, to)).toBe(false);
+  });
+
+  it("names the allowed next statuses in the error", () => {
+    expect(Loan.transitionError("pending", "disbursed")).toBe(
+      "Cannot move loan from pending to disbursed. Allowed next status: approved, rejected, queued"
+    );
+    expect(Loan.transitionError("repaid", "disbursed")).toBe(
+      "Cannot move loan from repaid to disbursed"
+    );
+  });
+
+  it("checks the document's own status", () => {
+    const loan = approvedLoan();
+    expect(loan.canTransitionTo("disbursed")).toBe(true);
+    expect(loan.canTransitionTo("repaid")).toBe(false);
+  });
+});
+
+describe("disbursingLoan", () => {
+  const disburse = async (loan, body = {}) => {
+    const res = mockRes();
+    await disbursingLoan(mockReq({ user: admin, params: { id: loan._id }, body }), res);
+    return responseOf(res);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(SignedAgreement, "hasVerified").mockResolvedValue(true);
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    checkLoanFunding.mockResolvedValue({ canFund: true, shortfall: 0, mode: "warn" });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("pays out an approved loan and schedules installments from the disbursement date", async () => {
+    const loan = approvedLoan({ approvedDate: new Date("2025-01-01") });
+    jest
+      .spyOn(Loan, "findById")
+      .mockResolvedValueOnce(loan)
+      .mockReturnValueOnce(mockQuery(loan));
+    jest.spyOn(loan, "save").mockResolvedValue(loan);
+
+    const { status, body } = await disburse(loan, { method: "bank_transfer", reference: "TX-9" });
+
+    expect(status).toBe(200);
+    expect(body.message).toBe("Loan disbursed successfully");
+    expect(loan.status).toBe("disbursed");
+    expect(loan.disbursement).toMatchObject({ method: "bank_transfer", reference: "TX-9" });
+    expect(loan.netDisbursement).toBe(1200);
+    expect(loan.schedule).toHaveLength(3);
+    expect(loan.schedule[0].dueDate.getTime()).toBeGreaterThan(Date.now());
+    expect(loan.dueDate).toEqual(loan.schedule[2].dueDate);
+  });
+
+  it("refuses loans that are not approved", async () => {
+    const loan = approvedLoan({ status: "pending" });
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+
+    const { status, body } = await disburse(loan);
+
+    expect(status).toBe(400);
+    expect(body.message).toMatch(/^Cannot move loan from pending to disbursed/);
+  });
+
+  it("never disburses a loan twice, even one that defaulted", async () => {
+    const loan = approvedLoan({ status: "defaulted", disbursedDate: new Date("2026-01-01") });
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+
+    expect(await disburse(loan)).toMatchObject({
+      status: 400,
+      body: { message: "This loan has already been disbursed" },
+    });
+  });
+
+  it("requires a verified signed agreement", async () => {
+    const loan = approvedLoan();
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    SignedAgreement.hasVerified.mockResolvedValue(false);
+    const save = jest.spyOn(loan, "save");
+
+    expect(await disburse(loan)).toMatchObject({
+      status: 400,
+      body: { message: "A verified signed loan agreement is required before disbursement" },
+    });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it("queues the loan when funds are short and the admin asks for it", async () => {
+    const loan = approvedLoan();
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    jest.spyOn(loan, "save").mockResolvedValue(loan);
+    checkLoanFunding.mockResolvedValue({ canFund: false, shortfall: 200, mode: "block" });
+
+    const { status } = await disburse(loan, { queue: true });
+
+    expect(status).toBe(200);
+    expect(loan.status).toBe("queued");
+    expect(loan.disbursedDate).toBeUndefined();
+  });
+});
+
+describe("repaymentLoan", () => {
+  const settle = async (loan) => {
+    const res = mockRes();
+    await repaymentLoan(mockReq({ user: admin, params: { id: loan._id }, body: {} }), res);
+    return responseOf(res);
+  };
+
+  beforeEach(() => {
+    mockTransactions();
+    jest.spyOn(Loan, "updateUserLoans").mockResolvedValue();
+    jest.spyOn(Collateral, "settleForLoan").mockResolvedValue(0);
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("settles the balance it read in one guarded update", async () => {
+    const loan = approvedLoan({ status: "disbursed", totalAmount: 1236, amountPaid: 1000 });
+    jest
+      .spyOn(Loan, "findById")
+      .mockResolvedValueOnce(loan)
+      .mockReturnValueOnce(mockQuery(loan));
+    const update = jest.spyOn(Loan, "findOneAndUpdate").mockResolvedValue(loan);
+    jest.spyOn(loan, "save").mockResolvedValue(loan);
+    const createRepayment = jest.spyOn(LoanRepayment, "create").mockResolvedValue([{}]);
+
+    const { status } = await settle(loan);
+
+    expect(status).toBe(200);
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toMatchObject({ status: { $in: ["disbursed"] }, amountPaid: 1000 });
+    expect(change).toEqual({ $inc: { amountPaid: 236 } });
+    expect(createRepayment.mock.calls[0][0][0]).toMatchObject({
+      amount: 236,
+      notes: "Final settlement",
+    });
+    expect(loan).toMatchObject({ status: "repaid", amountPaid: 1236, remainingAmount: 0 });
+  });
+
+  it("saves nothing when a repayment was recorded in the meantime", async () => {
+    const loan = approvedLoan({ status: "disbursed", totalAmount: 1236, amountPaid: 1000 });
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    jest.spyOn(Loan, "findOneAndUpdate").mockResolvedValue(null);
+    const createRepayment = jest.spyOn(LoanRepayment, "create");
+
+    const { status, body } = await settle(loan);
+
+    expect(status).toBe(400);
+    expect(body.message).toBe(
+      "The loan balance changed while it was being settled. Reload the loan and try again"
+    );
+    expect(createRepayment).not.toHaveBeenCalled();
+  });
+});
+
+describe("deleteUser", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("keeps members who still have an open loan", async () => {
+    const memberId = String(objectId());
+    jest.spyOn(User, "findById").mockResolvedValue({ _id: memberId });
+    const findLoan = jest.spyOn(Loan, "findOne").mockResolvedValue(approvedLoan());
+    const res = mockRes();
+
+    await deleteUser(mockReq({ user: admin, params: { id: memberId } }), res);
+
+    expect(responseOf(res).status).toBe(400);
+    expect(findLoan.mock.calls[0][0].member).toBe(memberId);
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock("../utils/penaltyEngine", () => ({
+  resolvePenaltyRule: jest.fn(),
+  applyPenaltyRule: jest.fn(),
+}));
+
+const Loan = require("../models/Loan");
+const Penalty = require("../models/Penalty");
+const AuditLog = require("../models/AuditLog");
+const { runLoanOverdueCheck } = require("../jobs/loanOverdueJob");
+const { resolvePenaltyRule, applyPenaltyRule } = require("../utils/penaltyEngine");
+const { objectId } = require("./helpers/mongoose");
+
+const rule = { name: "Late repayment", trigger: "late_loan_repayment" };
+const now = new Date("2026-06-15T12:00:00Z");
+
+// Three monthly installments of 100 starting on the given date
+const disbursedLoan = (startDate, overrides = {}) => {
+  const loan = new Loan({
+    member: objectId(),
+    amount: 300,
+    interestRate: 0,
+    duration: 3,
+    totalAmount: 300,
+    remainingAmount: 300,
+    status: "disbursed",
+    disbursedDate: startDate,
+    branch: "branch-1",
+    ...overrides,
+  });
+  loan.generateSchedule(startDate);
+  jest.spyOn(loan, "save").mockResolvedValue(loan);
+  return loan;
+};
+
+const actions = () => AuditLog.create.mock.calls.map(([entry]) => entry.action);
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  jest.spyOn(Penalty, "exists").mockResolvedValue(null);
+  resolvePenaltyRule.mockResolvedValue(rule);
+  applyPenaltyRule.mockImplementation(async ({ baseAmount }) => ({
+    penalty: { _id: objectId(), amount: 25, baseAmount },
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe("runLoanOverdueCheck", () => {
+  it("flags a loan with a missed installment and charges the late penalty", async () => {
+    // First installment fell due on 2026-06-01
+    const loan = disbursedLoan(new Date("2026-05-01T00:00:00Z"));
+    jest.spyOn(Loan, "find").mockResolvedValue([loan]);
+
+    const summary = await runLoanOverdueCheck(now);
+
+    expect(summary).toEqual({ scanned: 1, flagged: 1, cleared: 0, penalties: 1, defaulted: 0 });
+    expect(loan.isOverdue).toBe(true);
+    expect(loan.overdueSince).toEqual(loan.schedule[0].dueDate);
+    expect(loan.status).toBe("disbursed");
+    expect(applyPenaltyRule).toHaveBeenCalledWith(
+      expect.objectContaining({
+        trigger: "late_loan_repayment",
+        baseAmount: 100,
+        assignedBy: null,
+        fields: { automated: true, loan: loan._id, installmentNumber: 1 },
+        rule,
+      })
+    );
+    expect(actions()).toEqual(["flag_loan_overdue", "apply_late_penalty"]);
+  });
+
+  it("charges each late installment only once", async () => {
+    const loan = disbursedLoan(new Date("2026-05-01T00:00:00Z"), {
+      isOverdue: true,
+      overdueSince: new Date("2026-06-01T00:00:00Z"),
+    });
+    jest.spyOn(Loan, "find").mockResolvedValue([loan]);
+    Penalty.exists.mockResolvedValue({ _id: objectId() });
+
+    const summary = await runLoanOverdueCheck(now);
+
+    expect(summary.penalties).toBe(0);
+    expect(summary.flagged).toBe(0);
+    expect(applyPenaltyRule).not.toHaveBeenCalled();
+  });
+
+  it("skips penalties when no late repayment rule applies", async () => {
+    const loan = disbursedLoan(new Date("2026-05-01T00:00:00Z"));
+    jest.spyOn(Loan, "find").mockResolvedValue([loan]);
+    resolvePenaltyRule.mockResolvedValue(null);
+
+    expect((await runLoanOverdueCheck(now)).penalties).toBe(0);
+  });
+
+  it("marks a loan as defaulted once it stays overdue past the grace period", async () => {
+    const loan = disbursedLoan(new Date("2026-01-01T00:00:00Z"), {
+      isOverdue: true,
+      overdueSince: new Date("2026-02-01T00:00:00Z"),
+    });
+    jest.spyOn(Loan, "find").mockResolvedValue([loan]);
+
+    const summary = await runLoanOverdueCheck(now);
+
+    expect(summary.defaulted).toBe(1);
+    expect(loan.status).toBe("defaulted");
+    expect(loan.defaultedAt).toEqual(now);
+    expect(actions()).toContain("default_loan");
+  });
+
+  it("clears the flag once the member has caught up", async () => {
+    const loan = disbursedLoan(new Date("2026-05-01T00:00:00Z"), {
+      isOverdue: true,
+      overdueSince: new Date("2026-06-01T00:00:00Z"),
+    });
+    loan.applyRepaymentToSchedule(100, new Date("2026-06-10T00:00:00Z"));
+    jest.spyOn(Loan, "find").mockResolvedValue([loan]);
+
+    const summary = await runLoanOverdueCheck(now);
+
+    expect(summary).toMatchObject({ scanned: 1, cleared: 1, flagged: 0 });
+    expect(loan.isOverdue).toBe(false);
+    expect(loan.overdueSince).toBeNull();
+    expect(loan.save).toHaveBeenCalled();
+  });
+
+  it("records its audit entries as automated rather than under a user", async () => {
+    const loan = disbursedLoan(new Date("2026-05-01T00:00:00Z"));
+    jest.spyOn(Loan, "find").mockResolvedValue([loan]);
+
+    await runLoanOverdueCheck(now);
+
+    expect(AuditLog.create.mock.calls[0][0]).toMatchObject({
+      user: null,
+      automated: true,
+      action: "flag_loan_overdue",
+    });
+  });
+});
+
+describe("automated records", () => {
+  it("only need a user when they are not automated", () => {
+    const entry = { action: "flag_loan_overdue", resource: "loan" };
+    const penalty = { member: objectId(), amount: 25, reason: "late_loan_repayment" };
+
+    expect(new AuditLog({ ...entry, automated: true }).validateSync()).toBeUndefined();
+    expect(new AuditLog(entry).validateSync().errors.user.message).toBe("User is required");
+    expect(new Penalty({ ...penalty, automated: true }).validateSync()).toBeUndefined();
+    expect(new Penalty(penalty).validateSync().errors.assignedBy.message).toBe(
+      "Assigned by is required"
+    );
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock("../utils/loanQueue", () => ({
+  ...jest.requireActual("../utils/loanQueue"),
+  releaseWaitingLoans: jest.fn().mockResolvedValue([]),
+}));
+
+const Loan = require("../models/Loan");
+const LoanRepayment = require("../models/LoanRepayment");
+const Collateral = require("../models/Collateral");
+const AuditLog = require("../models/AuditLog");
+const { getPayoffQuote, settleLoanEarly } = require("../controller/loans");
+const { calculatePayoffQuote } = require("../utils/loanCalculator");
+const { objectId, mockTransactions } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+// 1200 at 1% flat over three months: installments of 400 + 12 due Feb 1, Mar 1 and Apr 1
+const disbursedLoan = (overrides = {}) => {
+  const loan = new Loan({
+    member: objectId(),
+    amount: 1200,
+    interestRate: 1,
+    duration: 3,
+    totalAmount: 1236,
+    amountPaid: 0,
+    remainingAmount: 1236,
+    status: "disbursed",
+    disbursedDate: new Date(2026, 0, 1),
+    branch: String(admin.branch._id),
+    ...overrides,
+  });
+  loan.generateSchedule(new Date(2026, 0, 1));
+  return loan;
+};
+
+describe("calculatePayoffQuote", () => {
+  it("charges interest that has fallen due and none of the later periods", () => {
+    const quote = calculatePayoffQuote(disbursedLoan(), new Date(2026, 1, 1), 0);
+
+    expect(quote).toMatchObject({
+      remainingAmount: 1236,
+      principalOutstanding: 1200,
+      accruedInterest: 12,
+      unearnedInterest: 24,
+      rebate: 0,
+      payoffAmount: 1236,
+    });
+  });
+
+  it("accrues the current period's interest by the day", () => {
+    // Halfway through the 28 days of February
+    const quote = calculatePayoffQuote(disbursedLoan(), new Date(2026, 1, 15), 0);
+
+    expect(quote.accruedInterest).toBe(18);
+    expect(quote.unearnedInterest).toBe(18);
+  });
+
+  it("rebates the policy's share of the unearned interest", () => {
+    const quote = calculatePayoffQuote(disbursedLoan(), new Date(2026, 1, 1), 50);
+
+    expect(quote.rebate).toBe(12);
+    expect(quote.payoffAmount).toBe(1224);
+  });
+
+  it("takes earlier payments off the payoff", () => {
+    const loan = disbursedLoan({ amountPaid: 412 });
+    loan.applyRepaymentToSchedule(412, new Date(2026, 1, 1));
+
+    const quote = calculatePayoffQuote(loan, new Date(2026, 1, 1), 50);
+
+    expect(quote).toMatchObject({
+      remainingAmount: 824,
+      principalOutstanding: 800,
+      accruedInterest: 0,
+      rebate: 12,
+      payoffAmount: 812,
+    });
+  });
+});
+
+describe("getPayoffQuote", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const quote = async (loan, user, query = {}) => {
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+    await getPayoffQuote(mockReq({ user, params: { id: loan._id }, query }), res);
+    return responseOf(res);
+  };
+
+  it("quotes a member's own loan for a given date", async () => {
+    const loan = disbursedLoan();
+
+    const { status, body } = await quote(
+      loan,
+      { _id: loan.member, role: "member" },
+      { date: "2026-02-01T00:00:00" }
+    );
+
+    expect(status).toBe(200);
+    expect(body.data.quote.principalOutstanding).toBe(1200);
+  });
+
+  it("refuses other members and loans that are not outstanding", async () => {
+    expect((await quote(disbursedLoan(), { _id: objectId(), role: "member" })).status).toBe(403);
+    expect((await quote(disbursedLoan({ status: "repaid" }), admin)).status).toBe(400);
+  });
+});
+
+describe("settleLoanEarly", () => {
+  beforeEach(() => {
+    mockTransactions();
+    jest.spyOn(Loan, "updateUserLoans").mockResolvedValue();
+    jest.spyOn(Collateral, "settleForLoan").mockResolvedValue(0);
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const settle = async (loan, body) => {
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+    await settleLoanEarly(mockReq({ user: admin, params: { id: loan._id }, body }), res);
+    return responseOf(res);
+  };
+
+  it("closes the loan at the payoff amount and waives the rebate", async () => {
+    const loan = disbursedLoan();
+    jest.spyOn(loan, "save").mockResolvedValue(loan);
+    const update = jest
+      .spyOn(Loan, "findOneAndUpdate")
+      .mockImplementation(async (filter, change) => {
+        loan.amountPaid += change.$inc.amountPaid;
+        return loan;
+      });
+    const create = jest.spyOn(LoanRepayment, "create").mockResolvedValue([{ _id: objectId() }]);
+    const expected = calculatePayoffQuote(loan, new Date(2026, 1, 1), 50);
+
+    const { status } = await settle(loan, {
+      date: "2026-02-01T00:00:00",
+      amount: expected.payoffAmount,
+      method: "cash",
+    });
+
+    expect(status).toBe(200);
+    // Only paid against the balance the quote was worked out from
+    expect(update.mock.calls[0][0]).toMatchObject({ amountPaid: 0 });
+    expect(create.mock.calls[0][0][0]).toMatchObject({ amount: 1224, notes: "Early settlement" });
+    expect(loan).toMatchObject({
+      status: "repaid",
+      amountPaid: 1224,
+      totalAmount: 1224,
+      remainingAmount: 0,
+    });
+    expect(loan.earlySettlement).toMatchObject({ rebate: 12, payoffAmount: 1224 });
+    expect(loan.schedule.every((i) => i.status === "paid")).toBe(true);
+  });
+
+  it("refuses a stale quote", async () => {
+    const loan = disbursedLoan();
+    const save = jest.spyOn(loan, "save");
+
+    const { status, body } = await settle(loan, { date: "2026-02-01T00:00:00", amount: 1000 });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe(
+      "The payoff amount is now 1224. Request a new quote before settling."
+    );
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it("saves nothing when a repayment was recorded after the quote", async () => {
+    const loan = disbursedLoan();
+    jest.spyOn(Loan, "findOneAndUpdate").mockResolvedValue(null);
+    const create = jest.spyOn(LoanRepayment, "create");
+
+    const { status, body } = await settle(loan, { date: "2026-02-01T00:00:00", amount: 1224 });
+
+    expect(status).toBe(400);
+    expect(body.message).toBe(
+      "The loan balance changed since the quote. Request a new quote before settling."
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("refuses settlement dates in the future", async () => {
+    const future = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    expect((await settle(disbursedLoan(), { date: future })).status).toBe(400);
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock("../utils/creditScore", () => ({
+  calculateCreditScore: jest.fn().mockResolvedValue({ score: 700, band: "good" }),
+}));
+
+const Loan = require("../models/Loan");
+const LoanProduct = require("../models/LoanProduct");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { requestingLoan } = require("../controller/loans");
+const { objectId } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const monthsAgo = (months) => {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return date;
+};
+
+const product = (overrides = {}) =>
+  new LoanProduct({
+    name: "Emergency",
+    code: "emg",
+    minAmount: 100,
+    maxAmount: 5000,
+    maxContributionMultiple: 3,
+    allowedDurations: [3, 6],
+    defaultInterestRate: 1.5,
+    interestMethod: "reducing_balance",
+    minMembershipMonths: 6,
+    requiredGuaranteeCoverage: 50,
+    ...overrides,
+  });
+
+const member = {
+  _id: objectId(),
+  role: "member",
+  branch: { _id: objectId() },
+  totalContributions: 1000,
+  joinDate: monthsAgo(12),
+};
+
+describe("LoanProduct", () => {
+  it("accepts a request that meets every rule", () => {
+    expect(product().checkEligibility({ amount: 2000, duration: 6, member })).toEqual([]);
+  });
+
+  it("reports every failed rule", () => {
+    const failed = product({ isActive: false }).checkEligibility({
+      amount: 50,
+      duration: 12,
+      member: { totalContributions: 10, joinDate: monthsAgo(2) },
+    });
+
+    expect(failed.map((f) => f.rule)).toEqual([
+      "active",
+      "minAmount",
+      "allowedDurations",
+      "maxContributionMultiple",
+      "minMembershipMonths",
+    ]);
+  });
+
+  it("caps the amount at the contribution multiple less amounts pledged as guarantor", () => {
+    const [failed] = product().checkEligibility({
+      amount: 2000,
+      duration: 3,
+      member,
+      pledgedAmount: 400,
+    });
+
+    expect(failed).toEqual({
+      rule: "maxContributionMultiple",
+      message:
+        "Amount cannot exceed 3x your total contributions less 400 pledged as guarantor (1800)",
+    });
+  });
+
+  it("refuses a minimum above the maximum", async () => {
+    const error = await product({ minAmount: 6000 }).validate().catch((e) => e);
+    expect(error.errors.minAmount.message).toBe("Minimum amount cannot exceed maximum amount");
+  });
+});
+
+describe("requestingLoan", () => {
+  let created;
+
+  beforeEach(() => {
+    created = null;
+    jest.spyOn(Loan, "findOne").mockResolvedValue(null);
+    jest.spyOn(Loan, "getPledgedAmount").mockResolvedValue(0);
+    jest.spyOn(Loan, "create").mockImplementation(async (data) => {
+      created = new Loan(data);
+      jest.spyOn(created, "populate").mockResolvedValue(created);
+      return created;
+    });
+    jest.spyOn(User, "findById").mockResolvedValue(null);
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const request = async (body) => {
+    const res = mockRes();
+    await requestingLoan(mockReq({ user: member, body }), res);
+    return responseOf(res);
+  };
+
+  it("prices the loan from the product, not the request", async () => {
+    const loanProduct = product();
+    jest.spyOn(LoanProduct, "findById").mockResolvedValue(loanProduct);
+
+    const { status } = await request({
+      amount: 2000,
+      duration: 6,
+      product: loanProduct._id,
+      interestRate: 0,
+      interestMethod: "flat",
+    });
+
+    expect(status).toBe(201);
+    expect(created).toMatchObject({
+      interestRate: 1.5,
+      interestMethod: "reducing_balance",
+      requiredGuaranteeCoverage: 50,
+    });
+    expect(created.product).toEqual(loanProduct._id);
+  });
+
+  it("ignores rates, statuses and approvals a member sends", async () => {
+    await request({
+      amount: 500,
+      duration: 3,
+      interestRate: 0,
+      status: "approved",
+      approvedBy: objectId(),
+      amountPaid: 500,
+    });
+
+    // Without a product the approver sets the rate
+    expect(created.interestRate).toBeUndefined();
+    expect(created.status).toBe("pending");
+    expect(created.approvedBy).toBeNull();
+    expect(created.amountPaid).toBe(0);
+    expect(created.member).toEqual(member._id);
+  });
+
+  it("refuses a request that fails the product rules", async () => {
+    jest.spyOn(LoanProduct, "findById").mockResolvedValue(product());
+
+    const { status, body } = await request({ amount: 2000, duration: 12, product: objectId() });
+
+    expect(status).toBe(400);
+    expect(body.errors.map((e) => e.rule)).toEqual(["allowedDurations"]);
+    expect(Loan.create).not.toHaveBeenCalled();
+  });
+});
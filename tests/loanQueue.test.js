@@ -0,0 +1,199 @@
+jest.mock("../utils/liquidity", () => ({
+  ...jest.requireActual("../utils/liquidity"),
+  getGroupLiquidity: jest.fn(),
+  checkLoanFunding: jest.fn(),
+}));
+
+const Loan = require("../models/Loan");
+const LoanApprovalStep = require("../models/LoanApprovalStep");
+const Setting = require("../models/Setting");
+const Collateral = require("../models/Collateral");
+const AuditLog = require("../models/AuditLog");
+const { sortQueue, releaseQueuedLoans, releaseWaitingLoans } = require("../utils/loanQueue");
+const { getLoanQueue, reorderLoanQueue } = require("../controller/loanQueue");
+const { approvingLoan } = require("../controller/loans");
+const { getGroupLiquidity, checkLoanFunding } = require("../utils/liquidity");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+const queuedLoan = (name, amount, day, extra = {}) => {
+  const loan = new Loan({
+    member: objectId(),
+    amount,
+    duration: 6,
+    status: "queued",
+    queuedAt: new Date(2026, 4, day),
+    ...extra,
+  });
+  loan.name = name;
+  jest.spyOn(loan, "save").mockResolvedValue(loan);
+  return loan;
+};
+
+const namesOf = (loans) => loans.map((loan) => loan.name);
+
+const useQueue = (loans, queuePolicy = "fifo") => {
+  jest.spyOn(Setting, "getValue").mockResolvedValue({ queuePolicy });
+  return jest.spyOn(Loan, "find").mockReturnValue(mockQuery(loans));
+};
+
+beforeEach(() => jest.spyOn(AuditLog, "create").mockResolvedValue({}));
+afterEach(() => jest.restoreAllMocks());
+
+describe("sortQueue", () => {
+  const first = queuedLoan("first", 5000, 1, { creditScore: { score: 60 } });
+  const second = queuedLoan("second", 1000, 2);
+  const third = queuedLoan("third", 1000, 3, { creditScore: { score: 80 } });
+
+  it("orders by the queue policy", () => {
+    const loans = [third, second, first];
+
+    expect(namesOf(sortQueue(loans, "fifo"))).toEqual(["first", "second", "third"]);
+    expect(namesOf(sortQueue(loans, "smallest_first"))).toEqual(["second", "third", "first"]);
+    expect(namesOf(sortQueue(loans, "credit_score"))).toEqual(["third", "first", "second"]);
+  });
+
+  it("puts loans placed by an admin first, in their order", () => {
+    const placed = [
+      queuedLoan("placed second", 9000, 9, { queuePriority: 2 }),
+      queuedLoan("placed first", 9000, 8, { queuePriority: 1 }),
+    ];
+
+    expect(namesOf(sortQueue([first, ...placed, second], "smallest_first"))).toEqual([
+      "placed first",
+      "placed second",
+      "second",
+      "first",
+    ]);
+  });
+});
+
+describe("releaseQueuedLoans", () => {
+  it("releases loans in order until one cannot be funded", async () => {
+    const loans = [queuedLoan("a", 1000, 1), queuedLoan("b", 4000, 2), queuedLoan("c", 500, 3)];
+    useQueue(loans);
+    checkLoanFunding.mockImplementation(async (loan) => ({
+      canFund: loan.amount <= 2000,
+      liquidity: { lendable: 2000 },
+    }));
+
+    const released = await releaseQueuedLoans({ user: admin._id });
+
+    expect(namesOf(released)).toEqual(["a"]);
+    expect(loans.map((loan) => loan.status)).toEqual(["approved", "queued", "queued"]);
+    expect(AuditLog.create.mock.calls[0][0]).toMatchObject({
+      action: "release_queued_loan",
+      resourceId: loans[0]._id,
+      details: { lendableBefore: 2000 },
+    });
+  });
+
+  it("does not let a failed release undo the payment that triggered it", async () => {
+    jest.spyOn(Setting, "getValue").mockRejectedValue(new Error("connection lost"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await releaseWaitingLoans(mockReq({ user: admin }))).toEqual([]);
+  });
+});
+
+describe("approving while loans are waiting", () => {
+  it("queues the loan so it cannot take money the waiting list needs", async () => {
+    const pending = new Loan({
+      member: objectId(),
+      amount: 1000,
+      interestRate: 1,
+      duration: 6,
+      status: "pending",
+    });
+    jest.spyOn(LoanApprovalStep, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Loan, "findById").mockReturnValue(mockQuery(pending));
+    const update = jest.spyOn(Loan, "findByIdAndUpdate").mockReturnValue(mockQuery(pending));
+    jest.spyOn(Collateral, "getCoverage").mockResolvedValue({ loanToCollateralRatio: null });
+    checkLoanFunding.mockResolvedValue({
+      canFund: false,
+      shortfall: 400,
+      queuedDemand: 3000,
+      mode: "warn",
+      liquidity: { reserveRatio: 10 },
+    });
+    const res = mockRes();
+
+    await approvingLoan(
+      mockReq({ user: admin, params: { id: pending._id }, body: { status: "approved" } }),
+      res
+    );
+
+    const { status, body } = responseOf(res);
+    expect(status).toBe(200);
+    expect(body.message).toBe(
+      "Loan approved and placed on the waiting list until funds are available"
+    );
+    expect(checkLoanFunding).toHaveBeenCalledWith(pending, { afterQueue: true });
+    const [, changes] = update.mock.calls[0];
+    expect(changes.status).toBe("queued");
+    expect(changes.queuedAt).toBe(changes.approvedDate);
+  });
+});
+
+describe("getLoanQueue", () => {
+  it("shows branch leads their branch's loans at their group-wide positions", async () => {
+    const branchId = objectId();
+    useQueue([
+      queuedLoan("elsewhere", 1000, 1, { branch: String(objectId()) }),
+      queuedLoan("ours", 1000, 2, { branch: String(branchId) }),
+    ]);
+    getGroupLiquidity.mockResolvedValue({ lendable: 750 });
+    const res = mockRes();
+
+    await getLoanQueue(mockReq({ user: { role: "branch_lead", branch: { _id: branchId } } }), res);
+
+    const { data } = responseOf(res).body;
+    expect(data.queue.map(({ position, loan }) => [position, loan.name])).toEqual([[2, "ours"]]);
+    expect(data).toMatchObject({ policy: "fifo", total: 1, lendable: 750 });
+  });
+});
+
+describe("reorderLoanQueue", () => {
+  const reorder = async (loanIds, found) => {
+    useQueue(found);
+    const updateMany = jest.spyOn(Loan, "updateMany").mockResolvedValue({});
+    const updateOne = jest.spyOn(Loan, "updateOne").mockResolvedValue({});
+    const res = mockRes();
+    await reorderLoanQueue(mockReq({ user: admin, body: { loanIds } }), res);
+    return { ...responseOf(res), updateMany, updateOne };
+  };
+
+  it("moves the listed loans to the front in the given order", async () => {
+    const [a, b] = [queuedLoan("a", 1000, 1), queuedLoan("b", 1000, 2)];
+
+    const { status, updateMany, updateOne } = await reorder([b._id, a._id], [a, b]);
+
+    expect(status).toBe(200);
+    expect(updateMany).toHaveBeenCalledWith({ status: "queued" }, { queuePriority: null });
+    expect(updateOne.mock.calls).toEqual([
+      [{ _id: String(b._id) }, { queuePriority: 1 }],
+      [{ _id: String(a._id) }, { queuePriority: 2 }],
+    ]);
+  });
+
+  it("only reorders queued loans", async () => {
+    const a = queuedLoan("a", 1000, 1);
+    const missing = String(objectId());
+
+    const { status, body, updateMany } = await reorder([a._id, missing], [a]);
+
+    expect(status).toBe(400);
+    expect(body.errors).toEqual([{ loan: missing, message: "Loan not found or not queued" }]);
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  it("refuses a loan listed twice", async () => {
+    const a = queuedLoan("a", 1000, 1);
+
+    expect((await reorder([a._id, a._id], [a])).body.message).toBe(
+      "A loan is listed more than once"
+    );
+  });
+});
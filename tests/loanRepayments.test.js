@@ -0,0 +1,222 @@
+jest.mock("../utils/loanQueue", () => ({
+  ...jest.requireActual("../utils/loanQueue"),
+  releaseWaitingLoans: jest.fn().mockResolvedValue([]),
+}));
+
+const mongoose = require("mongoose");
+const Loan = require("../models/Loan");
+const LoanRepayment = require("../models/LoanRepayment");
+const Collateral = require("../models/Collateral");
+const AuditLog = require("../models/AuditLog");
+const { recordRepayment } = require("../controller/loans");
+const { allocatePayment, buildRepaymentSchedule } = require("../utils/loanCalculator");
+const { setTransactionSupport } = require("../utils/transactions");
+const { objectId, mockTransactions } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+const disbursedLoan = (overrides = {}) =>
+  new Loan({
+    member: objectId(),
+    amount: 1000,
+    interestRate: 2,
+    duration: 2,
+    totalAmount: 1040,
+    amountPaid: 0,
+    remainingAmount: 1040,
+    status: "disbursed",
+    disbursedDate: new Date("2026-01-01"),
+    branch: String(admin.branch._id),
+    schedule: buildRepaymentSchedule({
+      amount: 1000,
+      interestRate: 2,
+      duration: 2,
+      startDate: new Date("2026-01-01"),
+    }),
+    ...overrides,
+  });
+
+describe("allocatePayment", () => {
+  it("pays the earliest installments first and returns what is left over", () => {
+    const schedule = [
+      { amountDue: 100, amountPaid: 0 },
+      { amountDue: 100, amountPaid: 0 },
+    ];
+
+    const leftOver = allocatePayment(schedule, 150);
+
+    expect(schedule[0]).toMatchObject({ amountPaid: 100, status: "paid" });
+    expect(schedule[1]).toMatchObject({ amountPaid: 50, status: "partial" });
+    expect(leftOver).toBe(0);
+    expect(allocatePayment(schedule, 80)).toBe(30);
+  });
+});
+
+describe("Loan#getTotalDue", () => {
+  it("falls back to the principal on loans saved without a total", () => {
+    expect(disbursedLoan().getTotalDue()).toBe(1040);
+    expect(disbursedLoan({ totalAmount: 0 }).getTotalDue()).toBe(1000);
+  });
+});
+
+describe("LoanRepayment", () => {
+  it("rejects repayments of zero", () => {
+    const repayment = new LoanRepayment({
+      loan: objectId(),
+      member: objectId(),
+      amount: 0,
+      recordedBy: objectId(),
+    });
+
+    expect(repayment.validateSync().errors.amount.message).toBe(
+      "Amount must be greater than 0"
+    );
+  });
+});
+
+describe("recordRepayment", () => {
+  beforeEach(() => {
+    mockTransactions();
+    jest.spyOn(Loan, "updateUserLoans").mockResolvedValue();
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    jest.spyOn(Collateral, "settleForLoan").mockResolvedValue(0);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("increments amountPaid only while it stays within the loan total", async () => {
+    const loan = disbursedLoan();
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const update = jest.spyOn(Loan, "findOneAndUpdate").mockResolvedValue(null);
+
+    await recordRepayment(
+      mockReq({ user: admin, params: { id: loan._id }, body: { amount: 50 } }),
+      mockRes()
+    );
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter._id).toBe(loan._id);
+    expect(filter.$expr.$lte).toEqual([
+      { $add: [{ $ifNull: ["$amountPaid", 0] }, 50] },
+      // Same total as getTotalDue: the principal when no total was saved
+      {
+        $add: [
+          { $cond: [{ $gt: ["$totalAmount", 0] }, "$totalAmount", "$amount"] },
+          0.005,
+        ],
+      },
+    ]);
+    expect(change).toEqual({ $inc: { amountPaid: 50 } });
+  });
+
+  it("refuses a repayment the guarded update rejects, e.g. after a concurrent payment", async () => {
+    const loan = disbursedLoan();
+    const afterOtherPayment = disbursedLoan({ _id: loan._id, amountPaid: 1000 });
+    jest
+      .spyOn(Loan, "findById")
+      .mockResolvedValueOnce(loan)
+      .mockResolvedValueOnce(afterOtherPayment);
+    jest.spyOn(Loan, "findOneAndUpdate").mockResolvedValue(null);
+    const createRepayment = jest.spyOn(LoanRepayment, "create");
+    const res = mockRes();
+
+    await recordRepayment(
+      mockReq({ user: admin, params: { id: loan._id }, body: { amount: 500 } }),
+      res
+    );
+
+    expect(responseOf(res)).toMatchObject({
+      status: 400,
+      body: { message: "Repayment exceeds the outstanding balance of 40" },
+    });
+    expect(createRepayment).not.toHaveBeenCalled();
+  });
+
+  it("records the ledger entry, updates the schedule and closes a cleared loan", async () => {
+    const loan = disbursedLoan({ amountPaid: 520 });
+    const updated = disbursedLoan({ _id: loan._id, amountPaid: 1040 });
+    // The first installment was covered by the earlier payment
+    allocatePayment(loan.schedule, 520);
+    allocatePayment(updated.schedule, 520);
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    jest.spyOn(Loan, "findOneAndUpdate").mockResolvedValue(updated);
+    jest.spyOn(updated, "save").mockResolvedValue(updated);
+    const repayment = new LoanRepayment({
+      loan: loan._id,
+      member: loan.member,
+      amount: 520,
+      recordedBy: admin._id,
+    });
+    jest.spyOn(repayment, "populate").mockResolvedValue(repayment);
+    jest.spyOn(LoanRepayment, "create").mockResolvedValue([repayment]);
+    const res = mockRes();
+
+    await recordRepayment(
+      mockReq({ user: admin, params: { id: loan._id }, body: { amount: 520 } }),
+      res
+    );
+
+    expect(responseOf(res)).toMatchObject({
+      status: 201,
+      body: { message: "Repayment recorded. Loan fully repaid" },
+    });
+    expect(updated.status).toBe("repaid");
+    expect(updated.remainingAmount).toBe(0);
+    expect(updated.schedule.every((i) => i.status === "paid")).toBe(true);
+    expect(Collateral.settleForLoan).toHaveBeenCalledWith(
+      loan._id,
+      "released",
+      admin._id,
+      "Loan repaid"
+    );
+  });
+
+  it("records the repayment without a transaction on a standalone MongoDB", async () => {
+    setTransactionSupport(false);
+    const loan = disbursedLoan();
+    const updated = disbursedLoan({ _id: loan._id, amountPaid: 100 });
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const update = jest.spyOn(Loan, "findOneAndUpdate").mockResolvedValue(updated);
+    jest.spyOn(updated, "save").mockResolvedValue(updated);
+    const repayment = new LoanRepayment({
+      loan: loan._id,
+      member: loan.member,
+      amount: 100,
+      recordedBy: admin._id,
+    });
+    jest.spyOn(repayment, "populate").mockResolvedValue(repayment);
+    jest.spyOn(LoanRepayment, "create").mockResolvedValue([repayment]);
+    const res = mockRes();
+
+    try {
+      await recordRepayment(
+        mockReq({ user: admin, params: { id: loan._id }, body: { amount: 100 } }),
+        res
+      );
+    } finally {
+      setTransactionSupport(true);
+    }
+
+    expect(responseOf(res).status).toBe(201);
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+    expect(update.mock.calls[0][2]).toEqual({ new: true, session: null });
+    expect(updated.remainingAmount).toBe(940);
+  });
+
+  it("only accepts repayments on disbursed or defaulted loans", async () => {
+    const loan = disbursedLoan({ status: "approved" });
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+
+    await recordRepayment(
+      mockReq({ user: admin, params: { id: loan._id }, body: { amount: 10 } }),
+      res
+    );
+
+    expect(responseOf(res)).toMatchObject({
+      status: 400,
+      body: { message: "Cannot record a repayment on a approved loan" },
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const Loan = require("../models/Loan");
+const AuditLog = require("../models/AuditLog");
+const { restructureLoan } = require("../controller/loans");
+const { objectId, runSaveHooks } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+// 1200 over three interest-free installments of 400, the first one paid
+const loanWithOnePayment = (overrides = {}) => {
+  const loan = new Loan({
+    member: objectId(),
+    amount: 1200,
+    interestRate: 0,
+    duration: 3,
+    totalAmount: 1200,
+    amountPaid: 400,
+    remainingAmount: 800,
+    status: "disbursed",
+    disbursedDate: new Date("2026-01-01T00:00:00Z"),
+    ...overrides,
+  });
+  loan.generateSchedule(new Date("2026-01-01T00:00:00Z"));
+  loan.applyRepaymentToSchedule(400, new Date("2026-02-01T00:00:00Z"));
+  return loan;
+};
+
+describe("Loan#restructure", () => {
+  it("spreads the outstanding balance over the new term after the paid installments", () => {
+    const loan = loanWithOnePayment();
+
+    const restructure = loan.restructure({
+      duration: 4,
+      interestRate: 1,
+      interestMethod: "flat",
+      reason: "Reduced income",
+      restructuredBy: admin._id,
+      asOf: new Date("2026-02-15T00:00:00Z"),
+    });
+
+    expect(restructure.version).toBe(1);
+    expect(restructure.restructuredBalance).toBe(800);
+    expect(restructure.newTerms).toMatchObject({
+      interestRate: 1,
+      duration: 4,
+      totalAmount: 832,
+    });
+    // New installments are numbered after the replaced ones
+    expect(loan.schedule.map((i) => i.installmentNumber)).toEqual([1, 4, 5, 6, 7]);
+    expect(loan.schedule[0].status).toBe("paid");
+    expect(loan.duration).toBe(5);
+    expect(loan.remainingAmount).toBe(832);
+    expect(loan.totalAmount).toBe(1232);
+    expect(loan.dueDate).toEqual(loan.schedule[4].dueDate);
+  });
+
+  it("keeps the previous terms and schedule for the audit trail", () => {
+    const loan = loanWithOnePayment({ status: "defaulted", isOverdue: true });
+
+    const { previousTerms } = loan.restructure({
+      duration: 2,
+      reason: "Hardship",
+      asOf: new Date("2026-06-01T00:00:00Z"),
+    });
+
+    expect(previousTerms).toMatchObject({
+      interestRate: 0,
+      duration: 3,
+      totalAmount: 1200,
+      remainingAmount: 800,
+      status: "defaulted",
+    });
+    expect(previousTerms.schedule).toHaveLength(3);
+    expect(loan.isOverdue).toBe(false);
+  });
+
+  it("keeps the restructured totals when the loan is saved", async () => {
+    const loan = loanWithOnePayment();
+    loan.restructure({
+      duration: 4,
+      interestRate: 1,
+      reason: "Hardship",
+      asOf: new Date("2026-02-15T00:00:00Z"),
+    });
+
+    await runSaveHooks(loan);
+
+    expect(loan.totalAmount).toBe(1232);
+    expect(loan.remainingAmount).toBe(832);
+  });
+});
+
+describe("restructureLoan", () => {
+  const restructure = async (loan, body) => {
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+    await restructureLoan(mockReq({ user: admin, params: { id: loan._id }, body }), res);
+    return responseOf(res);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Loan, "updateUserLoans").mockResolvedValue();
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("puts a defaulted loan back on a repayment plan", async () => {
+    const loan = loanWithOnePayment({ status: "defaulted", defaultedAt: new Date() });
+    jest.spyOn(loan, "save").mockResolvedValue(loan);
+
+    const { status, body } = await restructure(loan, { duration: 6, reason: "Hardship" });
+
+    expect(status).toBe(200);
+    expect(loan.status).toBe("disbursed");
+    expect(loan.defaultedAt).toBeUndefined();
+    expect(body.data.restructure.previousTerms.status).toBe("defaulted");
+    expect(AuditLog.create.mock.calls[0][0].action).toBe("restructure_loan");
+  });
+
+  it("needs at least one new term", async () => {
+    const loan = loanWithOnePayment();
+
+    expect(await restructure(loan, { reason: "Hardship" })).toMatchObject({
+      status: 400,
+      body: { message: "Provide a new duration, interest rate or interest method" },
+    });
+  });
+
+  it("only restructures loans that are still being repaid", async () => {
+    const loan = loanWithOnePayment({ status: "repaid", remainingAmount: 0 });
+
+    expect(await restructure(loan, { duration: 6, reason: "Hardship" })).toMatchObject({
+      status: 400,
+      body: {
+        message: "Only disbursed or defaulted loans can be restructured (current status: repaid)",
+      },
+    });
+  });
+
+  it("refuses loans with nothing left to pay", async () => {
+    const loan = loanWithOnePayment({ remainingAmount: 0 });
+
+    expect((await restructure(loan, { duration: 6, reason: "Hardship" })).status).toBe(400);
+  });
+});
@@ -0,0 +1,298 @@
+// Validation chains on the loan routes: a valid body must reach the handler
+// and an invalid one must be refused before it.
+
+jest.mock("../middleware/auth", () => require("./helpers/routes").mockAuth());
+jest.mock("../controller/loans");
+jest.mock("../controller/signedAgreements");
+jest.mock("../controller/collaterals");
+jest.mock("../controller/loanQueue");
+
+const request = require("supertest");
+const loanRoutes = require("../routes/loans");
+const { objectId } = require("./helpers/mongoose");
+const { stubControllers, buildApp, asUser } = require("./helpers/routes");
+
+const app = buildApp("/api/loans", loanRoutes);
+const loanId = objectId().toString();
+
+beforeEach(() => {
+  [
+    require("../controller/loans"),
+    require("../controller/signedAgreements"),
+    require("../controller/collaterals"),
+    require("../controller/loanQueue"),
+  ].forEach(stubControllers);
+});
+
+describe("POST /api/loans/:id/repayments", () => {
+  it("accepts a partial repayment", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/repayments`)
+      .send({ amount: 150.5, method: "mobile_money", reference: "MM-1" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("recordRepayment");
+  });
+
+  it("rejects a missing amount and an unknown method", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/repayments`)
+      .send({ method: "barter" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["amount", "method"]);
+  });
+
+  it("is not open to members", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/repayments`)
+      .set(asUser({ role: "member" }))
+      .send({ amount: 100 });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("POST /api/loans/:id/disburse", () => {
+  it("accepts a disbursement method and reference", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/disburse`)
+      .send({ method: "cash", reference: "CASH-1" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("disbursingLoan");
+  });
+
+  it("rejects an unknown disbursement method", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/disburse`)
+      .send({ method: "barter" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["method"]);
+  });
+
+  it("is only open to admins", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/disburse`)
+      .set(asUser({ role: "branch_lead" }))
+      .send({});
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("POST /api/loans/:id/guarantee", () => {
+  it("accepts a decision on its own", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/guarantee`)
+      .set(asUser({ role: "member" }))
+      .send({ decision: "accepted" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("respondToGuarantee");
+  });
+
+  it("rejects anything other than accepted or declined", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/guarantee`)
+      .set(asUser({ role: "member" }))
+      .send({ decision: "maybe" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["decision"]);
+  });
+});
+
+describe("POST /api/loans/:id/restructure", () => {
+  it("accepts new terms with a reason", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/restructure`)
+      .send({ duration: 12, reason: "Reduced income" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("restructureLoan");
+  });
+
+  it("requires a reason and valid terms", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/restructure`)
+      .send({ duration: 120, interestMethod: "simple" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["duration", "interestMethod", "reason"]);
+  });
+});
+
+describe("POST /api/loans/:id/payoff", () => {
+  it("accepts a settlement without a reason", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/payoff`)
+      .set(asUser({ role: "branch_lead" }))
+      .send({ amount: 1224, method: "cash" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("settleLoanEarly");
+  });
+
+  it("rejects an invalid date and a negative amount", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/payoff`)
+      .send({ date: "soon", amount: -5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["date", "amount"]);
+  });
+});
+
+describe("PATCH /api/loans/:id/signed-agreements/:agreementId/review", () => {
+  const url = `/api/loans/${loanId}/signed-agreements/${objectId()}/review`;
+
+  it("verifies without a reason", async () => {
+    const res = await request(app).patch(url).send({ status: "verified" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("reviewSignedAgreement");
+  });
+
+  it("needs a reason to reject", async () => {
+    const res = await request(app).patch(url).send({ status: "rejected" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["rejectionReason"]);
+  });
+});
+
+describe("POST /api/loans/:id/collateral", () => {
+  it("accepts collateral sent as a multipart form", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/collateral`)
+      .field("type", "land")
+      .field("description", "Plot 12, Kasoa")
+      .field("estimatedValue", "15000")
+      .attach("documents", Buffer.from("%PDF-1.4"), {
+        filename: "title.pdf",
+        contentType: "application/pdf",
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("addCollateral");
+  });
+
+  it("requires a type, description and value", async () => {
+    const res = await request(app).post(`/api/loans/${loanId}/collateral`).send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual([
+      "type",
+      "description",
+      "estimatedValue",
+    ]);
+  });
+});
+
+describe("PUT /api/loans/:id/collateral/:collateralId", () => {
+  it("accepts a revaluation on its own", async () => {
+    const res = await request(app)
+      .put(`/api/loans/${loanId}/collateral/${objectId()}`)
+      .send({ estimatedValue: 12000 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("updateCollateral");
+  });
+});
+
+describe("POST /api/loans/:id/write-off", () => {
+  it("accepts a reason on its own", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/write-off`)
+      .send({ reason: "Member emigrated" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("writeOffLoan");
+  });
+
+  it("requires a reason", async () => {
+    const res = await request(app).post(`/api/loans/${loanId}/write-off`).send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["reason"]);
+  });
+});
+
+describe("POST /api/loans/:id/approve", () => {
+  it("accepts a decision from a branch lead", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/approve`)
+      .set(asUser({ role: "branch_lead" }))
+      .send({ status: "approved", comment: "Checked income" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("approvingLoan");
+  });
+
+  it("rejects an unknown decision", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/approve`)
+      .send({ status: "disbursed" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toContain("status");
+  });
+});
+
+describe("POST /api/loans/:id/top-up", () => {
+  it("accepts a top-up request from the borrower", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/top-up`)
+      .set(asUser({ role: "member" }))
+      .send({ amount: 2000, duration: 6 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("requestTopUp");
+  });
+
+  it("is not open to admins", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/top-up`)
+      .send({ amount: 2000, duration: 6 });
+
+    expect(res.status).toBe(403);
+  });
+
+  it("needs an amount and a duration", async () => {
+    const res = await request(app)
+      .post(`/api/loans/${loanId}/top-up`)
+      .set(asUser({ role: "member" }))
+      .send({ duration: 90 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["amount", "duration"]);
+  });
+});
+
+describe("PUT /api/loans/queue", () => {
+  it("accepts a list of loan IDs", async () => {
+    const res = await request(app).put("/api/loans/queue").send({ loanIds: [loanId] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("reorderLoanQueue");
+  });
+
+  it("rejects anything but a list of IDs", async () => {
+    const missing = await request(app).put("/api/loans/queue").send({});
+    const invalid = await request(app).put("/api/loans/queue").send({ loanIds: ["first"] });
+
+    expect(missing.status).toBe(400);
+    expect(invalid.body.errors.map((e) => e.path)).toEqual(["loanIds[0]"]);
+  });
+
+  it("is for admins only", async () => {
+    const res = await request(app)
+      .put("/api/loans/queue")
+      .set(asUser({ role: "branch_lead" }))
+      .send({ loanIds: [loanId] });
+
+    expect(res.status).toBe(403);
+  });
+});
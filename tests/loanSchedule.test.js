@@ -0,0 +1,89 @@
+const Loan = require("../models/Loan");
+const { getLoanSchedule } = require("../controller/loans");
+const { addMonths, buildRepaymentSchedule } = require("../utils/loanCalculator");
+const { objectId } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const sum = (values) => Math.round(values.reduce((a, b) => a + b, 0) * 100) / 100;
+
+describe("addMonths", () => {
+  it("clamps to the last day of shorter months", () => {
+    const due = addMonths(new Date(2026, 0, 31), 1);
+    expect([due.getFullYear(), due.getMonth(), due.getDate()]).toEqual([2026, 1, 28]);
+  });
+});
+
+describe("buildRepaymentSchedule", () => {
+  const schedule = buildRepaymentSchedule({
+    amount: 100,
+    interestRate: 1,
+    duration: 3,
+    startDate: new Date(2026, 0, 15),
+  });
+
+  it("creates one monthly installment per month of the term", () => {
+    expect(schedule.map((i) => i.installmentNumber)).toEqual([1, 2, 3]);
+    expect(schedule.map((i) => i.dueDate.getMonth())).toEqual([1, 2, 3]);
+    expect(schedule.every((i) => i.status === "pending" && i.amountPaid === 0)).toBe(true);
+  });
+
+  it("puts the rounding difference on the last installment", () => {
+    expect(schedule.map((i) => i.principal)).toEqual([33.33, 33.33, 33.34]);
+    expect(sum(schedule.map((i) => i.principal))).toBe(100);
+    expect(sum(schedule.map((i) => i.amountDue))).toBe(103);
+    expect(schedule.at(-1).balance).toBe(0);
+  });
+});
+
+describe("getLoanSchedule", () => {
+  const member = { _id: objectId(), role: "member", branch: { _id: objectId() } };
+
+  const loanWithSchedule = () => {
+    const loan = new Loan({
+      member: member._id,
+      amount: 300,
+      interestRate: 0,
+      duration: 3,
+      status: "disbursed",
+      branch: String(member.branch._id),
+    });
+    loan.generateSchedule(addMonths(new Date(), -2));
+    loan.schedule[0].amountPaid = 100;
+    return loan;
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("reports each installment's status and the next one due", async () => {
+    const loan = loanWithSchedule();
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+
+    await getLoanSchedule(mockReq({ user: member, params: { id: loan._id } }), res);
+
+    const { status, body } = responseOf(res);
+    expect(status).toBe(200);
+    expect(body.data.schedule.map((i) => i.status)).toEqual(["paid", "overdue", "pending"]);
+    expect(body.data.summary).toMatchObject({
+      paid: 1,
+      overdue: 1,
+      pending: 1,
+      totalDue: 300,
+      totalPaid: 100,
+    });
+    expect(body.data.summary.nextInstallment.installmentNumber).toBe(2);
+  });
+
+  it("hides other members' schedules", async () => {
+    const loan = loanWithSchedule();
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+
+    await getLoanSchedule(
+      mockReq({ user: { ...member, _id: objectId() }, params: { id: loan._id } }),
+      res
+    );
+
+    expect(responseOf(res).status).toBe(403);
+  });
+});
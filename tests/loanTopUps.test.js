@@ -0,0 +1,192 @@
+jest.mock("../utils/creditScore", () => ({
+  calculateCreditScore: jest.fn().mockResolvedValue({ score: 700, band: "good" }),
+}));
+jest.mock("../utils/liquidity", () => ({
+  ...jest.requireActual("../utils/liquidity"),
+  checkLoanFunding: jest.fn().mockResolvedValue({ canFund: true, shortfall: 0 }),
+}));
+
+const Loan = require("../models/Loan");
+const LoanRepayment = require("../models/LoanRepayment");
+const SignedAgreement = require("../models/SignedAgreement");
+const Collateral = require("../models/Collateral");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { requestTopUp, disbursingLoan } = require("../controller/loans");
+const { objectId, mockQuery, mockTransactions } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const member = {
+  _id: objectId(),
+  role: "member",
+  branch: { _id: objectId() },
+  totalContributions: 1000,
+};
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+// Interest-free, so the payoff is simply what is left: 1000 - 400 = 600
+const currentLoan = (overrides = {}) => {
+  const loan = new Loan({
+    member: member._id,
+    amount: 1000,
+    interestRate: 0,
+    duration: 5,
+    totalAmount: 1000,
+    amountPaid: 400,
+    remainingAmount: 600,
+    status: "disbursed",
+    disbursedDate: new Date(2026, 0, 1),
+    branch: String(member.branch._id),
+    ...overrides,
+  });
+  loan.generateSchedule(new Date(2026, 0, 1));
+  loan.applyRepaymentToSchedule(400, new Date(2026, 2, 1));
+  jest.spyOn(loan, "save").mockResolvedValue(loan);
+  return loan;
+};
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  jest.spyOn(Loan, "updateUserLoans").mockResolvedValue();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("requestTopUp", () => {
+  const topUp = async (loan, amount, user = member) => {
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+    await requestTopUp(
+      mockReq({ user, params: { id: loan._id }, body: { amount, duration: 6 } }),
+      res
+    );
+    return responseOf(res);
+  };
+
+  it("requests a new loan that refinances the current one", async () => {
+    const loan = currentLoan();
+    const findOne = jest.spyOn(Loan, "findOne").mockResolvedValue(null);
+    jest.spyOn(Loan, "getPledgedAmount").mockResolvedValue(0);
+    jest.spyOn(User, "findById").mockResolvedValue(null);
+    let created;
+    jest.spyOn(Loan, "create").mockImplementation(async (data) => {
+      created = new Loan(data);
+      jest.spyOn(created, "populate").mockResolvedValue(created);
+      return created;
+    });
+
+    const { status, body } = await topUp(loan, 2000);
+
+    expect(status).toBe(201);
+    expect(body.message).toBe("Top-up request submitted successfully");
+    expect(created.refinances).toEqual(loan._id);
+    expect(created.amount).toBe(2000);
+    // The loan being topped up does not count as another active loan
+    expect(findOne.mock.calls[1][0]._id).toEqual({ $ne: loan._id });
+  });
+
+  it("counts queued top-ups as already being processed", async () => {
+    const findOne = jest.spyOn(Loan, "findOne").mockResolvedValue({ _id: objectId() });
+
+    expect(await topUp(currentLoan(), 2000)).toMatchObject({
+      status: 400,
+      body: { message: "A top-up of this loan is already being processed" },
+    });
+    expect(findOne.mock.calls[0][0].status.$in).toEqual(["pending", "queued", "approved"]);
+  });
+
+  it("must be larger than the payoff amount", async () => {
+    jest.spyOn(Loan, "findOne").mockResolvedValue(null);
+
+    expect(await topUp(currentLoan(), 600)).toMatchObject({
+      status: 400,
+      body: { message: "A top-up must exceed the current payoff amount of 600" },
+    });
+  });
+
+  it("only tops up the member's own outstanding loans", async () => {
+    expect((await topUp(currentLoan(), 2000, { ...member, _id: objectId() })).status).toBe(403);
+    expect((await topUp(currentLoan({ status: "repaid" }), 2000)).status).toBe(400);
+  });
+});
+
+describe("disbursing a top-up", () => {
+  const setUp = () => {
+    const oldLoan = currentLoan();
+    const topUp = new Loan({
+      member: member._id,
+      amount: 2000,
+      interestRate: 0,
+      duration: 6,
+      status: "approved",
+      refinances: oldLoan._id,
+      branch: oldLoan.branch,
+    });
+    jest.spyOn(topUp, "save").mockResolvedValue(topUp);
+    jest.spyOn(Loan, "findById").mockImplementation((id) => {
+      if (String(id) === String(oldLoan._id)) return Promise.resolve(oldLoan);
+      // The first lookup loads the top-up; the last one reloads it for the response
+      return Loan.findById.mock.calls.length === 1 ? Promise.resolve(topUp) : mockQuery(topUp);
+    });
+    jest.spyOn(SignedAgreement, "hasVerified").mockResolvedValue(true);
+    mockTransactions();
+    return { oldLoan, topUp };
+  };
+
+  const disburse = async (topUp) => {
+    const res = mockRes();
+    await disbursingLoan(mockReq({ user: admin, params: { id: topUp._id }, body: {} }), res);
+    return responseOf(res);
+  };
+
+  it("pays out only the difference and closes the refinanced loan", async () => {
+    const { oldLoan, topUp } = setUp();
+    const claim = jest
+      .spyOn(Loan, "findOneAndUpdate")
+      .mockImplementation(async (filter, change) => {
+        oldLoan.amountPaid += change.$inc.amountPaid;
+        return oldLoan;
+      });
+    const repayment = jest
+      .spyOn(LoanRepayment, "create")
+      .mockResolvedValue([{ _id: objectId() }]);
+    const moveCollateral = jest
+      .spyOn(Collateral, "updateMany")
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    expect((await disburse(topUp)).status).toBe(200);
+    expect(topUp).toMatchObject({
+      status: "disbursed",
+      refinancedBalance: 600,
+      netDisbursement: 1400,
+    });
+    // The old loan is claimed at the balance the payoff was worked out from
+    expect(claim.mock.calls[0][0]).toMatchObject({ _id: oldLoan._id, amountPaid: 400 });
+    expect(repayment.mock.calls[0][0][0]).toMatchObject({
+      loan: oldLoan._id,
+      amount: 600,
+      notes: `Refinanced into loan ${topUp._id}`,
+    });
+    expect(oldLoan).toMatchObject({ status: "refinanced", remainingAmount: 0, amountPaid: 1000 });
+    expect(oldLoan.refinancedBy).toEqual(topUp._id);
+    expect(moveCollateral.mock.calls[0].slice(0, 2)).toEqual([
+      { loan: oldLoan._id, status: "held" },
+      { loan: topUp._id },
+    ]);
+  });
+
+  it("disburses nothing when the old loan was repaid in the meantime", async () => {
+    const { topUp } = setUp();
+    jest.spyOn(Loan, "findOneAndUpdate").mockResolvedValue(null);
+    const repayment = jest.spyOn(LoanRepayment, "create");
+
+    expect(await disburse(topUp)).toMatchObject({
+      status: 400,
+      body: {
+        message: "The balance of the loan being topped up changed. Try the disbursement again",
+      },
+    });
+    expect(repayment).not.toHaveBeenCalled();
+    expect(topUp.save).not.toHaveBeenCalled();
+  });
+});
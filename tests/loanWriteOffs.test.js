@@ -0,0 +1,212 @@
+jest.mock("../utils/loanQueue", () => ({
+  ...jest.requireActual("../utils/loanQueue"),
+  releaseWaitingLoans: jest.fn().mockResolvedValue([]),
+}));
+
+const Loan = require("../models/Loan");
+const LoanRepayment = require("../models/LoanRepayment");
+const Collateral = require("../models/Collateral");
+const AuditLog = require("../models/AuditLog");
+const { writeOffLoan, recordRecovery } = require("../controller/loans");
+const { releaseWaitingLoans } = require("../utils/loanQueue");
+const { objectId, mockTransactions } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+const loanFor = (overrides = {}) => {
+  const loan = new Loan({
+    member: objectId(),
+    amount: 1000,
+    interestRate: 2,
+    duration: 6,
+    totalAmount: 1120,
+    amountPaid: 420,
+    remainingAmount: 700,
+    status: "defaulted",
+    ...overrides,
+  });
+  jest.spyOn(loan, "save").mockResolvedValue(loan);
+  return loan;
+};
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  jest.spyOn(Loan, "updateUserLoans").mockResolvedValue();
+  jest.spyOn(Collateral, "settleForLoan").mockResolvedValue(1);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const call = async (handler, loan, body) => {
+  jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+  const res = mockRes();
+  await handler(mockReq({ user: admin, params: { id: loan._id }, body }), res);
+  return responseOf(res);
+};
+
+describe("writeOffLoan", () => {
+  it("writes off the unpaid balance and seizes the collateral", async () => {
+    const loan = loanFor();
+
+    const { status } = await call(writeOffLoan, loan, { reason: "Member emigrated" });
+
+    expect(status).toBe(200);
+    expect(loan.status).toBe("written_off");
+    expect(loan.writeOff).toMatchObject({
+      amount: 700,
+      reason: "Member emigrated",
+      approvedBy: admin._id,
+    });
+    expect(loan.remainingAmount).toBe(0);
+    expect(Collateral.settleForLoan).toHaveBeenCalledWith(
+      loan._id,
+      "seized",
+      admin._id,
+      "Loan written off"
+    );
+    expect(AuditLog.create.mock.calls.map(([entry]) => entry.action)).toEqual([
+      "write_off_loan",
+      "seize_collateral",
+    ]);
+  });
+
+  it("only writes off loans that are being repaid", async () => {
+    const { status, body } = await call(writeOffLoan, loanFor({ status: "approved" }), {
+      reason: "Mistake",
+    });
+
+    expect(status).toBe(400);
+    expect(body.message).toMatch(/^Cannot move loan from approved to written_off/);
+  });
+});
+
+describe("recordRecovery", () => {
+  const writtenOff = (recoveredAmount = 0) =>
+    loanFor({
+      status: "written_off",
+      remainingAmount: 0,
+      writeOff: { amount: 700, reason: "Member emigrated" },
+      recoveredAmount,
+    });
+
+  // The guarded update adds the recovery when it still fits the written-off balance
+  const useRecoveryUpdate = (loan) =>
+    jest.spyOn(Loan, "findOneAndUpdate").mockImplementation(async (filter, change) => {
+      const fits =
+        loan.recoveredAmount + change.$inc.recoveredAmount <= loan.writeOff.amount + 0.005;
+      if (!fits) return null;
+      loan.recoveredAmount += change.$inc.recoveredAmount;
+      return loan;
+    });
+
+  beforeEach(() => mockTransactions());
+
+  it("records the recovery and adds it to the recovered amount", async () => {
+    const loan = writtenOff(100);
+    const update = useRecoveryUpdate(loan);
+    const create = jest.spyOn(LoanRepayment, "create").mockResolvedValue([{ method: "cash" }]);
+
+    const { status, body } = await call(recordRecovery, loan, { amount: 250, method: "cash" });
+
+    expect(status).toBe(201);
+    expect(update.mock.calls[0][0]).toMatchObject({ _id: loan._id, status: "written_off" });
+    expect(update.mock.calls[0][1]).toEqual({ $inc: { recoveredAmount: 250 } });
+    expect(create.mock.calls[0][0][0]).toMatchObject({ amount: 250, type: "recovery" });
+    expect(loan.recoveredAmount).toBe(350);
+    expect(body.data.loan.status).toBe("written_off");
+    expect(AuditLog.create.mock.calls[0][0].details).toMatchObject({ unrecovered: 350 });
+    expect(releaseWaitingLoans).toHaveBeenCalled();
+  });
+
+  it("refuses more than is still unrecovered", async () => {
+    expect(await call(recordRecovery, writtenOff(600), { amount: 150 })).toMatchObject({
+      status: 400,
+      body: { message: "Recovery exceeds the unrecovered balance of 100" },
+    });
+  });
+
+  it("refuses a recovery that no longer fits after one recorded at the same time", async () => {
+    const loan = writtenOff(500);
+    const current = writtenOff(650);
+    jest.spyOn(Loan, "findById").mockResolvedValueOnce(loan).mockResolvedValueOnce(current);
+    useRecoveryUpdate(current);
+    const create = jest.spyOn(LoanRepayment, "create");
+    const res = mockRes();
+
+    await recordRecovery(
+      mockReq({ user: admin, params: { id: loan._id }, body: { amount: 150 } }),
+      res
+    );
+
+    expect(responseOf(res)).toMatchObject({
+      status: 400,
+      body: { message: "Recovery exceeds the unrecovered balance of 50" },
+    });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("only applies to written-off loans", async () => {
+    expect((await call(recordRecovery, loanFor(), { amount: 50 })).status).toBe(400);
+  });
+});
+
+describe("getWriteOffSummary", () => {
+  it("reports the loss as the written-off balance less recoveries", async () => {
+    const aggregate = jest.spyOn(Loan, "aggregate").mockResolvedValue([
+      {
+        _id: null,
+        count: 2,
+        writtenOff: 1500,
+        recovered: 300,
+        netLoss: 1200,
+        cashLoss: 1000,
+        surplus: 0,
+      },
+    ]);
+
+    expect(await Loan.getWriteOffSummary({ branch: "b1" })).toEqual({
+      count: 2,
+      writtenOff: 1500,
+      recovered: 300,
+      netLoss: 1200,
+      cashLoss: 1000,
+      surplus: 0,
+    });
+
+    const [match, group] = aggregate.mock.calls[0][0];
+    expect(match.$match).toEqual({ branch: "b1", status: "written_off" });
+    expect(group.$group.netLoss.$sum.$max[1]).toEqual({
+      $subtract: [
+        { $ifNull: ["$writeOff.amount", 0] },
+        { $ifNull: ["$recoveredAmount", 0] },
+      ],
+    });
+  });
+
+  it("keeps what one loan returned beyond its principal apart from another's loss", async () => {
+    const aggregate = jest.spyOn(Loan, "aggregate").mockResolvedValue([]);
+
+    await Loan.getWriteOffSummary();
+
+    const collected = {
+      $add: [{ $ifNull: ["$amountPaid", 0] }, { $ifNull: ["$recoveredAmount", 0] }],
+    };
+    const { cashLoss, surplus } = aggregate.mock.calls[0][0][1].$group;
+    expect(cashLoss).toEqual({ $sum: { $max: [0, { $subtract: ["$amount", collected] }] } });
+    expect(surplus).toEqual({ $sum: { $max: [0, { $subtract: [collected, "$amount"] }] } });
+  });
+
+  it("is all zeros without write-offs", async () => {
+    jest.spyOn(Loan, "aggregate").mockResolvedValue([]);
+
+    expect(await Loan.getWriteOffSummary()).toEqual({
+      count: 0,
+      writtenOff: 0,
+      recovered: 0,
+      netLoss: 0,
+      cashLoss: 0,
+      surplus: 0,
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const User = require("../models/User");
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const Penalty = require("../models/Penalty");
+const { calculateMemberShares, calculateMemberShare } = require("../utils/memberShares");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+
+const ama = {
+  _id: objectId(),
+  firstName: "Ama",
+  lastName: "Mensah",
+  role: "member",
+  branch: { name: "Accra Central" },
+  totalContributions: 300,
+};
+const kofi = {
+  _id: objectId(),
+  firstName: "Kofi",
+  lastName: "Boateng",
+  role: "branch_lead",
+  branch: { name: "Kumasi" },
+  totalContributions: 100,
+};
+
+// Half the pool is Ama's until her March contribution, then three quarters
+const contributions = [
+  { memberId: ama._id, amount: 100, createdAt: new Date(2026, 0, 1) },
+  { memberId: kofi._id, amount: 100, createdAt: new Date(2026, 0, 1) },
+  { memberId: ama._id, amount: 200, createdAt: new Date(2026, 2, 1) },
+];
+
+const loansByStatus = {
+  repaid: [{ amount: 1000, totalAmount: 1100, repaidAt: new Date(2026, 1, 1) }],
+  approved: [{ amount: 800, totalAmount: 880 }],
+  written_off: [
+    // 200 of the principal was never collected
+    { amount: 500, amountPaid: 300, writeOff: { writtenOffAt: new Date(2026, 1, 15) } },
+    // Recoveries brought in 40 more than was lent
+    {
+      amount: 100,
+      amountPaid: 80,
+      recoveredAmount: 60,
+      writeOff: { writtenOffAt: new Date(2026, 3, 2) },
+    },
+  ],
+};
+
+beforeEach(() => {
+  jest.spyOn(User, "find").mockReturnValue(mockQuery([ama, kofi]));
+  jest.spyOn(User, "findOne").mockReturnValue(mockQuery(ama));
+  jest.spyOn(User, "distinct").mockResolvedValue([ama._id, kofi._id]);
+  jest.spyOn(Contribution, "aggregate").mockResolvedValue([{ total: 400 }]);
+  jest.spyOn(Contribution, "find").mockReturnValue(mockQuery(contributions));
+  jest
+    .spyOn(Loan, "find")
+    .mockImplementation(({ status }) =>
+      mockQuery(loansByStatus[typeof status === "string" ? status : status.$in[0]])
+    );
+  jest.spyOn(Penalty, "find").mockImplementation(({ status }) =>
+    mockQuery(
+      status === "paid"
+        ? [{ amount: 40, member: { _id: kofi._id }, paidDate: new Date(2026, 3, 1) }]
+        : [{ amount: 20, member: { _id: ama._id } }]
+    )
+  );
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("calculateMemberShares", () => {
+  it("shares interest, write-off losses and surpluses by contribution at the time", async () => {
+    const { shares, summary } = await calculateMemberShares();
+
+    // Ama: 50 loan interest - 100 loss + 30 penalty + 30 surplus
+    expect(shares.map((s) => [s.name, s.sharePercentage, s.interestEarned, s.interestToBeEarned]))
+      .toEqual([
+        ["Ama Mensah", 75, 10, 75],
+        ["Kofi Boateng", 25, -30, 25],
+      ]);
+    expect(summary).toEqual({
+      totalContributions: 400,
+      totalInterest: -20,
+      totalInterestToBeEarned: 100,
+      totalContributors: 2,
+      totalPenaltyInterest: 40,
+      totalWriteOffLoss: 200,
+      totalWriteOffSurplus: 40,
+      totalRecovered: 60,
+    });
+  });
+});
+
+describe("calculateMemberShare", () => {
+  it("matches the member's entry from the group calculation", async () => {
+    const { shares } = await calculateMemberShares();
+
+    expect(await calculateMemberShare(ama._id)).toEqual(shares[0]);
+    expect(User.findOne.mock.calls[0][0]).toMatchObject({ _id: ama._id, isActive: true });
+  });
+
+  it("is null for someone who does not share in the interest", async () => {
+    User.findOne.mockReturnValue(mockQuery(null));
+
+    expect(await calculateMemberShare(objectId())).toBeNull();
+    expect(Loan.find).not.toHaveBeenCalled();
+  });
+});
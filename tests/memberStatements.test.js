@@ -0,0 +1,256 @@
+jest.mock("../utils/memberShares", () => ({
+  calculateMemberShares: jest.fn(),
+  calculateMemberShare: jest.fn(),
+}));
+
+const PDFDocument = require("pdfkit");
+const sgMail = require("@sendgrid/mail");
+const User = require("../models/User");
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const LoanRepayment = require("../models/LoanRepayment");
+const Penalty = require("../models/Penalty");
+const AuditLog = require("../models/AuditLog");
+const { buildMemberStatement } = require("../utils/memberStatement");
+const { generateMemberStatementPdf } = require("../utils/memberStatementPdf");
+const { calculateMemberShares, calculateMemberShare } = require("../utils/memberShares");
+const { getMemberStatement, emailMemberStatements } = require("../controller/users");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const branchId = objectId();
+const ama = {
+  _id: objectId(),
+  firstName: "Ama",
+  lastName: "Mensah",
+  email: "ama@example.com",
+  branch: { _id: branchId, name: "Accra Central" },
+  joinDate: new Date(2025, 0, 10),
+};
+const share = { id: ama._id, sharePercentage: 12.5, interestEarned: 40, interestToBeEarned: 15 };
+
+// Disbursed before the second quarter and written off during it
+const loan = {
+  _id: objectId(),
+  member: ama._id,
+  amount: 1000,
+  totalAmount: 1100,
+  status: "written_off",
+  disbursedDate: new Date(2026, 2, 1),
+  writeOff: { writtenOffAt: new Date(2026, 5, 15) },
+};
+const loanRef = `loan ${String(loan._id).slice(-6).toUpperCase()}`;
+
+const secondQuarter = { from: new Date(2026, 3, 1), to: new Date(2026, 5, 30, 23, 59, 59, 999) };
+
+// The member's records as the statement queries return them
+const useRecords = () => {
+  jest.spyOn(Contribution, "find").mockReturnValue(
+    mockQuery([
+      { amount: 500, contributionType: "monthly", contributionDate: new Date(2026, 1, 10) },
+      {
+        amount: 200,
+        contributionType: "special",
+        description: "Harvest",
+        contributionDate: new Date(2026, 4, 5),
+      },
+    ])
+  );
+  jest.spyOn(Loan, "find").mockReturnValue(mockQuery([loan]));
+  const repayments = jest.spyOn(LoanRepayment, "find").mockReturnValue(
+    mockQuery([
+      { loan: loan._id, amount: 200, paymentDate: new Date(2026, 4, 31) },
+      { loan: loan._id, amount: 300, paymentDate: new Date(2026, 2, 31) },
+      { loan: loan._id, amount: 50, type: "recovery", paymentDate: new Date(2026, 5, 20) },
+      // Paid after the statement period
+      { loan: loan._id, amount: 70, type: "recovery", paymentDate: new Date(2026, 6, 2) },
+    ])
+  );
+  jest.spyOn(Penalty, "find").mockReturnValue(
+    mockQuery([
+      {
+        amount: 25,
+        reason: "late_contribution",
+        status: "paid",
+        assignedDate: new Date(2026, 2, 20),
+        paidDate: new Date(2026, 3, 2),
+      },
+      {
+        amount: 10,
+        reason: "missed_meeting",
+        status: "pending",
+        assignedDate: new Date(2026, 4, 10),
+      },
+    ])
+  );
+  return { repayments };
+};
+
+beforeEach(() => {
+  calculateMemberShares.mockClear();
+  calculateMemberShares.mockResolvedValue({ shares: [share], summary: {} });
+  calculateMemberShare.mockClear();
+  calculateMemberShare.mockResolvedValue(share);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("buildMemberStatement", () => {
+  it("carries earlier activity into the opening balances", async () => {
+    const { repayments } = useRecords();
+
+    const statement = await buildMemberStatement(ama, { ...secondQuarter, share });
+
+    expect(statement.balances).toEqual({
+      savings: { opening: 500, moneyIn: 200, moneyOut: 0, closing: 700 },
+      loans: { opening: 800, moneyIn: 0, moneyOut: 800, closing: 0 },
+      penalties: { opening: 25, moneyIn: 10, moneyOut: 25, closing: 10 },
+    });
+    expect(repayments.mock.calls[0][0]).toEqual({ loan: { $in: [loan._id] } });
+    expect(statement.member).toMatchObject({ name: "Ama Mensah", branch: "Accra Central" });
+    expect(statement.investment).toEqual({
+      sharePercentage: 12.5,
+      interestEarned: 40,
+      interestToBeEarned: 15,
+    });
+  });
+
+  it("lists the period's transactions in date order", async () => {
+    useRecords();
+
+    const { transactions } = await buildMemberStatement(ama, secondQuarter);
+
+    expect(transactions.map((t) => [t.account, t.description, t.amount])).toEqual([
+      ["penalties", "Penalty paid: late contribution", -25],
+      ["savings", "Special contribution - Harvest", 200],
+      ["penalties", "Penalty: missed meeting", 10],
+      ["loans", `Repayment (${loanRef})`, -200],
+      // Whatever was still owed is closed when the loan is written off
+      ["loans", `Written off (${loanRef})`, -600],
+      ["loans", `Recovery on written-off ${loanRef}: 50`, 0],
+    ]);
+  });
+});
+
+describe("generateMemberStatementPdf", () => {
+  it("prints the balances and transactions", async () => {
+    useRecords();
+    const statement = await buildMemberStatement(ama, { ...secondQuarter, share });
+    const text = jest.spyOn(PDFDocument.prototype, "text");
+
+    const pdf = await generateMemberStatementPdf(statement);
+
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(text.mock.calls.map(([value]) => value)).toEqual(
+      expect.arrayContaining([
+        "Ama Mensah",
+        "2026-04-01 to 2026-06-30",
+        "Loans owed",
+        "800.00",
+        "12.5%",
+        "Special contribution - Harvest",
+        "-600.00",
+      ])
+    );
+  });
+});
+
+describe("getMemberStatement", () => {
+  const download = async (user, query = {}) => {
+    jest.spyOn(User, "findById").mockReturnValue(mockQuery(ama));
+    useRecords();
+    const res = mockRes();
+    await getMemberStatement(mockReq({ user, params: { id: ama._id }, query }), res);
+    return res;
+  };
+  const period = { from: "2026-04-01", to: "2026-06-30" };
+
+  it("sends members their own statement as a PDF", async () => {
+    const res = await download({ _id: ama._id, role: "member" }, period);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.headers).toMatchObject({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": 'attachment; filename="statement_Ama_Mensah_2026-06-30.pdf"',
+    });
+    expect(res.send.mock.calls[0][0].subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  it("returns the statement data when asked for JSON", async () => {
+    const res = await download({ _id: objectId(), role: "admin" }, { ...period, format: "json" });
+
+    const { statement } = responseOf(res).body.data;
+    expect(statement.period).toEqual(secondQuarter);
+    expect(statement.balances.savings.closing).toBe(700);
+    expect(statement.investment.interestEarned).toBe(40);
+    // Only this member's share is worked out
+    expect(calculateMemberShare).toHaveBeenCalledWith(ama._id);
+    expect(calculateMemberShares).not.toHaveBeenCalled();
+  });
+
+  it("keeps statements private to the member and their branch", async () => {
+    const member = await download({ _id: objectId(), role: "member" });
+    const lead = await download({
+      _id: objectId(),
+      role: "branch_lead",
+      branch: { _id: objectId() },
+    });
+
+    expect(responseOf(member).status).toBe(403);
+    expect(responseOf(lead).status).toBe(403);
+  });
+
+  it("refuses a period that ends before it starts", async () => {
+    const res = await download({ role: "admin" }, { from: "2026-07-01", to: "2026-06-30" });
+
+    expect(responseOf(res)).toMatchObject({
+      status: 400,
+      body: { message: "The start of the period must be before its end" },
+    });
+  });
+});
+
+describe("emailMemberStatements", () => {
+  const kofi = { ...ama, _id: objectId(), firstName: "Kofi", email: "kofi@example.com" };
+  const esi = { ...ama, _id: objectId(), firstName: "Esi", email: "" };
+
+  const sendStatements = async (body) => {
+    const find = jest.spyOn(User, "find").mockReturnValue(mockQuery([ama, kofi, esi]));
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    useRecords();
+    const send = jest
+      .spyOn(sgMail, "send")
+      .mockResolvedValueOnce([{ statusCode: 202 }])
+      .mockRejectedValueOnce(new Error("Mailbox unavailable"));
+    const res = mockRes();
+    await emailMemberStatements(mockReq({ user: { _id: objectId(), role: "admin" }, body }), res);
+    return { ...responseOf(res), find, send };
+  };
+
+  it("emails each member their statement and reports the ones that failed", async () => {
+    const { status, body, find, send } = await sendStatements({
+      from: "2026-04-01",
+      to: "2026-06-30",
+      branch: String(branchId),
+    });
+
+    expect(status).toBe(200);
+    expect(body.message).toBe("Statements sent to 1 of 3 members");
+    expect(body.data.results.map((r) => [r.status, r.error])).toEqual([
+      ["sent", undefined],
+      ["failed", "Mailbox unavailable"],
+      ["skipped", "No email address"],
+    ]);
+    expect(find.mock.calls[0][0]).toMatchObject({ isActive: true, branch: String(branchId) });
+    const [email] = send.mock.calls[0];
+    expect(email.to).toBe("ama@example.com");
+    expect(email.attachments[0].filename).toBe("statement_Ama_Mensah_2026-06-30.pdf");
+    // Shares are worked out once for the whole batch
+    expect(calculateMemberShares).toHaveBeenCalledTimes(1);
+    expect(AuditLog.create.mock.calls[0][0]).toMatchObject({
+      action: "email_statements",
+      details: { sent: 1, failed: 1 },
+    });
+  });
+});
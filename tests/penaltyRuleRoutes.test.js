@@ -0,0 +1,43 @@
+// Validation and access on the penalty rule routes
+
+jest.mock("../middleware/auth", () => require("./helpers/routes").mockAuth());
+jest.mock("../controller/penaltyRules");
+
+const request = require("supertest");
+const penaltyRuleRoutes = require("../routes/penaltyRules");
+const { stubControllers, buildApp, asUser } = require("./helpers/routes");
+
+const app = buildApp("/api/penalty-rules", penaltyRuleRoutes);
+
+beforeEach(() => stubControllers(require("../controller/penaltyRules")));
+
+describe("POST /api/penalty-rules", () => {
+  const rule = { name: "Late contribution", trigger: "late_contribution", amount: 25 };
+
+  it("accepts a group-wide rule", async () => {
+    const res = await request(app)
+      .post("/api/penalty-rules")
+      .send({ ...rule, branch: null, maxPerMonth: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("createPenaltyRule");
+  });
+
+  it("rejects unknown triggers, negative amounts and zero caps", async () => {
+    const res = await request(app)
+      .post("/api/penalty-rules")
+      .send({ ...rule, trigger: "late_arrival", amount: -5, maxAmount: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["trigger", "amount", "maxAmount"]);
+  });
+
+  it("is not open to members", async () => {
+    const res = await request(app)
+      .post("/api/penalty-rules")
+      .set(asUser({ role: "member" }))
+      .send(rule);
+
+    expect(res.status).toBe(403);
+  });
+});
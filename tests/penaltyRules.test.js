@@ -0,0 +1,279 @@
+const Contribution = require("../models/Contribution");
+const ContributionPlan = require("../models/ContributionPlan");
+const Penalty = require("../models/Penalty");
+const PenaltyRule = require("../models/PenaltyRule");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const {
+  DEFAULT_RULES,
+  resolvePenaltyRule,
+  applyPenaltyRule,
+  evaluateContributionPenalty,
+} = require("../utils/penaltyEngine");
+const { createPenality } = require("../controller/penalties");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const branch = String(objectId());
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+const member = { _id: objectId(), firstName: "Ama", lastName: "Mensah", branch };
+
+const ruleFor = (trigger, overrides = {}) =>
+  new PenaltyRule({ name: `${trigger} rule`, trigger, amount: 25, ...overrides });
+
+// No earlier penalties unless a test says otherwise
+const usePenalties = ({ alreadyCharged = false, priorOffences = 0, chargedThisMonth = 0 } = {}) => {
+  const existing = alreadyCharged ? { _id: objectId() } : null;
+  jest.spyOn(Penalty, "exists").mockReturnValue(mockQuery(existing));
+  jest.spyOn(Penalty, "countDocuments").mockReturnValue(mockQuery(priorOffences));
+  jest
+    .spyOn(Penalty, "aggregate")
+    .mockReturnValue(mockQuery(chargedThisMonth ? [{ total: chargedThisMonth }] : []));
+  return jest
+    .spyOn(Penalty, "create")
+    .mockImplementation(async ([data]) => [new Penalty(data)]);
+};
+
+const charge = (rule, options = {}) =>
+  applyPenaltyRule({
+    trigger: rule.trigger,
+    member: member._id,
+    branch,
+    occurredAt: new Date(2026, 2, 20),
+    assignedBy: admin._id,
+    description: "Late payment",
+    rule,
+    ...options,
+  });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("PenaltyRule", () => {
+  it("uses the branch's own rule over the group-wide one", async () => {
+    const groupRule = ruleFor("late_contribution");
+    const branchRule = ruleFor("late_contribution", { branch });
+    const find = jest
+      .spyOn(PenaltyRule, "find")
+      .mockReturnValue(mockQuery([groupRule, branchRule]));
+
+    expect(await PenaltyRule.resolve("late_contribution", branch)).toBe(branchRule);
+    expect(find.mock.calls[0][0]).toEqual({
+      trigger: "late_contribution",
+      isActive: true,
+      branch: { $in: [null, branch] },
+    });
+  });
+
+  it("falls back to the built-in rule when none is stored", async () => {
+    jest.spyOn(PenaltyRule, "find").mockReturnValue(mockQuery([]));
+
+    expect(await resolvePenaltyRule("late_contribution", branch)).toBe(
+      DEFAULT_RULES.late_contribution
+    );
+    expect(await resolvePenaltyRule("missed_meeting", branch)).toBe(
+      DEFAULT_RULES.missed_meeting
+    );
+  });
+
+  it("keeps percentages within 100 and missed meetings at a fixed amount", async () => {
+    const error = await ruleFor("missed_meeting", { amountType: "percentage", amount: 150 })
+      .validate()
+      .catch((e) => e);
+
+    expect(Object.keys(error.errors)).toEqual(["amount", "amountType"]);
+  });
+});
+
+describe("applyPenaltyRule", () => {
+  it("charges a percentage of the late amount for the period", async () => {
+    const create = usePenalties();
+    const rule = ruleFor("late_loan_repayment", { amountType: "percentage", amount: 10 });
+
+    const { penalty } = await charge(rule, { baseAmount: 300, period: "2026-03" });
+
+    expect(penalty).toMatchObject({
+      amount: 30,
+      reason: "late_loan_repayment",
+      period: "2026-03",
+    });
+    expect(penalty.rule).toEqual(rule._id);
+    expect(create.mock.calls[0][1]).toEqual({ session: null });
+  });
+
+  it("escalates repeat offences and caps each penalty", async () => {
+    usePenalties({ priorOffences: 2 });
+    const rule = ruleFor("late_contribution", { escalationRate: 50 });
+
+    expect((await charge(rule)).penalty).toMatchObject({
+      amount: 50,
+      description: "Late payment (repeat offence 3)",
+    });
+    const capped = ruleFor("late_contribution", { escalationRate: 50, maxAmount: 40 });
+    expect((await charge(capped)).penalty.amount).toBe(40);
+  });
+
+  it("stops at the monthly cap", async () => {
+    usePenalties({ chargedThisMonth: 30 });
+
+    const { penalty } = await charge(ruleFor("late_contribution", { maxPerMonth: 40 }));
+    expect(penalty.amount).toBe(10);
+    expect(await charge(ruleFor("late_contribution", { maxPerMonth: 30 }))).toMatchObject({
+      penalty: null,
+      skipped: "capped",
+    });
+  });
+
+  it("charges nothing within the grace period or twice for a period", async () => {
+    const create = usePenalties({ alreadyCharged: true });
+    const rule = ruleFor("late_loan_repayment", { graceDays: 5 });
+
+    const onTime = await charge(rule, { dueDate: new Date(2026, 2, 15) });
+    const late = await charge(rule, { dueDate: new Date(2026, 2, 14), period: "2026-03" });
+
+    expect(onTime.skipped).toBe("within_grace");
+    expect(late.skipped).toBe("already_charged");
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe("evaluateContributionPenalty", () => {
+  const contributionOn = (date, amount = 100, contributionType = "monthly") => ({
+    _id: objectId(),
+    memberId: member._id,
+    amount,
+    contributionType,
+    contributionDate: date,
+    branch,
+  });
+
+  const evaluate = (contribution, plan = null) => {
+    jest.spyOn(PenaltyRule, "resolve").mockResolvedValue(null);
+    jest
+      .spyOn(ContributionPlan, "resolveForMembers")
+      .mockResolvedValue(new Map(plan ? [[String(member._id), plan]] : []));
+    return evaluateContributionPenalty(contribution, member, admin._id);
+  };
+
+  it("charges contributions after the rule's due day without a plan", async () => {
+    usePenalties();
+
+    const { penalty } = await evaluate(contributionOn(new Date(2026, 2, 12)));
+
+    expect(penalty).toMatchObject({ amount: 25, period: "2026-03", branch });
+    expect(penalty.description).toMatch(/^Late contribution for Ama Mensah for 2026-03/);
+  });
+
+  it("lets contributions by the due day through", async () => {
+    usePenalties();
+
+    expect((await evaluate(contributionOn(new Date(2026, 2, 10)))).skipped).toBe("within_grace");
+  });
+
+  it("measures plan members against their oldest unpaid period", async () => {
+    usePenalties();
+    const plan = new ContributionPlan({
+      name: "Monthly savings",
+      scope: "branch",
+      branch,
+      amount: 100,
+      dueDay: 5,
+      startDate: new Date(2026, 0, 1),
+    });
+    // January is paid, so a contribution in early March settles February
+    const find = jest
+      .spyOn(Contribution, "find")
+      .mockReturnValue(mockQuery([contributionOn(new Date(2026, 0, 3))]));
+    const contribution = contributionOn(new Date(2026, 2, 4));
+
+    const { penalty } = await evaluate(contribution, plan);
+
+    expect(penalty).toMatchObject({ amount: 25, period: "2026-02" });
+    expect(find.mock.calls[0][0]._id).toEqual({ $ne: contribution._id });
+  });
+
+  it("ignores contributions that are not for a plan", async () => {
+    expect(
+      (await evaluate(contributionOn(new Date(2026, 2, 20), 100, "special"))).skipped
+    ).toBe("not_applicable");
+  });
+});
+
+describe("createPenality", () => {
+  it("charges a missed meeting only once per meeting date", async () => {
+    jest.spyOn(User, "findById").mockResolvedValue(member);
+    jest.spyOn(PenaltyRule, "resolve").mockResolvedValue(ruleFor("missed_meeting"));
+    const create = usePenalties({ alreadyCharged: true });
+    const res = mockRes();
+
+    await createPenality(
+      mockReq({
+        user: admin,
+        body: { member: member._id, reason: "missed_meeting", assignedDate: "2026-03-07" },
+      }),
+      res
+    );
+
+    expect(responseOf(res)).toMatchObject({
+      status: 400,
+      body: { message: "This member has already been penalised for missing this meeting" },
+    });
+    expect(Penalty.exists).toHaveBeenCalledWith({
+      member: member._id,
+      reason: "missed_meeting",
+      period: "2026-03-07",
+    });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("says when the monthly cap stops a missed-meeting penalty", async () => {
+    jest.spyOn(User, "findById").mockResolvedValue(member);
+    jest
+      .spyOn(PenaltyRule, "resolve")
+      .mockResolvedValue(ruleFor("missed_meeting", { maxPerMonth: 50 }));
+    usePenalties({ chargedThisMonth: 50 });
+    const res = mockRes();
+
+    await createPenality(
+      mockReq({
+        user: admin,
+        body: { member: member._id, reason: "missed_meeting", assignedDate: "2026-03-07" },
+      }),
+      res
+    );
+
+    expect(responseOf(res)).toMatchObject({
+      status: 400,
+      body: { message: "No penalty is due: the monthly cap for missed meetings has been reached" },
+    });
+  });
+
+  it("charges the default amount when no missed_meeting rule is stored", async () => {
+    jest.spyOn(User, "findById").mockResolvedValue(member);
+    jest.spyOn(PenaltyRule, "resolve").mockResolvedValue(null);
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    jest.spyOn(Penalty.prototype, "populate").mockResolvedValue();
+    const create = usePenalties();
+    const res = mockRes();
+
+    await createPenality(
+      mockReq({
+        user: admin,
+        body: {
+          member: member._id,
+          reason: "missed_meeting",
+          amount: 500,
+          assignedDate: "2026-03-07",
+        },
+      }),
+      res
+    );
+
+    expect(responseOf(res).status).toBe(201);
+    expect(create.mock.calls[0][0][0]).toMatchObject({
+      amount: DEFAULT_RULES.missed_meeting.amount,
+      reason: "missed_meeting",
+      period: "2026-03-07",
+      rule: null,
+    });
+  });
+});
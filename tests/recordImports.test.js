@@ -0,0 +1,295 @@
+jest.mock("../utils/loanQueue", () => ({
+  ...jest.requireActual("../utils/loanQueue"),
+  releaseWaitingLoans: jest.fn().mockResolvedValue([]),
+}));
+
+const ExcelJS = require("exceljs");
+const ImportBatch = require("../models/ImportBatch");
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const LoanRepayment = require("../models/LoanRepayment");
+const Penalty = require("../models/Penalty");
+const Collateral = require("../models/Collateral");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const {
+  parseImportFile,
+  mapImportColumns,
+  validateImportRows,
+} = require("../utils/recordImport");
+const { importRecords, rollbackImport } = require("../controller/imports");
+const { releaseWaitingLoans } = require("../utils/loanQueue");
+const { setTransactionSupport } = require("../utils/transactions");
+const { objectId, mockQuery, mockTransactions } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+const ama = {
+  _id: objectId(),
+  email: "ama@example.com",
+  firstName: "Ama",
+  lastName: "Mensah",
+  branch: String(objectId()),
+};
+const membersByEmail = new Map([[ama.email, ama]]);
+
+const csvFile = (text, originalname = "records.csv") => ({
+  originalname,
+  buffer: Buffer.from(text),
+});
+
+const recordsOf = async (type, text) => {
+  const { headers, records } = await parseImportFile(csvFile(text));
+  const { mapping } = mapImportColumns(type, headers);
+  return validateImportRows(type, records, mapping, membersByEmail, admin._id);
+};
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, "create").mockResolvedValue([]);
+  releaseWaitingLoans.mockClear();
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe("parseImportFile", () => {
+  it("reads CSV rows keyed by header, numbering rows as in the spreadsheet", async () => {
+    const parsed = await parseImportFile(
+      csvFile("\uFEFFEmail, Amount ,Date\nama@example.com,100,2026-01-05\n\n,, \n")
+    );
+
+    expect(parsed.format).toBe("csv");
+    expect(parsed.headers).toEqual(["Email", "Amount", "Date"]);
+    expect(parsed.records[0]).toEqual({
+      row: 2,
+      values: { Email: "ama@example.com", Amount: "100", Date: "2026-01-05" },
+    });
+  });
+
+  it("reads the first worksheet of an XLSX file, including linked cells", async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Contributions");
+    sheet.addRow(["Member Email", "Amount", "Contribution Date"]);
+    sheet.addRow([
+      { text: "ama@example.com", hyperlink: "mailto:ama@example.com" },
+      100,
+      new Date(2026, 0, 5),
+    ]);
+    sheet.addRow([]);
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    const parsed = await parseImportFile({ originalname: "records.XLSX", buffer });
+
+    expect(parsed.format).toBe("xlsx");
+    expect(parsed.records).toHaveLength(1);
+    expect(parsed.records[0].values).toMatchObject({
+      "Member Email": "ama@example.com",
+      Amount: 100,
+    });
+    expect(parsed.records[0].values["Contribution Date"]).toBeInstanceOf(Date);
+  });
+});
+
+describe("mapImportColumns", () => {
+  it("matches headers ignoring case, spaces and punctuation", () => {
+    expect(mapImportColumns("contributions", ["Member E-mail", "AMOUNT", "Notes"])).toEqual({
+      mapping: { email: "Member E-mail", amount: "AMOUNT", description: "Notes" },
+      missing: ["contributionDate"],
+    });
+  });
+});
+
+describe("validateImportRows", () => {
+  it("validates contribution rows like the API does", async () => {
+    const { results, valid } = await recordsOf(
+      "contributions",
+      [
+        "email,amount,date,type",
+        "AMA@example.com,\"1,200\",2026-01-05,monthly",
+        "kofi@example.com,100,2026-01-05,monthly",
+        "ama@example.com,abc,03/04/2026,monthly",
+        "ama@example.com,100,2999-01-01,yearly",
+      ].join("\n")
+    );
+
+    expect(results.map((r) => [r.row, r.status, r.errors])).toEqual([
+      [2, "valid", undefined],
+      [3, "failed", ["No member with email kofi@example.com"]],
+      [4, "failed", ["Amount must be a number", "Date must be a date in YYYY-MM-DD format"]],
+      [5, "failed", ["Date cannot be in the future"]],
+    ]);
+    expect(valid[0].doc).toMatchObject({
+      amount: 1200,
+      status: "confirmed",
+      branch: ama.branch,
+    });
+  });
+
+  it("works out the totals and schedule of imported loans", async () => {
+    const { results, valid } = await recordsOf(
+      "loans",
+      [
+        "email,principal,rate,months,status,disbursed date,repaid date,paid",
+        "ama@example.com,1200,1,6,repaid,2025-01-10,2025-07-01,",
+        "ama@example.com,1200,1,6,disbursed,2025-01-10,,500",
+        "ama@example.com,1200,1,6,disbursed,2025-01-10,,1300",
+        "ama@example.com,1200,1,6,approved,2025-01-10,,",
+      ].join("\n")
+    );
+
+    expect(results.map((r) => r.errors)).toEqual([
+      undefined,
+      undefined,
+      ["Amount paid cannot exceed the total repayable of 1272"],
+      ["Status must be disbursed, repaid, defaulted"],
+    ]);
+    const [repaid, running] = valid.map((v) => v.doc);
+    expect(repaid).toMatchObject({ totalAmount: 1272, amountPaid: 1272, remainingAmount: 0 });
+    expect(repaid.schedule.every((i) => i.status === "paid")).toBe(true);
+    expect(running).toMatchObject({ amountPaid: 500, remainingAmount: 772 });
+    expect(running.schedule).toHaveLength(6);
+  });
+});
+
+describe("importRecords", () => {
+  const contributionsCsv = "email,amount,date\nama@example.com,100,2026-01-05\n";
+
+  const upload = async (text, query = {}) => {
+    jest.spyOn(User, "find").mockResolvedValue([ama]);
+    const session = mockTransactions();
+    jest.spyOn(ImportBatch.prototype, "save").mockResolvedValue();
+    const insertMany = jest.spyOn(Contribution, "insertMany").mockResolvedValue([]);
+    jest.spyOn(Contribution, "updateUserContributions").mockResolvedValue();
+    const res = mockRes();
+    await importRecords(
+      mockReq({
+        user: admin,
+        params: { type: "contributions" },
+        query,
+        file: csvFile(text),
+      }),
+      res
+    );
+    return { ...responseOf(res), insertMany, session };
+  };
+
+  it("previews a dry run without recording anything", async () => {
+    const { status, body, insertMany } = await upload(contributionsCsv, { dryRun: "true" });
+
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({ dryRun: true, valid: 1, failed: 0, totalAmount: 100 });
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  it("imports every row under one batch", async () => {
+    const { status, body, insertMany, session } = await upload(contributionsCsv);
+
+    expect(status).toBe(201);
+    const [docs, options] = insertMany.mock.calls[0];
+    expect(docs).toEqual([
+      expect.objectContaining({ amount: 100, importBatch: body.data.batch._id }),
+    ]);
+    expect(options).toEqual({ session });
+    expect(body.data.batch).toMatchObject({
+      type: "contributions",
+      rowCount: 1,
+      memberCount: 1,
+    });
+    expect(Contribution.updateUserContributions).toHaveBeenCalledWith(String(ama._id), session);
+    expect(releaseWaitingLoans).toHaveBeenCalled();
+  });
+
+  it("imports without a transaction on a standalone MongoDB", async () => {
+    setTransactionSupport(false);
+    let result;
+    try {
+      result = await upload(contributionsCsv);
+    } finally {
+      setTransactionSupport(true);
+    }
+
+    expect(result.status).toBe(201);
+    expect(result.session.withTransaction).not.toHaveBeenCalled();
+    expect(result.insertMany.mock.calls[0][1]).toEqual({ session: null });
+  });
+
+  it("imports nothing when a row fails", async () => {
+    const { status, body, insertMany } = await upload(
+      `${contributionsCsv}nobody@example.com,100,2026-01-05\n`
+    );
+
+    expect(status).toBe(400);
+    expect(body.message).toBe("1 of 2 rows failed validation; nothing was imported");
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  it("names the required columns that are missing", async () => {
+    const { status, body } = await upload("email,total\nama@example.com,100\n");
+
+    expect(status).toBe(400);
+    expect(body.data.missingColumns).toEqual(["amount", "contributionDate"]);
+  });
+});
+
+describe("rollbackImport", () => {
+  const rollBack = async (batch, records) => {
+    jest.spyOn(ImportBatch, "findById").mockResolvedValue(batch);
+    jest.spyOn(batch, "save").mockResolvedValue(batch);
+    const model = batch.type === "loans" ? Loan : Contribution;
+    jest.spyOn(model, "find").mockReturnValue(mockQuery(records));
+    const deleteMany = jest
+      .spyOn(model, "deleteMany")
+      .mockResolvedValue({ deletedCount: records.length });
+    mockTransactions();
+    const res = mockRes();
+    await rollbackImport(
+      mockReq({ user: admin, params: { id: batch._id }, body: { reason: "Wrong file" } }),
+      res
+    );
+    return { ...responseOf(res), deleteMany };
+  };
+
+  const batchOf = (type, status = "committed") =>
+    new ImportBatch({ type, fileName: "records.csv", fileFormat: "csv", status });
+
+  it("deletes the imported records and refreshes member totals", async () => {
+    const batch = batchOf("contributions");
+    jest.spyOn(Contribution, "updateUserContributions").mockResolvedValue();
+
+    const { status, body, deleteMany } = await rollBack(batch, [
+      { _id: objectId(), memberId: ama._id },
+      { _id: objectId(), memberId: ama._id },
+    ]);
+
+    expect(status).toBe(200);
+    expect(body.message).toBe("Import rolled back; 2 contributions deleted");
+    expect(deleteMany.mock.calls[0][0]).toEqual({ importBatch: batch._id });
+    expect(Contribution.updateUserContributions).toHaveBeenCalledTimes(1);
+    expect(batch).toMatchObject({
+      status: "rolled_back",
+      rolledBackBy: admin._id,
+      rollbackReason: "Wrong file",
+    });
+  });
+
+  it("keeps imported loans that have since been repaid or secured", async () => {
+    jest.spyOn(LoanRepayment, "countDocuments").mockResolvedValue(2);
+    jest.spyOn(Penalty, "countDocuments").mockResolvedValue(0);
+    jest.spyOn(Collateral, "countDocuments").mockResolvedValue(1);
+    jest.spyOn(Loan, "countDocuments").mockResolvedValue(0);
+
+    const { status, body, deleteMany } = await rollBack(batchOf("loans"), [
+      { _id: objectId(), member: ama._id },
+    ]);
+
+    expect(status).toBe(400);
+    expect(body.message).toBe(
+      "Cannot roll back: the imported loans now have 2 repayment(s), 1 collateral item(s)"
+    );
+    expect(deleteMany).not.toHaveBeenCalled();
+  });
+
+  it("rolls back each import only once", async () => {
+    const { status } = await rollBack(batchOf("contributions", "rolled_back"), []);
+
+    expect(status).toBe(400);
+  });
+});
@@ -0,0 +1,199 @@
+const express = require("express");
+const request = require("supertest");
+const Loan = require("../models/Loan");
+const SignedAgreement = require("../models/SignedAgreement");
+const AuditLog = require("../models/AuditLog");
+const {
+  uploadSignedAgreement,
+  downloadSignedAgreement,
+  reviewSignedAgreement,
+} = require("../controller/signedAgreements");
+const { objectId, mockQuery } = require("./helpers/mongoose");
+const { mockReq, mockRes, responseOf } = require("./helpers/http");
+
+const member = { _id: objectId(), role: "member", branch: { _id: objectId() } };
+const admin = { _id: objectId(), role: "admin", branch: { _id: objectId() } };
+
+const loanFor = (overrides = {}) =>
+  new Loan({
+    member: member._id,
+    amount: 1000,
+    duration: 6,
+    status: "approved",
+    branch: String(member.branch._id),
+    ...overrides,
+  });
+
+const scan = {
+  originalname: "signed.pdf",
+  buffer: Buffer.from("%PDF-1.4"),
+  mimetype: "application/pdf",
+  size: 8,
+};
+
+beforeEach(() => jest.spyOn(AuditLog, "create").mockResolvedValue({}));
+afterEach(() => jest.restoreAllMocks());
+
+describe("uploadSignedAgreement", () => {
+  const upload = async (loan, user = member, file = scan) => {
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+    const res = mockRes();
+    await uploadSignedAgreement(mockReq({ user, params: { id: loan._id }, file }), res);
+    return responseOf(res);
+  };
+
+  it("stores the upload for review and supersedes earlier pending uploads", async () => {
+    const loan = loanFor();
+    jest.spyOn(SignedAgreement, "hasVerified").mockResolvedValue(false);
+    const supersede = jest.spyOn(SignedAgreement, "updateMany").mockResolvedValue({});
+    jest
+      .spyOn(SignedAgreement, "create")
+      .mockImplementation(async (data) => new SignedAgreement(data));
+
+    const { status, body } = await upload(loan);
+
+    expect(status).toBe(201);
+    expect(supersede).toHaveBeenCalledWith(
+      { loan: loan._id, status: "pending" },
+      { status: "superseded" }
+    );
+    expect(body.data.agreement).toMatchObject({ originalname: "signed.pdf", status: "pending" });
+    expect(body.data.agreement.fileData).toBeUndefined();
+  });
+
+  it("only accepts agreements for the borrower's own approved loan", async () => {
+    expect((await upload(loanFor(), { ...member, _id: objectId() })).status).toBe(403);
+    expect(await upload(loanFor({ status: "disbursed" }))).toMatchObject({
+      status: 400,
+      body: {
+        message:
+          "Signed agreements can only be uploaded for approved loans awaiting disbursement",
+      },
+    });
+  });
+
+  it("refuses new uploads once an agreement has been verified", async () => {
+    jest.spyOn(SignedAgreement, "hasVerified").mockResolvedValue(true);
+
+    expect((await upload(loanFor())).status).toBe(400);
+  });
+
+  it("needs a file", async () => {
+    expect((await upload(loanFor(), member, null)).status).toBe(400);
+  });
+});
+
+describe("downloadSignedAgreement", () => {
+  const download = (agreement, loan, user = admin) => {
+    jest.spyOn(SignedAgreement, "findOne").mockResolvedValue(agreement);
+    jest.spyOn(Loan, "findById").mockResolvedValue(loan);
+
+    const app = express();
+    app.get(
+      "/:id/signed-agreements/:agreementId/download",
+      (req, res, next) => {
+        req.user = user;
+        next();
+      },
+      downloadSignedAgreement
+    );
+    return request(app).get(`/${loan._id}/signed-agreements/${agreement._id}/download`);
+  };
+
+  const agreementNamed = (loan, originalname) =>
+    new SignedAgreement({
+      loan: loan._id,
+      member: member._id,
+      originalname,
+      fileData: scan.buffer,
+      mimetype: "application/pdf",
+      size: scan.size,
+    });
+
+  it("sends the file under its uploaded name", async () => {
+    const loan = loanFor();
+
+    const res = await download(agreementNamed(loan, "signed.pdf"), loan, member);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/pdf");
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="signed.pdf"');
+    expect(res.body.toString()).toBe("%PDF-1.4");
+  });
+
+  it("keeps quotes and non-ASCII names from breaking the header", async () => {
+    const loan = loanFor();
+
+    const res = await download(agreementNamed(loan, '合同 "签名".pdf'), loan);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-disposition"]).toBe(
+      'attachment; filename="?? \\"??\\".pdf"; ' +
+        "filename*=UTF-8''%E5%90%88%E5%90%8C%20%22%E7%AD%BE%E5%90%8D%22.pdf"
+    );
+  });
+
+  it("is private to the borrower and their branch", async () => {
+    const loan = loanFor();
+
+    const res = await download(agreementNamed(loan, "signed.pdf"), loan, {
+      ...member,
+      _id: objectId(),
+    });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("reviewSignedAgreement", () => {
+  const review = async (agreement, body) => {
+    jest.spyOn(SignedAgreement, "findOne").mockReturnValue(mockQuery(agreement));
+    const res = mockRes();
+    await reviewSignedAgreement(
+      mockReq({
+        user: admin,
+        params: { id: agreement.loan, agreementId: agreement._id },
+        body,
+      }),
+      res
+    );
+    return responseOf(res);
+  };
+
+  const pendingAgreement = () => {
+    const agreement = new SignedAgreement({ loan: objectId(), member: member._id });
+    jest.spyOn(agreement, "save").mockResolvedValue(agreement);
+    return agreement;
+  };
+
+  it("verifies an agreement so the loan can be disbursed", async () => {
+    const agreement = pendingAgreement();
+
+    const { status } = await review(agreement, { status: "verified" });
+
+    expect(status).toBe(200);
+    expect(agreement).toMatchObject({ status: "verified", reviewedBy: admin._id });
+    expect(AuditLog.create.mock.calls[0][0].action).toBe("verify_signed_agreement");
+  });
+
+  it("records why an agreement was rejected", async () => {
+    const agreement = pendingAgreement();
+
+    await review(agreement, { status: "rejected", rejectionReason: "Page 2 is unsigned" });
+
+    expect(agreement).toMatchObject({
+      status: "rejected",
+      rejectionReason: "Page 2 is unsigned",
+    });
+  });
+
+  it("reviews each agreement only once", async () => {
+    const agreement = pendingAgreement();
+    agreement.status = "verified";
+
+    expect(await review(agreement, { status: "rejected" })).toMatchObject({
+      status: 400,
+      body: { message: "This agreement has already been verified" },
+    });
+  });
+});
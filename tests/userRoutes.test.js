@@ -0,0 +1,71 @@
+// Validation and access on the member statement and report routes
+
+jest.mock("../middleware/auth", () => require("./helpers/routes").mockAuth());
+jest.mock("../controller/users");
+
+const request = require("supertest");
+const userRoutes = require("../routes/users");
+const { objectId } = require("./helpers/mongoose");
+const { stubControllers, buildApp, asUser } = require("./helpers/routes");
+
+const app = buildApp("/api/users", userRoutes);
+const memberId = String(objectId());
+
+beforeEach(() => stubControllers(require("../controller/users")));
+
+describe("GET /api/users/:id/statement", () => {
+  it("downloads a statement for a period", async () => {
+    const res = await request(app)
+      .get(`/api/users/${memberId}/statement?from=2026-04-01&to=2026-06-30`)
+      .set(asUser({ _id: memberId, role: "member" }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("getMemberStatement");
+  });
+
+  it("rejects dates it cannot read", async () => {
+    const res = await request(app).get(`/api/users/${memberId}/statement?from=last-month`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["from"]);
+  });
+});
+
+describe("GET /api/users/:id/report", () => {
+  it("is open to every signed-in role, leaving access to the controller", async () => {
+    const res = await request(app)
+      .get(`/api/users/${memberId}/report`)
+      .set(asUser({ _id: memberId, role: "member" }));
+
+    expect(res.body.handler).toBe("getUserReport");
+  });
+});
+
+describe("POST /api/users/statements/email", () => {
+  it("emails the chosen members' statements", async () => {
+    const res = await request(app)
+      .post("/api/users/statements/email")
+      .send({ from: "2026-04-01", to: "2026-06-30", memberIds: [memberId] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.handler).toBe("emailMemberStatements");
+  });
+
+  it("rejects bad dates and IDs", async () => {
+    const res = await request(app)
+      .post("/api/users/statements/email")
+      .send({ to: "soon", memberIds: [memberId, "ama"], branch: "accra" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(["to", "memberIds[1]", "branch"]);
+  });
+
+  it("is for admins only", async () => {
+    const res = await request(app)
+      .post("/api/users/statements/email")
+      .set(asUser({ role: "branch_lead" }))
+      .send({});
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,124 @@
+// Expected contributions under a contribution plan, and how far a member's
+// actual contributions fall behind them. Contributions are applied to the
+// oldest obligation first, so the periods left unpaid are always the latest.
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Contribution types that count towards a plan; special and penalty payments do not
+const PLAN_CONTRIBUTION_TYPES = ["monthly", "weekly"];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const monthlyDueDate = (year, month, dueDay) => {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(dueDay, lastDay));
+};
+
+/**
+ * Obligations falling due between `from` and `to` (inclusive).
+ *
+ * @param {Object} plan - Contribution plan (amount, frequency, dueDay, startDate, endDate)
+ * @param {Date} from - Obligations due before this date are skipped, e.g. before the member joined
+ * @param {Date} to - Last date to generate obligations for
+ * @returns {Array<{period, dueDate, amount}>}
+ */
+const buildObligations = (plan, from, to) => {
+  const start = new Date(Math.max(new Date(plan.startDate), new Date(from)));
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(plan.endDate ? Math.min(new Date(plan.endDate), new Date(to)) : to);
+
+  const obligations = [];
+
+  if (plan.frequency === "weekly") {
+    const dueDate = new Date(start);
+    dueDate.setDate(dueDate.getDate() + ((plan.dueDay - dueDate.getDay() + 7) % 7));
+    while (dueDate <= end) {
+      obligations.push({
+        period: `${dueDate.getFullYear()}-${pad(dueDate.getMonth() + 1)}-${pad(dueDate.getDate())}`,
+        dueDate: new Date(dueDate),
+        amount: plan.amount,
+      });
+      dueDate.setDate(dueDate.getDate() + 7);
+    }
+    return obligations;
+  }
+
+  let year = start.getFullYear();
+  let month = start.getMonth();
+  let dueDate = monthlyDueDate(year, month, plan.dueDay);
+  while (dueDate <= end) {
+    if (dueDate >= start) {
+      obligations.push({
+        period: `${year}-${pad(month + 1)}`,
+        dueDate,
+        amount: plan.amount,
+      });
+    }
+    month += 1;
+    if (month > 11) {
+      month = 0;
+      year += 1;
+    }
+    dueDate = monthlyDueDate(year, month, plan.dueDay);
+  }
+  return obligations;
+};
+
+/**
+ * Compare a member's contributions with what their plan expected up to `asOf`.
+ *
+ * @param {Object} member - User (joinDate/createdAt)
+ * @param {Object} plan - Contribution plan that applies to the member
+ * @param {Array} contributions - The member's confirmed contributions
+ * @param {Date} [asOf]
+ */
+const calculateArrears = (member, plan, contributions, asOf = new Date()) => {
+  const joined = member.joinDate || member.createdAt || plan.startDate;
+  const obligations = buildObligations(plan, joined, asOf);
+  const firstDueDate = obligations.length ? obligations[0].dueDate : null;
+
+  // Only contributions made for the plan, and not before its first period, count
+  const planStart = new Date(Math.max(new Date(plan.startDate), new Date(joined)));
+  let available = contributions
+    .filter(
+      (c) =>
+        PLAN_CONTRIBUTION_TYPES.includes(c.contributionType) &&
+        new Date(c.contributionDate) >= planStart &&
+        new Date(c.contributionDate) <= asOf
+    )
+    .reduce((sum, c) => sum + (c.amount || 0), 0);
+  const paidAmount = round2(available);
+
+  const periods = obligations.map((obligation) => {
+    const paid = Math.min(obligation.amount, available);
+    available -= paid;
+    return {
+      ...obligation,
+      paid: round2(paid),
+      outstanding: round2(obligation.amount - paid),
+      status: paid >= obligation.amount ? "paid" : paid > 0 ? "partial" : "unpaid",
+    };
+  });
+
+  const behind = periods.filter((p) => p.status !== "paid");
+  const expectedAmount = round2(periods.reduce((sum, p) => sum + p.amount, 0));
+
+  return {
+    expectedAmount,
+    paidAmount,
+    arrears: round2(Math.max(0, expectedAmount - paidAmount)),
+    credit: round2(Math.max(0, paidAmount - expectedAmount)),
+    periodsDue: periods.length,
+    periodsBehind: behind.length,
+    oldestUnpaidDueDate: behind.length ? behind[0].dueDate : null,
+    firstDueDate,
+    periods,
+  };
+};
+
+module.exports = {
+  PLAN_CONTRIBUTION_TYPES,
+  monthlyDueDate,
+  buildObligations,
+  calculateArrears,
+};
@@ -0,0 +1,267 @@
+// Credit scoring for loan requests. Each factor is scored 0-100 and the
+// overall score is the weighted average of the factors that apply to the
+// request; weights are admin-tunable and stored under the "credit_score"
+// setting.
+//
+// Factors:
+//   contributionRegularity - share of months in the lookback window (or since
+//                            joining, if shorter) with a confirmed contribution
+//   repaymentPunctuality   - share of past installments paid by their due date;
+//                            every defaulted or written-off loan deducts
+//                            `defaultDeduction`; no history scores `neutralScore`
+//   penaltyHistory         - 100 less `penaltyDeduction` per penalty in the
+//                            lookback window, doubled while it is unpaid;
+//                            waived penalties are ignored
+//   membershipAge          - months since joining over `fullScoreMembershipMonths`
+//   guarantorCoverage      - pledges not declined over the loan amount; only
+//                            applies when scoring a loan
+
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const Penalty = require("../models/Penalty");
+const Setting = require("../models/Setting");
+const { addMonths } = require("./loanCalculator");
+
+const CREDIT_SCORE_SETTING_KEY = "credit_score";
+
+const CREDIT_SCORE_FACTORS = {
+  contributionRegularity: "Contribution regularity",
+  repaymentPunctuality: "Repayment punctuality",
+  penaltyHistory: "Penalty history",
+  membershipAge: "Membership age",
+  guarantorCoverage: "Guarantor coverage",
+};
+
+const DEFAULT_CREDIT_SCORE_SETTINGS = {
+  weights: {
+    contributionRegularity: 30,
+    repaymentPunctuality: 30,
+    penaltyHistory: 15,
+    membershipAge: 10,
+    guarantorCoverage: 15,
+  },
+  lookbackMonths: 12,
+  fullScoreMembershipMonths: 24,
+  penaltyDeduction: 20,
+  defaultDeduction: 50,
+  neutralScore: 50,
+};
+
+// Lowest score for each grade, best first
+const CREDIT_GRADES = [
+  { grade: "A", min: 80 },
+  { grade: "B", min: 65 },
+  { grade: "C", min: 50 },
+  { grade: "D", min: 35 },
+  { grade: "E", min: 0 },
+];
+
+const clamp = (value) => Math.min(100, Math.max(0, value));
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const monthsBetween = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  let months =
+    (end.getFullYear() - start.getFullYear()) * 12 +
+    (end.getMonth() - start.getMonth());
+  if (end.getDate() < start.getDate()) months -= 1;
+  return Math.max(0, months);
+};
+
+const getGrade = (score) =>
+  CREDIT_GRADES.find((entry) => score >= entry.min).grade;
+
+// Stored settings merged over the defaults, including the individual weights
+const getCreditScoreSettings = async () => {
+  const stored = await Setting.getValue(CREDIT_SCORE_SETTING_KEY);
+  return {
+    ...DEFAULT_CREDIT_SCORE_SETTINGS,
+    ...stored,
+    weights: { ...DEFAULT_CREDIT_SCORE_SETTINGS.weights, ...(stored.weights || {}) },
+  };
+};
+
+const scoreContributionRegularity = async (member, asOf, settings) => {
+  const joinDate = member.joinDate || member.createdAt || asOf;
+  const windowMonths = Math.max(
+    1,
+    Math.min(settings.lookbackMonths, monthsBetween(joinDate, asOf) + 1)
+  );
+  const windowStart = addMonths(asOf, -windowMonths);
+
+  const contributions = await Contribution.find({
+    memberId: member._id,
+    status: "confirmed",
+    contributionDate: { $gt: windowStart, $lte: asOf },
+  }).select("contributionDate");
+
+  const months = new Set(
+    contributions.map((c) => {
+      const date = new Date(c.contributionDate);
+      return `${date.getFullYear()}-${date.getMonth()}`;
+    })
+  );
+  const activeMonths = Math.min(months.size, windowMonths);
+
+  return {
+    score: (activeMonths / windowMonths) * 100,
+    detail: `Contributed in ${activeMonths} of the last ${windowMonths} months`,
+  };
+};
+
+const scoreRepaymentPunctuality = async (member, asOf, settings, excludeLoanId) => {
+  const query = {
+    member: member._id,
+    status: { $in: ["disbursed", "repaid", "defaulted", "written_off", "refinanced"] },
+  };
+  if (excludeLoanId) {
+    query._id = { $ne: excludeLoanId };
+  }
+  const loans = await Loan.find(query).select("status schedule dueDate repaidAt");
+
+  let due = 0;
+  let onTime = 0;
+  let defaults = 0;
+
+  loans.forEach((loan) => {
+    if (["defaulted", "written_off"].includes(loan.status)) defaults += 1;
+
+    if (loan.schedule && loan.schedule.length) {
+      loan.schedule
+        .filter((installment) => new Date(installment.dueDate) <= asOf)
+        .forEach((installment) => {
+          due += 1;
+          if (
+            installment.status === "paid" &&
+            installment.paidDate &&
+            new Date(installment.paidDate) <= new Date(installment.dueDate)
+          ) {
+            onTime += 1;
+          }
+        });
+    } else if (loan.dueDate && new Date(loan.dueDate) <= asOf) {
+      // Loans from before repayment schedules are treated as one installment
+      due += 1;
+      if (loan.repaidAt && new Date(loan.repaidAt) <= new Date(loan.dueDate)) {
+        onTime += 1;
+      }
+    }
+  });
+
+  if (!due && !defaults) {
+    return {
+      score: settings.neutralScore,
+      detail: "No repayment history",
+    };
+  }
+
+  const punctuality = due ? (onTime / due) * 100 : settings.neutralScore;
+  return {
+    score: punctuality - defaults * settings.defaultDeduction,
+    detail:
+      `${onTime} of ${due} installments paid on time` +
+      (defaults ? `, ${defaults} defaulted or written-off loan(s)` : ""),
+  };
+};
+
+const scorePenaltyHistory = async (member, asOf, settings) => {
+  const penalties = await Penalty.find({
+    member: member._id,
+    status: { $ne: "waived" },
+    assignedDate: { $gt: addMonths(asOf, -settings.lookbackMonths), $lte: asOf },
+  }).select("status");
+
+  const unpaid = penalties.filter((p) => p.status === "pending").length;
+  const deductions = (penalties.length + unpaid) * settings.penaltyDeduction;
+
+  return {
+    score: 100 - deductions,
+    detail: `${penalties.length} penalties in the last ${settings.lookbackMonths} months, ${unpaid} unpaid`,
+  };
+};
+
+const scoreMembershipAge = (member, asOf, settings) => {
+  const months = monthsBetween(member.joinDate || member.createdAt || asOf, asOf);
+  const fullScore = Math.max(1, settings.fullScoreMembershipMonths);
+  return {
+    score: (months / fullScore) * 100,
+    detail: `Member for ${months} months`,
+  };
+};
+
+const scoreGuarantorCoverage = (loan) => {
+  const pledged = (loan.guarantors || [])
+    .filter((g) => g.status !== "declined")
+    .reduce((sum, g) => sum + (Number(g.pledgedAmount) || 0), 0);
+  const amount = Number(loan.amount) || 0;
+  const coverage = amount > 0 ? (pledged / amount) * 100 : 0;
+  return {
+    score: coverage,
+    detail: `Guarantors pledged ${round2(pledged)} of ${round2(amount)}`,
+  };
+};
+
+/**
+ * Score a member, optionally for a specific loan or loan request.
+ *
+ * @param {Object} member - User document (needs _id, joinDate/createdAt)
+ * @param {Object} [options]
+ * @param {Object} [options.loan] - Loan or loan data with amount and guarantors;
+ *   its own history is excluded from repayment punctuality
+ * @param {Date} [options.asOf] - Date the score is calculated for (defaults to now)
+ * @param {Object} [options.settings] - Settings to use instead of the stored ones
+ * @returns {Promise<{score, grade, breakdown, calculatedAt}>}
+ */
+const calculateCreditScore = async (member, { loan = null, asOf = new Date(), settings } = {}) => {
+  const config = settings || (await getCreditScoreSettings());
+
+  const factors = {
+    contributionRegularity: await scoreContributionRegularity(member, asOf, config),
+    repaymentPunctuality: await scoreRepaymentPunctuality(member, asOf, config, loan?._id),
+    penaltyHistory: await scorePenaltyHistory(member, asOf, config),
+    membershipAge: scoreMembershipAge(member, asOf, config),
+  };
+  if (loan) {
+    factors.guarantorCoverage = scoreGuarantorCoverage(loan);
+  }
+
+  // Weights are relative, so factors that do not apply are simply left out
+  const totalWeight = Object.keys(factors).reduce(
+    (sum, factor) => sum + Math.max(0, Number(config.weights[factor]) || 0),
+    0
+  );
+
+  const breakdown = Object.entries(factors).map(([factor, result]) => {
+    const weight = totalWeight
+      ? (Math.max(0, Number(config.weights[factor]) || 0) / totalWeight) * 100
+      : 0;
+    const score = clamp(result.score);
+    return {
+      factor,
+      label: CREDIT_SCORE_FACTORS[factor],
+      weight: round2(weight),
+      score: round2(score),
+      points: round2((score * weight) / 100),
+      detail: result.detail,
+    };
+  });
+
+  const score = round2(clamp(breakdown.reduce((sum, item) => sum + item.points, 0)));
+
+  return {
+    score,
+    grade: getGrade(score),
+    breakdown,
+    calculatedAt: asOf,
+  };
+};
+
+module.exports = {
+  CREDIT_SCORE_SETTING_KEY,
+  CREDIT_SCORE_FACTORS,
+  DEFAULT_CREDIT_SCORE_SETTINGS,
+  CREDIT_GRADES,
+  getCreditScoreSettings,
+  calculateCreditScore,
+};
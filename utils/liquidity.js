@@ -0,0 +1,181 @@
+// Group liquidity: how much money the group holds and how much of it can be
+// lent without dropping below the reserve ratio. The base figures are the
+// ones reported by GET /api/contributions/net.
+
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const Penalty = require("../models/Penalty");
+const User = require("../models/User");
+const Setting = require("../models/Setting");
+const loanPolicy = require("../config/loanPolicy");
+const { getLoanInterest, round2 } = require("./loanCalculator");
+
+const LIQUIDITY_SETTING_KEY = "liquidity";
+
+const getLiquiditySettings = () =>
+  Setting.getValue(LIQUIDITY_SETTING_KEY, loanPolicy.liquidity);
+
+const sumOf = (items, getValue) =>
+  items
+    .filter((item) => item.member !== null)
+    .reduce((sum, item) => sum + (getValue(item) || 0), 0);
+
+/**
+ * @param {Object} [options]
+ * @param {ObjectId|String} [options.excludeLoanId] - Loan left out of the
+ *   committed funds, e.g. the approved loan that is about to be disbursed
+ */
+const getGroupLiquidity = async ({ excludeLoanId = null } = {}) => {
+  // Only include contributions from active users (memberId not null)
+  const activeUsers = await User.find({ isActive: true }).select("_id");
+  const activeUserIds = activeUsers.map((u) => u._id);
+
+  const contribResult = await Contribution.aggregate([
+    { $match: { memberId: { $in: activeUserIds } } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  const totalContributions = contribResult[0] ? contribResult[0].total : 0;
+
+  // Approved loans are committed; disbursed and defaulted loans are out with members
+  const approvedLoans = (
+    await Loan.find({
+      status: { $in: ["approved", "disbursed", "defaulted"] },
+    }).populate("member")
+  ).filter((l) => !excludeLoanId || l._id.toString() !== String(excludeLoanId));
+  const totalApprovedLoans = sumOf(approvedLoans, (l) => l.amount);
+
+  // Refinanced loans were paid off by a top-up
+  const repaidLoans = await Loan.find({
+    status: { $in: ["repaid", "refinanced"] },
+  }).populate("member");
+  const totalInterestFromRepaidLoans = sumOf(repaidLoans, getLoanInterest);
+
+  const collectedPenalties = await Penalty.find({ status: "collected" }).populate("member");
+  const totalCollectedPenalties = sumOf(collectedPenalties, (p) => p.amount);
+
+  const paidPenalties = await Penalty.find({ status: "paid" }).populate("member");
+  const totalPaidPenalties = sumOf(paidPenalties, (p) => p.amount);
+
+  const pendingPenalties = await Penalty.find({ status: "pending" }).populate("member");
+  const totalPendingPenalties = sumOf(pendingPenalties, (p) => p.amount);
+
+  // Written-off loans: principal not covered by repayments and recoveries is a
+  // loss, anything collected beyond the principal is interest
+  const writeOffs = await Loan.getWriteOffSummary();
+
+  // Net available: contributions - approved loans + interest from repaid loans + collected penalties + paid penalties - write-off losses + write-off surplus
+  const netAvailable =
+    totalContributions -
+    totalApprovedLoans +
+    totalInterestFromRepaidLoans +
+    totalCollectedPenalties +
+    totalPaidPenalties -
+    writeOffs.cashLoss +
+    writeOffs.surplus;
+
+  const totalInterestFromApprovedLoans = sumOf(approvedLoans, getLoanInterest);
+  const futureBalance =
+    netAvailable + totalInterestFromApprovedLoans + totalPendingPenalties;
+
+  const totalToBeRepaidOnApprovedLoans = sumOf(approvedLoans, (l) => l.totalAmount);
+  const bestFutureBalance =
+    netAvailable + totalToBeRepaidOnApprovedLoans + totalPendingPenalties;
+
+  // netAvailable counts loans at their full amount, so add back what has been repaid on them
+  const disbursedLoans = approvedLoans.filter((l) => l.status !== "approved");
+  const repaidOnOutstandingLoans = sumOf(disbursedLoans, (l) => l.amountPaid);
+  const outstandingDisbursements = Math.max(
+    0,
+    sumOf(disbursedLoans, (l) => l.amount) - repaidOnOutstandingLoans
+  );
+  const reservedForApprovedLoans = sumOf(
+    approvedLoans.filter((l) => l.status === "approved"),
+    (l) => l.amount
+  );
+  const cashAvailable = netAvailable + repaidOnOutstandingLoans;
+
+  const settings = await getLiquiditySettings();
+  const requiredReserve = (totalContributions * settings.reserveRatio) / 100;
+
+  return {
+    totalContributions,
+    totalApprovedLoans,
+    totalInterestFromRepaidLoans,
+    totalCollectedPenalties,
+    totalPaidPenalties,
+    totalPendingPenalties,
+    totalWrittenOff: writeOffs.writtenOff,
+    totalRecovered: writeOffs.recovered,
+    writeOffLoss: writeOffs.netLoss,
+    writeOffCashLoss: writeOffs.cashLoss,
+    writeOffSurplus: writeOffs.surplus,
+    netAvailable,
+    futureBalance,
+    totalToBeRepaidOnApprovedLoans,
+    bestFutureBalance,
+    outstandingDisbursements: round2(outstandingDisbursements),
+    repaidOnOutstandingLoans: round2(repaidOnOutstandingLoans),
+    reservedForApprovedLoans: round2(reservedForApprovedLoans),
+    cashAvailable: round2(cashAvailable),
+    reserveRatio: settings.reserveRatio,
+    reserveMode: settings.mode,
+    requiredReserve: round2(requiredReserve),
+    lendable: round2(Math.max(0, cashAvailable - requiredReserve)),
+  };
+};
+
+// Cash a loan needs from the group. A top-up only needs what comes on top of
+// the balance still out on the loan it refinances.
+const getFundingRequired = async (loan) => {
+  let required = loan.amount || 0;
+  if (loan.refinances) {
+    const refinanced = await Loan.findById(loan.refinances).select("amount amountPaid");
+    if (refinanced) {
+      required -= Math.max(0, (refinanced.amount || 0) - (refinanced.amountPaid || 0));
+    }
+  }
+  return round2(Math.max(0, required));
+};
+
+/**
+ * Check whether the group can fund a loan without dropping below the reserve.
+ *
+ * @param {Object} loan
+ * @param {Object} [options]
+ * @param {ObjectId|String} [options.excludeLoanId] - See getGroupLiquidity
+ * @param {Boolean} [options.afterQueue] - Fund the waiting list first, so a new
+ *   approval cannot take money that queued loans are waiting for
+ */
+const checkLoanFunding = async (loan, { excludeLoanId = null, afterQueue = false } = {}) => {
+  const liquidity = await getGroupLiquidity({ excludeLoanId });
+  const required = await getFundingRequired(loan);
+
+  let queuedDemand = 0;
+  if (afterQueue) {
+    const queued = await Loan.find({ status: "queued", _id: { $ne: loan._id } }).select(
+      "amount refinances"
+    );
+    for (const queuedLoan of queued) {
+      queuedDemand += await getFundingRequired(queuedLoan);
+    }
+    queuedDemand = round2(queuedDemand);
+  }
+
+  const available = round2(Math.max(0, liquidity.lendable - queuedDemand));
+  const canFund = required <= available;
+  return {
+    canFund,
+    required,
+    queuedDemand,
+    shortfall: canFund ? 0 : round2(required - available),
+    mode: liquidity.reserveMode,
+    liquidity,
+  };
+};
+
+module.exports = {
+  LIQUIDITY_SETTING_KEY,
+  getLiquiditySettings,
+  getGroupLiquidity,
+  checkLoanFunding,
+};
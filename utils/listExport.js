@@ -0,0 +1,161 @@
+// CSV and XLSX downloads of list endpoints. A list controller builds its
+// filtered, role-scoped result set as usual and, when an export format is
+// requested, hands the rows to sendExport instead of returning JSON.
+
+const ExcelJS = require("exceljs");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/**
+ * Format requested with ?format=csv|xlsx, or through the Accept header.
+ * @returns {String|null} null means the caller should respond with JSON
+ */
+const getExportFormat = (req) => {
+  const format = String(req.query.format || "").toLowerCase();
+  if (EXPORT_FORMATS.includes(format)) return format;
+
+  const accept = req.get("Accept") || "";
+  if (accept.includes("text/csv")) return "csv";
+  if (accept.includes(XLSX_MIME_TYPE)) return "xlsx";
+  return null;
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const formatDate = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Plain value for a cell: dates stay dates, missing values become empty
+const cellValue = (column, row) => {
+  const value = column.value(row);
+  if (value === undefined || value === null || value === "") return null;
+  if (column.type === "date") {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  if (column.type === "number" || column.type === "money") {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return String(value);
+};
+
+// Quote fields that need it and stop spreadsheet apps from running text as a formula
+const csvField = (value) => {
+  if (value === null) return "";
+  if (value instanceof Date) return formatDate(value);
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = (res, { columns, rows, summary }) => {
+  const line = (fields) => `${fields.map(csvField).join(",")}\r\n`;
+
+  // The byte order mark makes Excel read the file as UTF-8
+  res.write(`\uFEFF${line(columns.map((c) => c.header))}`);
+  rows.forEach((row) => {
+    res.write(line(columns.map((column) => cellValue(column, row))));
+  });
+  if (summary.length) {
+    res.write("\r\n");
+    summary.forEach(([label, value]) => res.write(line([label, value])));
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, { sheetName, columns, rows, summary }) => {
+  // The streaming writer leaves out number formats and fonts unless asked
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+
+  worksheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.header,
+    width: column.width || Math.max(12, column.header.length + 2),
+    style:
+      column.type === "money"
+        ? { numFmt: "#,##0.00" }
+        : column.type === "date"
+          ? { numFmt: "yyyy-mm-dd" }
+          : {},
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  rows.forEach((row) => {
+    worksheet.addRow(columns.map((column) => cellValue(column, row))).commit();
+  });
+
+  if (summary.length) {
+    worksheet.addRow([]).commit();
+    summary.forEach(([label, value]) => {
+      const summaryRow = worksheet.addRow([label, value]);
+      summaryRow.getCell(1).font = { bold: true };
+      summaryRow.commit();
+    });
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Send rows as a downloadable CSV or XLSX file.
+ *
+ * @param {Object} res - Express response
+ * @param {String} format - csv or xlsx
+ * @param {Object} options
+ * @param {String} options.fileName - Base name; the date and extension are added
+ * @param {String} [options.sheetName] - Worksheet name for XLSX
+ * @param {Array<{header, value: Function, type?: String, width?: Number}>} options.columns -
+ *   `type` is string (default), number, money or date
+ * @param {Array} options.rows
+ * @param {Array<[String, *]>} [options.summary] - Label/value rows written below the data
+ * @throws Only errors raised before any of the file was sent
+ */
+const sendExport = async (res, format, { fileName, sheetName = "Export", columns, rows, summary = [] }) => {
+  const name = `${fileName}-${formatDate(new Date())}.${format}`;
+  res.status(200);
+  res.set({
+    "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : XLSX_MIME_TYPE,
+    "Content-Disposition": `attachment; filename="${name}"`,
+    "Cache-Control": "no-store",
+  });
+
+  try {
+    if (format === "csv") {
+      writeCsv(res, { columns, rows, summary });
+    } else {
+      await writeXlsx(res, { sheetName, columns, rows, summary });
+    }
+  } catch (error) {
+    // Once part of the file has been sent the caller can no longer answer
+    // with a JSON error, so cut the download short instead
+    if (res.headersSent) {
+      console.error(`Failed to export ${name}:`, error.message);
+      res.destroy();
+      return;
+    }
+    res.removeHeader("Content-Disposition");
+    throw error;
+  }
+};
+
+// Full name of a populated user, or an empty cell
+const personName = (user) =>
+  user && user.firstName ? `${user.firstName} ${user.lastName || ""}`.trim() : "";
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportFormat,
+  sendExport,
+  personName,
+};
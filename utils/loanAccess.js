@@ -0,0 +1,14 @@
+// Members see their own loans, branch leads the loans of their branch, admins everything
+const canAccessLoan = (user, loan) => {
+  const memberId = loan.member?._id || loan.member;
+
+  if (user.role === "member") {
+    return String(memberId) === user._id.toString();
+  }
+  if (user.role === "branch_lead") {
+    return String(loan.branch?._id || loan.branch) === user.branch._id.toString();
+  }
+  return true;
+};
+
+module.exports = { canAccessLoan };
@@ -0,0 +1,169 @@
+// Builds a loan-specific agreement PDF pre-filled with the member, terms,
+// repayment schedule and guarantors. Resolves with the PDF as a Buffer.
+
+const PDFDocument = require("pdfkit");
+
+const formatMoney = (value) =>
+  Number(value || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : "-";
+
+const fullName = (person) =>
+  person
+    ? `${person.firstName || ""} ${person.lastName || ""}`.trim() || "-"
+    : "-";
+
+const INTEREST_METHOD_LABELS = {
+  flat: "Flat",
+  reducing_balance: "Reducing balance",
+  compound: "Compound",
+};
+
+// Draw one table row at fixed column offsets
+const drawRow = (doc, columns, values, options = {}) => {
+  const y = doc.y;
+  doc.font(options.bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  values.forEach((value, index) => {
+    doc.text(String(value), columns[index].x, y, {
+      width: columns[index].width,
+      align: columns[index].align || "left",
+    });
+  });
+  doc.moveDown(0.4);
+  doc.x = doc.page.margins.left;
+};
+
+const sectionTitle = (doc, title) => {
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(12).text(title);
+  doc.moveDown(0.3);
+};
+
+const labelValue = (doc, label, value) => {
+  doc.font("Helvetica-Bold").fontSize(10).text(`${label}: `, { continued: true });
+  doc.font("Helvetica").text(String(value));
+};
+
+const signatureLine = (doc, label) => {
+  doc.moveDown(1.5);
+  doc.font("Helvetica").fontSize(10).text("______________________________        Date: ______________");
+  doc.fontSize(9).text(label);
+};
+
+/**
+ * @param {Object} loan - Loan document with `member` and `guarantors.member` populated
+ * @param {Object} [options]
+ * @param {String} [options.branchName] - Display name of the loan's branch
+ * @returns {Promise<Buffer>}
+ */
+const generateLoanAgreementPdf = (loan, { branchName } = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const member = loan.member || {};
+
+    doc.font("Helvetica-Bold").fontSize(18).text("Loan Agreement", { align: "center" });
+    doc.font("Helvetica").fontSize(10).text("Community Saver", { align: "center" });
+    doc.moveDown();
+    labelValue(doc, "Agreement reference", loan._id.toString());
+    labelValue(doc, "Date issued", formatDate(new Date()));
+
+    sectionTitle(doc, "Borrower");
+    labelValue(doc, "Name", fullName(member));
+    labelValue(doc, "Membership ID", member.membershipId || "-");
+    labelValue(doc, "Email", member.email || "-");
+    labelValue(doc, "Branch", branchName || "-");
+
+    sectionTitle(doc, "Loan terms");
+    labelValue(doc, "Principal", formatMoney(loan.amount));
+    labelValue(doc, "Interest rate", `${loan.interestRate || 0}% per month`);
+    labelValue(doc, "Interest method", INTEREST_METHOD_LABELS[loan.interestMethod] || loan.interestMethod);
+    labelValue(doc, "Duration", `${loan.duration} months`);
+    labelValue(doc, "Total amount to repay", formatMoney(loan.totalAmount || loan.amount));
+    labelValue(doc, "Approved on", formatDate(loan.approvedDate));
+    if (loan.disbursedDate) {
+      labelValue(doc, "Disbursed on", formatDate(loan.disbursedDate));
+    }
+    labelValue(doc, "Final due date", formatDate(loan.dueDate || loan.schedule?.[loan.schedule.length - 1]?.dueDate));
+
+    if (loan.schedule && loan.schedule.length) {
+      sectionTitle(doc, "Repayment schedule");
+      const columns = [
+        { x: 50, width: 30 },
+        { x: 90, width: 90 },
+        { x: 190, width: 90, align: "right" },
+        { x: 290, width: 90, align: "right" },
+        { x: 390, width: 100, align: "right" },
+      ];
+      drawRow(doc, columns, ["#", "Due date", "Principal", "Interest", "Amount due"], { bold: true });
+      loan.schedule.forEach((installment) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+          doc.addPage();
+        }
+        drawRow(doc, columns, [
+          installment.installmentNumber,
+          formatDate(installment.dueDate),
+          formatMoney(installment.principal),
+          formatMoney(installment.interest),
+          formatMoney(installment.amountDue),
+        ]);
+      });
+    }
+
+    const guarantors = (loan.guarantors || []).filter((g) => g.status !== "declined");
+    if (guarantors.length) {
+      sectionTitle(doc, "Guarantors");
+      const columns = [
+        { x: 50, width: 180 },
+        { x: 240, width: 100 },
+        { x: 350, width: 100, align: "right" },
+        { x: 460, width: 80 },
+      ];
+      drawRow(doc, columns, ["Name", "Membership ID", "Pledged", "Status"], { bold: true });
+      guarantors.forEach((guarantor) => {
+        drawRow(doc, columns, [
+          fullName(guarantor.member),
+          guarantor.member?.membershipId || "-",
+          formatMoney(guarantor.pledgedAmount),
+          guarantor.status,
+        ]);
+      });
+    }
+
+    sectionTitle(doc, "Undertaking");
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text(
+        "The borrower agrees to repay the loan according to the schedule above. Late " +
+          "installments attract penalties under the group's loan policy, and the loan may be " +
+          "declared in default if it remains overdue past the grace period. Guarantors agree to " +
+          "cover up to their pledged amount if the borrower defaults.",
+        { align: "justify" }
+      );
+
+    if (doc.y > doc.page.height - 250) {
+      doc.addPage();
+    }
+    sectionTitle(doc, "Signatures");
+    signatureLine(doc, `Borrower: ${fullName(member)}`);
+    guarantors.forEach((guarantor) => {
+      signatureLine(doc, `Guarantor: ${fullName(guarantor.member)}`);
+    });
+    signatureLine(doc, "For Community Saver (branch lead / administrator)");
+
+    doc.end();
+  });
+
+module.exports = {
+  generateLoanAgreementPdf,
+};
@@ -0,0 +1,275 @@
+// Loan calculation helpers shared by the Loan model and loan controllers.
+// All amounts are rounded to 2 decimal places; any rounding difference is
+// absorbed by the last installment so the schedule always sums to the total.
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Add whole months to a date, clamping to the last day of the target month
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+const INTEREST_METHODS = ["flat", "reducing_balance", "compound"];
+
+// interestRate is always a monthly percentage; the method decides what it applies to
+const monthlyRate = (interestRate) => (Number(interestRate) || 0) / 100;
+
+// Fixed installment that amortizes the principal over the term (reducing balance)
+const amortizedPayment = (amount, rate, periods) => {
+  if (rate === 0) return amount / periods;
+  return (amount * rate) / (1 - Math.pow(1 + rate, -periods));
+};
+
+/**
+ * Total interest over the full term.
+ * - flat: the rate applies to the original principal every month
+ * - reducing_balance: the rate applies to the outstanding principal (equal installments)
+ * - compound: the rate compounds monthly on the principal plus accrued interest
+ */
+const calculateTotalInterest = ({ amount, interestRate, duration, interestMethod = "flat" }) => {
+  const rate = monthlyRate(interestRate);
+  const periods = Math.max(1, parseInt(duration, 10) || 1);
+
+  switch (interestMethod) {
+    case "reducing_balance":
+      return round2(amortizedPayment(amount, rate, periods) * periods - amount);
+    case "compound":
+      return round2(amount * (Math.pow(1 + rate, periods) - 1));
+    case "flat":
+    default:
+      return round2(amount * rate * periods);
+  }
+};
+
+// Interest owed on a loan; falls back to the calculation when totals were never stored
+const getLoanInterest = (loan) => {
+  if (loan.totalAmount && loan.totalAmount > 0) {
+    return round2(loan.totalAmount - (loan.amount || 0));
+  }
+  return calculateTotalInterest(loan);
+};
+
+// Split the principal and interest of each period according to the method
+const periodBreakdown = ({ amount, rate, periods, interestMethod, totalInterest }) => {
+  const rows = [];
+  let balance = amount;
+
+  for (let i = 1; i <= periods; i++) {
+    let principal;
+    let interest;
+
+    if (interestMethod === "reducing_balance") {
+      interest = balance * rate;
+      principal = amortizedPayment(amount, rate, periods) - interest;
+    } else if (interestMethod === "compound") {
+      // Interest accrued during the period on the compounded principal
+      principal = amount / periods;
+      interest = amount * Math.pow(1 + rate, i - 1) * rate;
+    } else {
+      principal = amount / periods;
+      interest = totalInterest / periods;
+    }
+
+    balance -= principal;
+    rows.push({ principal: round2(principal), interest: round2(interest) });
+  }
+
+  return rows;
+};
+
+/**
+ * Build a monthly installment schedule.
+ * The first installment falls due one month after startDate.
+ */
+const buildRepaymentSchedule = ({
+  amount,
+  interestRate,
+  duration,
+  startDate,
+  interestMethod = "flat",
+}) => {
+  const periods = Math.max(1, parseInt(duration, 10) || 1);
+  const rate = monthlyRate(interestRate);
+  const totalInterest = calculateTotalInterest({
+    amount,
+    interestRate,
+    duration: periods,
+    interestMethod,
+  });
+  const rows = periodBreakdown({ amount, rate, periods, interestMethod, totalInterest });
+
+  const schedule = [];
+  let balance = round2(amount);
+  let interestLeft = totalInterest;
+
+  rows.forEach((row, index) => {
+    const isLast = index === periods - 1;
+    const principal = isLast ? balance : row.principal;
+    const interest = isLast ? round2(interestLeft) : row.interest;
+    balance = round2(balance - principal);
+    interestLeft = round2(interestLeft - interest);
+
+    schedule.push({
+      installmentNumber: index + 1,
+      dueDate: addMonths(startDate || new Date(), index + 1),
+      principal,
+      interest,
+      amountDue: round2(principal + interest),
+      balance,
+      amountPaid: 0,
+      status: "pending",
+    });
+  });
+
+  return schedule;
+};
+
+/**
+ * Apply a payment to the earliest unpaid installments.
+ * Mutates the installments in place and returns any amount left over.
+ */
+const allocatePayment = (schedule, amount, paymentDate) => {
+  let remaining = round2(amount);
+
+  for (const installment of schedule) {
+    if (remaining <= 0) break;
+    const outstanding = round2(installment.amountDue - (installment.amountPaid || 0));
+    if (outstanding <= 0) continue;
+
+    const applied = Math.min(outstanding, remaining);
+    installment.amountPaid = round2((installment.amountPaid || 0) + applied);
+    remaining = round2(remaining - applied);
+
+    if (installment.amountPaid >= installment.amountDue) {
+      installment.status = "paid";
+      installment.paidDate = paymentDate || new Date();
+    } else {
+      installment.status = "partial";
+    }
+  }
+
+  return remaining;
+};
+
+// Derive the status of each installment as of a given date
+const refreshScheduleStatus = (schedule, asOf = new Date()) => {
+  schedule.forEach((installment) => {
+    const paid = installment.amountPaid || 0;
+    if (paid >= installment.amountDue) {
+      installment.status = "paid";
+    } else if (new Date(installment.dueDate) < asOf) {
+      installment.status = "overdue";
+    } else {
+      installment.status = paid > 0 ? "partial" : "pending";
+    }
+  });
+  return schedule;
+};
+
+/**
+ * Split what is still owed on a loan as of a date.
+ * - principalOutstanding: principal not yet repaid
+ * - accruedInterest: interest earned up to asOf (pro rata within the current period) but unpaid
+ * - arrearsInterest: the part of accruedInterest on installments already due
+ * - unearnedInterest: scheduled interest for the time after asOf
+ * Payments on an installment are split pro rata between its principal and interest.
+ */
+const getOutstandingBreakdown = (loan, asOf = new Date()) => {
+  const at = new Date(asOf);
+  let principalOutstanding = 0;
+  let accruedInterest = 0;
+  let arrearsInterest = 0;
+  let unearnedInterest = 0;
+
+  if (loan.schedule && loan.schedule.length) {
+    loan.schedule.forEach((installment, index) => {
+      const dueDate = new Date(installment.dueDate);
+      const periodStart = index > 0
+        ? new Date(loan.schedule[index - 1].dueDate)
+        : addMonths(dueDate, -1);
+      const paidShare = installment.amountDue > 0
+        ? Math.min(1, (installment.amountPaid || 0) / installment.amountDue)
+        : 0;
+      const interestPaid = installment.interest * paidShare;
+
+      let earned = 0;
+      if (dueDate <= at) {
+        earned = installment.interest;
+        arrearsInterest += installment.interest - interestPaid;
+      } else if (periodStart < at) {
+        earned = installment.interest * ((at - periodStart) / (dueDate - periodStart));
+      }
+
+      principalOutstanding += installment.principal * (1 - paidShare);
+      accruedInterest += Math.max(0, earned - interestPaid);
+      unearnedInterest += installment.interest - Math.max(earned, interestPaid);
+    });
+  } else {
+    // Loans without a schedule accrue their interest evenly between disbursement and due date
+    const totalAmount = loan.totalAmount || loan.amount;
+    const principalShare = totalAmount > 0 ? loan.amount / totalAmount : 1;
+    const remaining = totalAmount - (loan.amountPaid || 0);
+    principalOutstanding = remaining * principalShare;
+    const interestLeft = remaining - principalOutstanding;
+
+    const start = new Date(loan.disbursedDate || loan.approvedDate || at);
+    const end = new Date(loan.dueDate || addMonths(start, loan.duration || 1));
+    const elapsed = end > start ? Math.min(1, Math.max(0, (at - start) / (end - start))) : 1;
+    const totalInterest = totalAmount - loan.amount;
+    const earnedUnpaid = Math.max(0, totalInterest * elapsed - (totalInterest - interestLeft));
+
+    accruedInterest = Math.min(interestLeft, earnedUnpaid);
+    arrearsInterest = end <= at ? accruedInterest : 0;
+    unearnedInterest = interestLeft - accruedInterest;
+  }
+
+  return {
+    principalOutstanding: round2(principalOutstanding),
+    accruedInterest: round2(accruedInterest),
+    arrearsInterest: round2(arrearsInterest),
+    unearnedInterest: round2(Math.max(0, unearnedInterest)),
+  };
+};
+
+/**
+ * Amount needed to close a loan early.
+ * The member pays the outstanding principal, accrued interest and whatever part of the
+ * unearned interest is not rebated under the early-settlement policy.
+ */
+const calculatePayoffQuote = (loan, asOf = new Date(), rebatePercentage = 0) => {
+  const breakdown = getOutstandingBreakdown(loan, asOf);
+  const rebate = round2((breakdown.unearnedInterest * rebatePercentage) / 100);
+  const remainingAmount = round2((loan.totalAmount || loan.amount) - (loan.amountPaid || 0));
+
+  return {
+    asOf: new Date(asOf),
+    totalAmount: loan.totalAmount,
+    amountPaid: loan.amountPaid || 0,
+    remainingAmount,
+    principalOutstanding: breakdown.principalOutstanding,
+    accruedInterest: breakdown.accruedInterest,
+    unearnedInterest: breakdown.unearnedInterest,
+    rebatePercentage,
+    rebate,
+    payoffAmount: round2(Math.max(0, remainingAmount - rebate)),
+  };
+};
+
+module.exports = {
+  INTEREST_METHODS,
+  round2,
+  addMonths,
+  calculateTotalInterest,
+  getLoanInterest,
+  buildRepaymentSchedule,
+  allocatePayment,
+  refreshScheduleStatus,
+  getOutstandingBreakdown,
+  calculatePayoffQuote,
+};
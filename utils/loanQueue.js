@@ -0,0 +1,105 @@
+// Waiting list of approved loans the group cannot fund yet. Loans an admin
+// has placed by hand come first, in that order; the rest follow the queue
+// policy from the liquidity settings:
+//   fifo           - earliest queued first
+//   smallest_first - smallest amount first
+//   credit_score   - highest credit score at request time first
+
+const Loan = require("../models/Loan");
+const AuditLog = require("../models/AuditLog");
+const { getLiquiditySettings, checkLoanFunding } = require("./liquidity");
+
+const QUEUE_POLICIES = ["fifo", "smallest_first", "credit_score"];
+
+const byQueuedAt = (a, b) => new Date(a.queuedAt) - new Date(b.queuedAt);
+
+const POLICY_COMPARATORS = {
+  fifo: byQueuedAt,
+  smallest_first: (a, b) => a.amount - b.amount || byQueuedAt(a, b),
+  credit_score: (a, b) =>
+    (b.creditScore?.score ?? -1) - (a.creditScore?.score ?? -1) || byQueuedAt(a, b),
+};
+
+const sortQueue = (loans, policy) => {
+  const compare = POLICY_COMPARATORS[policy] || POLICY_COMPARATORS.fifo;
+  return [...loans].sort((a, b) => {
+    const aManual = a.queuePriority != null;
+    const bManual = b.queuePriority != null;
+    if (aManual && bManual) return a.queuePriority - b.queuePriority;
+    if (aManual !== bManual) return aManual ? -1 : 1;
+    return compare(a, b);
+  });
+};
+
+// Queued loans in funding order
+const getOrderedQueue = async () => {
+  const { queuePolicy } = await getLiquiditySettings();
+  const loans = await Loan.find({ status: "queued" })
+    .populate("member", "firstName lastName membershipId email")
+    .populate("branch", "name code");
+  return { policy: queuePolicy, loans: sortQueue(loans, queuePolicy) };
+};
+
+/**
+ * Move queued loans back to approved, in queue order, for as long as the
+ * group can fund them. Stops at the first loan that cannot be funded so a
+ * smaller loan never jumps ahead of the one at the front.
+ *
+ * @param {Object} actor - { user, ipAddress, userAgent } recorded in the audit log
+ * @returns {Promise<Array>} Released loans
+ */
+const releaseQueuedLoans = async ({ user, ipAddress, userAgent } = {}) => {
+  const { loans } = await getOrderedQueue();
+  const released = [];
+
+  for (const loan of loans) {
+    const funding = await checkLoanFunding(loan);
+    if (!funding.canFund) break;
+
+    loan.status = "approved";
+    loan.approvedDate = new Date();
+    loan.queuePriority = null;
+    await loan.save();
+    released.push(loan);
+
+    // Log the action
+    await AuditLog.create({
+      user,
+      action: "release_queued_loan",
+      resource: "loan",
+      resourceId: loan._id,
+      details: {
+        amount: loan.amount,
+        queuedAt: loan.queuedAt,
+        lendableBefore: funding.liquidity.lendable,
+      },
+      ipAddress,
+      userAgent,
+    });
+  }
+
+  return released;
+};
+
+// Money coming into the group frees up funds for the waiting list. A failure
+// here must not undo the payment or contribution that has already been recorded.
+const releaseWaitingLoans = async (req) => {
+  try {
+    return await releaseQueuedLoans({
+      user: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  } catch (error) {
+    console.error("Failed to release queued loans:", error.message);
+    return [];
+  }
+};
+
+module.exports = {
+  QUEUE_POLICIES,
+  sortQueue,
+  getOrderedQueue,
+  releaseQueuedLoans,
+  releaseWaitingLoans,
+};
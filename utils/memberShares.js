@@ -0,0 +1,252 @@
+// Each contributor's share of the group's savings and of the interest it has
+// earned. Interest from repaid loans and paid penalties is shared by the
+// members who had contributed before the money came in; interest still to be
+// earned is shared by current contribution.
+
+const User = require("../models/User");
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const Penalty = require("../models/Penalty");
+const { getLoanInterest } = require("./loanCalculator");
+
+// Members who share in the group's interest
+const CONTRIBUTOR_FILTER = {
+  role: { $in: ["member", "branch_lead"] },
+  isActive: true,
+  totalContributions: { $gt: 0 },
+};
+
+const getTotalContributions = async () => {
+  const contribResult = await Contribution.aggregate([
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  return contribResult[0]?.total || 0;
+};
+
+/**
+ * Interest the group has earned or lost, each amount dated to when the money
+ * came in (lost principal is negative), and the interest still to be earned.
+ */
+const loadInterestEvents = async () => {
+  const [repaidLoans, paidPenalties, approvedLoans, pendingPenalties, writtenOffLoans] = await Promise.all([
+    Loan.find({ status: { $in: ["repaid", "refinanced"] } })
+      .select("totalAmount amount interestRate interestMethod duration repaidAt refinancedAt updatedAt createdAt")
+      .lean(),
+
+    Penalty.find({ status: "paid" })
+      .select("amount paidDate updatedAt createdAt member")
+      .populate("member", "_id")
+      .lean(),
+
+    Loan.find({ status: { $in: ["approved", "disbursed", "defaulted"] } })
+      .select("totalAmount amount interestRate interestMethod duration")
+      .lean(),
+
+    Penalty.find({ status: { $ne: "paid" } })
+      .select("amount member")
+      .populate("member", "_id")
+      .lean(),
+
+    Loan.find({ status: "written_off" })
+      .select("amount amountPaid recoveredAmount writeOff updatedAt")
+      .lean()
+  ]);
+
+  const events = [];
+  const totals = {
+    repaidLoans: 0,
+    paidPenalties: 0,
+    writeOffLoss: 0,
+    writeOffSurplus: 0,
+    recovered: 0,
+  };
+
+  // Interest already earned on repaid loans
+  for (const loan of repaidLoans) {
+    const repaidAt = loan.repaidAt || loan.refinancedAt || loan.updatedAt || loan.createdAt;
+    const interestAmount = getLoanInterest(loan);
+    if (!repaidAt || interestAmount <= 0) continue;
+    events.push({ amount: interestAmount, at: repaidAt });
+    totals.repaidLoans += interestAmount;
+  }
+
+  // Paid penalties count as interest too
+  for (const penalty of paidPenalties) {
+    if (!penalty.member) continue;
+    const paidDate = penalty.paidDate || penalty.updatedAt || penalty.createdAt;
+    const penaltyAmount = penalty.amount || 0;
+    if (!paidDate || penaltyAmount <= 0) continue;
+    events.push({ amount: penaltyAmount, at: paidDate });
+    totals.paidPenalties += penaltyAmount;
+  }
+
+  // Written-off loans: principal lost, net of repayments and recoveries. A
+  // shortfall is shared by the members who funded the pool; any surplus counts as interest
+  for (const loan of writtenOffLoans) {
+    const writtenOffAt = loan.writeOff?.writtenOffAt || loan.updatedAt;
+    const collected = (loan.amountPaid || 0) + (loan.recoveredAmount || 0);
+    const loss = Math.max(0, (loan.amount || 0) - collected);
+    const surplus = Math.max(0, collected - (loan.amount || 0));
+    totals.recovered += loan.recoveredAmount || 0;
+    if (!writtenOffAt || (loss === 0 && surplus === 0)) continue;
+    events.push({ amount: loss ? -loss : surplus, at: writtenOffAt });
+    totals.writeOffLoss += loss;
+    totals.writeOffSurplus += surplus;
+  }
+
+  // Interest to be earned: approved loans and pending penalties (where member is not null)
+  const summedInterestFromApprovedLoans = approvedLoans.reduce(
+    (sum, loan) => sum + Math.max(0, getLoanInterest(loan)),
+    0
+  );
+  const summedPendingPenalties = pendingPenalties.reduce((sum, penalty) =>
+    penalty.member ? sum + (penalty.amount || 0) : sum, 0);
+
+  return {
+    events,
+    totals,
+    pendingInterest: summedInterestFromApprovedLoans + summedPendingPenalties,
+  };
+};
+
+// Interest still to be earned is shared by current contribution
+const toShareEntry = (contributor, totalContributions, interestEarned, pendingInterest) => {
+  const share = totalContributions > 0
+    ? (contributor.totalContributions || 0) / totalContributions
+    : 0;
+
+  return {
+    id: contributor._id,
+    name: contributor.fullName || `${contributor.firstName} ${contributor.lastName}`,
+    role: contributor.role === "branch_lead" ? "Branch Lead" : "Member",
+    branch: contributor.branch?.name || contributor.branch || "Unknown",
+    totalContribution: contributor.totalContributions || 0,
+    sharePercentage: Math.round(share * 10000) / 100,
+    interestEarned: Math.round(interestEarned * 100) / 100,
+    interestToBeEarned: Math.round(pendingInterest * share * 100) / 100,
+  };
+};
+
+/**
+ * @returns {Promise<{shares: Array, summary: Object}>} `shares` is sorted by
+ *   total contribution, largest first
+ */
+const calculateMemberShares = async () => {
+  const contributors = await User.find(CONTRIBUTOR_FILTER)
+    .populate({ path: "branch", select: "name code location" })
+    .lean();
+
+  const contributorIds = contributors.map((c) => c._id);
+
+  const [totalContributions, allContributions, { events, totals, pendingInterest }] =
+    await Promise.all([
+      getTotalContributions(),
+      // Fetch every contribution once, with timestamps
+      Contribution.find({ memberId: { $in: contributorIds } })
+        .select("memberId amount createdAt")
+        .sort({ createdAt: 1 })
+        .lean(),
+      loadInterestEvents(),
+    ]);
+
+  const interestEarnedMap = {};
+  contributors.forEach((c) => {
+    interestEarnedMap[c._id.toString()] = 0;
+  });
+
+  // Share each amount by what members had contributed when it came in
+  for (const event of events) {
+    const totalsBefore = {};
+    let pool = 0;
+    for (const contrib of allContributions) {
+      if (contrib.createdAt > event.at) break;
+      const id = contrib.memberId.toString();
+      totalsBefore[id] = (totalsBefore[id] || 0) + contrib.amount;
+      pool += contrib.amount;
+    }
+    if (pool <= 0) continue;
+
+    Object.keys(totalsBefore).forEach((id) => {
+      interestEarnedMap[id] =
+        (interestEarnedMap[id] || 0) + (totalsBefore[id] / pool) * event.amount;
+    });
+  }
+
+  const data = contributors.map((contributor) =>
+    toShareEntry(
+      contributor,
+      totalContributions,
+      interestEarnedMap[contributor._id.toString()] || 0,
+      pendingInterest
+    )
+  );
+
+  // Sort by total contribution descending
+  data.sort((a, b) => b.totalContribution - a.totalContribution);
+
+  const totalInterest =
+    totals.repaidLoans + totals.paidPenalties + totals.writeOffSurplus - totals.writeOffLoss;
+
+  return {
+    shares: data,
+    summary: {
+      totalContributions,
+      totalInterest: Math.round(totalInterest * 100) / 100,
+      totalInterestToBeEarned: Math.round(pendingInterest * 100) / 100,
+      totalContributors: data.length,
+      totalPenaltyInterest: Math.round(totals.paidPenalties * 100) / 100,
+      totalWriteOffLoss: Math.round(totals.writeOffLoss * 100) / 100,
+      totalWriteOffSurplus: Math.round(totals.writeOffSurplus * 100) / 100,
+      totalRecovered: Math.round(totals.recovered * 100) / 100,
+    },
+  };
+};
+
+/**
+ * One member's entry from calculateMemberShares, without working out
+ * everyone else's. Null when the member does not share in the interest.
+ */
+const calculateMemberShare = async (memberId) => {
+  const contributor = await User.findOne({ _id: memberId, ...CONTRIBUTOR_FILTER })
+    .populate({ path: "branch", select: "name code location" })
+    .lean();
+  if (!contributor) return null;
+
+  const contributorIds = await User.distinct("_id", CONTRIBUTOR_FILTER);
+  const memberKey = contributor._id.toString();
+
+  const [totalContributions, poolContributions, { events, pendingInterest }] =
+    await Promise.all([
+      getTotalContributions(),
+      Contribution.find({ memberId: { $in: contributorIds } })
+        .select("memberId amount createdAt")
+        .sort({ createdAt: 1 })
+        .lean(),
+      loadInterestEvents(),
+    ]);
+
+  // Walk the contributions once, in date order, alongside the dated amounts
+  const sortedEvents = [...events].sort((a, b) => new Date(a.at) - new Date(b.at));
+  let pool = 0;
+  let own = 0;
+  let next = 0;
+  let interestEarned = 0;
+  for (const event of sortedEvents) {
+    while (
+      next < poolContributions.length &&
+      poolContributions[next].createdAt <= new Date(event.at)
+    ) {
+      const contrib = poolContributions[next++];
+      pool += contrib.amount;
+      if (contrib.memberId.toString() === memberKey) own += contrib.amount;
+    }
+    if (pool > 0) interestEarned += (own / pool) * event.amount;
+  }
+
+  return toShareEntry(contributor, totalContributions, interestEarned, pendingInterest);
+};
+
+module.exports = {
+  calculateMemberShares,
+  calculateMemberShare,
+};
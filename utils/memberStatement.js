@@ -0,0 +1,230 @@
+// A member's account statement for a date range. Savings, loans and penalties
+// are each kept as a running balance built from dated events, so the opening
+// balance is everything before the period and the closing balance is the
+// opening balance plus the movements listed in it.
+//
+//   savings   - confirmed contributions
+//   loans     - what the member owes: the total repayable when a loan is
+//               disbursed, less repayments; a rebate, write-off or refinance
+//               closes whatever was left
+//   penalties - penalties assigned, less those paid or waived
+
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const LoanRepayment = require("../models/LoanRepayment");
+const Penalty = require("../models/Penalty");
+const { round2 } = require("./loanCalculator");
+
+const ACCOUNTS = ["savings", "loans", "penalties"];
+
+const CONTRIBUTION_TYPE_LABELS = {
+  monthly: "Monthly contribution",
+  weekly: "Weekly contribution",
+  special: "Special contribution",
+  penalty_payment: "Penalty payment",
+};
+
+const PENALTY_REASON_LABELS = {
+  late_contribution: "late contribution",
+  missed_meeting: "missed meeting",
+  late_loan_repayment: "late loan repayment",
+  policy_violation: "policy violation",
+  other: "other",
+};
+
+const loanRef = (loan) => `loan ${loan._id.toString().slice(-6).toUpperCase()}`;
+
+const contributionEvents = (contributions) =>
+  contributions.map((c) => ({
+    date: c.contributionDate,
+    account: "savings",
+    amount: c.amount,
+    description: c.description
+      ? `${CONTRIBUTION_TYPE_LABELS[c.contributionType] || "Contribution"} - ${c.description}`
+      : CONTRIBUTION_TYPE_LABELS[c.contributionType] || "Contribution",
+  }));
+
+// Date and label of the event that closed a loan without it being repaid in full
+const loanClosure = (loan) => {
+  if (loan.status === "written_off" && loan.writeOff?.writtenOffAt) {
+    return { date: loan.writeOff.writtenOffAt, label: "Written off" };
+  }
+  if (loan.status === "refinanced" && loan.refinancedAt) {
+    return { date: loan.refinancedAt, label: "Refinanced by a top-up loan" };
+  }
+  if (loan.status === "repaid" && loan.repaidAt) {
+    return {
+      date: loan.repaidAt,
+      label: loan.earlySettlement?.settledAt ? "Early settlement rebate" : "Closed",
+    };
+  }
+  return null;
+};
+
+const loanEvents = (loans, repayments) => {
+  const events = [];
+
+  loans.forEach((loan) => {
+    const loanRepayments = repayments
+      .filter((r) => r.loan.toString() === loan._id.toString())
+      .sort((a, b) => new Date(a.paymentDate) - new Date(b.paymentDate));
+
+    let balance = round2(loan.totalAmount || loan.amount);
+    events.push({
+      date: loan.disbursedDate,
+      account: "loans",
+      amount: balance,
+      description: `Loan disbursed (${loanRef(loan)}): principal ${round2(loan.amount)} + interest ${round2(balance - loan.amount)}`,
+    });
+
+    const closure = loanClosure(loan);
+    loanRepayments.forEach((repayment) => {
+      // Recoveries come in after the loan was written off, so they no longer reduce what is owed
+      if (repayment.type === "recovery") {
+        events.push({
+          date: repayment.paymentDate,
+          account: "loans",
+          amount: 0,
+          description: `Recovery on written-off ${loanRef(loan)}: ${round2(repayment.amount)}`,
+        });
+        return;
+      }
+      balance = round2(balance - repayment.amount);
+      events.push({
+        date: repayment.paymentDate,
+        account: "loans",
+        amount: -repayment.amount,
+        description: `Repayment (${loanRef(loan)})`,
+      });
+    });
+
+    if (closure && balance !== 0) {
+      events.push({
+        date: closure.date,
+        account: "loans",
+        amount: -balance,
+        description: `${closure.label} (${loanRef(loan)})`,
+      });
+    }
+  });
+
+  return events;
+};
+
+const penaltyEvents = (penalties) => {
+  const events = [];
+  penalties.forEach((penalty) => {
+    const reason = PENALTY_REASON_LABELS[penalty.reason] || penalty.reason;
+    events.push({
+      date: penalty.assignedDate,
+      account: "penalties",
+      amount: penalty.amount,
+      description: `Penalty: ${reason}`,
+    });
+    if (penalty.status === "paid" && penalty.paidDate) {
+      events.push({
+        date: penalty.paidDate,
+        account: "penalties",
+        amount: -penalty.amount,
+        description: `Penalty paid: ${reason}`,
+      });
+    }
+    if (penalty.status === "waived" && penalty.waivedDate) {
+      events.push({
+        date: penalty.waivedDate,
+        account: "penalties",
+        amount: -penalty.amount,
+        description: `Penalty waived: ${reason}`,
+      });
+    }
+  });
+  return events;
+};
+
+/**
+ * Build a member's statement for a period.
+ *
+ * @param {Object} member - User document with `branch` populated
+ * @param {Object} options
+ * @param {Date} options.from - Start of the period
+ * @param {Date} options.to - End of the period (inclusive)
+ * @param {Object} [options.share] - The member's entry from calculateMemberShare
+ * @returns {Promise<Object>} balances per account, the period's transactions and the investment summary
+ */
+const buildMemberStatement = async (member, { from, to, share = null }) => {
+  const [contributions, loans, penalties] = await Promise.all([
+    Contribution.find({
+      memberId: member._id,
+      status: "confirmed",
+      contributionDate: { $lte: to },
+    }).lean(),
+    Loan.find({
+      member: member._id,
+      disbursedDate: { $ne: null, $lte: to },
+    }).lean(),
+    Penalty.find({ member: member._id, assignedDate: { $lte: to } }).lean(),
+  ]);
+  const repayments = await LoanRepayment.find({
+    loan: { $in: loans.map((l) => l._id) },
+  }).lean();
+
+  const events = [
+    ...contributionEvents(contributions),
+    ...loanEvents(loans, repayments),
+    ...penaltyEvents(penalties),
+  ]
+    .filter((event) => event.date && new Date(event.date) <= to)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const balances = {};
+  ACCOUNTS.forEach((account) => {
+    balances[account] = { opening: 0, moneyIn: 0, moneyOut: 0, closing: 0 };
+  });
+
+  const transactions = [];
+  events.forEach((event) => {
+    const balance = balances[event.account];
+    if (new Date(event.date) < from) {
+      balance.opening = round2(balance.opening + event.amount);
+      return;
+    }
+    if (event.amount >= 0) {
+      balance.moneyIn = round2(balance.moneyIn + event.amount);
+    } else {
+      balance.moneyOut = round2(balance.moneyOut - event.amount);
+    }
+    transactions.push({
+      date: event.date,
+      account: event.account,
+      description: event.description,
+      amount: round2(event.amount),
+    });
+  });
+  ACCOUNTS.forEach((account) => {
+    const balance = balances[account];
+    balance.closing = round2(balance.opening + balance.moneyIn - balance.moneyOut);
+  });
+
+  return {
+    member: {
+      id: member._id,
+      name: `${member.firstName} ${member.lastName}`,
+      email: member.email,
+      branch: member.branch?.name || null,
+      joinDate: member.joinDate || member.createdAt,
+    },
+    period: { from, to },
+    balances,
+    transactions,
+    investment: {
+      sharePercentage: share ? share.sharePercentage : 0,
+      interestEarned: share ? share.interestEarned : 0,
+      interestToBeEarned: share ? share.interestToBeEarned : 0,
+    },
+    generatedAt: new Date(),
+  };
+};
+
+module.exports = {
+  buildMemberStatement,
+};
@@ -0,0 +1,167 @@
+// Renders a member statement (see utils/memberStatement) as a PDF with the
+// balances per account and the period's transactions. Resolves with the PDF
+// as a Buffer.
+
+const PDFDocument = require("pdfkit");
+
+const BRAND_COLOR = "#0f766e";
+
+const formatMoney = (value) =>
+  Number(value || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : "-";
+
+const ACCOUNT_LABELS = {
+  savings: "Savings",
+  loans: "Loans owed",
+  penalties: "Unpaid penalties",
+};
+
+// Draw one table row at fixed column offsets
+const drawRow = (doc, columns, values, options = {}) => {
+  const y = doc.y;
+  doc.font(options.bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  let height = 0;
+  values.forEach((value, index) => {
+    const text = String(value);
+    const width = columns[index].width;
+    doc.text(text, columns[index].x, y, {
+      width,
+      align: columns[index].align || "left",
+    });
+    height = Math.max(height, doc.heightOfString(text, { width }));
+  });
+  doc.y = y + height + 4;
+  doc.x = doc.page.margins.left;
+};
+
+const sectionTitle = (doc, title) => {
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(12).fillColor(BRAND_COLOR).text(title);
+  doc.fillColor("black");
+  doc.moveDown(0.3);
+};
+
+const labelValue = (doc, label, value) => {
+  doc.font("Helvetica-Bold").fontSize(10).text(`${label}: `, { continued: true });
+  doc.font("Helvetica").text(String(value));
+};
+
+const nearPageEnd = (doc, space = 30) =>
+  doc.y > doc.page.height - doc.page.margins.bottom - space;
+
+const drawHeader = (doc) => {
+  doc.rect(0, 0, doc.page.width, 70).fill(BRAND_COLOR);
+  doc
+    .fillColor("white")
+    .font("Helvetica-Bold")
+    .fontSize(20)
+    .text("Community Saver", 50, 20);
+  doc.font("Helvetica").fontSize(10).text("Member Account Statement", 50, 44);
+  doc.fillColor("black");
+  doc.x = doc.page.margins.left;
+  doc.y = 90;
+};
+
+/**
+ * @param {Object} statement - From buildMemberStatement
+ * @returns {Promise<Buffer>}
+ */
+const generateMemberStatementPdf = (statement) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { member, period, balances, transactions, investment } = statement;
+
+    drawHeader(doc);
+    labelValue(doc, "Member", member.name);
+    labelValue(doc, "Email", member.email || "-");
+    labelValue(doc, "Branch", member.branch || "-");
+    labelValue(doc, "Member since", formatDate(member.joinDate));
+    labelValue(doc, "Statement period", `${formatDate(period.from)} to ${formatDate(period.to)}`);
+    labelValue(doc, "Issued", formatDate(statement.generatedAt));
+
+    sectionTitle(doc, "Balances");
+    const balanceColumns = [
+      { x: 50, width: 120 },
+      { x: 175, width: 85, align: "right" },
+      { x: 265, width: 85, align: "right" },
+      { x: 355, width: 85, align: "right" },
+      { x: 445, width: 95, align: "right" },
+    ];
+    drawRow(doc, balanceColumns, ["Account", "Opening", "In", "Out", "Closing"], { bold: true });
+    Object.entries(ACCOUNT_LABELS).forEach(([account, label]) => {
+      const balance = balances[account];
+      drawRow(doc, balanceColumns, [
+        label,
+        formatMoney(balance.opening),
+        formatMoney(balance.moneyIn),
+        formatMoney(balance.moneyOut),
+        formatMoney(balance.closing),
+      ]);
+    });
+
+    sectionTitle(doc, "Share of the group");
+    labelValue(doc, "Share of total savings", `${investment.sharePercentage}%`);
+    labelValue(doc, "Interest earned to date", formatMoney(investment.interestEarned));
+    labelValue(doc, "Interest still to be earned", formatMoney(investment.interestToBeEarned));
+
+    sectionTitle(doc, "Transactions");
+    const columns = [
+      { x: 50, width: 65 },
+      { x: 120, width: 190 },
+      { x: 315, width: 75, align: "right" },
+      { x: 395, width: 75, align: "right" },
+      { x: 475, width: 70, align: "right" },
+    ];
+    const headings = ["Date", "Description", "Savings", "Loans", "Penalties"];
+    drawRow(doc, columns, headings, { bold: true });
+
+    if (!transactions.length) {
+      doc.font("Helvetica").fontSize(9).text("No transactions in this period.");
+    }
+    transactions.forEach((transaction) => {
+      if (nearPageEnd(doc)) {
+        doc.addPage();
+        drawRow(doc, columns, headings, { bold: true });
+      }
+      const amounts = ["savings", "loans", "penalties"].map((account) =>
+        account === transaction.account ? formatMoney(transaction.amount) : ""
+      );
+      drawRow(doc, columns, [
+        formatDate(transaction.date),
+        transaction.description,
+        ...amounts,
+      ]);
+    });
+
+    if (nearPageEnd(doc, 60)) {
+      doc.addPage();
+    }
+    doc.moveDown(1.5);
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("#6b7280")
+      .text(
+        "Loan balances include the interest due over the loan term. Share and interest " +
+          "figures are as at the date of issue. If anything on this statement looks wrong, " +
+          "please contact your branch lead.",
+        { align: "justify" }
+      );
+
+    doc.end();
+  });
+
+module.exports = {
+  generateMemberStatementPdf,
+};
@@ -0,0 +1,259 @@
+// Penalty rules engine. Late contributions, missed meetings and late loan
+// repayments are charged according to the PenaltyRule for their trigger
+// (the branch's own rule, otherwise the group-wide one). Without a stored
+// rule the built-in defaults below apply; they match the behaviour from
+// before rules existed: 25 for a contribution after the 10th, and the loan
+// policy's late-repayment penalty. A missed meeting defaults to a flat 10.
+
+const Contribution = require("../models/Contribution");
+const ContributionPlan = require("../models/ContributionPlan");
+const Penalty = require("../models/Penalty");
+const PenaltyRule = require("../models/PenaltyRule");
+const loanPolicy = require("../config/loanPolicy");
+const { round2 } = require("./loanCalculator");
+const {
+  PLAN_CONTRIBUTION_TYPES,
+  monthlyDueDate,
+  calculateArrears,
+} = require("./contributionSchedule");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) =>
+  Math.floor((new Date(to) - new Date(from)) / DAY_MS);
+
+const DEFAULT_RULES = {
+  late_contribution: {
+    name: "Default late contribution",
+    trigger: "late_contribution",
+    graceDays: 0,
+    amountType: "fixed",
+    amount: 25,
+    dueDay: 10,
+    escalationRate: 0,
+    repeatWindowDays: 365,
+    maxAmount: null,
+    maxPerMonth: null,
+  },
+  missed_meeting: {
+    name: "Default missed meeting",
+    trigger: "missed_meeting",
+    graceDays: 0,
+    amountType: "fixed",
+    amount: 10,
+    escalationRate: 0,
+    repeatWindowDays: 365,
+    maxAmount: null,
+    maxPerMonth: null,
+  },
+  late_loan_repayment: {
+    name: "Default late loan repayment",
+    trigger: "late_loan_repayment",
+    // The loan policy counts the day the penalty applies, rules count the days before it
+    graceDays: Math.max(0, loanPolicy.latePenalty.afterDays - 1),
+    amountType: loanPolicy.latePenalty.type,
+    amount: loanPolicy.latePenalty.value,
+    escalationRate: 0,
+    repeatWindowDays: 365,
+    maxAmount: null,
+    maxPerMonth: null,
+  },
+};
+
+const resolvePenaltyRule = async (trigger, branch) =>
+  (await PenaltyRule.resolve(trigger, branch)) || DEFAULT_RULES[trigger] || null;
+
+// Apply escalation for earlier offences, then the per-penalty and monthly caps
+const calculatePenaltyAmount = async (rule, { member, occurredAt, baseAmount, session = null }) => {
+  let amount =
+    rule.amountType === "percentage"
+      ? ((baseAmount || 0) * rule.amount) / 100
+      : rule.amount;
+
+  let priorOffences = 0;
+  if (rule.escalationRate > 0) {
+    priorOffences = await Penalty.countDocuments({
+      member,
+      reason: rule.trigger,
+      status: { $ne: "waived" },
+      assignedDate: {
+        $gte: new Date(occurredAt.getTime() - rule.repeatWindowDays * DAY_MS),
+        $lt: occurredAt,
+      },
+    }).session(session);
+    amount *= 1 + (rule.escalationRate / 100) * priorOffences;
+  }
+
+  if (rule.maxAmount != null) {
+    amount = Math.min(amount, rule.maxAmount);
+  }
+
+  if (rule.maxPerMonth != null) {
+    const monthStart = new Date(occurredAt.getFullYear(), occurredAt.getMonth(), 1);
+    const monthEnd = new Date(occurredAt.getFullYear(), occurredAt.getMonth() + 1, 1);
+    const charged = await Penalty.aggregate([
+      {
+        $match: {
+          member,
+          reason: rule.trigger,
+          status: { $ne: "waived" },
+          assignedDate: { $gte: monthStart, $lt: monthEnd },
+        },
+      },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]).session(session);
+    amount = Math.min(amount, rule.maxPerMonth - (charged[0] ? charged[0].total : 0));
+  }
+
+  return { amount: round2(Math.max(0, amount)), priorOffences };
+};
+
+/**
+ * Charge a penalty for a trigger if its rule calls for one.
+ *
+ * @param {Object} options
+ * @param {String} options.trigger - late_contribution, missed_meeting or late_loan_repayment
+ * @param {ObjectId} options.member
+ * @param {String} [options.branch]
+ * @param {Date} [options.occurredAt] - When the payment was made or the meeting held
+ * @param {Date} [options.dueDate] - When payment was due; on time or within grace means no penalty
+ * @param {Number} [options.baseAmount] - Late amount that percentage rules apply to
+ * @param {String} [options.period] - Charge at most one penalty per member, trigger and period
+ * @param {ObjectId|null} options.assignedBy - Null for penalties a job charges
+ *   with `automated: true` in `fields`
+ * @param {String} [options.description]
+ * @param {Object} [options.fields] - Extra fields stored on the penalty
+ * @param {Object} [options.rule] - Rule already resolved by the caller
+ * @param {ClientSession} [options.session] - Transaction the penalty is written in
+ * @returns {Promise<{penalty, rule, skipped}>} `skipped` says why no penalty was charged
+ */
+const applyPenaltyRule = async ({
+  trigger,
+  member,
+  branch = null,
+  occurredAt = new Date(),
+  dueDate = null,
+  baseAmount = 0,
+  period = null,
+  assignedBy,
+  description,
+  fields = {},
+  rule: resolvedRule,
+  session = null,
+}) => {
+  const rule = resolvedRule || (await resolvePenaltyRule(trigger, branch));
+  if (!rule) return { penalty: null, rule: null, skipped: "no_rule" };
+
+  const date = new Date(occurredAt);
+  if (dueDate && daysBetween(dueDate, date) <= rule.graceDays) {
+    return { penalty: null, rule, skipped: "within_grace" };
+  }
+
+  if (period && (await Penalty.exists({ member, reason: trigger, period }).session(session))) {
+    return { penalty: null, rule, skipped: "already_charged" };
+  }
+
+  const { amount, priorOffences } = await calculatePenaltyAmount(rule, {
+    member,
+    occurredAt: date,
+    baseAmount,
+    session,
+  });
+  // Penalties must be at least 1
+  if (amount < 1) return { penalty: null, rule, skipped: "capped" };
+
+  const [penalty] = await Penalty.create(
+    [
+      {
+        member,
+        amount,
+        reason: trigger,
+        description:
+          priorOffences > 0
+            ? `${description} (repeat offence ${priorOffences + 1})`
+            : description,
+        assignedBy,
+        status: "pending",
+        assignedDate: date,
+        branch,
+        rule: rule._id || null,
+        period,
+        ...fields,
+      },
+    ],
+    { session }
+  );
+
+  return { penalty, rule, skipped: null };
+};
+
+/**
+ * Charge a late_contribution penalty if a contribution settles an obligation
+ * after its due date. Members with a contribution plan are measured against
+ * its oldest unpaid period; others against the rule's due day in the month of
+ * the contribution.
+ */
+const evaluateContributionPenalty = async (
+  contribution,
+  member,
+  assignedBy,
+  { session = null } = {}
+) => {
+  if (!PLAN_CONTRIBUTION_TYPES.includes(contribution.contributionType)) {
+    return { penalty: null, rule: null, skipped: "not_applicable" };
+  }
+
+  const rule = await resolvePenaltyRule("late_contribution", contribution.branch);
+  if (!rule) return { penalty: null, rule: null, skipped: "no_rule" };
+
+  const date = new Date(contribution.contributionDate);
+  const plan = (await ContributionPlan.resolveForMembers([member])).get(
+    member._id.toString()
+  );
+
+  let obligation = null;
+  if (plan) {
+    const earlier = await Contribution.find({
+      memberId: member._id,
+      status: "confirmed",
+      _id: { $ne: contribution._id },
+      contributionDate: { $lte: date },
+    })
+      .select("amount contributionType contributionDate")
+      .session(session);
+    const { periods } = calculateArrears(member, plan, earlier, date);
+    obligation = periods.find((p) => p.status !== "paid" && p.dueDate < date);
+  } else {
+    const month = date.getMonth() + 1;
+    obligation = {
+      period: `${date.getFullYear()}-${String(month).padStart(2, "0")}`,
+      dueDate: monthlyDueDate(date.getFullYear(), date.getMonth(), rule.dueDay || 10),
+      outstanding: contribution.amount,
+    };
+  }
+
+  if (!obligation) return { penalty: null, rule, skipped: "on_time" };
+
+  const memberName = `${member.firstName || ""} ${member.lastName || ""}`.trim();
+  return applyPenaltyRule({
+    trigger: "late_contribution",
+    member: member._id,
+    branch: contribution.branch,
+    occurredAt: date,
+    dueDate: obligation.dueDate,
+    baseAmount: obligation.outstanding,
+    period: obligation.period,
+    assignedBy,
+    description: `Late contribution for ${memberName} for ${obligation.period} (due ${obligation.dueDate.toISOString().slice(0, 10)}, paid ${date.toISOString().slice(0, 10)})`,
+    rule,
+    session,
+  });
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  resolvePenaltyRule,
+  calculatePenaltyAmount,
+  applyPenaltyRule,
+  evaluateContributionPenalty,
+};
@@ -0,0 +1,166 @@
+// Printable receipts for contributions. The receipt number itself is issued
+// by the Contribution model; a cancelled contribution's receipt is marked void.
+
+const PDFDocument = require("pdfkit");
+
+const BRAND_COLOR = "#0f766e";
+
+const CONTRIBUTION_TYPE_LABELS = {
+  monthly: "Monthly contribution",
+  weekly: "Weekly contribution",
+  special: "Special contribution",
+  penalty_payment: "Penalty payment",
+};
+
+const formatMoney = (value) =>
+  Number(value || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : "-";
+
+const fullName = (person) =>
+  person && person.firstName
+    ? `${person.firstName} ${person.lastName || ""}`.trim()
+    : "-";
+
+/**
+ * Printable details of a contribution's receipt.
+ * @param {Object} contribution - With `memberId`, `recordedBy` and `branch` populated
+ */
+const buildReceipt = (contribution) => ({
+  receiptNumber: contribution.receiptNumber,
+  issuedAt: contribution.receiptIssuedAt || contribution.createdAt,
+  isVoid: contribution.status === "cancelled",
+  member: fullName(contribution.memberId),
+  memberEmail: contribution.memberId?.email || null,
+  branch: contribution.branch?.name || "-",
+  amount: contribution.amount,
+  type: CONTRIBUTION_TYPE_LABELS[contribution.contributionType] || contribution.contributionType,
+  contributionDate: contribution.contributionDate,
+  description: contribution.description || "",
+  recordedBy: fullName(contribution.recordedBy),
+});
+
+const receiptLines = (receipt) => [
+  ["Receipt number", receipt.receiptNumber],
+  ["Issued", formatDate(receipt.issuedAt)],
+  ["Received from", receipt.member],
+  ["Branch", receipt.branch],
+  ["Contribution date", formatDate(receipt.contributionDate)],
+  ["Type", receipt.type],
+  ...(receipt.description ? [["Description", receipt.description]] : []),
+  ["Recorded by", receipt.recordedBy],
+];
+
+/**
+ * @param {Object} receipt - From buildReceipt
+ * @returns {Promise<Buffer>}
+ */
+const generateReceiptPdf = (receipt) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A5", margin: 40 });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.rect(0, 0, doc.page.width, 60).fill(BRAND_COLOR);
+    doc.fillColor("white").font("Helvetica-Bold").fontSize(16).text("Community Saver", 40, 16);
+    doc.font("Helvetica").fontSize(9).text("Contribution Receipt", 40, 38);
+    doc.fillColor("black");
+    doc.x = doc.page.margins.left;
+    doc.y = 80;
+
+    receiptLines(receipt).forEach(([label, value]) => {
+      doc.font("Helvetica-Bold").fontSize(10).text(`${label}: `, { continued: true });
+      doc.font("Helvetica").text(String(value));
+      doc.moveDown(0.2);
+    });
+
+    doc.moveDown(0.8);
+    doc.font("Helvetica-Bold").fontSize(14).text(`Amount received: ${formatMoney(receipt.amount)}`);
+
+    doc.moveDown(1.5);
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("#6b7280")
+      .text("Keep this receipt as proof of your contribution. Receipt numbers run in sequence per branch.");
+
+    if (receipt.isVoid) {
+      doc.save();
+      doc.rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] });
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(72)
+        .fillColor("#dc2626")
+        .opacity(0.35)
+        .text("VOID", 0, doc.page.height / 2 - 40, { width: doc.page.width, align: "center" });
+      doc.restore();
+    }
+
+    doc.end();
+  });
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * @param {Object} receipt - From buildReceipt
+ * @returns {String} A standalone HTML page
+ */
+const renderReceiptHtml = (receipt) => {
+  const rows = receiptLines(receipt)
+    .map(
+      ([label, value]) => `
+        <tr>
+          <td style="padding:6px 8px; border:1px solid #e5e7eb; font-weight:600;">${escapeHtml(label)}</td>
+          <td style="padding:6px 8px; border:1px solid #e5e7eb;">${escapeHtml(value)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const voidMark = receipt.isVoid
+    ? `<div style="position:absolute; top:40%; left:0; right:0; text-align:center; transform:rotate(-30deg); font-size:96px; font-weight:bold; color:rgba(220,38,38,0.35);">VOID</div>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>Receipt ${escapeHtml(receipt.receiptNumber)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; color: #1f2937;">
+    <div style="position:relative; max-width: 480px; margin: auto; border:1px solid #e5e7eb;">
+      <div style="background:${BRAND_COLOR}; color:white; padding:12px 16px;">
+        <strong style="font-size:18px;">Community Saver</strong><br />
+        <span style="font-size:12px;">Contribution Receipt${receipt.isVoid ? " (void)" : ""}</span>
+      </div>
+      <div style="padding:16px;">
+        <table style="width:100%; border-collapse: collapse;">${rows}
+        </table>
+        <p style="font-size:18px; font-weight:bold; margin-top:16px;">
+          Amount received: ${escapeHtml(formatMoney(receipt.amount))}
+        </p>
+        <small style="color:#6b7280;">Keep this receipt as proof of your contribution. Receipt numbers run in sequence per branch.</small>
+      </div>
+      ${voidMark}
+    </div>
+  </body>
+</html>`;
+};
+
+module.exports = {
+  buildReceipt,
+  generateReceiptPdf,
+  renderReceiptHtml,
+};
@@ -0,0 +1,365 @@
+// Spreadsheet imports of historical contributions, loans and penalties.
+// Files are read into rows keyed by field name; each import type maps its rows
+// onto unsaved model documents so they are validated exactly like records
+// created through the API. Members are matched by email.
+
+const { parse } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+const Contribution = require("../models/Contribution");
+const Loan = require("../models/Loan");
+const Penalty = require("../models/Penalty");
+const { addMonths, calculateTotalInterest, round2 } = require("./loanCalculator");
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Column names accepted for each field; headers are matched ignoring case, spaces and punctuation
+const IMPORT_TYPES = {
+  contributions: {
+    columns: {
+      email: ["email", "memberemail"],
+      amount: ["amount"],
+      contributionDate: ["date", "contributiondate"],
+      contributionType: ["type", "contributiontype"],
+      status: ["status"],
+      description: ["description", "notes"],
+    },
+    required: ["email", "amount", "contributionDate"],
+  },
+  loans: {
+    columns: {
+      email: ["email", "memberemail"],
+      amount: ["amount", "principal"],
+      interestRate: ["interestrate", "rate"],
+      duration: ["duration", "durationmonths", "months"],
+      interestMethod: ["interestmethod", "method"],
+      status: ["status"],
+      appliedDate: ["applieddate", "requestdate"],
+      disbursedDate: ["disburseddate", "disbursementdate"],
+      amountPaid: ["amountpaid", "paid"],
+      repaidAt: ["repaiddate", "repaidat"],
+    },
+    required: ["email", "amount", "interestRate", "duration", "status", "disbursedDate"],
+  },
+  penalties: {
+    columns: {
+      email: ["email", "memberemail"],
+      amount: ["amount"],
+      reason: ["reason"],
+      assignedDate: ["date", "assigneddate"],
+      status: ["status"],
+      paidDate: ["paiddate"],
+      description: ["description", "notes"],
+    },
+    required: ["email", "amount", "reason", "assignedDate"],
+  },
+};
+
+// Imported loans are historical, so only statuses a loan can have after disbursement are accepted
+const IMPORTED_LOAN_STATUSES = ["disbursed", "repaid", "defaulted"];
+
+const normalizeHeader = (header) =>
+  String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// Excel cells can hold hyperlinks, rich text and formula results
+const cellValue = (value) => {
+  if (value === null || value === undefined || value instanceof Date) return value;
+  if (typeof value !== "object") return value;
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if (value.text !== undefined) return cellValue(value.text);
+  if (value.result !== undefined) return cellValue(value.result);
+  return null;
+};
+
+/**
+ * Read an uploaded CSV or XLSX file (from multer's memory storage).
+ * @returns {Promise<{format, headers: String[], records: Array<{row, values}>}>}
+ *   `row` is the spreadsheet row number, counting the header as row 1
+ */
+const parseImportFile = async (file) => {
+  const extension = (file.originalname || "").split(".").pop().toLowerCase();
+
+  if (extension === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return { format: "xlsx", headers: [], records: [] };
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+      headers[column - 1] = String(cellValue(cell.value) || "").trim();
+    });
+
+    const records = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const values = {};
+      headers.forEach((header, index) => {
+        values[header] = cellValue(row.getCell(index + 1).value);
+      });
+      if (Object.values(values).some((value) => !isBlank(value))) {
+        records.push({ row: rowNumber, values });
+      }
+    });
+    return { format: "xlsx", headers: headers.filter(Boolean), records };
+  }
+
+  const rows = parse(file.buffer, {
+    bom: true,
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+  });
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  return {
+    format: "csv",
+    headers,
+    records: rows.map((values, index) => ({ row: index + 2, values })),
+  };
+};
+
+/**
+ * Work out which file column holds each field of an import type.
+ * @returns {{mapping: Object, missing: String[]}} `missing` lists required fields without a column
+ */
+const mapImportColumns = (type, headers) => {
+  const { columns, required } = IMPORT_TYPES[type];
+  const mapping = {};
+  Object.entries(columns).forEach(([field, aliases]) => {
+    const header = headers.find((h) => aliases.includes(normalizeHeader(h)));
+    if (header !== undefined) mapping[field] = header;
+  });
+  return {
+    mapping,
+    missing: required.filter((field) => !mapping[field]),
+  };
+};
+
+const readField = (values, mapping, field) => {
+  if (!mapping[field]) return undefined;
+  const value = values[mapping[field]];
+  if (isBlank(value)) return undefined;
+  return typeof value === "string" ? value.trim() : value;
+};
+
+const parseNumber = (value) => {
+  if (value === undefined) return undefined;
+  if (typeof value === "number") return value;
+  const parsed = Number(String(value).replace(/,/g, ""));
+  return Number.isFinite(parsed) ? parsed : NaN;
+};
+
+// Dates must be real spreadsheet dates or YYYY-MM-DD, so 03/04 is never guessed at
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](.+))?$/);
+  if (!match) return null;
+  const date = match[4]
+    ? new Date(value)
+    : new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Check a required amount/date field and collect a message if it is unusable
+const requireNumber = (errors, value, label, min = 0) => {
+  if (value === undefined) {
+    errors.push(`${label} is required`);
+  } else if (Number.isNaN(value)) {
+    errors.push(`${label} must be a number`);
+  } else if (value < min) {
+    errors.push(`${label} must be at least ${min}`);
+  }
+};
+
+const checkDate = (errors, value, label, required = false) => {
+  if (value === undefined && required) {
+    errors.push(`${label} is required`);
+  } else if (value === null) {
+    errors.push(`${label} must be a date in YYYY-MM-DD format`);
+  } else if (value && value > new Date()) {
+    errors.push(`${label} cannot be in the future`);
+  }
+};
+
+const buildContribution = (values, mapping, member, importedBy) => {
+  const errors = [];
+  const amount = parseNumber(readField(values, mapping, "amount"));
+  const contributionDate = parseDate(readField(values, mapping, "contributionDate"));
+  requireNumber(errors, amount, "Amount", 1);
+  checkDate(errors, contributionDate, "Date", true);
+
+  const doc = new Contribution({
+    memberId: member && member._id,
+    amount,
+    contributionType: readField(values, mapping, "contributionType") || "monthly",
+    contributionDate,
+    status: readField(values, mapping, "status") || "confirmed",
+    description: readField(values, mapping, "description"),
+    recordedBy: importedBy,
+    branch: member ? member.branch : undefined,
+  });
+  return { errors, doc };
+};
+
+const buildPenalty = (values, mapping, member, importedBy) => {
+  const errors = [];
+  const amount = parseNumber(readField(values, mapping, "amount"));
+  const assignedDate = parseDate(readField(values, mapping, "assignedDate"));
+  const paidDate = parseDate(readField(values, mapping, "paidDate"));
+  const status = readField(values, mapping, "status") || "pending";
+  requireNumber(errors, amount, "Amount", 1);
+  checkDate(errors, assignedDate, "Date", true);
+  checkDate(errors, paidDate, "Paid date");
+
+  const doc = new Penalty({
+    member: member && member._id,
+    amount,
+    reason: readField(values, mapping, "reason"),
+    description: readField(values, mapping, "description"),
+    assignedBy: importedBy,
+    status,
+    assignedDate,
+    paidDate: status === "paid" ? paidDate || assignedDate : undefined,
+    branch: member ? member.branch : undefined,
+  });
+  return { errors, doc };
+};
+
+// Loans are stored with their totals, schedule and balance worked out here,
+// because inserted documents skip the Loan save hook
+const buildLoan = (values, mapping, member, importedBy) => {
+  const errors = [];
+  const amount = parseNumber(readField(values, mapping, "amount"));
+  const interestRate = parseNumber(readField(values, mapping, "interestRate"));
+  const duration = parseNumber(readField(values, mapping, "duration"));
+  const status = readField(values, mapping, "status");
+  const disbursedDate = parseDate(readField(values, mapping, "disbursedDate"));
+  const appliedDate = parseDate(readField(values, mapping, "appliedDate"));
+  const repaidAt = parseDate(readField(values, mapping, "repaidAt"));
+  let amountPaid = parseNumber(readField(values, mapping, "amountPaid"));
+
+  requireNumber(errors, amount, "Amount", 1);
+  requireNumber(errors, interestRate, "Interest rate", 0);
+  requireNumber(errors, duration, "Duration", 1);
+  if (duration && !Number.isInteger(duration)) {
+    errors.push("Duration must be a whole number of months");
+  }
+  if (!IMPORTED_LOAN_STATUSES.includes(status)) {
+    errors.push(`Status must be ${IMPORTED_LOAN_STATUSES.join(", ")}`);
+  }
+  checkDate(errors, disbursedDate, "Disbursed date", true);
+  checkDate(errors, appliedDate, "Applied date");
+  checkDate(errors, repaidAt, "Repaid date", status === "repaid");
+  if (Number.isNaN(amountPaid) || amountPaid < 0) {
+    errors.push("Amount paid must be a number of at least 0");
+  }
+
+  const doc = new Loan({
+    member: member && member._id,
+    amount,
+    interestRate,
+    duration,
+    interestMethod: readField(values, mapping, "interestMethod") || "flat",
+    status,
+    appliedDate: appliedDate || disbursedDate,
+    approvedBy: importedBy,
+    approvedDate: disbursedDate,
+    disbursedDate,
+    repaidAt: status === "repaid" ? repaidAt : undefined,
+    branch: member ? member.branch : undefined,
+  });
+  if (errors.length) return { errors, doc };
+
+  const totalAmount = round2(amount + calculateTotalInterest(doc));
+  if (amountPaid === undefined) {
+    amountPaid = status === "repaid" ? totalAmount : 0;
+  }
+  if (amountPaid > totalAmount) {
+    errors.push(`Amount paid cannot exceed the total repayable of ${totalAmount}`);
+  } else if (status === "repaid" && amountPaid < totalAmount) {
+    errors.push(`A repaid loan must have paid the total repayable of ${totalAmount}`);
+  }
+  if (disbursedDate && appliedDate && appliedDate > disbursedDate) {
+    errors.push("Applied date cannot be after the disbursed date");
+  }
+
+  doc.totalAmount = totalAmount;
+  doc.amountPaid = amountPaid;
+  doc.remainingAmount = round2(totalAmount - amountPaid);
+  doc.dueDate = addMonths(disbursedDate, duration);
+  doc.generateSchedule(disbursedDate);
+  doc.applyRepaymentToSchedule(amountPaid, repaidAt);
+  return { errors, doc };
+};
+
+const BUILDERS = {
+  contributions: buildContribution,
+  loans: buildLoan,
+  penalties: buildPenalty,
+};
+
+/**
+ * Turn parsed rows into unsaved documents and validate every row.
+ *
+ * @param {String} type - contributions, loans or penalties
+ * @param {Array} records - From parseImportFile
+ * @param {Object} mapping - From mapImportColumns
+ * @param {Map} membersByEmail - Lowercased email to User document
+ * @param {ObjectId} importedBy
+ * @returns {Promise<{results, valid}>} `results` has one entry per row;
+ *   `valid` holds the documents of the rows that passed
+ */
+const validateImportRows = async (type, records, mapping, membersByEmail, importedBy) => {
+  const results = [];
+  const valid = [];
+
+  for (const { row, values } of records) {
+    const email = String(readField(values, mapping, "email") || "").toLowerCase();
+    const member = membersByEmail.get(email);
+
+    const { errors, doc } = BUILDERS[type](values, mapping, member, importedBy);
+    if (!email) {
+      errors.unshift("Email is required");
+    } else if (!member) {
+      errors.unshift(`No member with email ${email}`);
+    }
+    if (!errors.length) {
+      try {
+        await doc.validate();
+      } catch (validationError) {
+        Object.values(validationError.errors || {}).forEach((e) =>
+          errors.push(e.message)
+        );
+      }
+    }
+
+    const result = {
+      row,
+      email,
+      member: member
+        ? { id: member._id, name: `${member.firstName} ${member.lastName}` }
+        : null,
+      amount: doc.amount,
+      status: errors.length ? "failed" : "valid",
+    };
+    if (errors.length) {
+      result.errors = errors;
+    } else {
+      valid.push({ row, doc, member });
+    }
+    results.push(result);
+  }
+
+  return { results, valid };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_TYPES,
+  parseImportFile,
+  mapImportColumns,
+  validateImportRows,
+};
@@ -0,0 +1,41 @@
+// Writes that touch several documents, such as a loan repayment and its
+// ledger entry, run in a transaction when MongoDB supports one. A standalone
+// server does not, so there the same writes run one after another.
+
+const mongoose = require("mongoose");
+
+let transactionsSupported = true;
+
+// Set once the connection has checked whether MongoDB is a replica set
+const setTransactionSupport = (supported) => {
+  transactionsSupported = Boolean(supported);
+};
+
+const supportsTransactions = () => transactionsSupported;
+
+/**
+ * Run `work` in a transaction and return what it returns. Without
+ * transaction support `work` gets a null session and its writes are applied
+ * as they go.
+ * @param {Function} work - async (session) => result
+ */
+const runInTransaction = async (work) => {
+  if (!transactionsSupported) return work(null);
+
+  let result;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+  return result;
+};
+
+module.exports = {
+  setTransactionSupport,
+  supportsTransactions,
+  runInTransaction,
+};